@@ -0,0 +1,79 @@
+/*
+
+Application configuration.
+
+Purpose:
+To collect the settings that differ between environments in one place. Every value can be overridden with an environment variable; the defaults match a local development MySQL server.
+
+Storage backends:
+'mysql'  - A MySQL server, configured with the MYSQL_* variables.
+'sqlite' - An embedded SQLite database stored in the file named by SQLITE_FILENAME.
+'memory' - An embedded SQLite database held in memory, which starts empty every time the application starts.
+
+Device simulator:
+When SIMULATOR_ENABLED is 'true', devices behave like the appliances they stand for (see lib/simulator.js). The simulation advances every SIMULATOR_INTERVAL_SECONDS, and SIMULATOR_SPEED simulated minutes pass in each real minute, so that e.g. a washing machine's cycle can be demonstrated in a minute with a speed of 60.
+
+MQTT bridge:
+When MQTT_ENABLED is 'true', the devices of one household (MQTT_HOUSEHOLD_ID) are bridged to the MQTT broker at MQTT_HOST and MQTT_PORT, under the topic prefix MQTT_TOPIC_PREFIX (see lib/mqttbridge.js). MQTT_EMBEDDED_BROKER='true' starts a broker inside the application process on MQTT_PORT instead of connecting to an external one, e.g. for trying the bridge out locally.
+
+Notifications:
+Notifications sent to webhooks are retried until they are delivered (see lib/webhooks.js); the deliveries due to be retried are checked every WEBHOOK_INTERVAL_SECONDS.
+
+Backups:
+When BACKUP_AUTOMATIC is 'true', a backup of every household is written to BACKUP_DIRECTORY once a day and deleted after BACKUP_RETENTION_DAYS (see lib/backups.js).
+
+Trash:
+Deleted devices stay in the trash, from which they can be restored, for TRASH_RETENTION_DAYS before they are purged for good (see lib/trash.js).
+
+*/
+
+module.exports = {
+    port: parseInt(process.env.PORT || "8089", 10),
+    storage: {
+        backend: process.env.STORAGE_BACKEND || "mysql",
+        mysql: {
+            host: process.env.MYSQL_HOST || "localhost",
+            port: parseInt(process.env.MYSQL_PORT || "3306", 10),
+            user: process.env.MYSQL_USER || "root",
+            password: process.env.MYSQL_PASSWORD || "Sinusoid123456",
+            database: process.env.MYSQL_DATABASE || "devices"
+        },
+        sqlite: {
+            filename: process.env.SQLITE_FILENAME || "devices.sqlite"
+        }
+    },
+    sessions: {
+        maxAgeHours: parseInt(process.env.SESSION_MAX_AGE_HOURS || "168", 10),
+        secureCookie: process.env.SESSION_SECURE_COOKIE === "true"
+    },
+    scheduler: {
+        enabled: process.env.SCHEDULER_ENABLED !== "false",
+        intervalSeconds: parseInt(process.env.SCHEDULER_INTERVAL_SECONDS || "30", 10)
+    },
+    simulator: {
+        enabled: process.env.SIMULATOR_ENABLED === "true",
+        intervalSeconds: parseInt(process.env.SIMULATOR_INTERVAL_SECONDS || "5", 10),
+        speed: parseFloat(process.env.SIMULATOR_SPEED || "1")
+    },
+    mqtt: {
+        enabled: process.env.MQTT_ENABLED === "true",
+        host: process.env.MQTT_HOST || "localhost",
+        port: parseInt(process.env.MQTT_PORT || "1883", 10),
+        username: process.env.MQTT_USERNAME || undefined,
+        password: process.env.MQTT_PASSWORD || undefined,
+        topicPrefix: process.env.MQTT_TOPIC_PREFIX || "home",
+        householdID: parseInt(process.env.MQTT_HOUSEHOLD_ID || "1", 10),
+        embeddedBroker: process.env.MQTT_EMBEDDED_BROKER === "true"
+    },
+    notifications: {
+        webhookIntervalSeconds: parseInt(process.env.WEBHOOK_INTERVAL_SECONDS || "15", 10)
+    },
+    backups: {
+        automatic: process.env.BACKUP_AUTOMATIC === "true",
+        directory: process.env.BACKUP_DIRECTORY || "backups",
+        retentionDays: parseInt(process.env.BACKUP_RETENTION_DAYS || "7", 10)
+    },
+    trash: {
+        retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10)
+    }
+};
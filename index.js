@@ -3,37 +3,103 @@ var http = require("http");
 const express = require("express");
 const bodyParser = require("body-parser");
 const app = express();
-const mysql = require("mysql");
-const port = 8089;
+const config = require("./config");
+const { createStorage } = require("./lib/storage");
+const { migrate, checkSchema } = require("./lib/migrations");
+const { startScheduler } = require("./lib/scheduler");
+const { startRulesEngine } = require("./lib/rulesengine");
+const { startMqttBridge } = require("./lib/mqttbridge");
+const { startSimulator } = require("./lib/simulator");
+const { startBatteryMonitor } = require("./lib/batteries");
+const { startNotifier } = require("./lib/notifications");
+const { startWebhookDispatcher } = require("./lib/webhooks");
+const { startAutomaticBackups } = require("./lib/backups");
+const { startTrashPurger } = require("./lib/trash");
+const { loadUser, requireLogin } = require("./lib/sessions");
+const port = config.port;
 
-app.use(bodyParser.urlencoded({ extended: true }));
+// A device file imported on the 'Import and Export' page (see lib/inventory.js) is submitted as a form field, so forms may be larger than the default limit
+app.use(bodyParser.urlencoded({ extended: true, limit: "1mb" }));
+app.use(bodyParser.json());
 
+// Static files are public; every other page requires a logged-in user (see lib/sessions.js)
+
+app.use(express.static('public'));
+app.use('/css', express.static(__dirname+'public/css'));
+app.use('/img', express.static(__dirname+'public/img'));
+
+app.use(loadUser);
+app.use(requireLogin);
+
+require("./routes/auth")(app);
 require("./routes/main")(app);
+require("./routes/api")(app);
+require("./routes/rooms")(app);
+require("./routes/scenes")(app);
+require("./routes/schedules")(app);
+require("./routes/rules")(app);
+require("./routes/household")(app);
+require("./routes/tokens")(app);
+require("./routes/batteries")(app);
+require("./routes/energy")(app);
+require("./routes/notifications")(app);
+require("./routes/inventory")(app);
+require("./routes/backups")(app);
+require("./routes/trash")(app);
 
 app.set("views", __dirname + "/views");
 app.set("view engine", "ejs");
 app.engine("html", require("ejs").renderFile);
 
-const db = mysql.createConnection({
-  host: "localhost",
-  user: "root",
-  password: "Sinusoid123456",
-  database: "devices"
-});
-
-// Connect to the database
-db.connect((err) => {
+// Connect to the storage backend selected in config.js
+createStorage(config.storage, (err, storage) => {
   if (err) {
     throw err;
   }
-  console.log("Connected to the database.");
-})
-global.db = db;
+  console.log(`Connected to the ${storage.dialect} database.`);
+  global.db = storage;
 
-app.listen(port, () => console.log(`App listening on port ${port}!`));
+  // Close the database on shutdown, so that an SQLite database's latest writes are saved to its file
+  ["SIGINT", "SIGTERM"].forEach((signal) => {
+    process.on(signal, () => storage.close(() => process.exit(0)));
+  });
 
-// Static files
+  // An in-memory database starts empty, so its schema is built on every start; any other database must already be migrated
+  const prepareSchema = config.storage.backend === "memory"
+    ? (callback) => migrate(storage, undefined, callback)
+    : (callback) => checkSchema(storage, callback);
 
-app.use(express.static('public'));
-app.use('/css', express.static(__dirname+'public/css'));
-app.use('/img', express.static(__dirname+'public/img'));
\ No newline at end of file
+  prepareSchema((err) => {
+    if (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    app.listen(port, () => console.log(`App listening on port ${port}!`));
+
+    startNotifier();
+    startWebhookDispatcher(config.notifications);
+    startBatteryMonitor();
+    startTrashPurger(config.trash);
+
+    if (config.scheduler.enabled) {
+      startScheduler(config.scheduler);
+      startRulesEngine(config.scheduler);
+    }
+
+    if (config.simulator.enabled) {
+      startSimulator(config.simulator);
+    }
+
+    if (config.backups.automatic) {
+      startAutomaticBackups(config.backups);
+    }
+
+    if (config.mqtt.enabled) {
+      startMqttBridge(config.mqtt, (err) => {
+        if (err) {
+          console.error("The MQTT bridge could not be started:", err.message);
+        }
+      });
+    }
+  });
+});
@@ -0,0 +1,391 @@
+/*
+
+Personal API tokens.
+
+Purpose:
+To let scripts and other applications use the JSON API without a browser session. A user creates a named token, which is shown to them once; a script then sends it in an 'Authorization: Bearer <token>' header and acts as that user. Only a SHA-256 hash of each token is stored (in the 'API Tokens' table), along with its first characters so that the user can tell their tokens apart. A token can be revoked at any time, and is deleted with its user.
+
+Each token is limited in what it can do:
+
+    scope       'read' tokens can only read devices; 'control' tokens can also change them, within what the user's role allows (see permissions.js).
+    devices     A token can use every device of the user's household, or only the devices chosen when it was created.
+
+Tokens are only accepted on the device endpoints of the JSON API ('/api/v1/device-types' and '/api/v1/devices...'). The time a token was last used is recorded so that unused tokens can be found and revoked.
+
+Errors passed to callbacks carry a 'status' property: 400 for invalid fields, 403 for a request a token does not allow and 404 for an unknown token. Errors with a 400 status also carry a 'fields' property which maps each offending field to a message. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const crypto = require("crypto");
+const { validate, hasErrors } = require("./validation");
+const { getUser } = require("./users");
+const { hasPermission } = require("./permissions");
+
+const API_TOKEN_SCOPES = ["read", "control"];
+
+const SCOPE_LABELS = {
+    read: "Read only",
+    control: "Read and control"
+};
+
+// Tokens start with a fixed prefix, so that a leaked token can be recognised (e.g. by a secret scanner)
+
+const TOKEN_PREFIX = "msh_";
+const TOKEN_BYTES = 32;
+const TOKEN_DISPLAY_LENGTH = 12;
+
+// The paths of the JSON API (below its '/api/v1' prefix) on which tokens are accepted
+
+const TOKEN_PATH_PATTERN = /^\/(device-types|devices)(\/|$)/i;
+
+const tokenSchema = {
+    token_name: {
+        type: "string",
+        label: "Token name",
+        required: true,
+        pattern: /^[a-zA-Z0-9][a-zA-Z0-9 '&._-]*$/,
+        minLength: 1,
+        maxLength: 50,
+        messages: {
+            required: "Enter a name for the token, e.g. the script that will use it.",
+            pattern: "Enter a token name (up to 50 chars.) using letters, numbers, spaces, ' & . _ or -."
+        }
+    },
+    scope: {
+        type: "string",
+        label: "Scope",
+        required: true,
+        oneOf: () => API_TOKEN_SCOPES,
+        messages: {
+            required: "Choose what the token may do.",
+            oneOf: "Choose one of the scopes: " + API_TOKEN_SCOPES.join(", ") + "."
+        }
+    }
+};
+
+function tokenError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// The chosen device IDs are submitted as a list (one checkbox per device), or as a single value when one device is chosen
+
+function toDeviceIDs(input) {
+    let list = Array.isArray(input) ? input : (input === undefined || input === null || input === "" ? [] : [input]);
+    return list.map((value) => String(value).trim());
+}
+
+/*
+
+A function that validates a new token.
+
+Input:
+The user creating the token (see users.js) and raw token data (e.g. a form's request body) containing the 'token_name', the 'scope' and the optional 'device_type_IDs' the token is limited to.
+
+Output:
+An object containing the token's converted 'values' (with the distinct 'deviceTypeIDs', empty for a token that can use every device) and the 'errors' keyed by field name.
+
+*/
+
+function validateApiToken(user, input) {
+
+    input = input || {};
+
+    let { values, errors } = validate(tokenSchema, input);
+
+    if (values.scope === "control" && !hasPermission(user.role, "control_devices")) {
+        errors.scope = "Your role (" + user.role + ") does not allow you to control devices, so you can only create read-only tokens.";
+    }
+
+    let deviceIDs = toDeviceIDs(input.device_type_IDs);
+
+    if (deviceIDs.some((id) => !/^[0-9]+$/.test(id) || parseInt(id, 10) === 0)) {
+        errors.device_type_IDs = "Device must be a valid ID.";
+    }
+
+    values.deviceTypeIDs = errors.device_type_IDs ? [] : deviceIDs.map((id) => parseInt(id, 10)).filter((id, index, ids) => ids.indexOf(id) === index);
+
+    return { values: values, errors: errors };
+}
+
+/*
+
+A function that creates an API token.
+
+Input:
+The user the token acts as (see users.js), raw token data (see validateApiToken) and a callback.
+
+Output:
+The callback receives an error (if any) and the new token: its 'tokenID' and the 'token' itself. The token cannot be retrieved again, as only its hash is stored. A device that does not belong to the user's household is rejected as an invalid field.
+
+*/
+
+function createApiToken(user, input, callback) {
+
+    let { values, errors } = validateApiToken(user, input);
+
+    if (hasErrors(errors)) {
+        let messages = Object.keys(errors).map((field) => errors[field]);
+        return callback(tokenError(400, messages.join(" "), errors));
+    }
+
+    let token = TOKEN_PREFIX + crypto.randomBytes(TOKEN_BYTES).toString("hex");
+
+    db.transaction((connection, done) => {
+
+        let sqlQueryHouseholdDevices = "SELECT Device_Type_ID FROM devicenames WHERE Household_ID = ?";
+
+        connection.query(sqlQueryHouseholdDevices, [user.householdID], (err, result) => {
+            if (err) {
+                return done(err);
+            }
+
+            let householdDeviceIDs = result.map((row) => Number(row.Device_Type_ID));
+
+            if (values.deviceTypeIDs.some((id) => !householdDeviceIDs.includes(id))) {
+                let message = "Choose devices of your household.";
+                return done(tokenError(400, message, { device_type_IDs: message }));
+            }
+
+            let sqlQueryInsertToken = "INSERT INTO apitokens (User_ID, Token_Name, Token_Hash, Token_Prefix, Scope, All_Devices, Created_At) VALUES (?,?,?,?,?,?,?)";
+
+            let tokenRecord = [user.userID, values.token_name, hashToken(token), token.slice(0, TOKEN_DISPLAY_LENGTH), values.scope, values.deviceTypeIDs.length === 0 ? 1 : 0, new Date().toISOString()];
+
+            connection.query(sqlQueryInsertToken, tokenRecord, (err, result) => {
+                if (err) {
+                    return done(err);
+                }
+
+                let tokenID = result.insertId;
+                let remaining = values.deviceTypeIDs.slice();
+
+                // Record the devices the token is limited to, one at a time
+
+                (function insertNextDevice() {
+                    if (remaining.length === 0) {
+                        return done(null, { tokenID: tokenID, token: token });
+                    }
+                    connection.query("INSERT INTO apitokendevices (Token_ID, Device_Type_ID) VALUES (?,?)", [tokenID, remaining.shift()], (err) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        insertNextDevice();
+                    });
+                })();
+            });
+        });
+    }, callback);
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To list a user's API tokens, most recently created first.
+
+Input:
+The user's ID and a callback.
+
+Output:
+The callback receives an error (if any) and the tokens, each with its 'tokenID', 'tokenName', the 'tokenPrefix' it starts with, its 'scope', whether it can use every device ('allDevices') or only the 'devices' listed (each with its 'deviceTypeID' and 'customName'), and when it was created and last used ('createdAtText' and 'lastUsedAtText', NULL if it has never been used).
+
+*/
+
+function listApiTokens(userID, callback) {
+
+    let sqlQueryTokens = "SELECT * FROM apitokens WHERE User_ID = ? ORDER BY Token_ID DESC";
+
+    let sqlQueryTokenDevices = "SELECT apitokendevices.Token_ID, apitokendevices.Device_Type_ID, devicenames.Custom_Name FROM apitokendevices JOIN apitokens ON apitokendevices.Token_ID = apitokens.Token_ID JOIN devicenames ON apitokendevices.Device_Type_ID = devicenames.Device_Type_ID WHERE apitokens.User_ID = ? ORDER BY devicenames.Custom_Name";
+
+    db.query(sqlQueryTokens, [userID], (err, tokens) => {
+        if (err) {
+            return callback(err);
+        }
+
+        db.query(sqlQueryTokenDevices, [userID], (err, tokenDevices) => {
+            if (err) {
+                return callback(err);
+            }
+
+            callback(null, tokens.map((row) => ({
+                tokenID: row.Token_ID,
+                tokenName: row.Token_Name,
+                tokenPrefix: row.Token_Prefix,
+                scope: row.Scope,
+                allDevices: Number(row.All_Devices) === 1,
+                devices: tokenDevices
+                    .filter((device) => device.Token_ID === row.Token_ID)
+                    .map((device) => ({ deviceTypeID: device.Device_Type_ID, customName: device.Custom_Name })),
+                createdAtText: new Date(row.Created_At).toLocaleString(),
+                lastUsedAtText: row.Last_Used_At ? new Date(row.Last_Used_At).toLocaleString() : null
+            })));
+        });
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To revoke one of a user's API tokens. Its device list is removed by the ON DELETE CASCADE referential action, and scripts using it are refused from their next request.
+
+Input:
+The user's ID, the token ID and a callback.
+
+Output:
+The callback receives an error (if any). A 404 error is returned if the user has no token with the given ID.
+
+*/
+
+function revokeApiToken(userID, tokenID, callback) {
+    db.query("DELETE FROM apitokens WHERE Token_ID = ? AND User_ID = ?", [tokenID, userID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.affectedRows === 0) {
+            return callback(tokenError(404, "API token not found"));
+        }
+        callback(null);
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To identify the user and the limits of an API token presented by a script, and record that the token was used.
+
+Input:
+The token from the request's 'Authorization' header and a callback.
+
+Output:
+The callback receives an error (if any), the token's user (see users.js) and the token's limits: its 'tokenID', 'scope' and the 'deviceTypeIDs' it may use (NULL if it can use every device). The user is undefined if the token does not exist or has been revoked.
+
+*/
+
+function authenticateApiToken(token, callback) {
+
+    db.query("SELECT * FROM apitokens WHERE Token_Hash = ?", [hashToken(token)], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(null, undefined);
+        }
+
+        let row = result[0];
+
+        db.query("SELECT Device_Type_ID FROM apitokendevices WHERE Token_ID = ?", [row.Token_ID], (err, devices) => {
+            if (err) {
+                return callback(err);
+            }
+
+            db.query("UPDATE apitokens SET Last_Used_At = ? WHERE Token_ID = ?", [new Date().toISOString(), row.Token_ID], (err) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                getUser(row.User_ID, (err, user) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    callback(null, user, {
+                        tokenID: row.Token_ID,
+                        scope: row.Scope,
+                        deviceTypeIDs: Number(row.All_Devices) === 1 ? null : devices.map((device) => Number(device.Device_Type_ID))
+                    });
+                });
+            });
+        });
+    });
+}
+
+/*
+
+A function that determines whether an API token may use a device.
+
+Input:
+The token's limits (see authenticateApiToken) and a device type ID.
+
+Output:
+True if the token can use every device or the device is one of those it is limited to, otherwise false.
+
+*/
+
+function tokenAllowsDevice(apiToken, deviceTypeID) {
+    return apiToken.deviceTypeIDs === null || apiToken.deviceTypeIDs.includes(Number(deviceTypeID));
+}
+
+/*
+
+Middleware that restricts a request made with an API token to what the token allows.
+
+Input:
+The request, response and next function. It must be mounted at the JSON API's prefix, so that 'req.path' is relative to it, and run after loadUser (see sessions.js), which sets 'req.apiToken' for a request made with a token.
+
+Output:
+Requests made with a session, and requests the token allows, continue. Any other request receives a 403 status code with a JSON error body: a request outside the device endpoints, a change made with a read-only token, the creation of a device with a token limited to devices, or a request for a device (or a batch including a device) the token may not use.
+
+*/
+
+function restrictApiToken(req, res, next) {
+
+    let apiToken = req.apiToken;
+
+    if (!apiToken) {
+        return next();
+    }
+
+    let denied = (message) => res.status(403).json({ error: message });
+
+    if (!TOKEN_PATH_PATTERN.test(req.path)) {
+        return denied("API tokens can only be used on the device endpoints.");
+    }
+
+    if (apiToken.scope === "read" && req.method !== "GET") {
+        return denied("This API token is read-only.");
+    }
+
+    if (apiToken.deviceTypeIDs === null) {
+        return next();
+    }
+
+    let deviceMatch = /^\/devices\/([^\/]+)/i.exec(req.path);
+
+    if (deviceMatch && deviceMatch[1].toLowerCase() === "batch") {
+        let deniedID = toDeviceIDs(req.body && req.body.device_type_IDs).find((id) => !tokenAllowsDevice(apiToken, id));
+        return deniedID === undefined ? next() : denied("This API token cannot use device " + deniedID + ".");
+    }
+
+    if (deviceMatch) {
+        return tokenAllowsDevice(apiToken, deviceMatch[1]) ? next() : denied("This API token cannot use device " + deviceMatch[1] + ".");
+    }
+
+    if (req.method === "POST") {
+        return denied("This API token is limited to certain devices, so it cannot create devices.");
+    }
+
+    next();
+}
+
+module.exports = {
+    API_TOKEN_SCOPES,
+    SCOPE_LABELS,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    authenticateApiToken,
+    tokenAllowsDevice,
+    restrictApiToken
+};
@@ -0,0 +1,721 @@
+/*
+
+Backups.
+
+Purpose:
+To save and restore the whole state of a household in one file: its devices (including those in the trash, see trash.js), rooms, schedules, scenes, rules and their history, its low-battery alerts, and its battery and energy settings. Users, sessions, API tokens and notifications are not part of a backup.
+
+A backup is a gzip-compressed JSON archive:
+
+    format      'mysmarthome-backup', so that other files are recognised and rejected.
+    version     The version of the archive's layout (BACKUP_FORMAT_VERSION). It changes whenever the tables or columns in a backup (BACKUP_TABLES) change, and a restore only accepts the versions it can read: from OLDEST_BACKUP_FORMAT_VERSION up to the current version. A table added in a later version is restored empty from an older backup.
+    created_at  When the backup was made.
+    household   The household's 'Low_Battery_Threshold' and 'Energy_Tariff'.
+    tables      The household's rows of each of the BACKUP_TABLES, keyed by table name, with the columns listed for the table.
+
+Restoring a backup replaces the household's current state with the backup's in one transaction: the household's current rows are deleted and the backup's rows inserted with their original IDs, so that the history, schedules and rules still refer to the right devices and the JSON API's device IDs are unchanged. If any step fails, nothing is changed. Devices are removed from the device lists of API tokens when they are replaced, and the household's low-battery alerts are checked again once the backup is restored.
+
+Automatic backups, when enabled in the configuration, are written once a day for every household to a local directory, and deleted once they are older than the retention period. The stored backups of a household can be downloaded and restored from the 'Backups' page.
+
+Errors passed to callbacks carry a 'status' property: 400 for a file that is not a backup, has a version this application cannot read, has records that refer to records outside it or has invalid devices, 404 for an unknown stored backup and 409 for a backup whose records are in use by another household (e.g. a backup of another household on the same server). Errors without a 'status' property are unexpected database or file system failures.
+
+*/
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { checkBatteryAlerts } = require("./batteries");
+const { validateDevice } = require("./devicefields");
+
+const BACKUP_FORMAT = "mysmarthome-backup";
+const BACKUP_FORMAT_VERSION = 2;
+
+// Version 1 backups were made before deleted devices were kept in the trash, so they have no 'devicetrash' table
+
+const OLDEST_BACKUP_FORMAT_VERSION = 1;
+
+// An automatic backup is written when a household's newest stored backup is at least this old
+
+const AUTOMATIC_BACKUP_HOURS = 24;
+
+// How often the automatic backups are checked
+
+const BACKUP_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Stored backups are named after their household and the time they were made, e.g. 'mysmarthome-household-1-2024-01-01T12-00-00Z.json.gz'
+
+const BACKUP_FILENAME_PATTERN = /^mysmarthome-household-([0-9]+)-([0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}-[0-9]{2}-[0-9]{2}Z)\.json\.gz$/;
+
+/*
+
+The tables in a backup, in the order they are restored (each table's rows only refer to rows of the tables before it).
+
+    table       The table's name.
+    columns     The columns saved and restored. The 'Household_ID' is not saved; it is set to the household a backup is restored into.
+    household   True if the table has a 'Household_ID' column.
+    select      The query for the household's rows, given the household ID.
+    since       The first format version whose backups contain the table (1 if not given).
+    key         The table's ID column, for the tables that other tables refer to.
+    references  The columns that refer to the rows of a table before it, each mapped to that table's name. A backup is only restored if every such column, when it is not NULL, refers to a row of the backup itself (see findForeignReference), so that a crafted backup cannot attach schedules, scene targets or rules to another household's devices.
+
+*/
+
+const BACKUP_TABLES = [
+    {
+        table: "rooms",
+        columns: ["Room_ID", "Room_Name", "Created_At"],
+        household: true,
+        key: "Room_ID",
+        select: "SELECT * FROM rooms WHERE Household_ID = ? ORDER BY Room_ID"
+    },
+    {
+        table: "devicetypes",
+        columns: ["Device_Type_ID", "Device_Type", "On_Off", "Temperature", "Volume", "Batteries_Included", "Battery_Level", "Open_Closed"],
+        household: false,
+        key: "Device_Type_ID",
+        select: "SELECT devicetypes.* FROM devicetypes LEFT JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID LEFT JOIN devicetrash ON devicetypes.Device_Type_ID = devicetrash.Device_Type_ID WHERE COALESCE(devicenames.Household_ID, devicetrash.Household_ID) = ? ORDER BY devicetypes.Device_Type_ID"
+    },
+    {
+        table: "devicenames",
+        columns: ["Device_Type_ID", "Custom_Name", "Room_ID", "Low_Battery_Threshold"],
+        household: true,
+        references: { Device_Type_ID: "devicetypes", Room_ID: "rooms" },
+        select: "SELECT * FROM devicenames WHERE Household_ID = ? ORDER BY Device_Type_ID"
+    },
+    {
+        table: "devicetrash",
+        columns: ["Device_Type_ID", "Custom_Name", "Room_ID", "Low_Battery_Threshold", "Deleted_At", "Deleted_By"],
+        household: true,
+        references: { Device_Type_ID: "devicetypes", Room_ID: "rooms" },
+        select: "SELECT * FROM devicetrash WHERE Household_ID = ? ORDER BY Device_Type_ID",
+        since: 2
+    },
+    {
+        table: "batteryalerts",
+        columns: ["Alert_ID", "Device_Type_ID", "Custom_Name", "Battery_Level", "Threshold", "Raised_At", "Resolved_At"],
+        household: true,
+        references: { Device_Type_ID: "devicetypes" },
+        select: "SELECT * FROM batteryalerts WHERE Household_ID = ? ORDER BY Alert_ID"
+    },
+    {
+        table: "schedules",
+        columns: ["Schedule_ID", "Device_Type_ID", "Schedule_Type", "Cron_Expression", "Run_At", "Action_Field", "Action_Value", "Paused", "Next_Run_At", "Created_At"],
+        household: false,
+        key: "Schedule_ID",
+        references: { Device_Type_ID: "devicetypes" },
+        select: "SELECT schedules.* FROM schedules LEFT JOIN devicenames ON schedules.Device_Type_ID = devicenames.Device_Type_ID LEFT JOIN devicetrash ON schedules.Device_Type_ID = devicetrash.Device_Type_ID WHERE COALESCE(devicenames.Household_ID, devicetrash.Household_ID) = ? ORDER BY schedules.Schedule_ID"
+    },
+    {
+        table: "scheduleruns",
+        columns: ["Run_ID", "Schedule_ID", "Ran_At", "Outcome", "Message"],
+        household: false,
+        references: { Schedule_ID: "schedules" },
+        select: "SELECT scheduleruns.* FROM scheduleruns JOIN schedules ON scheduleruns.Schedule_ID = schedules.Schedule_ID LEFT JOIN devicenames ON schedules.Device_Type_ID = devicenames.Device_Type_ID LEFT JOIN devicetrash ON schedules.Device_Type_ID = devicetrash.Device_Type_ID WHERE COALESCE(devicenames.Household_ID, devicetrash.Household_ID) = ? ORDER BY scheduleruns.Run_ID"
+    },
+    {
+        table: "scenes",
+        columns: ["Scene_ID", "Scene_Name", "Created_At"],
+        household: true,
+        key: "Scene_ID",
+        select: "SELECT * FROM scenes WHERE Household_ID = ? ORDER BY Scene_ID"
+    },
+    {
+        table: "scenetargets",
+        columns: ["Target_ID", "Scene_ID", "Device_Type_ID", "Field", "Value"],
+        household: false,
+        references: { Scene_ID: "scenes", Device_Type_ID: "devicetypes" },
+        select: "SELECT scenetargets.* FROM scenetargets JOIN scenes ON scenetargets.Scene_ID = scenes.Scene_ID WHERE scenes.Household_ID = ? ORDER BY scenetargets.Target_ID"
+    },
+    {
+        table: "rules",
+        columns: ["Rule_ID", "Name", "Enabled", "Trigger_Type", "Trigger_Device_Type_ID", "Trigger_Field", "Trigger_Operator", "Trigger_Value", "Trigger_Minutes", "Trigger_Cron", "Condition_Since", "Duration_Fired", "Next_Run_At", "Created_At"],
+        household: true,
+        key: "Rule_ID",
+        references: { Trigger_Device_Type_ID: "devicetypes" },
+        select: "SELECT * FROM rules WHERE Household_ID = ? ORDER BY Rule_ID"
+    },
+    {
+        table: "ruleconditions",
+        columns: ["Condition_ID", "Rule_ID", "Device_Type_ID", "Field", "Operator", "Value"],
+        household: false,
+        references: { Rule_ID: "rules", Device_Type_ID: "devicetypes" },
+        select: "SELECT ruleconditions.* FROM ruleconditions JOIN rules ON ruleconditions.Rule_ID = rules.Rule_ID WHERE rules.Household_ID = ? ORDER BY ruleconditions.Condition_ID"
+    },
+    {
+        table: "ruleactions",
+        columns: ["Action_ID", "Rule_ID", "Device_Type_ID", "Field", "Value"],
+        household: false,
+        references: { Rule_ID: "rules", Device_Type_ID: "devicetypes" },
+        select: "SELECT ruleactions.* FROM ruleactions JOIN rules ON ruleactions.Rule_ID = rules.Rule_ID WHERE rules.Household_ID = ? ORDER BY ruleactions.Action_ID"
+    },
+    {
+        table: "rulefirings",
+        columns: ["Firing_ID", "Rule_ID", "Fired_At", "Outcome", "Message"],
+        household: false,
+        references: { Rule_ID: "rules" },
+        select: "SELECT rulefirings.* FROM rulefirings JOIN rules ON rulefirings.Rule_ID = rules.Rule_ID WHERE rules.Household_ID = ? ORDER BY rulefirings.Firing_ID"
+    },
+    {
+        table: "devicehistory",
+        columns: ["History_ID", "Device_Type_ID", "Custom_Name", "Action", "Origin", "Before_Values", "After_Values", "Changed_At"],
+        household: true,
+        select: "SELECT * FROM devicehistory WHERE Household_ID = ? ORDER BY History_ID"
+    },
+    {
+        table: "deviceusage",
+        columns: ["Usage_ID", "Device_Type_ID", "Custom_Name", "Device_Type", "Room_ID", "Started_At", "Ended_At"],
+        household: true,
+        select: "SELECT * FROM deviceusage WHERE Household_ID = ? ORDER BY Usage_ID"
+    }
+];
+
+// The device field (see devicefields.js) stored in each column of the 'Device Types' table
+
+const DEVICE_TYPE_COLUMNS = {
+    Device_Type: "device_type",
+    On_Off: "on_off",
+    Temperature: "temperature",
+    Volume: "volume",
+    Batteries_Included: "batteries_included",
+    Battery_Level: "battery_level",
+    Open_Closed: "open_closed"
+};
+
+// The statements that delete a household's current state before a restore. Deleting its devices, including those in the trash, also deletes their schedules, scene targets, low-battery alerts and simulation state, and removes them from API tokens' device lists.
+
+const DELETE_HOUSEHOLD_STATE = [
+    "DELETE FROM devicehistory WHERE Household_ID = ?",
+    "DELETE FROM deviceusage WHERE Household_ID = ?",
+    "DELETE FROM rules WHERE Household_ID = ?",
+    "DELETE FROM scenes WHERE Household_ID = ?",
+    "DELETE FROM devicetypes WHERE Device_Type_ID IN (SELECT Device_Type_ID FROM devicenames WHERE Household_ID = ?)",
+    "DELETE FROM devicetypes WHERE Device_Type_ID IN (SELECT Device_Type_ID FROM devicetrash WHERE Household_ID = ?)",
+    "DELETE FROM rooms WHERE Household_ID = ?"
+];
+
+function backupError(status, message) {
+    let err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// The name of a household's backup made at the given time
+
+function backupFilename(householdID, date) {
+    return "mysmarthome-household-" + householdID + "-" + date.toISOString().slice(0, 19).replace(/:/g, "-") + "Z.json.gz";
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To make a backup of a household.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and an object containing the backup's 'filename' and its compressed contents ('data', a Buffer).
+
+*/
+
+function createBackup(householdID, callback) {
+
+    db.query("SELECT Low_Battery_Threshold, Energy_Tariff FROM households WHERE Household_ID = ?", [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(backupError(404, "Household not found"));
+        }
+
+        let createdAt = new Date();
+        let archive = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_FORMAT_VERSION,
+            created_at: createdAt.toISOString(),
+            household: { Low_Battery_Threshold: result[0].Low_Battery_Threshold, Energy_Tariff: result[0].Energy_Tariff },
+            tables: {}
+        };
+
+        let remaining = BACKUP_TABLES.slice();
+
+        (function saveNext() {
+            if (remaining.length === 0) {
+                return zlib.gzip(JSON.stringify(archive), (err, data) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    callback(null, { filename: backupFilename(householdID, createdAt), data: data });
+                });
+            }
+
+            let spec = remaining.shift();
+
+            db.query(spec.select, [householdID], (err, rows) => {
+                if (err) {
+                    return callback(err);
+                }
+                archive.tables[spec.table] = rows.map((row) => {
+                    let saved = {};
+                    spec.columns.forEach((column) => {
+                        saved[column] = row[column] === undefined ? null : row[column];
+                    });
+                    return saved;
+                });
+                saveNext();
+            });
+        })();
+    });
+}
+
+/*
+
+A function that finds a record of a backup that refers to a record the backup does not contain.
+
+Input:
+The archive, whose tables have been checked to be arrays of objects.
+
+Output:
+The name of the first table with a record whose 'references' (see BACKUP_TABLES) are not all NULL or the ID of a record of the referenced table in the archive, or NULL if every reference is to the archive's own records. The device history and energy usage are not checked, as they also keep the IDs of devices that have been purged.
+
+*/
+
+function findForeignReference(archive) {
+
+    let keys = {};
+
+    let foreign = BACKUP_TABLES.find((spec) => {
+
+        let rows = (spec.since || 1) > archive.version ? [] : archive.tables[spec.table];
+        let references = Object.keys(spec.references || {});
+
+        let invalid = rows.some((row) => references.some((column) => {
+            let value = row[column] === undefined ? null : row[column];
+            return value !== null && !keys[spec.references[column]].has(value);
+        }));
+
+        if (spec.key) {
+            keys[spec.table] = new Set(rows.map((row) => row[spec.key]).filter(Number.isInteger));
+        }
+        return invalid;
+    });
+
+    return foreign ? foreign.table : null;
+}
+
+/*
+
+A function that finds a device of a backup that the 'Add a Device' form would not accept, e.g. one with an unsupported device type, a temperature outside its type's range or an invalid custom name.
+
+Input:
+The archive, whose tables have been checked to be arrays of objects.
+
+Output:
+A message describing the first invalid device, or NULL if every device is valid. Each device is checked with the same rules as createDevice (see devicefields.js), using its name in the 'Device Names' table or, for a device in the trash, in the 'Device Trash' table. The 'Device Types' records of valid devices are converted to the stored values of their fields (e.g. the battery level of a device whose batteries are excluded is cleared), so that only values the rest of the application expects are restored.
+
+*/
+
+function findInvalidDevice(archive) {
+
+    let nameRows = archive.tables.devicenames.concat(archive.version >= 2 ? archive.tables.devicetrash : []);
+    let namesByID = new Map(nameRows.map((row) => [row.Device_Type_ID, row]));
+    let seenNames = new Set();
+
+    for (let row of archive.tables.devicenames) {
+        let key = typeof row.Custom_Name === "string" ? row.Custom_Name.toLowerCase() : null;
+        if (key !== null && seenNames.has(key)) {
+            return "two of its devices are named '" + row.Custom_Name + "'.";
+        }
+        seenNames.add(key);
+    }
+
+    for (let row of archive.tables.devicetypes) {
+
+        let nameRow = namesByID.get(row.Device_Type_ID);
+        let input = { custom_name: nameRow ? nameRow.Custom_Name : undefined };
+
+        Object.keys(DEVICE_TYPE_COLUMNS).forEach((column) => {
+            input[DEVICE_TYPE_COLUMNS[column]] = row[column] === undefined ? null : row[column];
+        });
+
+        let { values, errors } = validateDevice(input);
+        let fields = Object.keys(errors);
+
+        if (fields.length > 0) {
+            return "its device '" + (nameRow ? nameRow.Custom_Name : row.Device_Type_ID) + "' is not valid: " + errors[fields[0]];
+        }
+
+        Object.keys(DEVICE_TYPE_COLUMNS).forEach((column) => {
+            row[column] = values[DEVICE_TYPE_COLUMNS[column]];
+        });
+    }
+
+    return null;
+}
+
+/*
+
+A function that reads a backup file.
+
+Input:
+The file's contents (a Buffer, compressed or not) and a callback.
+
+Output:
+The callback receives an error (if any) and the archive. A 400 error is returned for a file that is not a backup, that is damaged, that has records referring to records it does not contain, that has devices the 'Add a Device' form would not accept, or whose version cannot be read.
+
+*/
+
+function readBackup(data, callback) {
+
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+        return callback(backupError(400, "Choose a backup file to restore."));
+    }
+
+    let compressed = data[0] === 0x1f && data[1] === 0x8b;
+
+    (compressed ? zlib.gunzip : (buffer, done) => done(null, buffer))(data, (err, json) => {
+
+        let archive;
+
+        try {
+            archive = err ? null : JSON.parse(json.toString("utf8"));
+        }
+        catch (e) {
+            archive = null;
+        }
+
+        if (!archive || archive.format !== BACKUP_FORMAT) {
+            return callback(backupError(400, "The file is not a MySmartHome backup."));
+        }
+        if (!Number.isInteger(archive.version) || archive.version < OLDEST_BACKUP_FORMAT_VERSION || archive.version > BACKUP_FORMAT_VERSION) {
+            return callback(backupError(400, "The backup has format version " + archive.version + ", but this application can only restore version " + OLDEST_BACKUP_FORMAT_VERSION + "–" + BACKUP_FORMAT_VERSION + " backups."));
+        }
+
+        let damaged = !archive.household || typeof archive.household !== "object" || !archive.tables || BACKUP_TABLES.some((spec) => {
+            if ((spec.since || 1) > archive.version) {
+                return false;
+            }
+            let rows = archive.tables[spec.table];
+            return !Array.isArray(rows) || rows.some((row) => row === null || typeof row !== "object" || Array.isArray(row));
+        });
+
+        if (damaged) {
+            return callback(backupError(400, "The backup is damaged: it does not contain every table."));
+        }
+
+        let foreignTable = findForeignReference(archive);
+
+        if (foreignTable) {
+            return callback(backupError(400, "The backup is damaged: its '" + foreignTable + "' records refer to records that are not in the backup."));
+        }
+
+        let invalidDevice = findInvalidDevice(archive);
+
+        if (invalidDevice) {
+            return callback(backupError(400, "The backup cannot be restored, as " + invalidDevice));
+        }
+
+        callback(null, archive);
+    });
+}
+
+/*
+
+A function that restores a backup into a household.
+
+Input:
+The household ID, the backup file's contents (a Buffer) and a callback.
+
+Output:
+The callback receives an error (if any) and a summary containing when the backup was made ('createdAtText') and the number of rows restored into each table ('counts', keyed by table name). The household's state is only changed if the whole backup is restored.
+
+*/
+
+function restoreBackup(householdID, data, callback) {
+
+    readBackup(data, (err, archive) => {
+        if (err) {
+            return callback(err);
+        }
+
+        db.transaction((connection, done) => {
+
+            let deletions = DELETE_HOUSEHOLD_STATE.slice();
+
+            (function deleteNext() {
+                if (deletions.length === 0) {
+                    return restoreSettings();
+                }
+                connection.query(deletions.shift(), [householdID], (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    deleteNext();
+                });
+            })();
+
+            function restoreSettings() {
+                let sqlQuerySettings = "UPDATE households SET Low_Battery_Threshold = COALESCE(?, Low_Battery_Threshold), Energy_Tariff = COALESCE(?, Energy_Tariff) WHERE Household_ID = ?";
+                connection.query(sqlQuerySettings, [archive.household.Low_Battery_Threshold, archive.household.Energy_Tariff, householdID], (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    restoreTable(0, {});
+                });
+            }
+
+            function restoreTable(index, counts) {
+
+                if (index === BACKUP_TABLES.length) {
+                    return done(null, counts);
+                }
+
+                let spec = BACKUP_TABLES[index];
+                let columns = spec.household ? spec.columns.concat(["Household_ID"]) : spec.columns;
+                let sqlQueryInsert = "INSERT INTO " + spec.table + " (" + columns.join(", ") + ") VALUES (" + columns.map(() => "?").join(",") + ")";
+                let rows = (spec.since || 1) > archive.version ? [] : archive.tables[spec.table].slice();
+
+                counts[spec.table] = rows.length;
+
+                (function insertNext() {
+                    if (rows.length === 0) {
+                        return restoreTable(index + 1, counts);
+                    }
+                    let row = rows.shift();
+                    let record = spec.columns.map((column) => row[column] === undefined ? null : row[column]);
+                    if (spec.household) {
+                        record.push(householdID);
+                    }
+                    connection.query(sqlQueryInsert, record, (err) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        insertNext();
+                    });
+                })();
+            }
+        }, (err, counts) => {
+            if (err && err.code === "ER_DUP_ENTRY") {
+                return callback(backupError(409, "The backup cannot be restored into this household, as some of its records are in use by another household."));
+            }
+            if (err && (err.code === "ER_NO_REFERENCED_ROW_2" || err.code === "ER_NO_REFERENCED_ROW")) {
+                return callback(backupError(400, "The backup is damaged: some of its records refer to records that are not in the backup."));
+            }
+            if (err) {
+                return callback(err);
+            }
+            checkBatteryAlerts(householdID, (err) => {
+                if (err) {
+                    console.error("The low-battery alerts could not be checked after a restore:", err);
+                }
+                callback(null, { createdAtText: new Date(archive.created_at).toLocaleString(), counts: counts });
+            });
+        });
+    });
+}
+
+/*
+
+A function that lists the stored backups of a household.
+
+Input:
+The directory backups are stored in, the household ID and a callback.
+
+Output:
+The callback receives an error (if any) and the household's stored backups, newest first, each with its 'filename', 'size' (bytes), when it was made ('createdAt', a Date, and 'createdAtText'). A directory that does not exist yet holds no backups, and a backup deleted while the directory is being listed is left out.
+
+*/
+
+function listStoredBackups(directory, householdID, callback) {
+
+    fs.readdir(directory, (err, filenames) => {
+        if (err && err.code === "ENOENT") {
+            return callback(null, []);
+        }
+        if (err) {
+            return callback(err);
+        }
+
+        let backups = [];
+        let remaining = filenames.filter((filename) => {
+            let match = BACKUP_FILENAME_PATTERN.exec(filename);
+            return match && Number(match[1]) === Number(householdID);
+        });
+
+        (function statNext() {
+            if (remaining.length === 0) {
+                return callback(null, backups.sort((a, b) => b.createdAt - a.createdAt));
+            }
+
+            let filename = remaining.shift();
+
+            fs.stat(path.join(directory, filename), (err, stats) => {
+                if (err && err.code === "ENOENT") {
+                    return statNext();
+                }
+                if (err) {
+                    return callback(err);
+                }
+                let stamp = BACKUP_FILENAME_PATTERN.exec(filename)[2].replace(/T([0-9]{2})-([0-9]{2})-([0-9]{2})Z$/, "T$1:$2:$3Z");
+                let createdAt = new Date(stamp);
+                backups.push({ filename: filename, size: stats.size, createdAt: createdAt, createdAtText: createdAt.toLocaleString() });
+                statNext();
+            });
+        })();
+    });
+}
+
+/*
+
+A function that reads one of a household's stored backups.
+
+Input:
+The directory backups are stored in, the household ID, the backup's file name and a callback.
+
+Output:
+The callback receives an error (if any) and the backup's contents (a Buffer). A 404 error is returned unless the name is that of a stored backup of the household, so that no other file can be read.
+
+*/
+
+function readStoredBackup(directory, householdID, filename, callback) {
+
+    let match = BACKUP_FILENAME_PATTERN.exec(String(filename));
+
+    if (!match || Number(match[1]) !== Number(householdID)) {
+        return callback(backupError(404, "Backup not found"));
+    }
+
+    fs.readFile(path.join(directory, match[0]), (err, data) => {
+        if (err && err.code === "ENOENT") {
+            return callback(backupError(404, "Backup not found"));
+        }
+        callback(err || null, data);
+    });
+}
+
+/*
+
+A function that writes the automatic backups that are due and deletes the expired ones.
+
+Input:
+The 'backups' section of the configuration ('directory' and 'retentionDays') and a callback.
+
+Output:
+A backup is written for every household whose newest stored backup is at least AUTOMATIC_BACKUP_HOURS old (or which has none), and every stored backup older than the retention period is deleted, except a household's newest. The callback receives an error (if any) and the number of backups written.
+
+*/
+
+function runAutomaticBackups(options, callback) {
+
+    fs.mkdir(options.directory, { recursive: true }, (err) => {
+        if (err) {
+            return callback(err);
+        }
+
+        db.query("SELECT Household_ID FROM households ORDER BY Household_ID", [], (err, households) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let now = Date.now();
+            let written = 0;
+            let remaining = households.slice();
+
+            (function backUpNext() {
+                if (remaining.length === 0) {
+                    return callback(null, written);
+                }
+
+                let householdID = remaining.shift().Household_ID;
+
+                listStoredBackups(options.directory, householdID, (err, backups) => {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    let expired = backups.slice(1).filter((backup) => now - backup.createdAt.getTime() > options.retentionDays * 24 * 3600000);
+
+                    // A backup that cannot be deleted is kept, and deleting it is tried again at the next check
+
+                    expired.forEach((backup) => {
+                        fs.unlink(path.join(options.directory, backup.filename), (err) => {
+                            if (err && err.code !== "ENOENT") {
+                                console.error("The expired backup " + backup.filename + " could not be deleted:", err);
+                            }
+                        });
+                    });
+
+                    if (backups.length > 0 && now - backups[0].createdAt.getTime() < AUTOMATIC_BACKUP_HOURS * 3600000) {
+                        return backUpNext();
+                    }
+
+                    createBackup(householdID, (err, backup) => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        fs.writeFile(path.join(options.directory, backup.filename), backup.data, (err) => {
+                            if (err) {
+                                return callback(err);
+                            }
+                            console.log("Backed up household " + householdID + " to " + backup.filename + ".");
+                            written++;
+                            backUpNext();
+                        });
+                    });
+                });
+            })();
+        });
+    });
+}
+
+/*
+
+A function that starts the automatic backups.
+
+Input:
+The 'backups' section of the configuration: 'directory', the local directory backups are written to, and 'retentionDays', the number of days they are kept.
+
+Output:
+An object with a 'stop' function. The due backups are written immediately and then checked every hour; a check does not start while the previous one is still running.
+
+*/
+
+function startAutomaticBackups(options) {
+
+    let running = false;
+
+    function check() {
+        if (running) {
+            return;
+        }
+        running = true;
+        runAutomaticBackups(options, (err) => {
+            running = false;
+            if (err) {
+                console.error("The automatic backups could not be written:", err);
+            }
+        });
+    }
+
+    let timer = setInterval(check, BACKUP_CHECK_INTERVAL_MS);
+    check();
+
+    return {
+        stop: () => clearInterval(timer)
+    };
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_FORMAT_VERSION,
+    OLDEST_BACKUP_FORMAT_VERSION,
+    BACKUP_TABLES,
+    createBackup,
+    restoreBackup,
+    listStoredBackups,
+    readStoredBackup,
+    runAutomaticBackups,
+    startAutomaticBackups
+};
@@ -0,0 +1,205 @@
+/*
+
+Batch device operations.
+
+Purpose:
+To run one action over several selected devices in a single request: switching them on or off, setting their volume or temperature, or deleting them. Each device is changed on its own through the same validated device operations as the forms (see devices.js), so that each change is recorded in the device history and pushed to open pages, and a device that cannot be changed does not stop the others. A device that does not support the action's field is skipped.
+
+Each device's result has one of the outcomes:
+
+    changed     The device was updated.
+    unchanged   The device already had the value, so it was not written.
+    deleted     The device was moved to the trash (see trash.js).
+    skipped     The device does not support the action's field.
+    failed      The device could not be changed (e.g. the value is out of range for its type, or the device no longer exists or belongs to another household).
+
+An invalid batch (e.g. no devices selected) is rejected with an error carrying a 'status' property of 400 and a 'fields' property mapping each offending field to a message. Failures of individual devices are reported in their results rather than as errors.
+
+*/
+
+const { FIELD_DEFINITIONS, supportsField } = require("./devicecatalog");
+const { validate, hasErrors } = require("./validation");
+const { toDeviceResource, getDevice, patchDevice, deleteDevice } = require("./devices");
+const { formatFieldValue } = require("./history");
+
+// The actions a batch can run, and the field and value each one sets (deleting sets no field)
+
+const BATCH_ACTIONS = {
+    on: { label: "Turn on", field: "on_off", value: () => 1 },
+    off: { label: "Turn off", field: "on_off", value: () => 0 },
+    volume: { label: "Set volume", field: "volume", value: (values) => values.volume },
+    temperature: { label: "Set temperature", field: "temperature", value: (values) => values.temperature },
+    delete: { label: "Delete", field: null }
+};
+
+const MAX_BATCH_DEVICES = 100;
+
+const batchSchema = {
+    action: {
+        type: "string",
+        label: "Action",
+        required: true,
+        oneOf: () => Object.keys(BATCH_ACTIONS),
+        messages: { required: "Choose an action." }
+    },
+    volume: {
+        type: "integer",
+        label: "Volume",
+        required: (values) => values.action === "volume",
+        messages: { required: "Enter the volume to set." }
+    },
+    temperature: {
+        type: "integer",
+        label: "Temperature",
+        required: (values) => values.action === "temperature",
+        messages: { required: "Enter the temperature to set." }
+    }
+};
+
+function batchError(errors) {
+    let messages = Object.keys(errors).map((field) => errors[field]);
+    let err = new Error(messages.join(" "));
+    err.status = 400;
+    err.fields = errors;
+    return err;
+}
+
+// The selected device IDs are submitted as a list (one checkbox per device), or as a single value when one device is selected
+
+function toDeviceIDs(input) {
+    let list = Array.isArray(input) ? input : (input === undefined || input === null || input === "" ? [] : [input]);
+    return list.map((value) => String(value).trim());
+}
+
+/*
+
+A function that validates a batch.
+
+Input:
+Raw batch data (e.g. a form's request body) containing the 'action', the 'volume' or 'temperature' to set for those actions, and the 'device_type_IDs' of the selected devices.
+
+Output:
+An object containing the batch's converted 'values' (with the distinct 'deviceTypeIDs' in the order they were selected) and the 'errors' keyed by field name.
+
+*/
+
+function validateBatch(input) {
+
+    input = input || {};
+
+    let { values, errors } = validate(batchSchema, input);
+
+    let deviceIDs = toDeviceIDs(input.device_type_IDs);
+
+    if (deviceIDs.length === 0) {
+        errors.device_type_IDs = "Select at least one device.";
+    }
+    else if (deviceIDs.length > MAX_BATCH_DEVICES) {
+        errors.device_type_IDs = "Select at most " + MAX_BATCH_DEVICES + " devices.";
+    }
+    else if (deviceIDs.some((id) => !/^[0-9]+$/.test(id) || parseInt(id, 10) === 0)) {
+        errors.device_type_IDs = "Device must be a valid ID.";
+    }
+
+    values.deviceTypeIDs = hasErrors(errors) ? [] : deviceIDs.map((id) => parseInt(id, 10)).filter((id, index, ids) => ids.indexOf(id) === index);
+
+    return { values: values, errors: errors };
+}
+
+// Describe a device in a result by its custom name, or by its ID if it does not exist
+
+function toResult(deviceTypeID, device, outcome, message) {
+    return {
+        deviceTypeID: deviceTypeID,
+        customName: device ? device.Custom_Name : "Device " + deviceTypeID,
+        outcome: outcome,
+        message: message
+    };
+}
+
+// Run the batch's action on one device. The callback receives the device's result.
+
+function runBatchAction(deviceTypeID, action, value, context, callback) {
+
+    getDevice(deviceTypeID, context.householdID, (err, device) => {
+        if (err) {
+            console.error("Batch could not read device " + deviceTypeID + ":", err);
+            return callback(toResult(deviceTypeID, null, "failed", "The device could not be read."));
+        }
+        if (!device) {
+            return callback(toResult(deviceTypeID, null, "failed", "Device not found."));
+        }
+
+        function finish(successOutcome, successMessage) {
+            return (err) => {
+                if (err && !err.status) {
+                    console.error("Batch could not change device " + deviceTypeID + ":", err);
+                }
+                if (err) {
+                    return callback(toResult(deviceTypeID, device, "failed", err.status ? err.message : "The device could not be changed."));
+                }
+                callback(toResult(deviceTypeID, device, successOutcome, successMessage));
+            };
+        }
+
+        if (!action.field) {
+            return deleteDevice(deviceTypeID, context, finish("deleted", "Moved to the trash."));
+        }
+
+        let label = FIELD_DEFINITIONS[action.field].label;
+
+        if (!supportsField(device.Device_Type, action.field)) {
+            return callback(toResult(deviceTypeID, device, "skipped", label + " is not supported by " + device.Device_Type + "."));
+        }
+        if (toDeviceResource(device)[action.field] === value) {
+            return callback(toResult(deviceTypeID, device, "unchanged", label + " is already " + formatFieldValue(action.field, value) + "."));
+        }
+
+        let changes = {};
+        changes[action.field] = value;
+
+        patchDevice(deviceTypeID, changes, context, finish("changed", label + " set to " + formatFieldValue(action.field, value) + "."));
+    });
+}
+
+/*
+
+A function that runs an action over several devices.
+
+Input:
+Raw batch data (see validateBatch), the context of the changes (see devices.js) and a callback.
+
+Output:
+The callback receives an error (if any) and a summary containing the 'action' code, its 'label' and the 'results' for each selected device in the order they were selected, each with its 'deviceTypeID', 'customName', 'outcome' (see above) and a 'message'. An invalid batch changes no devices.
+
+*/
+
+function runBatch(input, context, callback) {
+
+    let { values, errors } = validateBatch(input);
+
+    if (hasErrors(errors)) {
+        return callback(batchError(errors));
+    }
+
+    let action = BATCH_ACTIONS[values.action];
+    let value = action.field ? action.value(values) : null;
+    let results = [];
+
+    function next(index) {
+        if (index === values.deviceTypeIDs.length) {
+            return callback(null, { action: values.action, label: action.label, results: results });
+        }
+        runBatchAction(values.deviceTypeIDs[index], action, value, context, (result) => {
+            results.push(result);
+            next(index + 1);
+        });
+    }
+
+    next(0);
+}
+
+module.exports = {
+    BATCH_ACTIONS,
+    runBatch
+};
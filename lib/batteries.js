@@ -0,0 +1,432 @@
+/*
+
+Battery levels and low-battery alerts.
+
+Purpose:
+To keep track of the devices whose batteries need charging. Every device type that takes batteries reports its 'battery_level' as a percentage (see devicecatalog.js), which is set through the same device update path as its other fields: a form, the JSON API, MQTT or the simulator. A device's battery is low when its batteries are included and its level is at or below its low-battery threshold: the household's threshold, unless the device has its own.
+
+When a device's battery becomes low, an alert is raised in the 'Battery Alerts' table (see migration 12); the alert is resolved when the battery is charged above the threshold, taken out or the device is changed to a type without batteries. Alerts are checked by the battery monitor whenever a device changes, and whenever a threshold changes, and the household is notified of each alert raised (see notifications.js). The number of open alerts is shown in the navigation bar, and the devices needing charge on the 'Batteries' page.
+
+Errors passed to callbacks carry a 'status' property: 400 for an invalid threshold, with a 'fields' property which maps the offending field to a message, and 404 for an unknown device or a device without batteries. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const { validate, hasErrors } = require("./validation");
+const { deviceEvents } = require("./deviceevents");
+const { notifyHousehold } = require("./notifications");
+
+// The thresholds a household or device may set (%)
+
+const LOW_BATTERY_THRESHOLD_RANGE = { min: 1, max: 99 };
+
+// The 'Batteries' page lists at most this many of the most recent alerts
+
+const BATTERY_ALERT_LIMIT = 50;
+
+function thresholdRule(required) {
+    return {
+        type: "integer",
+        label: "Low-battery threshold",
+        required: required,
+        range: () => LOW_BATTERY_THRESHOLD_RANGE,
+        messages: {
+            required: "Enter a low-battery threshold.",
+            range: "Enter a low-battery threshold of " + LOW_BATTERY_THRESHOLD_RANGE.min + "–" + LOW_BATTERY_THRESHOLD_RANGE.max + "%."
+        }
+    };
+}
+
+// The household's threshold is required; a device's threshold may be left empty to use the household's
+
+const householdThresholdSchema = {
+    low_battery_threshold: thresholdRule(true)
+};
+
+const deviceThresholdSchema = {
+    low_battery_threshold: thresholdRule(false)
+};
+
+function batteryError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+/*
+
+A function that determines the low-battery threshold that applies to a device.
+
+Input:
+The device's own threshold (NULL or undefined if it has none) and its household's threshold.
+
+Output:
+The threshold as a percentage.
+
+*/
+
+function effectiveThreshold(deviceThreshold, householdThreshold) {
+    return deviceThreshold === null || deviceThreshold === undefined ? householdThreshold : deviceThreshold;
+}
+
+/*
+
+A function that determines whether a device's battery is low.
+
+Input:
+The device's field representation (see devices.js) and the low-battery threshold that applies to it (see effectiveThreshold).
+
+Output:
+True if the device's batteries are included and their level is at or below the threshold, otherwise false.
+
+*/
+
+function isBatteryLow(device, threshold) {
+    return device.batteries_included === 1 && device.battery_level !== null && device.battery_level !== undefined && device.battery_level <= threshold;
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To retrieve the battery level of every device of a household that takes batteries, with the threshold that applies to it.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and an object containing the household's 'threshold', its 'devices' ordered by custom name, and the 'needingCharge' devices whose battery is low, emptiest first. Each device has its 'deviceTypeID', 'customName', 'deviceType', 'roomName', 'batteriesIncluded', 'batteryLevel', its own 'deviceThreshold' (NULL if it uses the household's), the 'threshold' that applies to it and whether its battery is 'low'.
+
+*/
+
+function listBatteryDevices(householdID, callback) {
+
+    db.query("SELECT Low_Battery_Threshold FROM households WHERE Household_ID = ?", [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(batteryError(404, "Household not found"));
+        }
+
+        let householdThreshold = result[0].Low_Battery_Threshold;
+
+        let sqlQueryDevices = "SELECT devicenames.Device_Type_ID, devicenames.Custom_Name, devicenames.Low_Battery_Threshold, devicetypes.Device_Type, devicetypes.Batteries_Included, devicetypes.Battery_Level, rooms.Room_Name FROM devicenames JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID LEFT JOIN rooms ON devicenames.Room_ID = rooms.Room_ID WHERE devicenames.Household_ID = ? AND devicetypes.Batteries_Included IS NOT NULL ORDER BY devicenames.Custom_Name";
+
+        db.query(sqlQueryDevices, [householdID], (err, rows) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let devices = rows.map((row) => {
+                let threshold = effectiveThreshold(row.Low_Battery_Threshold, householdThreshold);
+                return {
+                    deviceTypeID: row.Device_Type_ID,
+                    customName: row.Custom_Name,
+                    deviceType: row.Device_Type,
+                    roomName: row.Room_Name || null,
+                    batteriesIncluded: row.Batteries_Included,
+                    batteryLevel: row.Battery_Level,
+                    deviceThreshold: row.Low_Battery_Threshold,
+                    threshold: threshold,
+                    low: isBatteryLow({ batteries_included: row.Batteries_Included, battery_level: row.Battery_Level }, threshold)
+                };
+            });
+
+            callback(null, {
+                threshold: householdThreshold,
+                devices: devices,
+                needingCharge: devices.filter((device) => device.low).sort((a, b) => a.batteryLevel - b.batteryLevel)
+            });
+        });
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To retrieve the most recent low-battery alerts of a household.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and up to BATTERY_ALERT_LIMIT alerts, newest first, each with the 'customName' of its device at the time, the 'batteryLevel' and 'threshold' when it was raised, when it was raised ('raisedAtText') and when it was resolved ('resolvedAtText', NULL while it is open).
+
+*/
+
+function listBatteryAlerts(householdID, callback) {
+
+    let sqlQueryAlerts = "SELECT * FROM batteryalerts WHERE Household_ID = ? ORDER BY Alert_ID DESC LIMIT " + BATTERY_ALERT_LIMIT;
+
+    db.query(sqlQueryAlerts, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            alertID: row.Alert_ID,
+            deviceTypeID: row.Device_Type_ID,
+            customName: row.Custom_Name,
+            batteryLevel: row.Battery_Level,
+            threshold: row.Threshold,
+            raisedAtText: new Date(row.Raised_At).toLocaleString(),
+            resolvedAtText: row.Resolved_At ? new Date(row.Resolved_At).toLocaleString() : null
+        })));
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To bring a household's low-battery alerts up to date with its devices: an alert is raised for each device whose battery is low and has no open alert, and the open alert of each device whose battery is no longer low is resolved.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and an object listing the custom names of the devices for which an alert was 'raised' and 'resolved'.
+
+*/
+
+function reconcileBatteryAlerts(householdID, callback) {
+
+    listBatteryDevices(householdID, (err, overview) => {
+        if (err) {
+            return callback(err);
+        }
+
+        db.query("SELECT Alert_ID, Device_Type_ID, Custom_Name FROM batteryalerts WHERE Household_ID = ? AND Resolved_At IS NULL", [householdID], (err, openAlerts) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let now = new Date().toISOString();
+            let summary = { raised: [], resolved: [] };
+
+            let toRaise = overview.needingCharge.filter((device) => !openAlerts.some((alert) => alert.Device_Type_ID === device.deviceTypeID));
+            let toResolve = openAlerts.filter((alert) => !overview.needingCharge.some((device) => device.deviceTypeID === alert.Device_Type_ID));
+
+            function raiseNext(index) {
+                if (index === toRaise.length) {
+                    return resolveNext(0);
+                }
+                let device = toRaise[index];
+                let alertRecord = [householdID, device.deviceTypeID, device.customName, device.batteryLevel, device.threshold, now];
+                db.query("INSERT INTO batteryalerts (Household_ID, Device_Type_ID, Custom_Name, Battery_Level, Threshold, Raised_At) VALUES (?,?,?,?,?,?)", alertRecord, (err) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    let message = "Low battery: " + device.customName + " is at " + device.batteryLevel + "% (threshold " + device.threshold + "%).";
+                    console.log(message);
+                    notifyHousehold(householdID, { type: "battery_low", deviceTypeID: device.deviceTypeID, customName: device.customName, message: message }, (err) => {
+                        if (err) {
+                            console.error("The battery monitor could not notify the household:", err);
+                        }
+                    });
+                    summary.raised.push(device.customName);
+                    raiseNext(index + 1);
+                });
+            }
+
+            function resolveNext(index) {
+                if (index === toResolve.length) {
+                    return callback(null, summary);
+                }
+                let alert = toResolve[index];
+                db.query("UPDATE batteryalerts SET Resolved_At = ? WHERE Alert_ID = ?", [now, alert.Alert_ID], (err) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    summary.resolved.push(alert.Custom_Name);
+                    resolveNext(index + 1);
+                });
+            }
+
+            raiseNext(0);
+        });
+    });
+}
+
+// The callbacks waiting for another check of each household, while a check of it is running
+
+const pendingChecks = {};
+
+/*
+
+A function that checks a household's low-battery alerts (see reconcileBatteryAlerts).
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and the summary of the alerts raised and resolved. Checks of the same household run one at a time, so that changes made in quick succession (e.g. by a batch) cannot raise an alert twice; the checks requested while one is running are answered by a single check after it.
+
+*/
+
+function checkBatteryAlerts(householdID, callback) {
+
+    if (pendingChecks[householdID]) {
+        pendingChecks[householdID].push(callback);
+        return;
+    }
+
+    pendingChecks[householdID] = [];
+
+    function run(callbacks) {
+        reconcileBatteryAlerts(householdID, (err, summary) => {
+            callbacks.forEach((done) => done(err, summary));
+            let waiting = pendingChecks[householdID];
+            if (waiting.length === 0) {
+                delete pendingChecks[householdID];
+                return;
+            }
+            pendingChecks[householdID] = [];
+            run(waiting);
+        });
+    }
+
+    run([callback]);
+}
+
+/*
+
+A function that changes a household's low-battery threshold.
+
+Input:
+The household ID, raw input containing the 'low_battery_threshold' and a callback.
+
+Output:
+The callback receives an error (if any) once the threshold is changed and the household's alerts are checked against it.
+
+*/
+
+function setHouseholdThreshold(householdID, input, callback) {
+
+    let { values, errors } = validate(householdThresholdSchema, input);
+
+    if (hasErrors(errors)) {
+        return callback(batteryError(400, "The threshold is not valid.", errors));
+    }
+
+    db.query("UPDATE households SET Low_Battery_Threshold = ? WHERE Household_ID = ?", [values.low_battery_threshold, householdID], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        checkBatteryAlerts(householdID, (err) => callback(err || null));
+    });
+}
+
+/*
+
+A function that changes a device's own low-battery threshold.
+
+Input:
+The device ID, the ID of the household that owns the device, raw input containing the 'low_battery_threshold' (empty to use the household's threshold) and a callback.
+
+Output:
+The callback receives an error (if any) once the threshold is changed and the household's alerts are checked against it.
+
+*/
+
+function setDeviceThreshold(deviceTypeID, householdID, input, callback) {
+
+    let { values, errors } = validate(deviceThresholdSchema, input);
+
+    if (hasErrors(errors)) {
+        return callback(batteryError(400, "The threshold is not valid.", errors));
+    }
+
+    let sqlQueryDevice = "SELECT devicenames.Device_Type_ID FROM devicenames JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID WHERE devicenames.Device_Type_ID = ? AND devicenames.Household_ID = ? AND devicetypes.Batteries_Included IS NOT NULL";
+
+    db.query(sqlQueryDevice, [deviceTypeID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(batteryError(404, "Device not found"));
+        }
+        db.query("UPDATE devicenames SET Low_Battery_Threshold = ? WHERE Device_Type_ID = ?", [values.low_battery_threshold, result[0].Device_Type_ID], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            checkBatteryAlerts(householdID, (err) => callback(err || null));
+        });
+    });
+}
+
+/*
+
+A function that starts the battery monitor.
+
+Input:
+None.
+
+Output:
+An object with a 'stop' function. The monitor checks every household's low-battery alerts when it starts, so that devices created or changed while it was not running (e.g. by the seed script) are alerted on, and then a household's alerts whenever one of its devices that takes batteries is created, changed or deleted, however it was changed. A deleted device's open alert is resolved, as its alerts are only deleted once it is purged from the trash (see trash.js).
+
+*/
+
+function startBatteryMonitor() {
+
+    function onDeviceEvent(event) {
+
+        let device = event.device;
+        let previous = event.previous;
+
+        // Simulated readings carry neither the device nor its previous values
+
+        if (!device && !previous) {
+            return;
+        }
+
+        let batteryChanged = !device || !previous || device.battery_level !== previous.battery_level || device.batteries_included !== previous.batteries_included;
+
+        if (!batteryChanged || ((!device || device.battery_level === null) && (!previous || previous.battery_level === null))) {
+            return;
+        }
+
+        checkBatteryAlerts(event.context.householdID, (err) => {
+            if (err) {
+                console.error("The battery monitor could not check the low-battery alerts:", err);
+            }
+        });
+    }
+
+    deviceEvents.on("device", onDeviceEvent);
+
+    db.query("SELECT Household_ID FROM households", [], (err, households) => {
+        if (err) {
+            return console.error("The battery monitor could not check the low-battery alerts:", err);
+        }
+        households.forEach((household) => {
+            checkBatteryAlerts(household.Household_ID, (err) => {
+                if (err) {
+                    console.error("The battery monitor could not check the low-battery alerts:", err);
+                }
+            });
+        });
+    });
+
+    return {
+        stop: () => deviceEvents.removeListener("device", onDeviceEvent)
+    };
+}
+
+module.exports = {
+    LOW_BATTERY_THRESHOLD_RANGE,
+    effectiveThreshold,
+    isBatteryLow,
+    listBatteryDevices,
+    listBatteryAlerts,
+    checkBatteryAlerts,
+    setHouseholdThreshold,
+    setDeviceThreshold,
+    startBatteryMonitor
+};
@@ -0,0 +1,178 @@
+/*
+
+Cron expressions.
+
+Purpose:
+To describe recurring schedules with the five fields of a standard cron expression: minute (0-59), hour (0-23), day of the month (1-31), month (1-12) and day of the week (0-6, Sunday is 0). Each field is '*', a number, a range ('1-5'), a step ('0-30/10', or an asterisk followed by '/15' for every 15) or a comma-separated list of these. Times are in the server's time zone.
+
+As in cron, when both the day of the month and the day of the week are restricted, a day matches if either field matches.
+
+*/
+
+const FIELD_RANGES = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of the month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12 },
+    { name: "day of the week", min: 0, max: 6 }
+];
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// The furthest ahead the next matching time is searched for, e.g. for 29 February
+
+const MAX_SEARCH_DAYS = 366 * 8;
+
+function parseField(text, range) {
+
+    let values = [];
+
+    text.split(",").forEach((part) => {
+
+        let match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+
+        if (!match) {
+            throw new Error("The " + range.name + " field '" + text + "' is not valid.");
+        }
+
+        let start = match[1] === "*" ? range.min : parseInt(match[2], 10);
+        let end = match[1] === "*" ? range.max : (match[3] !== undefined ? parseInt(match[3], 10) : start);
+        let step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+        // A single value with a step (e.g. '5/15') runs to the end of the range, as in cron
+
+        if (match[4] !== undefined && match[1] !== "*" && match[3] === undefined) {
+            end = range.max;
+        }
+
+        if (start < range.min || end > range.max || start > end || step < 1) {
+            throw new Error("The " + range.name + " field '" + text + "' must be within " + range.min + "-" + range.max + ".");
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.push(value);
+        }
+    });
+
+    return {
+        values: Array.from(new Set(values)).sort((a, b) => a - b),
+        restricted: text !== "*"
+    };
+}
+
+/*
+
+A function that parses a cron expression.
+
+Input:
+A cron expression, e.g. '30 6 * * 1-5' for 06:30 on weekdays.
+
+Output:
+An object containing the accepted values of each field. An error is thrown if the expression is not valid.
+
+*/
+
+function parseCronExpression(expression) {
+
+    let fields = String(expression).trim().split(/\s+/);
+
+    if (fields.length !== 5) {
+        throw new Error("A cron expression must have five fields: minute, hour, day of the month, month and day of the week.");
+    }
+
+    let parsed = fields.map((field, index) => parseField(field, FIELD_RANGES[index]));
+
+    return {
+        minutes: parsed[0].values,
+        hours: parsed[1].values,
+        daysOfMonth: parsed[2],
+        months: parsed[3].values,
+        daysOfWeek: parsed[4]
+    };
+}
+
+function dayMatches(schedule, date) {
+
+    let dayOfMonthMatches = schedule.daysOfMonth.values.indexOf(date.getDate()) !== -1;
+    let dayOfWeekMatches = schedule.daysOfWeek.values.indexOf(date.getDay()) !== -1;
+
+    if (schedule.daysOfMonth.restricted && schedule.daysOfWeek.restricted) {
+        return dayOfMonthMatches || dayOfWeekMatches;
+    }
+    return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/*
+
+A function that finds the next time a cron expression matches.
+
+Input:
+A cron expression and the time to search from.
+
+Output:
+The first matching time (to the minute) strictly after the given time, or NULL if the expression never matches (e.g. '0 0 31 2 *').
+
+*/
+
+function nextCronTime(expression, after) {
+
+    let schedule = parseCronExpression(expression);
+
+    let day = new Date(after.getFullYear(), after.getMonth(), after.getDate());
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+
+        if (schedule.months.indexOf(day.getMonth() + 1) !== -1 && dayMatches(schedule, day)) {
+            for (let hour of schedule.hours) {
+                for (let minute of schedule.minutes) {
+                    let candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+
+                    // Skip times that do not exist because of a daylight saving change
+
+                    if (candidate.getHours() === hour && candidate > after) {
+                        return candidate;
+                    }
+                }
+            }
+        }
+
+        day.setDate(day.getDate() + 1);
+    }
+
+    return null;
+}
+
+/*
+
+A function that describes a cron expression in words.
+
+Input:
+A valid cron expression.
+
+Output:
+A description such as 'At 06:30 on Mon, Tue, Wed, Thu, Fri' for expressions that run at one time of day, otherwise the expression itself.
+
+*/
+
+function describeCronExpression(expression) {
+
+    let schedule = parseCronExpression(expression);
+
+    if (schedule.minutes.length !== 1 || schedule.hours.length !== 1 || schedule.daysOfMonth.restricted || schedule.months.length !== 12) {
+        return "Cron: " + expression;
+    }
+
+    let time = String(schedule.hours[0]).padStart(2, "0") + ":" + String(schedule.minutes[0]).padStart(2, "0");
+
+    if (!schedule.daysOfWeek.restricted) {
+        return "At " + time + " every day";
+    }
+    return "At " + time + " on " + schedule.daysOfWeek.values.map((day) => DAY_NAMES[day]).join(", ");
+}
+
+module.exports = {
+    DAY_NAMES,
+    parseCronExpression,
+    nextCronTime,
+    describeCronExpression
+};
@@ -0,0 +1,69 @@
+/*
+
+The dashboard's data.
+
+Purpose:
+To gather everything the device dashboard shows in one place, so that the routes which re-display the dashboard after an action (e.g. switching a room off or applying a scene) show the same page as GET /dashboard.
+
+*/
+
+const { listDevicesByRoom } = require("./rooms");
+const { listScenes } = require("./scenes");
+const { getSimulationReadings } = require("./simulator");
+const { DEVICE_TYPES } = require("./devicecatalog");
+const { DEVICE_SORTS, DEVICE_PAGE_SIZE, searchDevices, toSearchQuery } = require("./devicesearch");
+
+/*
+
+A function that retrieves the dashboard's data.
+
+Input:
+The ID of the household whose dashboard is shown, the converted values of the dashboard's search (see validateDeviceSearch in devicesearch.js; NULL for the first page of every device) and a callback. The dashboard shows DEVICE_PAGE_SIZE devices on each page unless the search sets another page size.
+
+Output:
+The callback receives an error (if any) and an object containing the page's devices grouped by room (see listDevicesByRoom in rooms.js); 'search', the search's values; 'results', the search's 'total', 'page', 'pageCount', 'first' and 'last' (see searchDevices in devicesearch.js); 'filtered', whether the search narrows down the devices; 'deviceTypes' and 'sorts', the device types and sort orders to search with; 'searchQuery', a function which writes the search with the given overrides as a query string (see toSearchQuery in devicesearch.js); 'deviceCount', the number of devices in the household; 'scenes', every scene of the household ordered by name (see listScenes in scenes.js); and 'simulationReadings', the simulated readings of each device (see getSimulationReadings in simulator.js).
+
+*/
+
+function getDashboard(householdID, search, callback) {
+
+    search = search || {};
+
+    searchDevices(householdID, Object.assign({}, search, { per_page: search.per_page || DEVICE_PAGE_SIZE }), (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+        db.query("SELECT COUNT(*) AS Device_Count FROM devicenames WHERE Household_ID = ?", [householdID], (err, count) => {
+            if (err) {
+                return callback(err);
+            }
+            listDevicesByRoom(householdID, results.devices, (err, dashboard) => {
+                if (err) {
+                    return callback(err);
+                }
+                listScenes(householdID, (err, scenes) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    dashboard.search = search;
+                    dashboard.results = { total: results.total, page: results.page, pageCount: results.pageCount, first: results.first, last: results.last };
+                    dashboard.filtered = Boolean(search.q || search.device_type || search.state || search.battery);
+                    dashboard.deviceCount = Number(count[0].Device_Count);
+                    dashboard.deviceTypes = DEVICE_TYPES;
+                    dashboard.sorts = DEVICE_SORTS;
+                    dashboard.searchQuery = (overrides) => toSearchQuery(search, overrides);
+                    dashboard.scenes = scenes;
+                    getSimulationReadings(householdID, (err, readings) => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        dashboard.simulationReadings = readings;
+                        callback(null, dashboard);
+                    });
+                });
+            });
+        });
+    });
+}
+
+module.exports = { getDashboard };
@@ -0,0 +1,111 @@
+/*
+
+The catalog of device types supported by MySmartHome.
+
+Purpose:
+To define, in a single place on the server, which fields each predefined device type supports and the range of values each field accepts. The catalog drives the 'Add a Device' and 'Perform Update' forms and the server-side validation of every route that writes device fields.
+
+*/
+
+// Display metadata for each optional field in the 'Device Types' table
+
+const FIELD_DEFINITIONS = {
+    on_off: { label: "On/Off", control: "switch" },
+    temperature: { label: "Temperature (°C)", control: "range" },
+    volume: { label: "Volume (%)", control: "range", min: 0, max: 100 },
+    batteries_included: { label: "Batteries Included/Excluded", control: "switch" },
+    battery_level: { label: "Battery Level (%)", control: "range", min: 0, max: 100 },
+    open_closed: { label: "Open/Closed", control: "switch" }
+};
+
+// Every device type can be switched on and off, so 'On/Off' is listed for each entry alongside its other capabilities. Every device type that takes batteries reports how charged they are. 'power' is the rated power the device type draws while it is on (W), from which its energy use is estimated (see energy.js).
+
+const DEVICE_TYPES = [
+    { name: "Alarm Clock", fields: ["on_off", "volume", "batteries_included", "battery_level"], power: 5 },
+    { name: "AC Thermostat", fields: ["on_off", "temperature", "batteries_included", "battery_level", "open_closed"], temperature: { min: 10, max: 30 }, power: 1500 },
+    { name: "Digital Camera", fields: ["on_off", "volume", "batteries_included", "battery_level"], power: 5 },
+    { name: "Electric Razor", fields: ["on_off", "batteries_included", "battery_level", "open_closed"], power: 10 },
+    { name: "Stainless Steel Kettle", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 20, max: 100 }, power: 2200 },
+    { name: "Game Controller", fields: ["on_off", "batteries_included", "battery_level", "open_closed"], power: 3 },
+    { name: "Rechargeable CD Player", fields: ["on_off", "volume", "open_closed"], power: 15 },
+    { name: "Security Alarm", fields: ["on_off", "volume", "batteries_included", "battery_level", "open_closed"], power: 10 },
+    { name: "Microwave", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 60, max: 100 }, power: 1000 },
+    { name: "Clothing Iron", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 120, max: 220 }, power: 1800 },
+    { name: "Wireless Mouse", fields: ["on_off", "batteries_included", "battery_level", "open_closed"], power: 1 },
+    { name: "Oven", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 150, max: 200 }, power: 2400 },
+    { name: "Refrigerator", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 1, max: 5 }, power: 150 },
+    { name: "Rice Cooker", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 60, max: 100 }, power: 700 },
+    { name: "Pressure Cooker", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 80, max: 120 }, power: 1000 },
+    { name: "Speakers", fields: ["on_off", "volume", "batteries_included", "battery_level"], power: 40 },
+    { name: "Food Dehydrator", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 20, max: 80 }, power: 500 },
+    { name: "Washing Machine", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 10, max: 50 }, power: 500 },
+    { name: "CCTV Surveillance Camera", fields: ["on_off", "volume", "batteries_included", "battery_level"], power: 8 },
+    { name: "Water Heater", fields: ["on_off", "temperature", "open_closed"], temperature: { min: 40, max: 60 }, power: 3000 },
+    { name: "Cordless Vacuum Cleaner", fields: ["on_off", "batteries_included", "battery_level", "open_closed"], power: 150 }
+];
+
+/*
+
+A function that looks up a device type in the catalog.
+
+Input:
+The name of a device type, e.g. 'Oven'.
+
+Output:
+The catalog entry for the device type, or undefined if the type is not supported.
+
+*/
+
+function getDeviceType(name) {
+    return DEVICE_TYPES.find(function (deviceType) {
+        return deviceType.name === name;
+    });
+}
+
+/*
+
+A function that determines whether a device type supports a field.
+
+Input:
+The name of a device type and the name of an optional field (e.g. 'volume').
+
+Output:
+True if the field applies to the device type, otherwise false. Unknown device types support no fields.
+
+*/
+
+function supportsField(name, field) {
+    let deviceType = getDeviceType(name);
+    return deviceType !== undefined && deviceType.fields.includes(field);
+}
+
+/*
+
+A function that returns the range of values a device type accepts for a numeric field.
+
+Input:
+The name of a device type and the name of a range field ('temperature', 'volume' or 'battery_level').
+
+Output:
+An object containing the inclusive 'min' and 'max' values, or undefined if the device type does not support the field.
+
+*/
+
+function getFieldRange(name, field) {
+    if (!supportsField(name, field)) {
+        return undefined;
+    }
+    let deviceType = getDeviceType(name);
+    if (deviceType[field]) {
+        return deviceType[field];
+    }
+    return { min: FIELD_DEFINITIONS[field].min, max: FIELD_DEFINITIONS[field].max };
+}
+
+module.exports = {
+    FIELD_DEFINITIONS,
+    DEVICE_TYPES,
+    getDeviceType,
+    supportsField,
+    getFieldRange
+};
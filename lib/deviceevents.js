@@ -0,0 +1,48 @@
+/*
+
+Device change events.
+
+Purpose:
+To notify other parts of the application (e.g. the live update stream) when a device is created, updated, deleted or restored from the trash, whichever interface made the change. Listeners subscribe with deviceEvents.on("device", listener) and receive an object containing the event 'type' and its data. The device simulator (see simulator.js) also publishes 'device-simulated' events when a device's simulated readings change; these do not change the device's fields.
+
+*/
+
+const EventEmitter = require("events");
+
+const DEVICE_CREATED = "device-created";
+const DEVICE_UPDATED = "device-updated";
+const DEVICE_DELETED = "device-deleted";
+const DEVICE_RESTORED = "device-restored";
+const DEVICE_SIMULATED = "device-simulated";
+
+const deviceEvents = new EventEmitter();
+
+// Every open live update stream adds a listener, so the default limit of 10 would be exceeded in a busy home
+
+deviceEvents.setMaxListeners(0);
+
+/*
+
+A function that publishes a device change.
+
+Input:
+The event type and its data: the device's field representation ('device') for created, updated and restored devices, or the ID ('device_type_ID') of a deleted device or of a device whose simulated 'readings' changed; the device's field representation before the change ('previous', NULL for a created or restored device); and the 'context' of the change passed to the device operation.
+
+Output:
+The event is delivered to every listener.
+
+*/
+
+function publishDeviceEvent(type, data) {
+    deviceEvents.emit("device", Object.assign({ type: type }, data));
+}
+
+module.exports = {
+    DEVICE_CREATED,
+    DEVICE_UPDATED,
+    DEVICE_DELETED,
+    DEVICE_RESTORED,
+    DEVICE_SIMULATED,
+    deviceEvents,
+    publishDeviceEvent
+};
@@ -0,0 +1,171 @@
+/*
+
+Validation schemas for device field data, shared by the HTML form routes and the JSON API.
+
+Purpose:
+To describe the constraints on each device field in one place so that every route which reads or writes the 'Device Names' and 'Device Types' tables applies the same rules. The constraints for optional fields come from the device type catalog.
+
+*/
+
+const { FIELD_DEFINITIONS, DEVICE_TYPES, getDeviceType, supportsField, getFieldRange } = require("./devicecatalog");
+const { validate } = require("./validation");
+
+// Fields stored in the 'Device Types' table which may be NULL when they do not apply to a device type
+
+const OPTIONAL_DEVICE_FIELDS = ["on_off", "temperature", "volume", "batteries_included", "battery_level", "open_closed"];
+
+// New batteries are fully charged, so a device that takes batteries starts at this level (%) when none is given
+
+const DEFAULT_BATTERY_LEVEL = 100;
+
+/*
+
+A function that builds the rule for an optional field from the device type catalog.
+
+Input:
+The name of an optional field, e.g. 'temperature'.
+
+Output:
+A schema rule which only allows the field for device types that support it, requires it for those that do, and applies the type's range to numeric fields.
+
+*/
+
+function catalogFieldRule(field) {
+
+    let label = FIELD_DEFINITIONS[field].label;
+
+    return {
+        type: FIELD_DEFINITIONS[field].control === "range" ? "integer" : "flag",
+        label: label,
+
+        // Without a known device type there is nothing to check the field against; the device type error is reported instead
+
+        allowed: (values) => getDeviceType(values.device_type) === undefined || supportsField(values.device_type, field),
+        required: (values) => supportsField(values.device_type, field),
+        range: (values) => getFieldRange(values.device_type, field),
+        messages: {
+            required: (values) => label + " is required for " + values.device_type + ".",
+            allowed: (values) => label + " is not supported by " + values.device_type + ".",
+            range: (values, range) => label + " must be " + range.min + "–" + range.max + " for " + values.device_type + "."
+        }
+    };
+}
+
+// The fields of a device submitted by the 'Add a Device' and 'Perform Update' forms or the JSON API
+
+const deviceSchema = {
+    device_type_ID: { type: "id", label: "Device ID" },
+    custom_name: {
+        type: "string",
+        label: "Custom name",
+        required: true,
+        pattern: /^[a-zA-Z0-9_]+$/,
+        minLength: 5,
+        maxLength: 16,
+        messages: {
+            required: "Enter a custom name (5-16 chars.) with no special symbols/spaces.",
+            pattern: "Enter a custom name (5-16 chars.) with no special symbols/spaces."
+        }
+    },
+    device_type: {
+        type: "string",
+        label: "Device type",
+        required: true,
+        oneOf: () => DEVICE_TYPES.map((deviceType) => deviceType.name),
+        messages: {
+            required: "Select a device type.",
+            oneOf: "Select one of the supported device types."
+        }
+    },
+    on_off: catalogFieldRule("on_off"),
+    temperature: catalogFieldRule("temperature"),
+    volume: catalogFieldRule("volume"),
+    batteries_included: catalogFieldRule("batteries_included"),
+
+    // A device without batteries has no battery level (see validateDevice)
+
+    battery_level: Object.assign(catalogFieldRule("battery_level"), {
+        required: (values) => supportsField(values.device_type, "battery_level") && values.batteries_included !== 0
+    }),
+    open_closed: catalogFieldRule("open_closed"),
+    room_ID: { type: "id", label: "Room", messages: { id: "Select one of your rooms." } }
+};
+
+// The device selected from the dashboard or a dropdown menu to be viewed, updated or deleted
+
+const deviceSelectionSchema = {
+    device_type_ID: { type: "id", label: "Device ID", required: true }
+};
+
+/*
+
+A function that validates the fields of a device.
+
+Input:
+Raw device field data, e.g. a form's request body.
+
+Output:
+An object containing the converted 'values' of every device field and the 'errors' keyed by field name. The 'battery_level' of a device whose batteries are excluded is cleared (NULL) rather than checked, as there are no batteries to report a level.
+
+*/
+
+function validateDevice(input) {
+
+    let { values, errors } = validate(deviceSchema, input);
+
+    if (values.batteries_included === 0) {
+        values.battery_level = null;
+        delete errors.battery_level;
+    }
+
+    return { values: values, errors: errors };
+}
+
+/*
+
+A function that fills in the fields of a device which have a default value.
+
+Input:
+Raw device field data for a device that is being created or updated.
+
+Output:
+A copy of the data with the 'battery_level' set to DEFAULT_BATTERY_LEVEL if the device type takes batteries and no level is given (e.g. when batteries are put into a device that had none).
+
+*/
+
+function withDeviceDefaults(input) {
+
+    let filled = Object.assign({}, input);
+
+    if (supportsField(filled.device_type, "battery_level") && (filled.battery_level === undefined || filled.battery_level === null || filled.battery_level === "")) {
+        filled.battery_level = DEFAULT_BATTERY_LEVEL;
+    }
+
+    return filled;
+}
+
+/*
+
+A function that validates the selection of a device by its ID.
+
+Input:
+Raw input containing a 'device_type_ID' field.
+
+Output:
+An object containing the converted 'values' and the 'errors' keyed by field name.
+
+*/
+
+function validateDeviceSelection(input) {
+    return validate(deviceSelectionSchema, input);
+}
+
+module.exports = {
+    OPTIONAL_DEVICE_FIELDS,
+    DEFAULT_BATTERY_LEVEL,
+    deviceSchema,
+    deviceSelectionSchema,
+    validateDevice,
+    withDeviceDefaults,
+    validateDeviceSelection
+};
@@ -0,0 +1,772 @@
+/*
+
+Device operations shared by the HTML form routes and the JSON API.
+
+Purpose:
+To validate device field data and write it to the 'Device Names' and 'Device Types' tables atomically, so that every interface which manages devices applies the same rules and sees the same data. Every change is recorded in the device history (see history.js) in the same transaction, and every successful change is published as a device event (see deviceevents.js).
+
+Every device belongs to a household (see users.js), and a device can only be read or changed on behalf of its own household: a device of another household is treated as if it did not exist. Custom names are unique within a household.
+
+Deleting a device moves it to the trash, from which it can be restored until it is purged (see trash.js). A device in the trash is not one of its household's devices: it cannot be read or changed, and its name can be given to another device.
+
+Functions which change a device take a 'context' object describing the change. Its 'origin' is where the change was made: 'web', 'api', 'automation', 'mqtt' or 'simulator', and its 'householdID' is the household on whose behalf the change is made. A change made by a member of the household also carries their 'userID', 'username' and 'role', and each device it touches is checked against the role (see permissions.js); a denied change is recorded and nothing is written. The whole context is passed on to device event listeners, so that an automation can add details of its own (e.g. the rule that made the change).
+
+A device can be assigned to a room (see rooms.js) through its 'room_ID' field; its representation also carries the room's name ('room_name').
+
+Errors passed to callbacks carry a 'status' property: 400 for invalid fields (including an unknown room), 403 for a change the member's role does not allow, 404 for an unknown device, 409 for a custom name that is already in use. Errors with a 400 or 409 status also carry a 'fields' property which maps each offending field to a message. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const { OPTIONAL_DEVICE_FIELDS, validateDevice, withDeviceDefaults } = require("./devicefields");
+const { hasErrors } = require("./validation");
+const { DEVICE_CREATED, DEVICE_UPDATED, DEVICE_DELETED, DEVICE_RESTORED, publishDeviceEvent } = require("./deviceevents");
+const { recordDeviceChange } = require("./history");
+const { recordUsageChange } = require("./energy");
+const { checkDeviceChange, recordDenial } = require("./permissions");
+
+function deviceError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+function validationError(errors) {
+    let messages = Object.keys(errors).map((field) => errors[field]);
+    return deviceError(400, messages.join(" "), errors);
+}
+
+function customNameTakenError(customName) {
+    let message = "A device named '" + customName + "' already exists. Choose a different custom name.";
+    return deviceError(409, message, { custom_name: message });
+}
+
+// Pass the error of a failed change to its callback, recording it first if the member's role did not allow the change
+
+function failChange(context, err, callback) {
+    if (err.status === 403) {
+        return recordDenial(context, err, () => callback(err));
+    }
+    callback(err);
+}
+
+/*
+
+A function that converts a joined 'Device Names' and 'Device Types' record into its field representation.
+
+Input:
+A row returned by a SELECT over the 'Device Names' table joined with the 'Device Types' table (and optionally the 'Rooms' table).
+
+Output:
+A plain object using the same field names as the HTML forms. Fields that do not apply to the device type are NULL, as are the room fields of a device that is not assigned to a room.
+
+*/
+
+function toDeviceResource(row) {
+    return {
+        device_type_ID: row.Device_Type_ID,
+        custom_name: row.Custom_Name,
+        device_type: row.Device_Type,
+        on_off: row.On_Off,
+        temperature: row.Temperature,
+        volume: row.Volume,
+        batteries_included: row.Batteries_Included,
+        battery_level: row.Battery_Level,
+        open_closed: row.Open_Closed,
+        room_ID: row.Room_ID || null,
+        room_name: row.Room_Name || null
+    };
+}
+
+// Retrieve a device that has just been written and announce the change, with its previous values and context, to listeners such as the live update stream
+
+function getAndPublishDevice(type, deviceTypeID, previous, context, callback) {
+    getDevice(deviceTypeID, context.householdID, (err, row) => {
+        if (err) {
+            return callback(err);
+        }
+        if (row) {
+            publishDeviceEvent(type, { device: toDeviceResource(row), previous: previous, context: context });
+        }
+        callback(null, row);
+    });
+}
+
+// The field representation of a device that has been written with validated field values and assigned to a room (NULL for none)
+
+function toWrittenDevice(deviceTypeID, fields, room) {
+    return {
+        device_type_ID: deviceTypeID,
+        custom_name: fields.custom_name,
+        device_type: fields.device_type,
+        on_off: fields.on_off,
+        temperature: fields.temperature,
+        volume: fields.volume,
+        batteries_included: fields.batteries_included,
+        battery_level: fields.battery_level,
+        open_closed: fields.open_closed,
+        room_ID: room ? room.Room_ID : null,
+        room_name: room ? room.Room_Name : null
+    };
+}
+
+// A device of a household with the name of its room, given the device type ID and the household ID
+
+const sqlQueryDevice = "SELECT * FROM devicetypes JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID AND devicetypes.Device_Type_ID = ? AND devicenames.Household_ID = ? LEFT JOIN rooms ON devicenames.Room_ID = rooms.Room_ID";
+
+/*
+
+A function that retrieves a single device record by its ID.
+
+Input:
+The device type ID, the ID of the household that owns the device and a callback.
+
+Output:
+The callback receives an error (if any) and the matching row, including the name of the device's room, or undefined if the household has no device with the given ID.
+
+*/
+
+function getDevice(deviceTypeID, householdID, callback) {
+
+    db.query(sqlQueryDevice, [deviceTypeID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result[0]);
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To ensure that a custom name is not already used by another device of the same household.
+
+Input:
+The transaction's connection, the custom name, the ID of the device being renamed (NULL when a device is being created) and the household ID.
+
+Output:
+A 409 error if another device of the household uses the custom name, otherwise no error.
+
+*/
+
+function checkCustomNameAvailable(connection, customName, deviceTypeID, householdID, callback) {
+
+    let sqlQueryCustomName = "SELECT Device_Type_ID FROM devicenames WHERE Custom_Name = ? AND Household_ID = ?";
+
+    connection.query(sqlQueryCustomName, [customName, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let clash = result.some(function (row) {
+            return String(row.Device_Type_ID) !== String(deviceTypeID);
+        });
+
+        callback(clash ? customNameTakenError(customName) : null);
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To retrieve the room a device is being assigned to.
+
+Input:
+The transaction's connection, the room ID (NULL for no room), the ID of the device's household and a callback.
+
+Output:
+The callback receives a 400 error if the household has no room with the given ID, otherwise no error and the room's record (NULL for no room).
+
+*/
+
+function getRoomForDevice(connection, roomID, householdID, callback) {
+
+    if (roomID === null) {
+        return callback(null, null);
+    }
+
+    connection.query("SELECT * FROM rooms WHERE Room_ID = ? AND Household_ID = ?", [roomID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(deviceError(400, "Select one of your rooms.", { room_ID: "Select one of your rooms." }));
+        }
+        callback(null, result[0]);
+    });
+}
+
+// Check the custom name and the room of a device of a household that is about to be written. The callback receives an error (if any) and the room's record.
+
+function checkNameAndRoom(connection, fields, deviceTypeID, householdID, callback) {
+    checkCustomNameAvailable(connection, fields.custom_name, deviceTypeID, householdID, (err) => {
+        if (err) {
+            return callback(err);
+        }
+        getRoomForDevice(connection, fields.room_ID, householdID, callback);
+    });
+}
+
+// Record a device change in the device's history and its energy usage (see energy.js), within the transaction that makes it
+
+function recordChange(connection, change, callback) {
+    recordDeviceChange(connection, change, (err) => {
+        if (err) {
+            return callback(err);
+        }
+        recordUsageChange(connection, change, callback);
+    });
+}
+
+// A unique index on the custom name rejects a clash that races past the check above
+
+function translateWriteError(err, customName) {
+    if (err && err.code === "ER_DUP_ENTRY") {
+        return customNameTakenError(customName);
+    }
+    return err;
+}
+
+/*
+
+A function that creates a device.
+
+Purpose:
+To insert the device's fields into the 'Device Types' table and its custom name into the 'Device Names' table in one transaction. The device belongs to the household of the change's context.
+
+Input:
+Raw device field data (e.g. a form's request body), the context of the change and a callback. A device that takes batteries starts fully charged unless a battery level is given.
+
+Output:
+The callback receives an error (if any) and the created device record.
+
+*/
+
+function createDevice(input, context, callback) {
+
+    let { values: fields, errors } = validateDevice(withDeviceDefaults(input));
+
+    if (hasErrors(errors)) {
+        return callback(validationError(errors));
+    }
+
+    let denied = checkDeviceChange(context, null, fields);
+
+    if (denied) {
+        return failChange(context, denied, callback);
+    }
+
+    db.transaction((connection, done) => {
+
+        checkNameAndRoom(connection, fields, null, context.householdID, (err, room) => {
+            if (err) {
+                return done(err);
+            }
+
+            /*
+
+            Database interaction:
+
+            Purpose:
+            To insert a device record based on a variable number of input parameters (some of which may be NULL).
+
+            Input:
+            User-inputted fields that are applicable to the device type selected.
+
+            Output:
+            Insertion of the device record into the database. The AUTO_INCREMENT ID of the new record is returned on the same connection, so concurrent insertions cannot be confused.
+
+            */
+
+            let sqlQueryInsert = "INSERT INTO devicetypes (Device_Type, On_Off, Temperature, Volume, Batteries_Included, Battery_Level, Open_Closed) VALUES (?,?,?,?,?,?,?)";
+
+            let insertionRecord = [fields.device_type, fields.on_off, fields.temperature, fields.volume, fields.batteries_included, fields.battery_level, fields.open_closed];
+
+            connection.query(sqlQueryInsert, insertionRecord, (err, result) => {
+                if (err) {
+                    return done(err);
+                }
+
+                let deviceTypeID = result.insertId;
+
+                /*
+
+                Database interaction:
+
+                Purpose:
+                To insert a custom name, room and household into the 'Device Names' table that correspond to the fields of a record in the 'Device Types' table.
+
+                Input:
+                A custom name, the ID of the device's room (NULL for none), the ID of the household that owns the device and AUTO_INCREMENT ID of the corresponding record in the 'Device Types' table.
+
+                Output:
+                Insertion of the custom name, room and household into the 'Device Names' table.
+
+                */
+
+                let sqlQueryInsertCustomName = "INSERT INTO devicenames (Custom_Name, Room_ID, Household_ID, Device_Type_ID) VALUES (?,?,?,?)";
+
+                connection.query(sqlQueryInsertCustomName, [fields.custom_name, fields.room_ID, context.householdID, deviceTypeID], (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    let change = { action: "create", origin: context.origin, householdID: context.householdID, deviceTypeID: deviceTypeID, before: null, after: toWrittenDevice(deviceTypeID, fields, room) };
+
+                    recordChange(connection, change, (err) => {
+                        done(err, deviceTypeID);
+                    });
+                });
+            });
+        });
+    }, (err, deviceTypeID) => {
+        if (err) {
+            return callback(translateWriteError(err, fields.custom_name));
+        }
+        getAndPublishDevice(DEVICE_CREATED, deviceTypeID, null, context, callback);
+    });
+}
+
+/*
+
+A function that writes validated field values over a device within a transaction.
+
+Purpose:
+To replace the custom name and room in the 'Device Names' table and the field values in the 'Device Types' table, and to record the change in the device history, on the caller's transaction.
+
+Input:
+The transaction's connection, the device's current field representation (read on the same connection), its validated field values, the context of the change and a callback.
+
+Output:
+The callback receives an error (if any).
+
+*/
+
+function writeDeviceUpdate(connection, before, fields, context, callback) {
+
+    let deviceTypeID = before.device_type_ID;
+    let denied = checkDeviceChange(context, before, fields);
+
+    if (denied) {
+        return callback(denied);
+    }
+
+    checkNameAndRoom(connection, fields, deviceTypeID, context.householdID, (err, room) => {
+        if (err) {
+            return callback(err);
+        }
+
+        /*
+
+        Database interaction:
+
+        Purpose:
+        To update the custom name and room of a device record in the 'Device Names' table of the database.
+
+        Input:
+        The custom name, room ID (NULL for none) and ID of the device record to be updated is provided to the SQL statement.
+
+        Output:
+        The custom name and room are updated in the 'Device Names' table given that the ID exists.
+
+        */
+
+        let sqlQueryCustomName = "UPDATE devicenames SET Custom_Name = ?, Room_ID = ? WHERE Device_Type_ID = ?";
+
+        connection.query(sqlQueryCustomName, [fields.custom_name, fields.room_ID, deviceTypeID], (err) => {
+            if (err) {
+                return callback(err);
+            }
+
+            /*
+
+            Database interaction:
+
+            Purpose:
+            To update an existing device record with updated field values in the 'Device Types' table in the database.
+
+            Input:
+            Updated field values applicable to the given device are provided as input to the SQL statement.
+
+            Output:
+            The replacement of the original device field values with the updated ones.
+
+            */
+
+            let sqlQueryUpdateFields = "UPDATE devicetypes SET Device_Type = ?, On_Off = ?, Temperature = ?, Volume = ?, Batteries_Included = ?, Battery_Level = ?, Open_Closed = ? WHERE Device_Type_ID = ?";
+
+            let deviceValuesRecord = [fields.device_type, fields.on_off, fields.temperature, fields.volume, fields.batteries_included, fields.battery_level, fields.open_closed, deviceTypeID];
+
+            connection.query(sqlQueryUpdateFields, deviceValuesRecord, (err) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                let change = { action: "update", origin: context.origin, householdID: context.householdID, deviceTypeID: deviceTypeID, before: before, after: toWrittenDevice(deviceTypeID, fields, room) };
+
+                recordChange(connection, change, callback);
+            });
+        });
+    });
+}
+
+/*
+
+A function that updates every field of a device.
+
+Purpose:
+To replace the custom name in the 'Device Names' table and the field values in the 'Device Types' table in one transaction. A device whose values would not change is not written, so no history is recorded and no event is published for it (e.g. when an edit form is submitted unchanged).
+
+Input:
+The ID of the device to update, its complete raw field data, the context of the change and a callback.
+
+Output:
+The callback receives an error (if any) and the updated (or unchanged) device record.
+
+*/
+
+function updateDevice(deviceTypeID, input, context, callback) {
+
+    let { values: fields, errors } = validateDevice(withDeviceDefaults(input));
+
+    if (hasErrors(errors)) {
+        return callback(validationError(errors));
+    }
+
+    db.transaction((connection, done) => {
+
+        // The current values are read in the transaction so that the history records exactly what the update replaced
+
+        connection.query(sqlQueryDevice, [deviceTypeID, context.householdID], (err, result) => {
+            if (err) {
+                return done(err);
+            }
+            if (result.length === 0) {
+                return done(deviceError(404, "Device not found"));
+            }
+
+            let before = toDeviceResource(result[0]);
+
+            if (isDeviceUnchanged(before, fields)) {
+                return done(null, null);
+            }
+
+            writeDeviceUpdate(connection, before, fields, context, (err) => {
+                done(err, before);
+            });
+        });
+    }, (err, before) => {
+        if (err) {
+            return failChange(context, translateWriteError(err, fields.custom_name), callback);
+        }
+        if (!before) {
+            return getDevice(deviceTypeID, context.householdID, callback);
+        }
+        getAndPublishDevice(DEVICE_UPDATED, deviceTypeID, before, context, callback);
+    });
+}
+
+// The fields a partial change can set: every field except the device's ID
+
+const PATCHABLE_DEVICE_FIELDS = ["custom_name", "device_type", "room_ID"].concat(OPTIONAL_DEVICE_FIELDS);
+
+// Check whether a device's validated field values are the same as its current field representation
+
+function isDeviceUnchanged(before, fields) {
+    return PATCHABLE_DEVICE_FIELDS.every((field) => fields[field] === before[field]);
+}
+
+// Merge the raw values of the fields to change over a device's field representation
+
+function mergeDeviceChanges(device, changes) {
+
+    let merged = Object.assign({}, device);
+
+    PATCHABLE_DEVICE_FIELDS.forEach(function (field) {
+        if (Object.prototype.hasOwnProperty.call(changes, field)) {
+            merged[field] = changes[field];
+        }
+    });
+
+    return merged;
+}
+
+/*
+
+A function that changes a subset of a device's fields.
+
+Purpose:
+To merge the supplied fields over the device's stored values and update the device with the result, so that partial changes (e.g. from the JSON API or a schedule) are validated as a whole in the same way as a complete update.
+
+Input:
+The ID of the device to update, an object containing the raw values of the fields to change (fields that are omitted keep their current values), the context of the change and a callback.
+
+Output:
+The callback receives an error (if any) and the updated device record.
+
+*/
+
+function patchDevice(deviceTypeID, changes, context, callback) {
+
+    getDevice(deviceTypeID, context.householdID, (err, device) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!device) {
+            return callback(deviceError(404, "Device not found"));
+        }
+
+        updateDevice(device.Device_Type_ID, mergeDeviceChanges(toDeviceResource(device), changes), context, callback);
+    });
+}
+
+/*
+
+A function that changes a subset of the fields of several devices in one transaction.
+
+Purpose:
+To apply a set of changes (e.g. a scene) all together or not at all. Each device's changes are merged over the values read in the transaction and validated as a whole, as for a single partial change. A device whose values would not change is not written, so no history is recorded for it. The devices are announced to listeners only once every change has been committed.
+
+Input:
+A list of changes, each with the 'deviceTypeID' of a device and its 'changes' (an object containing the raw values of the fields to change), the context of the change and a callback.
+
+Output:
+The callback receives an error (if any) and an object listing the field representations of the devices that were 'changed' (with their new values) and of those that were 'unchanged', in the order of the list. If any device cannot be changed, no device is changed and the error's message names the device.
+
+*/
+
+function patchDevices(patches, context, callback) {
+
+    db.transaction((connection, done) => {
+
+        let written = [];
+        let unchanged = [];
+
+        function next(index) {
+            if (index === patches.length) {
+                return done(null, { written: written, unchanged: unchanged });
+            }
+
+            let patch = patches[index];
+
+            connection.query(sqlQueryDevice, [patch.deviceTypeID, context.householdID], (err, result) => {
+                if (err) {
+                    return done(err);
+                }
+                if (result.length === 0) {
+                    return done(deviceError(404, "Device " + patch.deviceTypeID + " not found"));
+                }
+
+                let before = toDeviceResource(result[0]);
+                let { values: fields, errors } = validateDevice(mergeDeviceChanges(before, patch.changes));
+
+                if (hasErrors(errors)) {
+                    let err = validationError(errors);
+                    err.message = before.custom_name + ": " + err.message;
+                    return done(err);
+                }
+
+                if (isDeviceUnchanged(before, fields)) {
+                    unchanged.push(before);
+                    return next(index + 1);
+                }
+
+                writeDeviceUpdate(connection, before, fields, context, (err) => {
+                    if (err && err.status) {
+                        err.message = before.custom_name + ": " + err.message;
+                    }
+                    if (err) {
+                        return done(translateWriteError(err, fields.custom_name));
+                    }
+                    written.push(before);
+                    next(index + 1);
+                });
+            });
+        }
+
+        next(0);
+    }, (err, result) => {
+        if (err) {
+            return failChange(context, err, callback);
+        }
+
+        let changed = [];
+
+        function publishNext(index) {
+            if (index === result.written.length) {
+                return callback(null, { changed: changed, unchanged: result.unchanged });
+            }
+
+            let before = result.written[index];
+
+            getAndPublishDevice(DEVICE_UPDATED, before.device_type_ID, before, context, (err, row) => {
+                if (err) {
+                    return callback(err);
+                }
+                changed.push(toDeviceResource(row));
+                publishNext(index + 1);
+            });
+        }
+
+        publishNext(0);
+    });
+}
+
+/*
+
+A function that deletes a device by moving it to the trash.
+
+Purpose:
+To move a device's record from the 'Device Names' table to the 'Device Trash' table, with when it was deleted and by whom, and record its last values in the device history in one transaction. Its record in the 'Device Types' table is kept, along with everything that refers to it, so that the device can be restored with all its values (see restoreDevice) until it is purged from the trash (see trash.js).
+
+Input:
+The ID of the device to delete, the context of the change (the member's 'username', if any, is recorded as who deleted it) and a callback.
+
+Output:
+The callback receives an error (if any). A 404 error is returned if the household has no device with the given ID.
+
+*/
+
+function deleteDevice(deviceTypeID, context, callback) {
+
+    db.transaction((connection, done) => {
+
+        connection.query(sqlQueryDevice, [deviceTypeID, context.householdID], (err, result) => {
+            if (err) {
+                return done(err);
+            }
+            if (result.length === 0) {
+                return done(deviceError(404, "Device not found"));
+            }
+
+            let before = toDeviceResource(result[0]);
+            let denied = checkDeviceChange(context, before, null);
+
+            if (denied) {
+                return done(denied);
+            }
+
+            let sqlQueryMoveToTrash = "INSERT INTO devicetrash (Device_Type_ID, Household_ID, Custom_Name, Room_ID, Low_Battery_Threshold, Deleted_At, Deleted_By) SELECT Device_Type_ID, Household_ID, Custom_Name, Room_ID, Low_Battery_Threshold, ?, ? FROM devicenames WHERE Device_Type_ID = ?";
+
+            connection.query(sqlQueryMoveToTrash, [new Date().toISOString(), context.username || null, before.device_type_ID], (err) => {
+                if (err) {
+                    return done(err);
+                }
+
+                connection.query("DELETE FROM devicenames WHERE Device_Type_ID = ?", [before.device_type_ID], (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    let change = { action: "delete", origin: context.origin, householdID: context.householdID, deviceTypeID: before.device_type_ID, before: before, after: null };
+
+                    recordChange(connection, change, (err) => {
+                        done(err, before);
+                    });
+                });
+            });
+        });
+    }, (err, before) => {
+        if (err) {
+            return failChange(context, err, callback);
+        }
+        publishDeviceEvent(DEVICE_DELETED, { device_type_ID: before.device_type_ID, previous: before, context: context });
+        callback(null);
+    });
+}
+
+/*
+
+A function that restores a device from the trash.
+
+Purpose:
+To move a deleted device's record from the 'Device Trash' table back to the 'Device Names' table and record the restored values in the device history in one transaction. The device keeps its ID and the values it had when it was deleted, and gets back its schedules, scene targets and rules; it returns to its room unless the room has been deleted since.
+
+Input:
+The ID of the device to restore, the context of the change and a callback.
+
+Output:
+The callback receives an error (if any) and the restored device record. The restore is published as a 'device-restored' event rather than as a new device, so it neither fires rules nor notifies the household. A 404 error is returned if the household has no device with the given ID in the trash, and a 409 error if another device of the household has taken its custom name in the meantime.
+
+*/
+
+function restoreDevice(deviceTypeID, context, callback) {
+
+    let customName = null;
+
+    db.transaction((connection, done) => {
+
+        let sqlQueryTrashedDevice = "SELECT devicetrash.*, devicetypes.*, rooms.Room_Name FROM devicetrash JOIN devicetypes ON devicetrash.Device_Type_ID = devicetypes.Device_Type_ID LEFT JOIN rooms ON devicetrash.Room_ID = rooms.Room_ID WHERE devicetrash.Device_Type_ID = ? AND devicetrash.Household_ID = ?";
+
+        connection.query(sqlQueryTrashedDevice, [deviceTypeID, context.householdID], (err, result) => {
+            if (err) {
+                return done(err);
+            }
+            if (result.length === 0) {
+                return done(deviceError(404, "Device not found in the trash"));
+            }
+
+            let trashed = result[0];
+            let after = toDeviceResource(trashed);
+            customName = after.custom_name;
+
+            let denied = checkDeviceChange(context, null, after);
+
+            if (denied) {
+                return done(denied);
+            }
+
+            checkCustomNameAvailable(connection, after.custom_name, null, context.householdID, (err) => {
+                if (err && err.status === 409) {
+                    let message = "A device named '" + after.custom_name + "' already exists. Rename it before restoring this device.";
+                    return done(deviceError(409, message, { custom_name: message }));
+                }
+                if (err) {
+                    return done(err);
+                }
+
+                let sqlQueryRestore = "INSERT INTO devicenames (Device_Type_ID, Custom_Name, Room_ID, Household_ID, Low_Battery_Threshold) VALUES (?,?,?,?,?)";
+
+                connection.query(sqlQueryRestore, [after.device_type_ID, after.custom_name, after.room_ID, context.householdID, trashed.Low_Battery_Threshold], (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    connection.query("DELETE FROM devicetrash WHERE Device_Type_ID = ?", [after.device_type_ID], (err) => {
+                        if (err) {
+                            return done(err);
+                        }
+
+                        let change = { action: "restore", origin: context.origin, householdID: context.householdID, deviceTypeID: after.device_type_ID, before: null, after: after };
+
+                        recordChange(connection, change, (err) => {
+                            done(err, after);
+                        });
+                    });
+                });
+            });
+        });
+    }, (err, after) => {
+        if (err) {
+            return failChange(context, translateWriteError(err, customName), callback);
+        }
+        getAndPublishDevice(DEVICE_RESTORED, after.device_type_ID, null, context, callback);
+    });
+}
+
+module.exports = {
+    toDeviceResource,
+    getDevice,
+    createDevice,
+    updateDevice,
+    patchDevice,
+    patchDevices,
+    deleteDevice,
+    restoreDevice
+};
@@ -0,0 +1,228 @@
+/*
+
+Device search.
+
+Purpose:
+To find a household's devices on the server rather than loading every device into every page: the dashboard, the JSON API's device list and the device lookups on the status, update and delete pages all search with the same filters. A search is described by its query string parameters (DEVICE_SEARCH_FIELDS), so that every page of results has a stable URL which can be bookmarked or shared:
+
+    q               Part of the custom name (not case-sensitive).
+    device_type     The device type (see devicecatalog.js).
+    state           'on' or 'off'; devices that cannot be switched on or off match neither.
+    battery         'yes' for devices with batteries included, 'no' for the others.
+    sort            'name' (the default), 'type' or 'changed' (the most recently changed first, see history.js).
+    page            The page of results, starting at 1.
+    per_page        The number of devices on each page (at most MAX_DEVICE_PAGE_SIZE). Without it, every matching device is returned on one page.
+
+Errors passed to callbacks are unexpected database failures; invalid search parameters are reported by validateDeviceSearch.
+
+*/
+
+const { DEVICE_TYPES } = require("./devicecatalog");
+const { validate } = require("./validation");
+
+const DEVICE_SORTS = {
+    name: { label: "Name", orderBy: "devicenames.Custom_Name, devicenames.Device_Type_ID" },
+    type: { label: "Type", orderBy: "devicetypes.Device_Type, devicenames.Custom_Name, devicenames.Device_Type_ID" },
+    changed: { label: "Recently Changed", orderBy: "Last_Changed_At DESC, devicenames.Custom_Name, devicenames.Device_Type_ID" }
+};
+
+const DEFAULT_DEVICE_SORT = "name";
+
+// The dashboard shows this many devices on each page
+
+const DEVICE_PAGE_SIZE = 12;
+
+const MAX_DEVICE_PAGE_SIZE = 100;
+
+// The query string parameters of a search, in the order they are written in its URL
+
+const DEVICE_SEARCH_FIELDS = ["q", "device_type", "state", "battery", "sort", "page", "per_page"];
+
+const deviceSearchSchema = {
+    q: {
+        type: "string",
+        label: "Search",
+        pattern: /^.+$/,
+        minLength: 1,
+        maxLength: 50,
+        messages: { pattern: "Enter at most 50 characters to search for." }
+    },
+    device_type: {
+        type: "string",
+        label: "Device type",
+        oneOf: () => DEVICE_TYPES.map((type) => type.name),
+        messages: { oneOf: "Choose a device type from the list." }
+    },
+    state: {
+        type: "string",
+        label: "State",
+        oneOf: () => ["on", "off"],
+        messages: { oneOf: "Choose a state of on or off." }
+    },
+    battery: {
+        type: "string",
+        label: "Batteries",
+        oneOf: () => ["yes", "no"],
+        messages: { oneOf: "Choose whether the devices have batteries: yes or no." }
+    },
+    sort: {
+        type: "string",
+        label: "Sort",
+        oneOf: () => Object.keys(DEVICE_SORTS),
+        messages: { oneOf: "Choose a sort order of " + Object.keys(DEVICE_SORTS).join(", ") + "." }
+    },
+    page: {
+        type: "id",
+        label: "Page",
+        messages: { id: "Choose a page number of 1 or more." }
+    },
+    per_page: {
+        type: "id",
+        label: "Devices per page",
+        range: () => ({ min: 1, max: MAX_DEVICE_PAGE_SIZE }),
+        messages: {
+            id: "Choose 1–" + MAX_DEVICE_PAGE_SIZE + " devices per page.",
+            range: "Choose 1–" + MAX_DEVICE_PAGE_SIZE + " devices per page."
+        }
+    }
+};
+
+/*
+
+A function that validates the parameters of a device search.
+
+Input:
+Raw search input, e.g. a request's query string.
+
+Output:
+An object containing the converted 'values' of each parameter (NULL when not given) and the 'errors' keyed by parameter name.
+
+*/
+
+function validateDeviceSearch(input) {
+    return validate(deviceSearchSchema, input);
+}
+
+/*
+
+A function that writes a search as a query string.
+
+Input:
+The search's converted values and optional overrides (e.g. { page: 2 } for the link to the second page).
+
+Output:
+The query string, starting with '?', or an empty string for a search without parameters. Parameters that are not given, and the first page and default sort, are left out, so that the same search always has the same URL.
+
+*/
+
+function toSearchQuery(values, overrides) {
+
+    let search = Object.assign({}, values, overrides || {});
+
+    let parts = DEVICE_SEARCH_FIELDS.filter((field) => {
+        let value = search[field];
+        return value !== null && value !== undefined && value !== "" && !(field === "page" && value === 1) && !(field === "sort" && value === DEFAULT_DEVICE_SORT);
+    }).map((field) => encodeURIComponent(field) + "=" + encodeURIComponent(search[field]));
+
+    return parts.length > 0 ? "?" + parts.join("&") : "";
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To find the devices of a household that match a search, one page at a time.
+
+Input:
+The household ID, the search's converted values (see validateDeviceSearch), optionally with 'deviceTypeIDs', the only devices that may be found (e.g. those an API token is limited to), and a callback.
+
+Output:
+The callback receives an error (if any) and an object containing:
+
+    devices     The page's joined 'Device Names' and 'Device Types' records, with the 'Room_Name' of each device's room and 'Last_Changed_At', when it was last changed (NULL if it has no history).
+    total       The number of devices that match the search.
+    page        The page returned. A page after the last is taken to be the last page.
+    perPage     The number of devices on each page, or NULL if every matching device is returned.
+    pageCount   The number of pages (at least 1).
+    first       The position of the page's first device among the matching devices (from 1), and 'last' that of its last device.
+
+*/
+
+function searchDevices(householdID, search, callback) {
+
+    let conditions = ["devicenames.Household_ID = ?"];
+    let params = [householdID];
+
+    if (search.q) {
+
+        // '!' escapes the LIKE wildcards in the search text, in the same way in MySQL and SQLite
+
+        conditions.push("devicenames.Custom_Name LIKE ? ESCAPE '!'");
+        params.push("%" + search.q.replace(/[!%_]/g, "!$&") + "%");
+    }
+    if (search.device_type) {
+        conditions.push("devicetypes.Device_Type = ?");
+        params.push(search.device_type);
+    }
+    if (search.state) {
+        conditions.push("devicetypes.On_Off = ?");
+        params.push(search.state === "on" ? 1 : 0);
+    }
+    if (search.battery === "yes") {
+        conditions.push("devicetypes.Batteries_Included = 1");
+    }
+    if (search.battery === "no") {
+        conditions.push("(devicetypes.Batteries_Included IS NULL OR devicetypes.Batteries_Included = 0)");
+    }
+    if (Array.isArray(search.deviceTypeIDs)) {
+        conditions.push(search.deviceTypeIDs.length > 0 ? "devicenames.Device_Type_ID IN (" + search.deviceTypeIDs.map(() => "?").join(",") + ")" : "1 = 0");
+        params.push(...search.deviceTypeIDs);
+    }
+
+    let from = " FROM devicenames JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID LEFT JOIN rooms ON devicenames.Room_ID = rooms.Room_ID WHERE " + conditions.join(" AND ");
+
+    db.query("SELECT COUNT(*) AS Device_Count" + from, params, (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let total = Number(result[0].Device_Count);
+        let perPage = search.per_page || null;
+        let pageCount = perPage ? Math.max(1, Math.ceil(total / perPage)) : 1;
+        let page = Math.min(search.page || 1, pageCount);
+        let sort = DEVICE_SORTS[search.sort] || DEVICE_SORTS[DEFAULT_DEVICE_SORT];
+
+        let sqlQueryDevices = "SELECT devicenames.*, devicetypes.*, rooms.Room_Name, (SELECT MAX(Changed_At) FROM devicehistory WHERE devicehistory.Device_Type_ID = devicenames.Device_Type_ID AND devicehistory.Household_ID = devicenames.Household_ID) AS Last_Changed_At" + from + " ORDER BY " + sort.orderBy;
+
+        if (perPage) {
+            sqlQueryDevices += " LIMIT " + perPage + " OFFSET " + (page - 1) * perPage;
+        }
+
+        db.query(sqlQueryDevices, params, (err, devices) => {
+            if (err) {
+                return callback(err);
+            }
+            let first = perPage ? (page - 1) * perPage + 1 : 1;
+            callback(null, {
+                devices: devices,
+                total: total,
+                page: page,
+                perPage: perPage,
+                pageCount: pageCount,
+                first: devices.length > 0 ? first : 0,
+                last: devices.length > 0 ? first + devices.length - 1 : 0
+            });
+        });
+    });
+}
+
+module.exports = {
+    DEVICE_SORTS,
+    DEFAULT_DEVICE_SORT,
+    DEVICE_PAGE_SIZE,
+    MAX_DEVICE_PAGE_SIZE,
+    validateDeviceSearch,
+    toSearchQuery,
+    searchDevices
+};
@@ -0,0 +1,335 @@
+/*
+
+Energy usage.
+
+Purpose:
+To estimate how much energy a household's devices use and what it costs. Each device type has a rated power draw (see devicecatalog.js), which a device is taken to draw for as long as it is switched on. Every period during which a device is on is recorded in the 'Device Usage' table (see migration 13) within the same transaction as the change that switched it on or off, however the device was changed: a form, the JSON API, a schedule, a rule, MQTT or the simulator. A device's estimated energy is its rated power multiplied by the time it was on, and its cost is that energy priced at the household's tariff (per kWh).
+
+Energy is reported over a rolling window (the last day, week or month) per device, per room and for the whole household, with the devices that used the most highlighted as the top consumers. The energy a device used stays with the room it was in at the time, and with the household after the device is deleted.
+
+Errors passed to callbacks carry a 'status' property: 400 for an invalid tariff or window, with a 'fields' property which maps the offending field to a message, and 404 for an unknown household. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const { DEVICE_TYPES } = require("./devicecatalog");
+const { validate, hasErrors } = require("./validation");
+
+// The windows energy is reported over, in hours before now
+
+const ENERGY_WINDOWS = {
+    day: { label: "Last 24 Hours", hours: 24 },
+    week: { label: "Last 7 Days", hours: 24 * 7 },
+    month: { label: "Last 30 Days", hours: 24 * 30 }
+};
+
+const DEFAULT_ENERGY_WINDOW = "day";
+
+// The tariffs a household may set (per kWh)
+
+const ENERGY_TARIFF_RANGE = { min: 0, max: 10 };
+
+// The 'Energy' page highlights at most this many devices as the top consumers
+
+const TOP_CONSUMER_LIMIT = 3;
+
+const tariffSchema = {
+    energy_tariff: {
+        type: "number",
+        label: "Tariff",
+        required: true,
+        range: () => ENERGY_TARIFF_RANGE,
+        messages: {
+            required: "Enter a tariff.",
+            range: "Enter a tariff of " + ENERGY_TARIFF_RANGE.min + "–" + ENERGY_TARIFF_RANGE.max + " per kWh."
+        }
+    }
+};
+
+function energyError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+/*
+
+A function that looks up the rated power draw of a device type.
+
+Input:
+The name of the device type.
+
+Output:
+The rated power in watts, or 0 for a device type that is not in the catalog.
+
+*/
+
+function ratedPower(deviceType) {
+    let entry = DEVICE_TYPES.find((type) => type.name === deviceType);
+    return entry ? entry.power : 0;
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To keep a device's usage periods in step with a change to it: the open period is ended when the device is switched off, changed to another device type, moved to another room or deleted, and a period is started when the device is (still) on after the change. A device that stays on in the same room as the same device type keeps its open period.
+
+Input:
+The transaction's connection, the change recorded in the device's history (see history.js) and a callback.
+
+Output:
+The 'Device Usage' table brought up to date. The callback receives an error (if any).
+
+*/
+
+function recordUsageChange(connection, change, callback) {
+
+    let before = change.before && change.before.on_off === 1 ? change.before : null;
+    let after = change.after && change.after.on_off === 1 ? change.after : null;
+
+    if (before && after && before.device_type === after.device_type && before.room_ID === after.room_ID) {
+        return callback(null);
+    }
+
+    let now = new Date().toISOString();
+
+    function startUsage() {
+        if (!after) {
+            return callback(null);
+        }
+        let sqlQueryStartUsage = "INSERT INTO deviceusage (Household_ID, Device_Type_ID, Custom_Name, Device_Type, Room_ID, Started_At) VALUES (?,?,?,?,?,?)";
+        connection.query(sqlQueryStartUsage, [change.householdID, change.deviceTypeID, after.custom_name, after.device_type, after.room_ID, now], (err) => {
+            callback(err || null);
+        });
+    }
+
+    if (!before) {
+        return startUsage();
+    }
+
+    connection.query("UPDATE deviceusage SET Ended_At = ? WHERE Device_Type_ID = ? AND Household_ID = ? AND Ended_At IS NULL", [now, change.deviceTypeID, change.householdID], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        startUsage();
+    });
+}
+
+/*
+
+A function that totals the estimated energy and cost of a list of usage periods within a window.
+
+Input:
+An array of 'Device Usage' records, the start and end of the window (in milliseconds) and the tariff.
+
+Output:
+An object containing the 'hoursOn', the estimated energy 'kWh' and its 'cost'. Only the part of each period that falls within the window counts, and a period that is still open counts up to the end of the window.
+
+*/
+
+function totalUsage(rows, windowStart, windowEnd, tariff) {
+
+    let hoursOn = 0;
+    let kWh = 0;
+
+    rows.forEach((row) => {
+        let start = Math.max(new Date(row.Started_At).getTime(), windowStart);
+        let end = Math.min(row.Ended_At ? new Date(row.Ended_At).getTime() : windowEnd, windowEnd);
+        if (end <= start) {
+            return;
+        }
+        let hours = (end - start) / 3600000;
+        hoursOn += hours;
+        kWh += ratedPower(row.Device_Type) * hours / 1000;
+    });
+
+    return { hoursOn: hoursOn, kWh: kWh, cost: kWh * tariff };
+}
+
+// Group records by a key, keeping the order in which the keys first appear
+
+function groupBy(rows, keyOf) {
+    let groups = new Map();
+    rows.forEach((row) => {
+        let key = keyOf(row);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(row);
+    });
+    return groups;
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To estimate the energy used by a household's devices over a window.
+
+Input:
+The household ID, the name of the window ('day', 'week' or 'month', see ENERGY_WINDOWS) and a callback.
+
+Output:
+The callback receives an error (if any) and a report containing:
+
+    window          The window's name and 'windowLabel' its description.
+    tariff          The household's tariff (per kWh).
+    total           The household's estimated 'kWh' and 'cost'.
+    devices         Every current device of the household (including those that used no energy) and every deleted device that used energy in the window, ordered by energy used, most first. Each has its 'deviceTypeID', 'customName', 'deviceType', rated 'power' (W), 'roomName', 'on' (whether it is on now), 'deleted', 'hoursOn', 'kWh', 'cost' and 'share' of the household's energy (%).
+    rooms           The household's rooms which used energy in the window (a 'roomName' of NULL for the devices in no room, or in a room since deleted), ordered by energy used, each with its 'roomName', 'kWh', 'cost' and 'share'.
+    topConsumers    Up to TOP_CONSUMER_LIMIT of the devices that used the most energy.
+
+*/
+
+function getEnergyReport(householdID, windowName, callback) {
+
+    let window = ENERGY_WINDOWS[windowName];
+
+    if (!window) {
+        return callback(energyError(400, "Unknown window '" + windowName + "'", { window: "Choose a window of " + Object.keys(ENERGY_WINDOWS).join(", ") + "." }));
+    }
+
+    db.query("SELECT Energy_Tariff FROM households WHERE Household_ID = ?", [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(energyError(404, "Household not found"));
+        }
+
+        let tariff = result[0].Energy_Tariff;
+        let windowEnd = Date.now();
+        let windowStart = windowEnd - window.hours * 3600000;
+
+        let sqlQueryUsage = "SELECT * FROM deviceusage WHERE Household_ID = ? AND (Ended_At IS NULL OR Ended_At > ?) ORDER BY Usage_ID";
+
+        db.query(sqlQueryUsage, [householdID, new Date(windowStart).toISOString()], (err, usage) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let sqlQueryDevices = "SELECT devicenames.Device_Type_ID, devicenames.Custom_Name, devicetypes.Device_Type, devicetypes.On_Off, rooms.Room_Name FROM devicenames JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID LEFT JOIN rooms ON devicenames.Room_ID = rooms.Room_ID WHERE devicenames.Household_ID = ? ORDER BY devicenames.Custom_Name";
+
+            db.query(sqlQueryDevices, [householdID], (err, currentDevices) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                db.query("SELECT Room_ID, Room_Name FROM rooms WHERE Household_ID = ?", [householdID], (err, rooms) => {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    let total = totalUsage(usage, windowStart, windowEnd, tariff);
+
+                    function share(kWh) {
+                        return total.kWh > 0 ? kWh / total.kWh * 100 : 0;
+                    }
+
+                    let usageByDevice = groupBy(usage, (row) => row.Device_Type_ID);
+
+                    let devices = currentDevices.map((row) => {
+                        let deviceTotal = totalUsage(usageByDevice.get(row.Device_Type_ID) || [], windowStart, windowEnd, tariff);
+                        usageByDevice.delete(row.Device_Type_ID);
+                        return {
+                            deviceTypeID: row.Device_Type_ID,
+                            customName: row.Custom_Name,
+                            deviceType: row.Device_Type,
+                            power: ratedPower(row.Device_Type),
+                            roomName: row.Room_Name || null,
+                            on: row.On_Off === 1,
+                            deleted: false,
+                            hoursOn: deviceTotal.hoursOn,
+                            kWh: deviceTotal.kWh,
+                            cost: deviceTotal.cost,
+                            share: share(deviceTotal.kWh)
+                        };
+                    });
+
+                    // The devices left have been deleted; they are named as they were in their most recent usage period
+
+                    usageByDevice.forEach((rows, deviceTypeID) => {
+                        let deviceTotal = totalUsage(rows, windowStart, windowEnd, tariff);
+                        let latest = rows[rows.length - 1];
+                        if (deviceTotal.kWh === 0) {
+                            return;
+                        }
+                        devices.push({
+                            deviceTypeID: deviceTypeID,
+                            customName: latest.Custom_Name,
+                            deviceType: latest.Device_Type,
+                            power: ratedPower(latest.Device_Type),
+                            roomName: null,
+                            on: false,
+                            deleted: true,
+                            hoursOn: deviceTotal.hoursOn,
+                            kWh: deviceTotal.kWh,
+                            cost: deviceTotal.cost,
+                            share: share(deviceTotal.kWh)
+                        });
+                    });
+
+                    devices.sort((a, b) => b.kWh - a.kWh);
+
+                    // Energy used in a room that has since been deleted counts as used in no room
+
+                    let roomNames = new Map(rooms.map((room) => [room.Room_ID, room.Room_Name]));
+                    let usageByRoom = groupBy(usage, (row) => roomNames.get(row.Room_ID) || null);
+
+                    let roomTotals = [];
+
+                    usageByRoom.forEach((rows, roomName) => {
+                        let roomTotal = totalUsage(rows, windowStart, windowEnd, tariff);
+                        if (roomTotal.kWh > 0) {
+                            roomTotals.push({ roomName: roomName, kWh: roomTotal.kWh, cost: roomTotal.cost, share: share(roomTotal.kWh) });
+                        }
+                    });
+
+                    roomTotals.sort((a, b) => b.kWh - a.kWh);
+
+                    callback(null, {
+                        window: windowName,
+                        windowLabel: window.label,
+                        tariff: tariff,
+                        total: { kWh: total.kWh, cost: total.cost },
+                        devices: devices,
+                        rooms: roomTotals,
+                        topConsumers: devices.filter((device) => device.kWh > 0).slice(0, TOP_CONSUMER_LIMIT)
+                    });
+                });
+            });
+        });
+    });
+}
+
+/*
+
+A function that changes a household's energy tariff.
+
+Input:
+The household ID, raw input containing the 'energy_tariff' (per kWh) and a callback.
+
+Output:
+The callback receives an error (if any) once the tariff is changed. The tariff prices all of the household's energy use, including the use reported before it was changed.
+
+*/
+
+function setEnergyTariff(householdID, input, callback) {
+
+    let { values, errors } = validate(tariffSchema, input);
+
+    if (hasErrors(errors)) {
+        return callback(energyError(400, "The tariff is not valid.", errors));
+    }
+
+    db.query("UPDATE households SET Energy_Tariff = ? WHERE Household_ID = ?", [values.energy_tariff, householdID], (err) => {
+        callback(err || null);
+    });
+}
+
+module.exports = { ENERGY_WINDOWS, DEFAULT_ENERGY_WINDOW, ENERGY_TARIFF_RANGE, ratedPower, recordUsageChange, getEnergyReport, setEnergyTariff };
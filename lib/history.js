@@ -0,0 +1,319 @@
+/*
+
+The device history (audit trail).
+
+Purpose:
+To record every creation, update, deletion and restoration of a device in the append-only 'Device History' table, and to read the recorded changes back for the device status timeline and the activity log. Changes are recorded on the same connection as the change itself, so that a change and its history record are committed or rolled back together.
+
+Each record carries the household that owned the device, so that a household only ever reads back the history of its own devices, including those it has deleted.
+
+*/
+
+const { FIELD_DEFINITIONS } = require("./devicecatalog");
+const { OPTIONAL_DEVICE_FIELDS } = require("./devicefields");
+const { validate } = require("./validation");
+
+// Where a change was made
+
+const ORIGIN_WEB = "web";
+const ORIGIN_API = "api";
+const ORIGIN_AUTOMATION = "automation";
+const ORIGIN_MQTT = "mqtt";
+const ORIGIN_SIMULATOR = "simulator";
+
+const ORIGINS = [ORIGIN_WEB, ORIGIN_API, ORIGIN_AUTOMATION, ORIGIN_MQTT, ORIGIN_SIMULATOR];
+
+const ORIGIN_LABELS = {
+    web: "Web form",
+    api: "API",
+    automation: "Automation",
+    mqtt: "MQTT",
+    simulator: "Simulator"
+};
+
+const ACTION_LABELS = {
+    create: "Created",
+    update: "Updated",
+    delete: "Deleted",
+    restore: "Restored"
+};
+
+// The activity log shows at most this many of the most recent changes
+
+const ACTIVITY_LOG_LIMIT = 200;
+
+// The device fields compared between the before and after values, in display order
+
+const HISTORY_FIELDS = ["custom_name", "device_type", "room_name"].concat(OPTIONAL_DEVICE_FIELDS);
+
+const HISTORY_FIELD_LABELS = {
+    custom_name: "Custom name",
+    device_type: "Device type",
+    room_name: "Room"
+};
+
+OPTIONAL_DEVICE_FIELDS.forEach((field) => {
+    HISTORY_FIELD_LABELS[field] = FIELD_DEFINITIONS[field].label;
+});
+
+// Describe a stored field value in the same terms as the device status page, e.g. 'On' or '40°C'
+
+function formatFieldValue(field, value) {
+    if (value === null || value === undefined) {
+        return "—";
+    }
+    switch (field) {
+        case "on_off":
+            return value ? "On" : "Off";
+        case "open_closed":
+            return value ? "Open" : "Closed";
+        case "batteries_included":
+            return value ? "Included" : "Excluded";
+        case "temperature":
+            return value + "°C";
+        case "volume":
+        case "battery_level":
+            return value + "%";
+        default:
+            return String(value);
+    }
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To append a record of a device change to the 'Device History' table.
+
+Input:
+The transaction's connection, the change ('action' of 'create', 'update', 'delete' or 'restore' (from the trash), 'origin', 'householdID' of the device's household, 'deviceTypeID', and the device's field representation 'before' and 'after' the change, NULL where the device did not exist) and a callback.
+
+Output:
+Insertion of the history record. The callback receives an error (if any).
+
+*/
+
+function recordDeviceChange(connection, change, callback) {
+
+    if (ORIGINS.indexOf(change.origin) === -1) {
+        return callback(new Error("Unknown change origin '" + change.origin + "'"));
+    }
+
+    let sqlQueryInsertHistory = "INSERT INTO devicehistory (Household_ID, Device_Type_ID, Custom_Name, Action, Origin, Before_Values, After_Values, Changed_At) VALUES (?,?,?,?,?,?,?,?)";
+
+    let historyRecord = [
+        change.householdID,
+        change.deviceTypeID,
+        (change.after || change.before).custom_name,
+        change.action,
+        change.origin,
+        change.before ? JSON.stringify(change.before) : null,
+        change.after ? JSON.stringify(change.after) : null,
+        new Date().toISOString()
+    ];
+
+    connection.query(sqlQueryInsertHistory, historyRecord, (err) => {
+        callback(err || null);
+    });
+}
+
+/*
+
+A function that converts a 'Device History' record into a history entry for display.
+
+Input:
+A row of the 'Device History' table.
+
+Output:
+An object containing the change's details and 'changes', a list of the fields whose values differ before and after the change (every field that applies for a created, deleted or restored device), each with its label and formatted values.
+
+*/
+
+function toHistoryEntry(row) {
+
+    let before = row.Before_Values ? JSON.parse(row.Before_Values) : null;
+    let after = row.After_Values ? JSON.parse(row.After_Values) : null;
+
+    // Changes recorded before rooms were introduced have no room field, which is the same as no room
+
+    let valueOf = (values, field) => values && values[field] !== undefined ? values[field] : null;
+
+    let changes = HISTORY_FIELDS.filter((field) => {
+        return valueOf(before, field) !== valueOf(after, field);
+    }).map((field) => ({
+        field: field,
+        label: HISTORY_FIELD_LABELS[field],
+        before: before ? formatFieldValue(field, valueOf(before, field)) : null,
+        after: after ? formatFieldValue(field, valueOf(after, field)) : null
+    }));
+
+    return {
+        historyID: row.History_ID,
+        deviceTypeID: row.Device_Type_ID,
+        customName: row.Custom_Name,
+        action: row.Action,
+        actionLabel: ACTION_LABELS[row.Action],
+        origin: row.Origin,
+        originLabel: ORIGIN_LABELS[row.Origin],
+        before: before,
+        after: after,
+        changedAt: row.Changed_At,
+        changedAtText: new Date(row.Changed_At).toLocaleString(),
+        changes: changes
+    };
+}
+
+// The filters of the activity log
+
+const historyFilterSchema = {
+    device_type_ID: { type: "id", label: "Device" },
+    from: { type: "date", label: "From date" },
+    to: { type: "date", label: "To date" }
+};
+
+/*
+
+A function that validates the filters of the activity log.
+
+Input:
+Raw filter input, e.g. a request's query string.
+
+Output:
+An object containing the converted 'values' of each filter and the 'errors' keyed by filter name.
+
+*/
+
+function validateHistoryFilters(input) {
+
+    let { values, errors } = validate(historyFilterSchema, input);
+
+    // Dates written as YYYY-MM-DD compare in the same order as strings
+
+    if (values.from && values.to && values.from > values.to) {
+        errors.to = "To date must not be before the from date.";
+    }
+
+    return { values: values, errors: errors };
+}
+
+/*
+
+A function that retrieves the history of a device.
+
+Input:
+The device type ID, the ID of the household that owns the device and a callback.
+
+Output:
+The callback receives an error (if any) and the device's history entries, most recent first.
+
+*/
+
+function getDeviceHistory(deviceTypeID, householdID, callback) {
+
+    let sqlQueryHistory = "SELECT * FROM devicehistory WHERE Device_Type_ID = ? AND Household_ID = ? ORDER BY Changed_At DESC, History_ID DESC";
+
+    db.query(sqlQueryHistory, [deviceTypeID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map(toHistoryEntry));
+    });
+}
+
+/*
+
+A function that retrieves the most recent changes to all of a household's devices.
+
+Input:
+The household ID, the filters ('device_type_ID', and 'from' and 'to' dates written as YYYY-MM-DD, each optional and inclusive; dates are in the server's time zone) and a callback.
+
+Output:
+The callback receives an error (if any) and up to ACTIVITY_LOG_LIMIT history entries, most recent first.
+
+*/
+
+function listHistory(householdID, filters, callback) {
+
+    let conditions = ["Household_ID = ?"];
+    let parameters = [householdID];
+
+    if (filters.device_type_ID) {
+        conditions.push("Device_Type_ID = ?");
+        parameters.push(filters.device_type_ID);
+    }
+
+    // Timestamps are stored in UTC, so the bounds of each local day are converted to UTC
+
+    if (filters.from) {
+        conditions.push("Changed_At >= ?");
+        parameters.push(new Date(filters.from + "T00:00:00").toISOString());
+    }
+    if (filters.to) {
+        let dayAfter = new Date(filters.to + "T00:00:00");
+        dayAfter.setDate(dayAfter.getDate() + 1);
+        conditions.push("Changed_At < ?");
+        parameters.push(dayAfter.toISOString());
+    }
+
+    let sqlQueryHistory = "SELECT * FROM devicehistory WHERE " + conditions.join(" AND ") + " ORDER BY Changed_At DESC, History_ID DESC LIMIT " + ACTIVITY_LOG_LIMIT;
+
+    db.query(sqlQueryHistory, parameters, (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map(toHistoryEntry));
+    });
+}
+
+/*
+
+A function that lists every device of a household which appears in the history, including deleted devices.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and a list of devices, each with its 'deviceTypeID' and most recently recorded 'customName', ordered by custom name.
+
+*/
+
+function listHistoryDevices(householdID, callback) {
+
+    let sqlQueryHistoryDevices = "SELECT Device_Type_ID, Custom_Name FROM devicehistory WHERE Household_ID = ? ORDER BY History_ID";
+
+    db.query(sqlQueryHistoryDevices, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let latestNames = {};
+        result.forEach((row) => {
+            latestNames[row.Device_Type_ID] = row.Custom_Name;
+        });
+
+        let devices = Object.keys(latestNames).map((deviceTypeID) => ({
+            deviceTypeID: Number(deviceTypeID),
+            customName: latestNames[deviceTypeID]
+        }));
+
+        devices.sort((a, b) => a.customName.localeCompare(b.customName));
+
+        callback(null, devices);
+    });
+}
+
+module.exports = {
+    ORIGIN_WEB,
+    ORIGIN_API,
+    ORIGIN_AUTOMATION,
+    ORIGIN_MQTT,
+    ORIGIN_SIMULATOR,
+    ACTIVITY_LOG_LIMIT,
+    formatFieldValue,
+    recordDeviceChange,
+    validateHistoryFilters,
+    getDeviceHistory,
+    listHistory,
+    listHistoryDevices
+};
@@ -0,0 +1,451 @@
+/*
+
+Device inventory import and export.
+
+Purpose:
+To move a household's devices in and out of the application in bulk, e.g. when setting up a new home or moving to a new server, instead of entering every device through the 'Add a Device' form. Devices are exported with their custom name, device type, the name of their room and every capability value (the INVENTORY_FIELDS), as JSON or CSV:
+
+    JSON    An object with the time of the export ('exported_at') and a 'devices' array, each device an object of the INVENTORY_FIELDS. NULL is written for a field that does not apply to the device's type, and for the room of a device that is not in a room.
+    CSV     A header row naming the INVENTORY_FIELDS, then one row per device. A field that does not apply, or the room of a device that is not in a room, is left empty.
+
+An exported file can be imported again: a JSON import may also be a bare array of devices, and a CSV import's header row may list its columns in any order. Fields other than the INVENTORY_FIELDS are ignored. A device is assigned to the household's room with the name given in its 'room' field (compared without regard to case); a room the household does not have makes the row invalid, so the rooms must be added before the import. Each row is validated with the same rules as the 'Add a Device' form (see devicefields.js), and a device that takes batteries starts fully charged when no battery level is given.
+
+A row whose custom name is already used by a device of the household is a name clash, which the import resolves by either skipping the row or overwriting the existing device's type and values (keeping its room if the file has no 'room' field). Each row's result has one of the outcomes:
+
+    created         The device was created.
+    overwritten     The existing device with the same custom name was overwritten.
+    skipped         The custom name is already in use and clashes are skipped.
+    invalid         The row breaks the rules for a device (listed in its 'errors' by field), or repeats a custom name used earlier in the file.
+    failed          The device could not be written (e.g. the user's role does not allow it).
+
+A dry run reports the outcome each row would have ('created', 'overwritten', 'skipped' or 'invalid') without writing anything, so that the errors can be corrected first. A real import writes each valid row on its own through the same device operations as the forms (see devices.js), so that each change is recorded in the device history and an invalid row does not stop the others.
+
+A file that cannot be read at all (e.g. malformed JSON, a CSV file without the required columns, or too many rows) is rejected with an error carrying a 'status' property of 400 and a 'fields' property mapping the offending field to a message. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const { OPTIONAL_DEVICE_FIELDS, validateDevice, withDeviceDefaults } = require("./devicefields");
+const { toDeviceResource, createDevice, updateDevice } = require("./devices");
+const { hasErrors } = require("./validation");
+
+// The fields of a device which are exported and imported. A device's room is written by its name ('room'), as room IDs differ between households and servers.
+
+const INVENTORY_FIELDS = ["custom_name", "device_type", "room"].concat(OPTIONAL_DEVICE_FIELDS);
+
+const INVENTORY_FORMATS = ["json", "csv"];
+
+const CLASH_ACTIONS = ["skip", "overwrite"];
+
+const MAX_IMPORT_ROWS = 500;
+
+function importError(field, message) {
+    let err = new Error(message);
+    err.status = 400;
+    err.fields = {};
+    err.fields[field] = message;
+    return err;
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To export every device of a household.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and the devices ordered by custom name, each an object of the INVENTORY_FIELDS, with the name of its room as 'room' (NULL for none).
+
+*/
+
+function exportDevices(householdID, callback) {
+
+    let sqlQueryDevices = "SELECT devicetypes.*, devicenames.*, rooms.Room_Name FROM devicetypes JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID LEFT JOIN rooms ON devicenames.Room_ID = rooms.Room_ID WHERE devicenames.Household_ID = ? ORDER BY devicenames.Custom_Name";
+
+    db.query(sqlQueryDevices, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => {
+            let resource = Object.assign(toDeviceResource(row), { room: row.Room_Name || null });
+            let device = {};
+            INVENTORY_FIELDS.forEach((field) => {
+                device[field] = resource[field];
+            });
+            return device;
+        }));
+    });
+}
+
+// Quote a CSV value when it contains a separator, a quote or a line break
+
+function toCSVValue(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+/*
+
+A function that writes exported devices as a file.
+
+Input:
+The exported devices (see exportDevices) and the format, 'json' or 'csv'.
+
+Output:
+The file's contents as a string.
+
+*/
+
+function formatDevices(devices, format) {
+
+    if (format === "csv") {
+        let lines = [INVENTORY_FIELDS.join(",")].concat(devices.map((device) => INVENTORY_FIELDS.map((field) => toCSVValue(device[field])).join(",")));
+        return lines.join("\r\n") + "\r\n";
+    }
+
+    return JSON.stringify({ exported_at: new Date().toISOString(), devices: devices }, null, 2);
+}
+
+/*
+
+A function that splits CSV text into rows of values.
+
+Input:
+The CSV text. Values may be quoted with '"', with '""' standing for a quote inside a quoted value; lines may end with '\n' or '\r\n'.
+
+Output:
+An array of rows, each an array of values, without blank lines; or undefined if a quoted value is not closed.
+
+*/
+
+function parseCSV(text) {
+
+    let rows = [];
+    let row = [];
+    let value = "";
+    let quoted = false;
+    let index = 0;
+
+    function endRow() {
+        row.push(value);
+        if (row.length > 1 || row[0].trim() !== "") {
+            rows.push(row);
+        }
+        row = [];
+        value = "";
+    }
+
+    while (index < text.length) {
+        let char = text[index];
+        if (quoted) {
+            if (char === "\"" && text[index + 1] === "\"") {
+                value += "\"";
+                index++;
+            }
+            else if (char === "\"") {
+                quoted = false;
+            }
+            else {
+                value += char;
+            }
+        }
+        else if (char === "\"") {
+            quoted = true;
+        }
+        else if (char === ",") {
+            row.push(value);
+            value = "";
+        }
+        else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[index + 1] === "\n") {
+                index++;
+            }
+            endRow();
+        }
+        else {
+            value += char;
+        }
+        index++;
+    }
+
+    if (quoted) {
+        return undefined;
+    }
+
+    endRow();
+
+    return rows;
+}
+
+/*
+
+A function that reads the devices from an imported file.
+
+Input:
+The file's contents. A file starting with '{' or '[' is read as JSON, anything else as CSV.
+
+Output:
+An object containing the 'format' the file was read as and its 'rows', each an object of the INVENTORY_FIELDS found in the row (the raw values, not yet validated); or an object containing a 400 'error' if the file cannot be read.
+
+*/
+
+function parseInventory(text) {
+
+    text = typeof text === "string" ? text.replace(/^\uFEFF/, "").trim() : "";
+
+    if (text === "") {
+        return { error: importError("data", "Choose or paste an exported JSON or CSV file.") };
+    }
+
+    let format = text[0] === "{" || text[0] === "[" ? "json" : "csv";
+    let records;
+
+    if (format === "json") {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        }
+        catch (e) {
+            return { error: importError("data", "The file is not valid JSON: " + e.message) };
+        }
+        records = Array.isArray(parsed) ? parsed : parsed.devices;
+        if (!Array.isArray(records) || records.some((record) => record === null || typeof record !== "object" || Array.isArray(record))) {
+            return { error: importError("data", "The JSON file must contain a 'devices' array of device objects.") };
+        }
+    }
+    else {
+        let rows = parseCSV(text);
+        if (rows === undefined) {
+            return { error: importError("data", "The CSV file has a quoted value that is not closed.") };
+        }
+        let header = rows.shift().map((column) => column.trim());
+        if (header.indexOf("custom_name") === -1 || header.indexOf("device_type") === -1) {
+            return { error: importError("data", "The CSV file must start with a header row naming its columns, including custom_name and device_type.") };
+        }
+        records = rows.map((row) => {
+            let record = {};
+            header.forEach((column, index) => {
+                record[column] = row[index];
+            });
+            return record;
+        });
+    }
+
+    if (records.length === 0) {
+        return { error: importError("data", "The file does not contain any devices.") };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        return { error: importError("data", "Import at most " + MAX_IMPORT_ROWS + " devices at a time.") };
+    }
+
+    let rows = records.map((record) => {
+        let row = {};
+        INVENTORY_FIELDS.forEach((field) => {
+            if (record[field] !== undefined) {
+                row[field] = record[field];
+            }
+        });
+        return row;
+    });
+
+    return { format: format, rows: rows };
+}
+
+// Describe a row in the results by its position in the file (counting from 1) and its custom name
+
+function toRowResult(index, row, outcome, message, errors) {
+    return {
+        row: index + 1,
+        customName: row.custom_name === undefined || row.custom_name === null ? "" : String(row.custom_name),
+        deviceType: row.device_type === undefined || row.device_type === null ? "" : String(row.device_type),
+        outcome: outcome,
+        message: message,
+        errors: errors || {}
+    };
+}
+
+/*
+
+A function that determines the outcome of each imported row before anything is written.
+
+Input:
+The rows (see parseInventory), the clash action ('skip' or 'overwrite'), the household's devices by lower-case custom name and its room IDs by lower-case room name.
+
+Output:
+An array with the planned result of each row (see toRowResult), with its 'input' (the row with the default battery level and the ID of its room filled in) and, for a row that overwrites a device, the 'existing' device's row.
+
+*/
+
+function planImport(rows, onClash, existingByName, roomIDsByName) {
+
+    let seen = {};
+
+    return rows.map((row, index) => {
+
+        let input = withDeviceDefaults(row);
+        let roomName = row.room === undefined || row.room === null ? "" : String(row.room).trim();
+
+        delete input.room;
+
+        if (row.room !== undefined) {
+            input.room_ID = roomName === "" ? null : roomIDsByName[roomName.toLowerCase()];
+        }
+
+        let { values, errors } = validateDevice(input);
+        let key = values.custom_name ? values.custom_name.toLowerCase() : null;
+
+        if (input.room_ID === undefined && row.room !== undefined) {
+            errors.room = "There is no room named '" + roomName + "'. Add the room first, or leave the room empty.";
+        }
+
+        if (key && seen[key] && !errors.custom_name) {
+            errors.custom_name = "The custom name '" + values.custom_name + "' is already used by row " + seen[key] + " of the file.";
+        }
+        if (key && !seen[key]) {
+            seen[key] = index + 1;
+        }
+
+        let planned;
+
+        if (hasErrors(errors)) {
+            planned = toRowResult(index, row, "invalid", "The row is not a valid device.", errors);
+        }
+        else if (existingByName[key] && onClash === "skip") {
+            planned = toRowResult(index, row, "skipped", "A device named '" + existingByName[key].Custom_Name + "' already exists.");
+        }
+        else if (existingByName[key]) {
+            planned = toRowResult(index, row, "overwritten", "The existing device '" + existingByName[key].Custom_Name + "' will be overwritten.");
+            planned.existing = existingByName[key];
+        }
+        else {
+            planned = toRowResult(index, row, "created", "A new device will be created.");
+        }
+
+        planned.input = input;
+        return planned;
+    });
+}
+
+/*
+
+A function that imports devices into a household.
+
+Input:
+Raw import data (e.g. a form's request body) containing the file's contents ('data'), the clash action ('on_clash': 'skip', the default, or 'overwrite') and whether this is a dry run ('dry_run'), the context of the changes (see devices.js) and a callback.
+
+Output:
+The callback receives an error (if any) and a summary containing the 'format' the file was read as, whether it was a 'dryRun', the 'onClash' action, the 'results' of each row in the order of the file, each with its 'row', 'customName', 'deviceType', 'outcome' (see above), 'message' and per-field 'errors', and the number of rows with each outcome ('counts'). A file that cannot be read imports nothing.
+
+*/
+
+function importDevices(input, context, callback) {
+
+    input = input || {};
+
+    let onClash = input.on_clash === undefined || input.on_clash === "" ? "skip" : input.on_clash;
+    let dryRun = input.dry_run === "1" || input.dry_run === "true" || input.dry_run === true;
+
+    if (CLASH_ACTIONS.indexOf(onClash) === -1) {
+        return callback(importError("on_clash", "Choose whether to skip or overwrite devices whose custom name is already in use."));
+    }
+
+    let parsed = parseInventory(input.data);
+
+    if (parsed.error) {
+        return callback(parsed.error);
+    }
+
+    let sqlQueryExisting = "SELECT devicenames.Device_Type_ID, devicenames.Custom_Name, devicenames.Room_ID FROM devicenames WHERE devicenames.Household_ID = ?";
+
+    db.query(sqlQueryExisting, [context.householdID], (err, existing) => {
+        if (err) {
+            return callback(err);
+        }
+
+        db.query("SELECT Room_ID, Room_Name FROM rooms WHERE Household_ID = ?", [context.householdID], (err, rooms) => {
+            if (err) {
+                return callback(err);
+            }
+            planAndImport(existing, rooms);
+        });
+    });
+
+    function planAndImport(existing, rooms) {
+
+        let existingByName = {};
+        existing.forEach((device) => {
+            existingByName[device.Custom_Name.toLowerCase()] = device;
+        });
+
+        let roomIDsByName = {};
+        rooms.forEach((room) => {
+            roomIDsByName[room.Room_Name.toLowerCase()] = room.Room_ID;
+        });
+
+        let plan = planImport(parsed.rows, onClash, existingByName, roomIDsByName);
+        let results = [];
+
+        function finish() {
+            let counts = {};
+            results.forEach((result) => {
+                counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+            });
+            callback(null, { format: parsed.format, dryRun: dryRun, onClash: onClash, results: results, counts: counts });
+        }
+
+        function next(index) {
+
+            if (index === plan.length) {
+                return finish();
+            }
+
+            let planned = plan[index];
+            let result = { row: planned.row, customName: planned.customName, deviceType: planned.deviceType, outcome: planned.outcome, message: planned.message, errors: planned.errors };
+
+            if (dryRun || (planned.outcome !== "created" && planned.outcome !== "overwritten")) {
+                results.push(result);
+                return next(index + 1);
+            }
+
+            function written(successMessage) {
+                return (err) => {
+                    if (err && !err.status) {
+                        console.error("Import could not write row " + planned.row + ":", err);
+                    }
+                    if (err) {
+                        result.outcome = err.fields ? "invalid" : "failed";
+                        result.message = err.status ? err.message : "The device could not be written.";
+                        result.errors = err.fields || {};
+                    }
+                    else {
+                        result.message = successMessage;
+                    }
+                    results.push(result);
+                    next(index + 1);
+                };
+            }
+
+            if (planned.existing) {
+                let fields = Object.assign({ room_ID: planned.existing.Room_ID }, planned.input);
+                return updateDevice(planned.existing.Device_Type_ID, fields, context, written("Overwritten."));
+            }
+
+            createDevice(planned.input, context, written("Created."));
+        }
+
+        next(0);
+    }
+}
+
+module.exports = {
+    INVENTORY_FIELDS,
+    INVENTORY_FORMATS,
+    CLASH_ACTIONS,
+    MAX_IMPORT_ROWS,
+    exportDevices,
+    formatDevices,
+    importDevices
+};
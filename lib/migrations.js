@@ -0,0 +1,257 @@
+/*
+
+Versioned schema migrations.
+
+Purpose:
+To build and update the database schema from the scripts in the 'migrations' directory instead of by hand. Each script is named '<version>_<name>.js' and exports its 'version', 'name', and the 'up' and 'down' SQL statements for every storage dialect. The versions that have been applied are recorded in the 'schema_migrations' table.
+
+Each migration is applied in its own transaction together with its 'schema_migrations' record. Note that MySQL commits DDL statements implicitly, so a failed MySQL migration may have to be cleaned up by hand.
+
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, "..", "migrations");
+
+const sqlCreateMigrationTable = "CREATE TABLE IF NOT EXISTS schema_migrations (version INT NOT NULL PRIMARY KEY, name VARCHAR(100) NOT NULL, applied_at VARCHAR(30) NOT NULL)";
+
+/*
+
+A function that loads the migration scripts.
+
+Output:
+The migrations ordered by version. An error is thrown if a script's version does not match its file name or two scripts share a version.
+
+*/
+
+function loadMigrations() {
+
+    let migrations = fs.readdirSync(MIGRATIONS_DIRECTORY)
+        .filter((file) => /^\d+_\w+\.js$/.test(file))
+        .map((file) => {
+            let migration = require(path.join(MIGRATIONS_DIRECTORY, file));
+            if (migration.version !== parseInt(file, 10)) {
+                throw new Error("Migration " + file + " declares version " + migration.version + ".");
+            }
+            return migration;
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error("More than one migration has version " + migration.version + ".");
+        }
+    });
+
+    return migrations;
+}
+
+function latestVersion(migrations) {
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To retrieve the versions of the migrations that have been applied, creating the 'schema_migrations' table if it does not exist.
+
+Input:
+The storage object and a callback.
+
+Output:
+The callback receives an error (if any) and the applied versions in ascending order.
+
+*/
+
+function getAppliedVersions(storage, callback) {
+    storage.query(sqlCreateMigrationTable, (err) => {
+        if (err) {
+            return callback(err);
+        }
+        storage.query("SELECT version FROM schema_migrations ORDER BY version", (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, result.map((row) => row.version));
+        });
+    });
+}
+
+function runStatements(connection, statements, callback) {
+    if (statements.length === 0) {
+        return callback(null);
+    }
+    connection.query(statements[0], [], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        runStatements(connection, statements.slice(1), callback);
+    });
+}
+
+// Apply or revert one migration and update its 'schema_migrations' record in the same transaction
+
+function runMigration(storage, migration, direction, callback) {
+
+    let statements = migration[direction][storage.dialect];
+
+    if (!statements) {
+        return callback(new Error("Migration " + migration.version + " has no '" + direction + "' statements for " + storage.dialect + "."));
+    }
+
+    storage.transaction((connection, done) => {
+        runStatements(connection, statements, (err) => {
+            if (err) {
+                return done(err);
+            }
+            if (direction === "up") {
+                connection.query("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?,?,?)", [migration.version, migration.name, new Date().toISOString()], done);
+            }
+            else {
+                connection.query("DELETE FROM schema_migrations WHERE version = ?", [migration.version], done);
+            }
+        });
+    }, (err) => {
+        if (err) {
+            err.message = "Migration " + migration.version + " (" + migration.name + ") failed: " + err.message;
+        }
+        callback(err);
+    });
+}
+
+/*
+
+A function that migrates the schema to a version.
+
+Purpose:
+To apply every pending migration up to the target version in ascending order, or to revert every applied migration above the target version in descending order.
+
+Input:
+The storage object, the target version (the latest version if undefined) and a callback.
+
+Output:
+The callback receives an error (if any) and a list of the migrations that were run, each with its 'version', 'name' and 'direction'.
+
+*/
+
+function migrate(storage, targetVersion, callback) {
+
+    let migrations;
+
+    try {
+        migrations = loadMigrations();
+    }
+    catch (err) {
+        return callback(err);
+    }
+
+    if (targetVersion === undefined) {
+        targetVersion = latestVersion(migrations);
+    }
+
+    getAppliedVersions(storage, (err, appliedVersions) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let pending = migrations
+            .filter((migration) => migration.version <= targetVersion && appliedVersions.indexOf(migration.version) === -1)
+            .map((migration) => ({ migration: migration, direction: "up" }));
+
+        let reverted = migrations
+            .filter((migration) => migration.version > targetVersion && appliedVersions.indexOf(migration.version) !== -1)
+            .reverse()
+            .map((migration) => ({ migration: migration, direction: "down" }));
+
+        let steps = reverted.concat(pending);
+        let completed = [];
+
+        function next(index) {
+            if (index === steps.length) {
+                return callback(null, completed);
+            }
+
+            let { migration, direction } = steps[index];
+
+            runMigration(storage, migration, direction, (err) => {
+                if (err) {
+                    return callback(err, completed);
+                }
+                completed.push({ version: migration.version, name: migration.name, direction: direction });
+                next(index + 1);
+            });
+        }
+
+        next(0);
+    });
+}
+
+/*
+
+A function that reports the schema version of a database.
+
+Input:
+The storage object and a callback.
+
+Output:
+The callback receives an error (if any) and an object containing the 'currentVersion' (0 for an empty database), the 'latestVersion' available and the 'pending' migrations.
+
+*/
+
+function getSchemaStatus(storage, callback) {
+
+    let migrations;
+
+    try {
+        migrations = loadMigrations();
+    }
+    catch (err) {
+        return callback(err);
+    }
+
+    getAppliedVersions(storage, (err, appliedVersions) => {
+        if (err) {
+            return callback(err);
+        }
+
+        callback(null, {
+            currentVersion: appliedVersions.length > 0 ? appliedVersions[appliedVersions.length - 1] : 0,
+            latestVersion: latestVersion(migrations),
+            pending: migrations.filter((migration) => appliedVersions.indexOf(migration.version) === -1)
+        });
+    });
+}
+
+/*
+
+A function that ensures the schema is up to date before the application starts.
+
+Input:
+The storage object and a callback.
+
+Output:
+The callback receives an error if any migration has not been applied, otherwise no error.
+
+*/
+
+function checkSchema(storage, callback) {
+    getSchemaStatus(storage, (err, status) => {
+        if (err) {
+            return callback(err);
+        }
+        if (status.pending.length > 0) {
+            return callback(new Error("The database schema is at version " + status.currentVersion + " but version " + status.latestVersion + " is required. Run 'npm run migrate' to update it."));
+        }
+        callback(null);
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    migrate,
+    getSchemaStatus,
+    checkSchema
+};
@@ -0,0 +1,293 @@
+/*
+
+The MQTT bridge.
+
+Purpose:
+To connect a household's devices to an MQTT broker, which most real smart devices and home automation systems talk to. The bridge serves the household named in the configuration and uses these topics under the configured prefix (e.g. 'home'):
+
+    <prefix>/<custom_name>/state    The device's current fields as a JSON object, with the same field names as the JSON API. Published as a retained message when the bridge connects and whenever the device changes, however it was changed; cleared (an empty retained message) when the device is deleted or renamed.
+    <prefix>/<custom_name>/set      Subscribed to. A JSON object of the settings to change (e.g. {"on_off": 1, "volume": 30}), which is applied through the same validated device update path as the forms, on behalf of the household, and recorded in the device history with the 'mqtt' origin.
+    <prefix>/<custom_name>/error    A JSON object with the 'error' (and any invalid 'fields') of a 'set' message that could not be applied.
+
+For trying the bridge out without a separate broker, a broker can be started inside the application process (see startMqttBroker).
+
+*/
+
+const net = require("net");
+const crypto = require("crypto");
+const mqtt = require("mqtt");
+const aedes = require("aedes");
+const { OPTIONAL_DEVICE_FIELDS } = require("./devicefields");
+const { toDeviceResource, patchDevice } = require("./devices");
+const { deviceEvents } = require("./deviceevents");
+const { ORIGIN_MQTT } = require("./history");
+
+// A 'set' message may only change a device's settings, not its name, type or room
+
+const SETTABLE_FIELDS = OPTIONAL_DEVICE_FIELDS;
+
+function bridgeError(message, fields) {
+    let err = new Error(message);
+    err.status = 400;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+function deviceTopic(prefix, customName, suffix) {
+    return prefix + "/" + customName + "/" + suffix;
+}
+
+/*
+
+A function that reads the changes of a 'set' message.
+
+Input:
+The message's payload (a Buffer).
+
+Output:
+An object containing the 'changes' to apply, or the 'error' describing why the payload cannot be applied: it must be a JSON object of device settings.
+
+*/
+
+function parseSetPayload(payload) {
+
+    let changes;
+
+    try {
+        changes = JSON.parse(payload.toString());
+    }
+    catch (err) {
+        return { error: bridgeError("The payload must be a JSON object, e.g. {\"on_off\": 1}.") };
+    }
+
+    if (changes === null || typeof changes !== "object" || Array.isArray(changes)) {
+        return { error: bridgeError("The payload must be a JSON object, e.g. {\"on_off\": 1}.") };
+    }
+
+    let unknownFields = Object.keys(changes).filter((field) => !SETTABLE_FIELDS.includes(field));
+
+    if (unknownFields.length > 0) {
+        let fields = {};
+        unknownFields.forEach((field) => {
+            fields[field] = "Only these settings can be set: " + SETTABLE_FIELDS.join(", ") + ".";
+        });
+        return { error: bridgeError("Unknown settings: " + unknownFields.join(", ") + ".", fields) };
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { error: bridgeError("The payload does not contain any settings to change.") };
+    }
+
+    return { changes: changes };
+}
+
+/*
+
+A function that applies a 'set' message to a device.
+
+Input:
+The custom name of the device (from the message's topic), the message's payload, the ID of the household the bridge serves and a callback.
+
+Output:
+The callback receives an error (if any) and the updated device record. An invalid payload returns a 400 error, an unknown device a 404 error, and invalid settings the device's validation error (see devices.js). The updated state is published by the bridge's device event listener, as for any other change.
+
+*/
+
+function applySetMessage(customName, payload, householdID, callback) {
+
+    let { changes, error } = parseSetPayload(payload);
+
+    if (error) {
+        return callback(error);
+    }
+
+    let sqlQueryDevice = "SELECT Device_Type_ID FROM devicenames WHERE LOWER(Custom_Name) = LOWER(?) AND Household_ID = ?";
+
+    db.query(sqlQueryDevice, [customName, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            let notFound = new Error("Device not found");
+            notFound.status = 404;
+            return callback(notFound);
+        }
+        patchDevice(result[0].Device_Type_ID, changes, { origin: ORIGIN_MQTT, householdID: householdID }, callback);
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To publish the state of every device of the household, so that the retained state topics are correct after the bridge (re)connects.
+
+Input:
+The MQTT client, the 'mqtt' section of the configuration and a callback.
+
+Output:
+A retained state message for each device. The callback receives an error (if any).
+
+*/
+
+function publishHouseholdStates(client, options, callback) {
+
+    let sqlQueryAll = "SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID LEFT JOIN rooms ON devicenames.Room_ID = rooms.Room_ID WHERE devicenames.Household_ID = ?";
+
+    db.query(sqlQueryAll, [options.householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        result.map(toDeviceResource).forEach((device) => {
+            client.publish(deviceTopic(options.topicPrefix, device.custom_name, "state"), JSON.stringify(device), { qos: 1, retain: true });
+        });
+        callback(null);
+    });
+}
+
+/*
+
+A function that starts an MQTT broker inside the application process.
+
+Input:
+The 'mqtt' section of the configuration: the 'port' to listen on and, optionally, the 'username' and 'password' clients must present. A callback.
+
+Output:
+The callback receives an error (if any) and an object with a 'stop' function, once the broker is listening.
+
+*/
+
+function startMqttBroker(options, callback) {
+
+    let broker = aedes();
+
+    if (options.username) {
+        broker.authenticate = (client, username, password, done) => {
+            done(null, username === options.username && String(password) === String(options.password || ""));
+        };
+    }
+
+    let server = net.createServer(broker.handle);
+
+    server.once("error", callback);
+
+    server.listen(options.port, () => {
+        server.removeListener("error", callback);
+        callback(null, {
+            stop: (done) => broker.close(() => server.close(done))
+        });
+    });
+}
+
+/*
+
+A function that starts the MQTT bridge.
+
+Input:
+The 'mqtt' section of the configuration: the broker's 'host' and 'port', the optional 'username' and 'password', the 'topicPrefix', the 'householdID' of the household to bridge, and 'embeddedBroker' to start a broker in the process first (see startMqttBroker). A callback.
+
+Output:
+The callback receives an error (if any) and an object with a 'stop' function. The bridge connects in the background and reconnects if the connection is lost, republishing every device's state each time it connects.
+
+*/
+
+function startMqttBridge(options, callback) {
+
+    if (options.embeddedBroker) {
+        return startMqttBroker(options, (err, broker) => {
+            if (err) {
+                return callback(err);
+            }
+            startMqttBridge(Object.assign({}, options, { host: "localhost", embeddedBroker: false }), (err, bridge) => {
+                callback(err, bridge && {
+                    stop: (done) => bridge.stop(() => broker.stop(done))
+                });
+            });
+        });
+    }
+
+    let prefix = options.topicPrefix;
+
+    let client = mqtt.connect({
+        host: options.host,
+        port: options.port,
+        username: options.username,
+        password: options.password,
+        clientId: "mysmarthome-" + crypto.randomBytes(4).toString("hex")
+    });
+
+    client.on("connect", () => {
+        console.log("MQTT bridge connected to " + options.host + ":" + options.port + ".");
+
+        client.subscribe(prefix + "/+/set", { qos: 1 }, (err) => {
+            if (err) {
+                console.error("The MQTT bridge could not subscribe to the set topics:", err);
+            }
+        });
+
+        publishHouseholdStates(client, options, (err) => {
+            if (err) {
+                console.error("The MQTT bridge could not publish the device states:", err);
+            }
+        });
+    });
+
+    client.on("error", (err) => {
+        console.error("MQTT bridge error:", err.message);
+    });
+
+    client.on("message", (topic, payload) => {
+
+        let parts = topic.split("/");
+        let customName = parts[parts.length - 2];
+
+        applySetMessage(customName, payload, options.householdID, (err) => {
+            if (err && !err.status) {
+                console.error("The MQTT bridge could not update " + customName + ":", err);
+            }
+            if (err) {
+                let body = { error: err.status ? err.message : "The device could not be updated." };
+                if (err.fields) {
+                    body.fields = err.fields;
+                }
+                client.publish(deviceTopic(prefix, customName, "error"), JSON.stringify(body), { qos: 1 });
+            }
+        });
+    });
+
+    // Publish every change to the household's devices, clearing the retained state of a deleted or renamed device
+
+    function onDeviceEvent(event) {
+
+        if (event.context.householdID !== options.householdID) {
+            return;
+        }
+
+        if (event.previous && (!event.device || event.previous.custom_name !== event.device.custom_name)) {
+            client.publish(deviceTopic(prefix, event.previous.custom_name, "state"), "", { qos: 1, retain: true });
+        }
+
+        if (event.device) {
+            client.publish(deviceTopic(prefix, event.device.custom_name, "state"), JSON.stringify(event.device), { qos: 1, retain: true });
+        }
+    }
+
+    deviceEvents.on("device", onDeviceEvent);
+
+    callback(null, {
+        stop: (done) => {
+            deviceEvents.removeListener("device", onDeviceEvent);
+            client.end(false, {}, () => done && done());
+        }
+    });
+}
+
+module.exports = {
+    parseSetPayload,
+    applySetMessage,
+    startMqttBroker,
+    startMqttBridge
+};
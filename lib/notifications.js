@@ -0,0 +1,365 @@
+/*
+
+Notifications.
+
+Purpose:
+To tell a household's members when something important happens to its devices, whichever interface made the change. The notifier listens to device events (see deviceevents.js) and the battery monitor (see batteries.js) and creates a notification of one of the NOTIFICATION_TYPES:
+
+    security_alarm_on   A Security Alarm is switched on (or added switched on).
+    device_offline      A device goes offline because its batteries are empty (its battery level reaches 0%).
+    battery_low         A low-battery alert is raised for a device.
+    device_deleted      A device is deleted.
+
+Every member of the household receives a notification in their notification center (with the number of unread notifications shown in the navigation bar), unless they have turned that type of event off; notifications are stored in the 'Notifications' table (see migration 14). A member's notifications are also sent to each of their webhooks (see webhooks.js).
+
+Errors passed to callbacks carry a 'status' property: 400 for invalid fields, with a 'fields' property which maps each offending field to a message, and 404 for an unknown notification. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const { DEVICE_CREATED, DEVICE_UPDATED, DEVICE_DELETED, deviceEvents } = require("./deviceevents");
+const { queueWebhookDeliveries, dispatchDeliveries } = require("./webhooks");
+
+const NOTIFICATION_TYPES = ["security_alarm_on", "device_offline", "battery_low", "device_deleted"];
+
+const NOTIFICATION_TYPE_LABELS = {
+    security_alarm_on: "Security alarm switched on",
+    device_offline: "Device offline",
+    battery_low: "Low battery",
+    device_deleted: "Device deleted"
+};
+
+// The device type whose switching on raises a 'security_alarm_on' notification
+
+const ALARM_DEVICE_TYPE = "Security Alarm";
+
+// The notification center lists at most this many of the most recent notifications
+
+const NOTIFICATION_LIMIT = 50;
+
+function notificationError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+// The chosen event types are submitted as a list (one checkbox per type), or as a single value when one type is chosen
+
+function toEventTypes(input) {
+    let list = Array.isArray(input) ? input : (input === undefined || input === null || input === "" ? [] : [input]);
+    return list.map((value) => String(value).trim());
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To notify the members of a household of an event: a notification is created for each member who receives the event's type, and queued for delivery to each of their webhooks, in one transaction.
+
+Input:
+The household ID, the event (its 'type', one of NOTIFICATION_TYPES, the 'message' to show, and the 'deviceTypeID' and 'customName' of the device it concerns) and a callback.
+
+Output:
+The callback receives an error (if any) and the number of members notified. The queued webhook deliveries are sent once the transaction is committed.
+
+*/
+
+function notifyHousehold(householdID, event, callback) {
+
+    if (NOTIFICATION_TYPES.indexOf(event.type) === -1) {
+        return callback(new Error("Unknown notification type '" + event.type + "'"));
+    }
+
+    let createdAt = new Date().toISOString();
+
+    db.transaction((connection, done) => {
+
+        // Members receive every type of event they have not turned off
+
+        let sqlQueryRecipients = "SELECT users.User_ID FROM users LEFT JOIN notificationpreferences ON users.User_ID = notificationpreferences.User_ID AND notificationpreferences.Event_Type = ? WHERE users.Household_ID = ? AND (notificationpreferences.Enabled IS NULL OR notificationpreferences.Enabled = 1)";
+
+        connection.query(sqlQueryRecipients, [event.type, householdID], (err, recipients) => {
+            if (err) {
+                return done(err);
+            }
+
+            let remaining = recipients.slice();
+            let queued = 0;
+
+            (function notifyNext() {
+                if (remaining.length === 0) {
+                    return done(null, { notified: recipients.length, queued: queued });
+                }
+
+                let userID = remaining.shift().User_ID;
+                let sqlQueryInsertNotification = "INSERT INTO notifications (User_ID, Household_ID, Event_Type, Device_Type_ID, Custom_Name, Message, Created_At) VALUES (?,?,?,?,?,?,?)";
+
+                connection.query(sqlQueryInsertNotification, [userID, householdID, event.type, event.deviceTypeID, event.customName, event.message, createdAt], (err, result) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    let payload = {
+                        event: event.type,
+                        message: event.message,
+                        notification_ID: result.insertId,
+                        household_ID: householdID,
+                        device_type_ID: event.deviceTypeID,
+                        custom_name: event.customName,
+                        created_at: createdAt
+                    };
+
+                    queueWebhookDeliveries(connection, userID, payload, (err, count) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        queued += count;
+                        notifyNext();
+                    });
+                });
+            })();
+        });
+    }, (err, outcome) => {
+        if (err) {
+            return callback(err);
+        }
+        if (outcome.queued > 0) {
+            dispatchDeliveries();
+        }
+        callback(null, outcome.notified);
+    });
+}
+
+/*
+
+A function that determines which notifications a device event raises.
+
+Input:
+A device event (see deviceevents.js).
+
+Output:
+An array of the events to notify the device's household of (see notifyHousehold), empty if the change is not one the household is notified of.
+
+*/
+
+function toNotificationEvents(event) {
+
+    let device = event.device;
+    let previous = event.previous;
+    let by = event.context && event.context.username ? " by " + event.context.username : "";
+    let events = [];
+
+    if (event.type === DEVICE_DELETED && previous) {
+        events.push({ type: "device_deleted", deviceTypeID: previous.device_type_ID, customName: previous.custom_name, message: previous.custom_name + " (" + previous.device_type + ") was moved to the trash" + by + "." });
+    }
+
+    // A device restored from the trash is not a new device, and its values are the ones it had when it was deleted, so its restore raises no notifications
+
+    if ((event.type !== DEVICE_CREATED && event.type !== DEVICE_UPDATED) || !device) {
+        return events;
+    }
+
+    let alarmOn = (fields) => fields && fields.device_type === ALARM_DEVICE_TYPE && fields.on_off === 1;
+
+    if (alarmOn(device) && !alarmOn(previous)) {
+        events.push({ type: "security_alarm_on", deviceTypeID: device.device_type_ID, customName: device.custom_name, message: "The security alarm " + device.custom_name + " was switched on" + by + "." });
+    }
+
+    let batteriesEmpty = (fields) => fields && fields.batteries_included === 1 && fields.battery_level === 0;
+
+    if (batteriesEmpty(device) && !batteriesEmpty(previous)) {
+        events.push({ type: "device_offline", deviceTypeID: device.device_type_ID, customName: device.custom_name, message: device.custom_name + " has gone offline: its batteries are empty." });
+    }
+
+    return events;
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To list a user's most recent notifications.
+
+Input:
+The user's ID and a callback.
+
+Output:
+The callback receives an error (if any) and up to NOTIFICATION_LIMIT notifications, newest first, each with its 'notificationID', 'eventType', 'message', the 'deviceTypeID' and 'customName' of its device, when it was created ('createdAtText') and whether it has been 'read'.
+
+*/
+
+function listNotifications(userID, callback) {
+
+    let sqlQueryNotifications = "SELECT * FROM notifications WHERE User_ID = ? ORDER BY Notification_ID DESC LIMIT " + NOTIFICATION_LIMIT;
+
+    db.query(sqlQueryNotifications, [userID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            notificationID: row.Notification_ID,
+            eventType: row.Event_Type,
+            message: row.Message,
+            deviceTypeID: row.Device_Type_ID,
+            customName: row.Custom_Name,
+            createdAtText: new Date(row.Created_At).toLocaleString(),
+            read: row.Read_At !== null
+        })));
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To mark one of a user's notifications, or all of them, as read.
+
+Input:
+The user's ID, the notification ID (NULL for all of the user's notifications) and a callback.
+
+Output:
+The callback receives an error (if any); a 404 error if the user has no notification with the given ID.
+
+*/
+
+function markNotificationsRead(userID, notificationID, callback) {
+
+    let sqlQueryMarkRead = "UPDATE notifications SET Read_At = ? WHERE User_ID = ? AND Read_At IS NULL";
+    let params = [new Date().toISOString(), userID];
+
+    if (notificationID !== null) {
+        sqlQueryMarkRead = "UPDATE notifications SET Read_At = COALESCE(Read_At, ?) WHERE User_ID = ? AND Notification_ID = ?";
+        params.push(notificationID);
+    }
+
+    db.query(sqlQueryMarkRead, params, (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (notificationID !== null && result.affectedRows === 0) {
+            return callback(notificationError(404, "Notification not found"));
+        }
+        callback(null);
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To retrieve which types of event a user receives.
+
+Input:
+The user's ID and a callback.
+
+Output:
+The callback receives an error (if any) and one entry for each of the NOTIFICATION_TYPES, with its 'eventType', 'label' and whether the user receives it ('enabled').
+
+*/
+
+function getNotificationPreferences(userID, callback) {
+
+    db.query("SELECT Event_Type, Enabled FROM notificationpreferences WHERE User_ID = ?", [userID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, NOTIFICATION_TYPES.map((type) => {
+            let preference = result.find((row) => row.Event_Type === type);
+            return { eventType: type, label: NOTIFICATION_TYPE_LABELS[type], enabled: !preference || preference.Enabled === 1 };
+        }));
+    });
+}
+
+/*
+
+A function that changes which types of event a user receives.
+
+Input:
+The user's ID, raw input (e.g. a form's request body) containing the 'event_types' the user wants to receive (the others are turned off) and a callback.
+
+Output:
+The callback receives an error (if any) once the user's preferences are replaced.
+
+*/
+
+function setNotificationPreferences(userID, input, callback) {
+
+    let chosen = toEventTypes((input || {}).event_types);
+
+    if (chosen.some((type) => NOTIFICATION_TYPES.indexOf(type) === -1)) {
+        let message = "Choose event types from the list.";
+        return callback(notificationError(400, message, { event_types: message }));
+    }
+
+    db.transaction((connection, done) => {
+
+        connection.query("DELETE FROM notificationpreferences WHERE User_ID = ?", [userID], (err) => {
+            if (err) {
+                return done(err);
+            }
+
+            let remaining = NOTIFICATION_TYPES.slice();
+
+            (function insertNext() {
+                if (remaining.length === 0) {
+                    return done(null);
+                }
+                let type = remaining.shift();
+                connection.query("INSERT INTO notificationpreferences (User_ID, Event_Type, Enabled) VALUES (?,?,?)", [userID, type, chosen.indexOf(type) === -1 ? 0 : 1], (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    insertNext();
+                });
+            })();
+        });
+    }, (err) => callback(err || null));
+}
+
+/*
+
+A function that starts the notifier.
+
+Input:
+None.
+
+Output:
+An object with a 'stop' function. Whenever a device is changed in a way that raises notifications (see toNotificationEvents), its household is notified.
+
+*/
+
+function startNotifier() {
+
+    function onDeviceEvent(event) {
+        toNotificationEvents(event).forEach((notification) => {
+            notifyHousehold(event.context.householdID, notification, (err) => {
+                if (err) {
+                    console.error("The notifier could not notify the household:", err);
+                }
+            });
+        });
+    }
+
+    deviceEvents.on("device", onDeviceEvent);
+
+    return {
+        stop: () => deviceEvents.removeListener("device", onDeviceEvent)
+    };
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    NOTIFICATION_TYPE_LABELS,
+    notifyHousehold,
+    listNotifications,
+    markNotificationsRead,
+    getNotificationPreferences,
+    setNotificationPreferences,
+    startNotifier
+};
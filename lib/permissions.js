@@ -0,0 +1,310 @@
+/*
+
+Household roles and permissions.
+
+Purpose:
+To decide what each member of a household may do. Every user has a role within their household, and each role grants a set of permissions:
+
+    owner   Everything, including managing the household's members and reading the log of denied attempts.
+    adult   Everything except managing the household's members.
+    child   View devices, rooms, scenes, schedules, rules and the activity log, and control devices, apart from the restrictions below.
+    guest   View devices only (the dashboard and the 'Display Status' page).
+
+A child may only switch devices on and off, change their volume and temperature and open or close them, and may not change the temperature of a heating appliance (e.g. an Oven or a Clothing Iron). These restrictions are checked against each device a change touches (see devices.js), so they apply however the change is made: a form, the JSON API, a batch, a scene or a room switch. Changes made by automations (schedules and rules) are not restricted, as they were set up by a member who was allowed to.
+
+Every denied attempt is recorded in the 'Permission Denials' table with the member, what they attempted and why it was denied. Denials are passed to callbacks as errors carrying a 'status' property of 403 and the attempted 'action'.
+
+*/
+
+const { FIELD_DEFINITIONS } = require("./devicecatalog");
+
+const ROLES = ["owner", "adult", "child", "guest"];
+
+const ROLE_LABELS = {
+    owner: "Owner",
+    adult: "Adult",
+    child: "Child",
+    guest: "Guest"
+};
+
+// What each permission allows, as it is completed in denial messages ("... does not allow you to <description>.")
+
+const PERMISSIONS = {
+    view_devices: "view devices",
+    view_household: "view rooms, scenes, schedules, rules or the activity log",
+    control_devices: "control devices",
+    manage_devices: "add, edit or delete devices",
+    manage_automations: "create, change or delete rooms, scenes, schedules or rules",
+    manage_household: "manage the household's members, backups or webhooks"
+};
+
+const ROLE_PERMISSIONS = {
+    owner: ["view_devices", "view_household", "control_devices", "manage_devices", "manage_automations", "manage_household"],
+    adult: ["view_devices", "view_household", "control_devices", "manage_devices", "manage_automations"],
+    child: ["view_devices", "view_household", "control_devices"],
+    guest: ["view_devices"]
+};
+
+// The settings a child may change, and the device types whose temperature a child may not change
+
+const CHILD_CONTROL_FIELDS = ["on_off", "volume", "temperature", "open_closed"];
+
+const CHILD_RESTRICTED_DEVICE_TYPES = ["Stainless Steel Kettle", "Microwave", "Clothing Iron", "Oven", "Rice Cooker", "Pressure Cooker", "Food Dehydrator", "Water Heater"];
+
+// The fields of a device which only members who may manage devices can change
+
+const DEVICE_DETAIL_FIELDS = ["custom_name", "device_type", "room_ID"];
+
+const DENIAL_LOG_LIMIT = 50;
+
+function permissionError(action, message) {
+    let err = new Error(message);
+    err.status = 403;
+    err.action = action;
+    return err;
+}
+
+function deniedMessage(role, description) {
+    return "Your role (" + role + ") does not allow you to " + description + ".";
+}
+
+/*
+
+A function that determines whether a role grants a permission.
+
+Input:
+The role (e.g. 'child') and the name of a permission (e.g. 'manage_devices').
+
+Output:
+True if the role grants the permission, otherwise false. Unknown roles grant nothing.
+
+*/
+
+function hasPermission(role, permission) {
+    return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/*
+
+A function that determines whether a role may change one setting of a device.
+
+Input:
+The role, the device's type (e.g. 'Oven'), or undefined for any type the role is not restricted from, and the name of an optional device field (e.g. 'temperature').
+
+Output:
+True if the role may change the field on a device of the type, otherwise false.
+
+*/
+
+function canControlDevice(role, deviceType, field) {
+
+    if (!hasPermission(role, "control_devices")) {
+        return false;
+    }
+    if (role === "child") {
+        return CHILD_CONTROL_FIELDS.includes(field) && !(field === "temperature" && CHILD_RESTRICTED_DEVICE_TYPES.includes(deviceType));
+    }
+    return true;
+}
+
+/*
+
+A function that checks a change to a device against the role of the member making it.
+
+Input:
+The context of the change (see devices.js), the device's field representation before the change (NULL when the device is being created) and its validated field values after the change (NULL when the device is being deleted).
+
+Output:
+A 403 error describing why the change is not allowed, or NULL if it is allowed. Changes whose context has no role (e.g. those made by automations) are always allowed.
+
+*/
+
+function checkDeviceChange(context, before, after) {
+
+    let role = context.role;
+
+    if (!role) {
+        return null;
+    }
+
+    let name = (after || before).custom_name;
+
+    if (!before || !after) {
+        let action = (before ? "Delete " : "Add ") + name;
+        return hasPermission(role, "manage_devices") ? null : permissionError(action, deniedMessage(role, PERMISSIONS.manage_devices));
+    }
+
+    let action = "Change " + name;
+
+    let detailsChanged = DEVICE_DETAIL_FIELDS.some((field) => after[field] !== before[field]);
+
+    if (detailsChanged && !hasPermission(role, "manage_devices")) {
+        return permissionError(action, deniedMessage(role, PERMISSIONS.manage_devices));
+    }
+
+    let changedFields = Object.keys(FIELD_DEFINITIONS).filter((field) => after[field] !== before[field]);
+
+    if (changedFields.length > 0 && !hasPermission(role, "control_devices")) {
+        return permissionError(action, deniedMessage(role, PERMISSIONS.control_devices));
+    }
+
+    let deniedField = changedFields.find((field) => !canControlDevice(role, before.device_type, field));
+
+    if (deniedField === "temperature" && CHILD_RESTRICTED_DEVICE_TYPES.includes(before.device_type)) {
+        return permissionError(action, deniedMessage(role, "change the temperature of a heating appliance (" + before.device_type + ")"));
+    }
+
+    if (deniedField) {
+        let label = FIELD_DEFINITIONS[deniedField].label.replace(/ \(.*\)$/, "").toLowerCase();
+        return permissionError(action, deniedMessage(role, "change the " + label + " setting of a device"));
+    }
+
+    return null;
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To record an attempt that was denied in the 'Permission Denials' table.
+
+Input:
+The member who made the attempt (a user or a context of a change, each carrying the 'householdID', 'userID', 'username' and 'role'), the 403 error describing the denial and a callback.
+
+Output:
+The callback receives no arguments. A failure to record the denial is logged rather than passed on, so that the member still sees why the attempt was denied.
+
+*/
+
+function recordDenial(member, err, callback) {
+
+    let sqlQueryInsertDenial = "INSERT INTO permissiondenials (Household_ID, User_ID, Username, Role, Action, Reason, Denied_At) VALUES (?,?,?,?,?,?,?)";
+
+    let denialRecord = [member.householdID, member.userID, member.username, member.role, err.action, err.message, new Date().toISOString()];
+
+    db.query(sqlQueryInsertDenial, denialRecord, (insertErr) => {
+        if (insertErr) {
+            console.error("Could not record a permission denial:", insertErr);
+        }
+        callback();
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To list the most recent denied attempts of a household, most recent first.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and up to DENIAL_LOG_LIMIT denials, each with the 'username' and 'role' of the member, the 'action' they attempted, the 'reason' it was denied and when it was denied ('deniedAt', and 'deniedAtText' for display).
+
+*/
+
+function listDenials(householdID, callback) {
+
+    let sqlQueryDenials = "SELECT * FROM permissiondenials WHERE Household_ID = ? ORDER BY Denial_ID DESC LIMIT " + DENIAL_LOG_LIMIT;
+
+    db.query(sqlQueryDenials, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            username: row.Username,
+            role: row.Role,
+            action: row.Action,
+            reason: row.Reason,
+            deniedAt: row.Denied_At,
+            deniedAtText: new Date(row.Denied_At).toLocaleString()
+        })));
+    });
+}
+
+/*
+
+A function that responds to a request which was denied.
+
+Input:
+The request and response objects and the 403 error describing the denial.
+
+Output:
+A JSON API request receives a 403 status code with a JSON error body; a page request receives the 'Permission Denied' HTML page with a 403 status code.
+
+*/
+
+function sendDenial(req, res, err) {
+
+    if (req.path.toLowerCase().startsWith("/api/")) {
+        return res.status(403).json({ error: err.message });
+    }
+
+    res.status(403).render("denied.ejs", { errorMessage: err.message });
+}
+
+/*
+
+A function that builds the context of a change (see devices.js) made by the logged-in member of a request.
+
+Input:
+The request and the origin of the change ('web' or 'api').
+
+Output:
+The context, carrying the member's household, user ID, username and role, so that the change is checked against the role and a denial can be recorded against the member.
+
+*/
+
+function memberContext(req, origin) {
+    return {
+        origin: origin,
+        householdID: req.user.householdID,
+        userID: req.user.userID,
+        username: req.user.username,
+        role: req.user.role
+    };
+}
+
+/*
+
+Middleware that requires the logged-in user's role to grant a permission.
+
+Input:
+The name of the permission (see PERMISSIONS). The middleware must run after requireLogin (see sessions.js).
+
+Output:
+A middleware function. Requests from users whose role grants the permission continue; any other request is recorded as a denial and answered by sendDenial.
+
+*/
+
+function requirePermission(permission) {
+    return function (req, res, next) {
+
+        if (hasPermission(req.user.role, permission)) {
+            return next();
+        }
+
+        let err = permissionError(req.method + " " + req.path, deniedMessage(req.user.role, PERMISSIONS[permission]));
+
+        recordDenial(req.user, err, () => {
+            sendDenial(req, res, err);
+        });
+    };
+}
+
+module.exports = {
+    ROLES,
+    ROLE_LABELS,
+    PERMISSIONS,
+    hasPermission,
+    canControlDevice,
+    checkDeviceChange,
+    recordDenial,
+    listDenials,
+    sendDenial,
+    memberContext,
+    requirePermission
+};
@@ -0,0 +1,343 @@
+/*
+
+Rooms.
+
+Purpose:
+To organise a household's devices into rooms or zones (e.g. 'Kitchen', 'Living Room' or 'Garage'). Each household has its own rooms, with names that are unique within the household. Rooms are stored in the 'Rooms' table and a device is assigned to a room through its 'room_ID' field (see devices.js). A room can be renamed or deleted; deleting a room leaves its devices unassigned. Room-level actions switch every device in a room on or off through the same device update path as the forms.
+
+Errors passed to callbacks carry a 'status' property: 400 for invalid fields, 404 for an unknown room and 409 for a room name that is already in use. Errors with a 400 or 409 status also carry a 'fields' property which maps each offending field to a message. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const { validate, hasErrors } = require("./validation");
+const { patchDevice } = require("./devices");
+
+const roomSchema = {
+    room_name: {
+        type: "string",
+        label: "Room name",
+        required: true,
+        pattern: /^[a-zA-Z0-9][a-zA-Z0-9 '&-]*$/,
+        minLength: 1,
+        maxLength: 30,
+        messages: {
+            required: "Enter a room name.",
+            pattern: "Enter a room name (up to 30 chars.) using letters, numbers, spaces, ' & or -."
+        }
+    }
+};
+
+function roomError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+function roomNameTakenError(roomName) {
+    let message = "A room named '" + roomName + "' already exists. Choose a different name.";
+    return roomError(409, message, { room_name: message });
+}
+
+// Validate a room's name, collapsing runs of spaces so that 'Living  Room' and 'Living Room' are the same room
+
+function validateRoom(input) {
+
+    let { values, errors } = validate(roomSchema, input);
+
+    if (values.room_name) {
+        values.room_name = values.room_name.replace(/\s+/g, " ");
+    }
+
+    return { values: values, errors: errors };
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To ensure that a room name is not already used by another room of the same household. Room names are compared case-insensitively.
+
+Input:
+The room name, the ID of the room being renamed (NULL when a room is being created), the household ID and a callback.
+
+Output:
+A 409 error if another room of the household uses the name, otherwise no error.
+
+*/
+
+function checkRoomNameAvailable(roomName, roomID, householdID, callback) {
+
+    db.query("SELECT Room_ID FROM rooms WHERE LOWER(Room_Name) = LOWER(?) AND Household_ID = ?", [roomName, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let clash = result.some((row) => String(row.Room_ID) !== String(roomID));
+
+        callback(clash ? roomNameTakenError(roomName) : null);
+    });
+}
+
+/*
+
+A function that lists every room of a household.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and the rooms ordered by name, each with its 'roomID', 'roomName' and 'deviceCount'.
+
+*/
+
+function listRooms(householdID, callback) {
+
+    let sqlQueryRooms = "SELECT rooms.Room_ID, rooms.Room_Name, COUNT(devicenames.Device_Type_ID) AS Device_Count FROM rooms LEFT JOIN devicenames ON devicenames.Room_ID = rooms.Room_ID WHERE rooms.Household_ID = ? GROUP BY rooms.Room_ID, rooms.Room_Name ORDER BY rooms.Room_Name";
+
+    db.query(sqlQueryRooms, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            roomID: row.Room_ID,
+            roomName: row.Room_Name,
+            deviceCount: Number(row.Device_Count)
+        })));
+    });
+}
+
+/*
+
+A function that retrieves a room.
+
+Input:
+The room ID, the ID of the household that owns the room and a callback.
+
+Output:
+The callback receives an error (if any) and the room's record, or undefined if the household has no room with the given ID.
+
+*/
+
+function getRoom(roomID, householdID, callback) {
+    db.query("SELECT * FROM rooms WHERE Room_ID = ? AND Household_ID = ?", [roomID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result[0]);
+    });
+}
+
+// A unique index on the room name rejects a clash that races past the check
+
+function translateRoomWriteError(err, roomName) {
+    if (err && err.code === "ER_DUP_ENTRY") {
+        return roomNameTakenError(roomName);
+    }
+    return err;
+}
+
+/*
+
+A function that creates a room.
+
+Input:
+The ID of the household the room belongs to, raw room field data (e.g. a form's request body) and a callback.
+
+Output:
+The callback receives an error (if any) and the ID of the new room.
+
+*/
+
+function createRoom(householdID, input, callback) {
+
+    let { values, errors } = validateRoom(input);
+
+    if (hasErrors(errors)) {
+        return callback(roomError(400, errors.room_name, errors));
+    }
+
+    checkRoomNameAvailable(values.room_name, null, householdID, (err) => {
+        if (err) {
+            return callback(err);
+        }
+        db.query("INSERT INTO rooms (Room_Name, Household_ID, Created_At) VALUES (?,?,?)", [values.room_name, householdID, new Date().toISOString()], (err, result) => {
+            if (err) {
+                return callback(translateRoomWriteError(err, values.room_name));
+            }
+            callback(null, result.insertId);
+        });
+    });
+}
+
+/*
+
+A function that renames a room.
+
+Input:
+The room ID, the ID of the household that owns the room, raw room field data (e.g. a form's request body) and a callback.
+
+Output:
+The callback receives an error (if any). A 404 error is returned if the household has no room with the given ID.
+
+*/
+
+function renameRoom(roomID, householdID, input, callback) {
+
+    let { values, errors } = validateRoom(input);
+
+    if (hasErrors(errors)) {
+        return callback(roomError(400, errors.room_name, errors));
+    }
+
+    checkRoomNameAvailable(values.room_name, roomID, householdID, (err) => {
+        if (err) {
+            return callback(err);
+        }
+        db.query("UPDATE rooms SET Room_Name = ? WHERE Room_ID = ? AND Household_ID = ?", [values.room_name, roomID, householdID], (err, result) => {
+            if (err) {
+                return callback(translateRoomWriteError(err, values.room_name));
+            }
+            if (result.affectedRows === 0) {
+                return callback(roomError(404, "Room not found"));
+            }
+            callback(null);
+        });
+    });
+}
+
+/*
+
+A function that deletes a room.
+
+Input:
+The room ID, the ID of the household that owns the room and a callback.
+
+Output:
+The callback receives an error (if any). A 404 error is returned if the household has no room with the given ID. The room's devices are left unassigned by the ON DELETE SET NULL referential action.
+
+*/
+
+function deleteRoom(roomID, householdID, callback) {
+
+    db.query("DELETE FROM rooms WHERE Room_ID = ? AND Household_ID = ?", [roomID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.affectedRows === 0) {
+            return callback(roomError(404, "Room not found"));
+        }
+        callback(null);
+    });
+}
+
+/*
+
+A function that groups devices of a household by room for the dashboard.
+
+Input:
+The household ID, the devices to group (joined 'Device Names' and 'Device Types' records, e.g. a page of search results, see devicesearch.js) and a callback.
+
+Output:
+The callback receives an error (if any) and an object containing 'deviceList', the devices; 'rooms', every room ordered by name with its 'roomID', 'roomName' and 'devices'; and 'unassignedDevices', the devices that are not assigned to a room. Devices keep their order within each group.
+
+*/
+
+function listDevicesByRoom(householdID, deviceList, callback) {
+
+    db.query("SELECT * FROM rooms WHERE Household_ID = ? ORDER BY Room_Name", [householdID], (err, roomRows) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let rooms = roomRows.map((row) => ({
+            roomID: row.Room_ID,
+            roomName: row.Room_Name,
+            devices: deviceList.filter((device) => device.Room_ID === row.Room_ID)
+        }));
+
+        callback(null, {
+            deviceList: deviceList,
+            rooms: rooms,
+            unassignedDevices: deviceList.filter((device) => !device.Room_ID)
+        });
+    });
+}
+
+/*
+
+A function that switches every device in a room on or off.
+
+Purpose:
+To apply a room-level action such as 'turn everything in the Kitchen off'. Each device is updated on its own through the same validated update path as the forms, so that each change is recorded in the device history and pushed to open pages; a device that cannot be updated does not stop the others.
+
+Input:
+The room ID, 1 to switch on or 0 to switch off, the context of the change (see devices.js) and a callback.
+
+Output:
+The callback receives an error (if any) and a summary containing the 'room' name, and the custom names of the devices 'changed', those 'unchanged' because they were already in the requested state, and those that 'failed' (each with a 'message'). A 404 error is returned if the context's household has no room with the given ID.
+
+*/
+
+function switchRoomDevices(roomID, onOff, context, callback) {
+
+    getRoom(roomID, context.householdID, (err, room) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!room) {
+            return callback(roomError(404, "Room not found"));
+        }
+
+        let sqlQueryRoomDevices = "SELECT * FROM devicenames JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID WHERE devicenames.Room_ID = ? AND devicetypes.On_Off IS NOT NULL ORDER BY devicenames.Custom_Name";
+
+        db.query(sqlQueryRoomDevices, [roomID], (err, devices) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let summary = { room: room.Room_Name, changed: [], unchanged: [], failed: [] };
+
+            function next(index) {
+                if (index === devices.length) {
+                    return callback(null, summary);
+                }
+
+                let device = devices[index];
+
+                if (device.On_Off === onOff) {
+                    summary.unchanged.push(device.Custom_Name);
+                    return next(index + 1);
+                }
+
+                patchDevice(device.Device_Type_ID, { on_off: onOff }, context, (err) => {
+                    if (err && !err.status) {
+                        console.error("Room " + roomID + " could not update device " + device.Device_Type_ID + ":", err);
+                    }
+                    if (err) {
+                        summary.failed.push({ customName: device.Custom_Name, message: err.status ? err.message : "The device could not be updated." });
+                    }
+                    else {
+                        summary.changed.push(device.Custom_Name);
+                    }
+                    next(index + 1);
+                });
+            }
+
+            next(0);
+        });
+    });
+}
+
+module.exports = {
+    listRooms,
+    listDevicesByRoom,
+    getRoom,
+    createRoom,
+    renameRoom,
+    deleteRoom,
+    switchRoomDevices
+};
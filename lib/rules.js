@@ -0,0 +1,812 @@
+/*
+
+Automation rules.
+
+Purpose:
+To store a household's rules of the form 'when <trigger>, if <conditions>, then <actions>', and to record each time a rule fires. A rule can only watch and set the devices of its own household. The rules are evaluated by the rules engine (see rulesengine.js).
+
+A rule has one trigger:
+
+    change      A device field changes so that a comparison becomes true, e.g. 'Security_Alarm On/Off is On'.
+    duration    A comparison has stayed true for a number of minutes, e.g. 'Kitchen_Oven On/Off is On for 120 minutes'. The rule fires once each time the comparison has held for that long.
+    time        A cron expression matches (see cron.js).
+
+Conditions are further comparisons on any device field which must all hold when the rule is triggered. Actions set a field of a device to a value.
+
+Errors passed to callbacks carry a 'status' property: 400 for invalid fields (with a 'fields' property mapping each offending field to a message; fields of a condition or action are named e.g. 'conditions.0.value') and 404 for an unknown rule. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const { FIELD_DEFINITIONS, supportsField, getFieldRange } = require("./devicecatalog");
+const { OPTIONAL_DEVICE_FIELDS } = require("./devicefields");
+const { validate, hasErrors } = require("./validation");
+const { parseCronExpression, nextCronTime, describeCronExpression } = require("./cron");
+const { toDeviceResource } = require("./devices");
+const { formatFieldValue } = require("./history");
+const { SCHEDULE_ACTION_FIELDS } = require("./schedules");
+
+const RULE_TRIGGER_TYPES = ["change", "duration", "time"];
+
+// The comparisons a trigger or condition can make. Switch fields can only be compared with 'is' and 'is not'.
+
+const RULE_OPERATORS = {
+    eq: { label: "is", test: (a, b) => a === b },
+    ne: { label: "is not", test: (a, b) => a !== b },
+    gt: { label: "is above", test: (a, b) => a > b },
+    ge: { label: "is at least", test: (a, b) => a >= b },
+    lt: { label: "is below", test: (a, b) => a < b },
+    le: { label: "is at most", test: (a, b) => a <= b }
+};
+
+const SWITCH_OPERATORS = ["eq", "ne"];
+
+// Any device field can be compared; the fields an action can set are the same as for a schedule
+
+const RULE_CONDITION_FIELDS = OPTIONAL_DEVICE_FIELDS;
+const RULE_ACTION_FIELDS = SCHEDULE_ACTION_FIELDS;
+
+const MAX_RULE_CONDITIONS = 10;
+const MAX_RULE_ACTIONS = 10;
+
+// The longest a duration trigger can wait: one week
+
+const MAX_TRIGGER_MINUTES = 7 * 24 * 60;
+
+// The number of most recent firings shown on the rules page
+
+const RULE_FIRINGS_LIMIT = 50;
+
+const ruleSchema = {
+    name: {
+        type: "string",
+        label: "Rule name",
+        required: true,
+        pattern: /^.+$/,
+        minLength: 1,
+        maxLength: 50,
+        messages: { required: "Enter a name for the rule.", pattern: "Rule name must be at most 50 characters." }
+    },
+    trigger_type: {
+        type: "string",
+        label: "Trigger",
+        required: true,
+        oneOf: () => RULE_TRIGGER_TYPES
+    },
+    trigger_device_type_ID: {
+        type: "id",
+        label: "Device",
+        required: (values) => values.trigger_type !== "time",
+        messages: { required: "Select a device." }
+    },
+    trigger_field: { type: "string", label: "Setting", required: (values) => values.trigger_type !== "time", messages: { required: "Select the setting to watch." } },
+    trigger_operator: { type: "string", label: "Comparison", required: (values) => values.trigger_type !== "time", oneOf: () => Object.keys(RULE_OPERATORS) },
+    trigger_value: { type: "integer", label: "Value", required: (values) => values.trigger_type !== "time", messages: { required: "Enter the value to compare with." } },
+    trigger_minutes: {
+        type: "integer",
+        label: "Minutes",
+        required: (values) => values.trigger_type === "duration",
+        range: () => ({ min: 1, max: MAX_TRIGGER_MINUTES }),
+        messages: { required: "Enter how many minutes the comparison must hold for." }
+    },
+    trigger_cron: {
+        type: "string",
+        label: "Cron expression",
+        required: (values) => values.trigger_type === "time"
+    }
+};
+
+const conditionSchema = {
+    device_type_ID: { type: "id", label: "Device", required: true, messages: { required: "Select a device." } },
+    field: { type: "string", label: "Setting", required: true, messages: { required: "Select a setting." } },
+    operator: { type: "string", label: "Comparison", required: true, oneOf: () => Object.keys(RULE_OPERATORS) },
+    value: { type: "integer", label: "Value", required: true, messages: { required: "Enter the value to compare with." } }
+};
+
+const actionSchema = {
+    device_type_ID: { type: "id", label: "Device", required: true, messages: { required: "Select a device." } },
+    field: {
+        type: "string",
+        label: "Setting",
+        required: true,
+        oneOf: () => RULE_ACTION_FIELDS,
+        messages: { required: "Select the setting to change." }
+    },
+    value: { type: "integer", label: "Value", required: true, messages: { required: "Enter the value to set." } }
+};
+
+function ruleError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+/*
+
+A function that compares a device's field with a value.
+
+Input:
+The device's field representation (undefined if the device does not exist), the field, an operator code (e.g. 'gt') and the value to compare with.
+
+Output:
+True if the comparison holds. A comparison on a missing device, or on a field that does not apply to the device, never holds.
+
+*/
+
+function compareDeviceField(device, field, operator, value) {
+    if (!device || device[field] === null || device[field] === undefined) {
+        return false;
+    }
+    return RULE_OPERATORS[operator].test(device[field], value);
+}
+
+// Check a comparison (of a trigger or condition) against the device it refers to, adding any errors under the given field names
+
+function checkComparison(comparison, device, names, errors) {
+
+    if (!errors[names.device_type_ID] && comparison.device_type_ID && !device) {
+        errors[names.device_type_ID] = "Select one of your devices.";
+    }
+    if (!errors[names.field] && comparison.field && RULE_CONDITION_FIELDS.indexOf(comparison.field) === -1) {
+        errors[names.field] = "Select one of the listed settings.";
+    }
+    if (!device || errors[names.field] || !comparison.field) {
+        return;
+    }
+
+    let label = FIELD_DEFINITIONS[comparison.field].label;
+
+    if (!supportsField(device.Device_Type, comparison.field)) {
+        errors[names.field] = label + " is not supported by " + device.Device_Type + ".";
+    }
+    else if (FIELD_DEFINITIONS[comparison.field].control !== "range") {
+        if (!errors[names.operator] && comparison.operator && SWITCH_OPERATORS.indexOf(comparison.operator) === -1) {
+            errors[names.operator] = label + " can only be compared with 'is' or 'is not'.";
+        }
+        if (!errors[names.value] && comparison.value !== null && comparison.value !== 0 && comparison.value !== 1) {
+            errors[names.value] = label + " must be 0 or 1.";
+        }
+    }
+}
+
+// Check an action against its device in the same way as a device update
+
+function checkAction(action, device, names, errors) {
+
+    if (!errors[names.device_type_ID] && action.device_type_ID && !device) {
+        errors[names.device_type_ID] = "Select one of your devices.";
+    }
+    if (!device || errors[names.field] || !action.field) {
+        return;
+    }
+
+    let label = FIELD_DEFINITIONS[action.field].label;
+
+    if (!supportsField(device.Device_Type, action.field)) {
+        errors[names.field] = label + " is not supported by " + device.Device_Type + ".";
+    }
+    else if (!errors[names.value] && action.value !== null) {
+        if (FIELD_DEFINITIONS[action.field].control === "range") {
+            let range = getFieldRange(device.Device_Type, action.field);
+            if (action.value < range.min || action.value > range.max) {
+                errors[names.value] = label + " must be " + range.min + "–" + range.max + " for " + device.Device_Type + ".";
+            }
+        }
+        else if (action.value !== 0 && action.value !== 1) {
+            errors[names.value] = label + " must be 0 or 1.";
+        }
+    }
+}
+
+// Validate the rows of a list of conditions or actions, naming the errors of row i e.g. 'conditions.<i>.value'
+
+function validateRows(listName, rows, schema, devices, check, errors) {
+    return rows.map((row, index) => {
+
+        let result = validate(schema, row);
+        let names = {};
+
+        Object.keys(schema).forEach((field) => {
+            names[field] = listName + "." + index + "." + field;
+            if (result.errors[field]) {
+                errors[names[field]] = result.errors[field];
+            }
+        });
+
+        check(result.values, devices[result.values.device_type_ID], names, errors);
+
+        return result.values;
+    });
+}
+
+// Form rows are submitted as an array of objects (or an object keyed by index when the rows are numbered sparsely)
+
+function toRows(input) {
+    if (!input || typeof input !== "object") {
+        return [];
+    }
+    return Object.keys(input).map((key) => input[key]).filter((row) => row && typeof row === "object");
+}
+
+/*
+
+A function that validates a new rule against the devices it refers to.
+
+Input:
+Raw rule field data (e.g. a form's request body, with 'conditions' and 'actions' lists), the device records keyed by device type ID and the current time.
+
+Output:
+An object containing the 'rule' to store (its trigger, conditions, actions and the initial state of its trigger) and the 'errors' keyed by field name.
+
+*/
+
+function validateRule(input, devices, now) {
+
+    let { values, errors } = validate(ruleSchema, input);
+
+    // The form submits the fields of every trigger type, so only those for the chosen trigger are kept
+
+    if (values.trigger_type === "time") {
+        ["trigger_device_type_ID", "trigger_field", "trigger_operator", "trigger_value"].forEach((field) => {
+            delete errors[field];
+            values[field] = null;
+        });
+    }
+    if (values.trigger_type !== "duration") {
+        delete errors.trigger_minutes;
+        values.trigger_minutes = null;
+    }
+    if (values.trigger_type !== "time") {
+        delete errors.trigger_cron;
+        values.trigger_cron = null;
+    }
+
+    let trigger = {
+        device_type_ID: values.trigger_device_type_ID,
+        field: values.trigger_field,
+        operator: values.trigger_operator,
+        value: values.trigger_value
+    };
+
+    if (values.trigger_type && values.trigger_type !== "time") {
+        checkComparison(trigger, devices[trigger.device_type_ID], {
+            device_type_ID: "trigger_device_type_ID",
+            field: "trigger_field",
+            operator: "trigger_operator",
+            value: "trigger_value"
+        }, errors);
+    }
+
+    let nextRunAt = null;
+
+    if (values.trigger_type === "time" && !errors.trigger_cron) {
+        try {
+            parseCronExpression(values.trigger_cron);
+            values.trigger_cron = values.trigger_cron.trim().split(/\s+/).join(" ");
+            nextRunAt = nextCronTime(values.trigger_cron, now);
+            if (!nextRunAt) {
+                errors.trigger_cron = "This trigger never fires.";
+            }
+        }
+        catch (err) {
+            errors.trigger_cron = err.message;
+        }
+    }
+
+    let conditionRows = toRows(input.conditions);
+    let actionRows = toRows(input.actions);
+
+    if (conditionRows.length > MAX_RULE_CONDITIONS) {
+        errors.conditions = "A rule can have at most " + MAX_RULE_CONDITIONS + " conditions.";
+        conditionRows = [];
+    }
+    if (actionRows.length === 0) {
+        errors.actions = "Add at least one action.";
+    }
+    else if (actionRows.length > MAX_RULE_ACTIONS) {
+        errors.actions = "A rule can have at most " + MAX_RULE_ACTIONS + " actions.";
+        actionRows = [];
+    }
+
+    let conditions = validateRows("conditions", conditionRows, conditionSchema, devices, checkComparison, errors);
+    let actions = validateRows("actions", actionRows, actionSchema, devices, checkAction, errors);
+
+    // A duration trigger whose comparison already holds starts counting from now
+
+    let conditionSince = null;
+
+    if (values.trigger_type === "duration" && !hasErrors(errors)) {
+        let device = toDeviceResource(devices[trigger.device_type_ID]);
+        if (compareDeviceField(device, trigger.field, trigger.operator, trigger.value)) {
+            conditionSince = now.toISOString();
+        }
+    }
+
+    return {
+        rule: {
+            name: values.name,
+            triggerType: values.trigger_type,
+            trigger: trigger,
+            triggerMinutes: values.trigger_minutes,
+            triggerCron: values.trigger_cron,
+            conditionSince: conditionSince,
+            nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+            conditions: conditions,
+            actions: actions
+        },
+        errors: errors
+    };
+}
+
+/*
+
+A function that retrieves every device record of a household keyed by device type ID.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and an object mapping each device type ID to its joined 'Device Names' and 'Device Types' record.
+
+*/
+
+function getDevicesByID(householdID, callback) {
+
+    let sqlQueryDevices = "SELECT * FROM devicetypes JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID WHERE devicenames.Household_ID = ?";
+
+    db.query(sqlQueryDevices, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        let devices = {};
+        result.forEach((row) => {
+            devices[row.Device_Type_ID] = row;
+        });
+        callback(null, devices);
+    });
+}
+
+function insertRows(connection, sql, records, callback) {
+    if (records.length === 0) {
+        return callback(null);
+    }
+    connection.query(sql, records[0], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        insertRows(connection, sql, records.slice(1), callback);
+    });
+}
+
+/*
+
+A function that creates a rule.
+
+Purpose:
+To insert the rule into the 'Rules' table, and its conditions and actions into the 'Rule Conditions' and 'Rule Actions' tables, in one transaction. The rule is enabled when created.
+
+Input:
+The ID of the household the rule belongs to, raw rule field data (e.g. a form's request body) and a callback.
+
+Output:
+The callback receives an error (if any) and the ID of the new rule.
+
+*/
+
+function createRule(householdID, input, callback) {
+
+    getDevicesByID(householdID, (err, devices) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let { rule, errors } = validateRule(input, devices, new Date());
+
+        if (hasErrors(errors)) {
+            let messages = Object.keys(errors).map((field) => errors[field]);
+            return callback(ruleError(400, messages.join(" "), errors));
+        }
+
+        db.transaction((connection, done) => {
+
+            let sqlQueryInsertRule = "INSERT INTO rules (Name, Household_ID, Enabled, Trigger_Type, Trigger_Device_Type_ID, Trigger_Field, Trigger_Operator, Trigger_Value, Trigger_Minutes, Trigger_Cron, Condition_Since, Duration_Fired, Next_Run_At, Created_At) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)";
+
+            let ruleRecord = [rule.name, householdID, 1, rule.triggerType, rule.trigger.device_type_ID, rule.trigger.field, rule.trigger.operator, rule.trigger.value, rule.triggerMinutes, rule.triggerCron, rule.conditionSince, 0, rule.nextRunAt, new Date().toISOString()];
+
+            connection.query(sqlQueryInsertRule, ruleRecord, (err, result) => {
+                if (err) {
+                    return done(err);
+                }
+
+                let ruleID = result.insertId;
+
+                let conditionRecords = rule.conditions.map((condition) => [ruleID, condition.device_type_ID, condition.field, condition.operator, condition.value]);
+                let actionRecords = rule.actions.map((action) => [ruleID, action.device_type_ID, action.field, action.value]);
+
+                insertRows(connection, "INSERT INTO ruleconditions (Rule_ID, Device_Type_ID, Field, Operator, Value) VALUES (?,?,?,?,?)", conditionRecords, (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    insertRows(connection, "INSERT INTO ruleactions (Rule_ID, Device_Type_ID, Field, Value) VALUES (?,?,?,?)", actionRecords, (err) => {
+                        done(err, ruleID);
+                    });
+                });
+            });
+        }, callback);
+    });
+}
+
+// Describe a device by its custom name, or note that it has been deleted
+
+function deviceName(devices, deviceTypeID) {
+    return devices[deviceTypeID] ? devices[deviceTypeID].Custom_Name : "(deleted device)";
+}
+
+// Describe a comparison, e.g. 'Security_Alarm On/Off is On'
+
+function describeComparison(devices, deviceTypeID, field, operator, value) {
+    return deviceName(devices, deviceTypeID) + " " + FIELD_DEFINITIONS[field].label + " " + RULE_OPERATORS[operator].label + " " + formatFieldValue(field, value);
+}
+
+function describeAction(devices, deviceTypeID, field, value) {
+    return "Set " + deviceName(devices, deviceTypeID) + " " + FIELD_DEFINITIONS[field].label + " to " + formatFieldValue(field, value);
+}
+
+/*
+
+A function that converts a 'Rules' record, with its conditions and actions, into a rule for display.
+
+Input:
+A row of the 'Rules' table, its rows of the 'Rule Conditions' and 'Rule Actions' tables, and the device records keyed by device type ID.
+
+Output:
+An object containing the rule's details and descriptions of its trigger, conditions and actions.
+
+*/
+
+function toRuleView(row, conditions, actions, devices) {
+
+    let trigger;
+
+    if (row.Trigger_Type === "time") {
+        trigger = describeCronExpression(row.Trigger_Cron);
+    }
+    else {
+        trigger = "When " + describeComparison(devices, row.Trigger_Device_Type_ID, row.Trigger_Field, row.Trigger_Operator, row.Trigger_Value);
+        if (row.Trigger_Type === "duration") {
+            trigger += " for " + row.Trigger_Minutes + (row.Trigger_Minutes === 1 ? " minute" : " minutes");
+        }
+    }
+
+    return {
+        ruleID: row.Rule_ID,
+        name: row.Name,
+        enabled: Boolean(row.Enabled),
+        triggerType: row.Trigger_Type,
+        trigger: trigger,
+        conditions: conditions.map((condition) => describeComparison(devices, condition.Device_Type_ID, condition.Field, condition.Operator, condition.Value)),
+        actions: actions.map((action) => describeAction(devices, action.Device_Type_ID, action.Field, action.Value))
+    };
+}
+
+// Group rows of the 'Rule Conditions' or 'Rule Actions' table by rule ID
+
+function groupByRule(rows) {
+    let groups = {};
+    rows.forEach((row) => {
+        (groups[row.Rule_ID] = groups[row.Rule_ID] || []).push(row);
+    });
+    return groups;
+}
+
+/*
+
+A function that lists every rule of a household.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and the rules for display, ordered by name.
+
+*/
+
+function listRules(householdID, callback) {
+
+    getDevicesByID(householdID, (err, devices) => {
+        if (err) {
+            return callback(err);
+        }
+        db.query("SELECT * FROM rules WHERE Household_ID = ? ORDER BY Name, Rule_ID", [householdID], (err, rules) => {
+            if (err) {
+                return callback(err);
+            }
+            db.query("SELECT ruleconditions.* FROM ruleconditions JOIN rules ON ruleconditions.Rule_ID = rules.Rule_ID WHERE rules.Household_ID = ? ORDER BY ruleconditions.Condition_ID", [householdID], (err, conditions) => {
+                if (err) {
+                    return callback(err);
+                }
+                db.query("SELECT ruleactions.* FROM ruleactions JOIN rules ON ruleactions.Rule_ID = rules.Rule_ID WHERE rules.Household_ID = ? ORDER BY ruleactions.Action_ID", [householdID], (err, actions) => {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    let conditionsByRule = groupByRule(conditions);
+                    let actionsByRule = groupByRule(actions);
+
+                    callback(null, rules.map((rule) => toRuleView(rule, conditionsByRule[rule.Rule_ID] || [], actionsByRule[rule.Rule_ID] || [], devices)));
+                });
+            });
+        });
+    });
+}
+
+/*
+
+A function that lists the most recent firings of a household's rules.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and up to RULE_FIRINGS_LIMIT firings, most recent first, each with its rule's name.
+
+*/
+
+function listRuleFirings(householdID, callback) {
+
+    let sqlQueryFirings = "SELECT rulefirings.*, rules.Name FROM rulefirings JOIN rules ON rulefirings.Rule_ID = rules.Rule_ID WHERE rules.Household_ID = ? ORDER BY rulefirings.Fired_At DESC, rulefirings.Firing_ID DESC LIMIT " + RULE_FIRINGS_LIMIT;
+
+    db.query(sqlQueryFirings, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            firingID: row.Firing_ID,
+            ruleID: row.Rule_ID,
+            name: row.Name,
+            firedAtText: new Date(row.Fired_At).toLocaleString(),
+            outcome: row.Outcome,
+            message: row.Message
+        })));
+    });
+}
+
+/*
+
+A function that enables or disables a rule.
+
+Purpose:
+To stop a rule from firing without deleting it. A rule that is enabled again starts afresh: a time trigger fires next at its first time after it is enabled, and a duration trigger counts from when it is enabled if its comparison already holds.
+
+Input:
+The rule ID, the ID of the household that owns the rule, true to enable or false to disable, and a callback.
+
+Output:
+The callback receives an error (if any). A 404 error is returned if the household has no rule with the given ID.
+
+*/
+
+function setRuleEnabled(ruleID, householdID, enabled, callback) {
+
+    db.query("SELECT * FROM rules WHERE Rule_ID = ? AND Household_ID = ?", [ruleID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(ruleError(404, "Rule not found"));
+        }
+
+        let rule = result[0];
+        let now = new Date();
+
+        getDevicesByID(householdID, (err, devices) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let nextRunAt = null;
+            let conditionSince = null;
+
+            if (enabled && rule.Trigger_Type === "time") {
+                let next = nextCronTime(rule.Trigger_Cron, now);
+                nextRunAt = next ? next.toISOString() : null;
+            }
+            if (enabled && rule.Trigger_Type === "duration") {
+                let device = devices[rule.Trigger_Device_Type_ID] ? toDeviceResource(devices[rule.Trigger_Device_Type_ID]) : undefined;
+                if (compareDeviceField(device, rule.Trigger_Field, rule.Trigger_Operator, rule.Trigger_Value)) {
+                    conditionSince = now.toISOString();
+                }
+            }
+
+            let sqlQueryUpdateRule = "UPDATE rules SET Enabled = ?, Condition_Since = ?, Duration_Fired = 0, Next_Run_At = ? WHERE Rule_ID = ?";
+
+            db.query(sqlQueryUpdateRule, [enabled ? 1 : 0, conditionSince, nextRunAt, ruleID], (err) => {
+                callback(err || null);
+            });
+        });
+    });
+}
+
+/*
+
+A function that deletes a rule with its conditions, actions and recorded firings.
+
+Input:
+The rule ID, the ID of the household that owns the rule and a callback.
+
+Output:
+The callback receives an error (if any). A 404 error is returned if the household has no rule with the given ID.
+
+*/
+
+function deleteRule(ruleID, householdID, callback) {
+
+    db.query("DELETE FROM rules WHERE Rule_ID = ? AND Household_ID = ?", [ruleID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.affectedRows === 0) {
+            return callback(ruleError(404, "Rule not found"));
+        }
+        callback(null);
+    });
+}
+
+/*
+
+A function that retrieves the enabled rules triggered by changes to a device.
+
+Input:
+The device type ID and a callback.
+
+Output:
+The callback receives an error (if any) and the rows of the enabled 'change' and 'duration' rules whose trigger watches the device.
+
+*/
+
+function getDeviceTriggeredRules(deviceTypeID, callback) {
+
+    let sqlQueryRules = "SELECT * FROM rules WHERE Enabled = 1 AND Trigger_Type IN ('change', 'duration') AND Trigger_Device_Type_ID = ? ORDER BY Rule_ID";
+
+    db.query(sqlQueryRules, [deviceTypeID], callback);
+}
+
+/*
+
+A function that retrieves the rules whose time or duration trigger is due.
+
+Input:
+The current time and a callback.
+
+Output:
+The callback receives an error (if any) and the rows of the enabled 'time' rules whose next run time has passed, followed by the enabled 'duration' rules whose comparison has held for their number of minutes without the rule firing.
+
+*/
+
+function getDueRules(now, callback) {
+
+    let sqlQueryTimeRules = "SELECT * FROM rules WHERE Enabled = 1 AND Trigger_Type = 'time' AND Next_Run_At IS NOT NULL AND Next_Run_At <= ? ORDER BY Next_Run_At, Rule_ID";
+
+    db.query(sqlQueryTimeRules, [now.toISOString()], (err, timeRules) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let sqlQueryDurationRules = "SELECT * FROM rules WHERE Enabled = 1 AND Trigger_Type = 'duration' AND Condition_Since IS NOT NULL AND Duration_Fired = 0 ORDER BY Condition_Since, Rule_ID";
+
+        db.query(sqlQueryDurationRules, (err, durationRules) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let dueDurationRules = durationRules.filter((rule) => new Date(rule.Condition_Since).getTime() + rule.Trigger_Minutes * 60000 <= now.getTime());
+
+            callback(null, timeRules.concat(dueDurationRules));
+        });
+    });
+}
+
+/*
+
+A function that retrieves the conditions and actions of a rule.
+
+Input:
+The rule ID and a callback.
+
+Output:
+The callback receives an error (if any), the rule's rows of the 'Rule Conditions' table and its rows of the 'Rule Actions' table.
+
+*/
+
+function getRuleConditionsAndActions(ruleID, callback) {
+    db.query("SELECT * FROM ruleconditions WHERE Rule_ID = ? ORDER BY Condition_ID", [ruleID], (err, conditions) => {
+        if (err) {
+            return callback(err);
+        }
+        db.query("SELECT * FROM ruleactions WHERE Rule_ID = ? ORDER BY Action_ID", [ruleID], (err, actions) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, conditions, actions);
+        });
+    });
+}
+
+/*
+
+A function that stores the state of a rule's trigger.
+
+Input:
+The rule ID, the changes to store ('conditionSince', 'durationFired' and 'nextRunAt'; each optional) and a callback.
+
+Output:
+The callback receives an error (if any).
+
+*/
+
+function updateRuleTriggerState(ruleID, state, callback) {
+
+    let columns = { conditionSince: "Condition_Since", durationFired: "Duration_Fired", nextRunAt: "Next_Run_At" };
+    let assignments = [];
+    let parameters = [];
+
+    Object.keys(columns).forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(state, key)) {
+            assignments.push(columns[key] + " = ?");
+            parameters.push(state[key]);
+        }
+    });
+
+    parameters.push(ruleID);
+
+    db.query("UPDATE rules SET " + assignments.join(", ") + " WHERE Rule_ID = ?", parameters, (err) => {
+        callback(err || null);
+    });
+}
+
+/*
+
+A function that records a rule firing.
+
+Input:
+The rule ID, the outcome ('success', 'partial' when only some actions succeeded, or 'failed'), a message describing the outcome, the time of the firing and a callback.
+
+Output:
+The callback receives an error (if any).
+
+*/
+
+function recordRuleFiring(ruleID, outcome, message, firedAt, callback) {
+
+    let sqlQueryInsertFiring = "INSERT INTO rulefirings (Rule_ID, Fired_At, Outcome, Message) VALUES (?,?,?,?)";
+
+    db.query(sqlQueryInsertFiring, [ruleID, firedAt.toISOString(), outcome, message], (err) => {
+        callback(err || null);
+    });
+}
+
+module.exports = {
+    RULE_TRIGGER_TYPES,
+    RULE_OPERATORS,
+    SWITCH_OPERATORS,
+    RULE_CONDITION_FIELDS,
+    RULE_ACTION_FIELDS,
+    compareDeviceField,
+    checkAction,
+    validateRows,
+    toRows,
+    getDevicesByID,
+    describeAction,
+    createRule,
+    listRules,
+    listRuleFirings,
+    setRuleEnabled,
+    deleteRule,
+    getDeviceTriggeredRules,
+    getDueRules,
+    getRuleConditionsAndActions,
+    updateRuleTriggerState,
+    recordRuleFiring
+};
@@ -0,0 +1,321 @@
+/*
+
+The rules engine.
+
+Purpose:
+To evaluate the automation rules (see rules.js) while the application is running. The engine listens for device events to fire 'change' triggers and to track how long 'duration' triggers have held, and checks at a fixed interval for 'time' and 'duration' triggers that are due. A triggered rule whose conditions all hold applies its actions through the same device update path as the forms and the JSON API, on behalf of the rule's household, so that every action is validated, recorded in the device history with the 'automation' origin and pushed to open pages.
+
+Work is done one task at a time, so that the trigger state of a rule is never read and written by two tasks at once.
+
+A rule's actions can trigger further rules. To stop rules from triggering each other forever, the changes made by a rule carry the depth of the chain of rules that led to them, and changes at MAX_RULE_DEPTH do not trigger any more rules.
+
+*/
+
+const { patchDevice, getDevice, toDeviceResource } = require("./devices");
+const { deviceEvents, DEVICE_CREATED, DEVICE_UPDATED } = require("./deviceevents");
+const { ORIGIN_AUTOMATION, formatFieldValue } = require("./history");
+const { FIELD_DEFINITIONS } = require("./devicecatalog");
+const { nextCronTime } = require("./cron");
+const { compareDeviceField, getDeviceTriggeredRules, getDueRules, getRuleConditionsAndActions, updateRuleTriggerState, recordRuleFiring } = require("./rules");
+
+const MAX_RULE_DEPTH = 3;
+
+// Check whether every condition of a rule holds for the current values of the household's devices
+
+function conditionsHold(conditions, householdID, callback) {
+
+    if (conditions.length === 0) {
+        return callback(null, true);
+    }
+
+    let condition = conditions[0];
+
+    getDevice(condition.Device_Type_ID, householdID, (err, row) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!compareDeviceField(row ? toDeviceResource(row) : undefined, condition.Field, condition.Operator, condition.Value)) {
+            return callback(null, false);
+        }
+        conditionsHold(conditions.slice(1), householdID, callback);
+    });
+}
+
+// Apply a rule's actions one after another, collecting a description of each outcome
+
+function applyActions(rule, actions, depth, callback) {
+
+    let results = [];
+
+    function next(index) {
+        if (index === actions.length) {
+            return callback(results);
+        }
+
+        let action = actions[index];
+        let changes = {};
+        changes[action.Field] = action.Value;
+
+        let context = { origin: ORIGIN_AUTOMATION, householdID: rule.Household_ID, ruleID: rule.Rule_ID, ruleDepth: depth };
+
+        patchDevice(action.Device_Type_ID, changes, context, (err, row) => {
+            if (err && !err.status) {
+                console.error("Rule " + rule.Rule_ID + " could not update device " + action.Device_Type_ID + ":", err);
+            }
+            results.push({
+                success: !err,
+                message: err
+                    ? (err.status ? err.message : "The device could not be updated.")
+                    : row.Custom_Name + " " + FIELD_DEFINITIONS[action.Field].label + " set to " + formatFieldValue(action.Field, action.Value) + "."
+            });
+            next(index + 1);
+        });
+    }
+
+    next(0);
+}
+
+/*
+
+A function that fires a rule if its conditions hold.
+
+Input:
+The rule's row, the depth of the chain of rules that triggered it (0 when triggered by a person or by time), the time it was triggered and a callback.
+
+Output:
+If every condition holds, the actions are applied and the firing is recorded. The callback receives an error (if any) and true if the rule fired.
+
+*/
+
+function fireRule(rule, depth, now, callback) {
+
+    getRuleConditionsAndActions(rule.Rule_ID, (err, conditions, actions) => {
+        if (err) {
+            return callback(err);
+        }
+        conditionsHold(conditions, rule.Household_ID, (err, hold) => {
+            if (err || !hold) {
+                return callback(err, false);
+            }
+
+            applyActions(rule, actions, depth + 1, (results) => {
+
+                let succeeded = results.filter((result) => result.success).length;
+                let outcome = "partial";
+                if (succeeded === results.length) {
+                    outcome = "success";
+                }
+                else if (succeeded === 0) {
+                    outcome = "failed";
+                }
+
+                let message = results.map((result) => result.message).join(" ");
+
+                recordRuleFiring(rule.Rule_ID, outcome, message, now, (err) => {
+                    callback(err, true);
+                });
+            });
+        });
+    });
+}
+
+/*
+
+A function that evaluates the rules triggered by a device event.
+
+Purpose:
+To fire the 'change' rules whose comparison was false before the change and is true after it, and to start or stop counting the time for 'duration' rules whose comparison has become true or false.
+
+Input:
+A device event (see deviceevents.js) and a callback.
+
+Output:
+The callback receives an error (if any).
+
+*/
+
+function handleDeviceEvent(event, callback) {
+
+    // A device restored from the trash has not changed, so its restore fires no rules
+
+    if (event.type !== DEVICE_CREATED && event.type !== DEVICE_UPDATED) {
+        return callback(null);
+    }
+
+    let depth = (event.context && event.context.ruleDepth) || 0;
+    let now = new Date();
+
+    getDeviceTriggeredRules(event.device.device_type_ID, (err, rules) => {
+        if (err) {
+            return callback(err);
+        }
+
+        function next(index) {
+            if (index === rules.length) {
+                return callback(null);
+            }
+
+            let rule = rules[index];
+            let holdsNow = compareDeviceField(event.device, rule.Trigger_Field, rule.Trigger_Operator, rule.Trigger_Value);
+            let heldBefore = compareDeviceField(event.previous, rule.Trigger_Field, rule.Trigger_Operator, rule.Trigger_Value);
+
+            let done = (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                next(index + 1);
+            };
+
+            if (rule.Trigger_Type === "duration") {
+                if (holdsNow && !rule.Condition_Since) {
+                    return updateRuleTriggerState(rule.Rule_ID, { conditionSince: now.toISOString(), durationFired: 0 }, done);
+                }
+                if (!holdsNow && rule.Condition_Since) {
+                    return updateRuleTriggerState(rule.Rule_ID, { conditionSince: null, durationFired: 0 }, done);
+                }
+                return done(null);
+            }
+
+            if (!holdsNow || heldBefore) {
+                return done(null);
+            }
+            if (depth >= MAX_RULE_DEPTH) {
+                console.warn("Rule " + rule.Rule_ID + " was not fired: it was triggered by a chain of " + depth + " rules.");
+                return done(null);
+            }
+            fireRule(rule, depth, now, done);
+        }
+
+        next(0);
+    });
+}
+
+/*
+
+A function that fires every rule whose time or duration trigger is due.
+
+Input:
+A callback.
+
+Output:
+A 'time' rule moves on to its next run time whether or not its conditions hold. A 'duration' rule is marked as fired for the current period once its conditions hold; until then it is checked again at every interval. The callback receives an error (if any).
+
+*/
+
+function runDueRules(callback) {
+
+    let now = new Date();
+
+    getDueRules(now, (err, rules) => {
+        if (err) {
+            return callback(err);
+        }
+
+        function next(index) {
+            if (index === rules.length) {
+                return callback(null);
+            }
+
+            let rule = rules[index];
+
+            let done = (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                next(index + 1);
+            };
+
+            if (rule.Trigger_Type === "time") {
+                let nextRunAt = nextCronTime(rule.Trigger_Cron, now);
+                return updateRuleTriggerState(rule.Rule_ID, { nextRunAt: nextRunAt ? nextRunAt.toISOString() : null }, (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    fireRule(rule, 0, now, (err) => done(err));
+                });
+            }
+
+            fireRule(rule, 0, now, (err, fired) => {
+                if (err || !fired) {
+                    return done(err);
+                }
+                updateRuleTriggerState(rule.Rule_ID, { durationFired: 1 }, done);
+            });
+        }
+
+        next(0);
+    });
+}
+
+/*
+
+A function that starts the rules engine.
+
+Input:
+The 'scheduler' section of the configuration: 'intervalSeconds', the time between checks for due time and duration triggers.
+
+Output:
+An object with a 'stop' function. Device events are evaluated as they arrive; due triggers are checked immediately and then at every interval.
+
+*/
+
+function startRulesEngine(options) {
+
+    let queue = [];
+    let running = false;
+
+    function enqueue(task) {
+        queue.push(task);
+        if (!running) {
+            runNext();
+        }
+    }
+
+    function runNext() {
+        let task = queue.shift();
+        if (!task) {
+            running = false;
+            return;
+        }
+        running = true;
+        task((err) => {
+            if (err) {
+                console.error("The rules engine could not evaluate the rules:", err);
+            }
+            runNext();
+        });
+    }
+
+    function onDeviceEvent(event) {
+        enqueue((callback) => handleDeviceEvent(event, callback));
+    }
+
+    // A check is not queued while the previous one is still waiting
+
+    let checkQueued = false;
+
+    function check() {
+        if (checkQueued) {
+            return;
+        }
+        checkQueued = true;
+        enqueue((callback) => {
+            checkQueued = false;
+            runDueRules(callback);
+        });
+    }
+
+    deviceEvents.on("device", onDeviceEvent);
+
+    let timer = setInterval(check, options.intervalSeconds * 1000);
+    check();
+
+    return {
+        stop: () => {
+            clearInterval(timer);
+            deviceEvents.removeListener("device", onDeviceEvent);
+        }
+    };
+}
+
+module.exports = { MAX_RULE_DEPTH, handleDeviceEvent, runDueRules, startRulesEngine };
@@ -0,0 +1,347 @@
+/*
+
+Scenes.
+
+Purpose:
+To store a household's scenes: named sets of target values for several of its devices (e.g. 'Movie night': Living_Speakers on at volume 40, Hall_Thermostat at 21°C), and to apply a scene in one action. A scene's targets are validated against the fields each device supports when the scene is created. Applying a scene updates all of its devices in one transaction (see patchDevices in devices.js), so either every device is set or none is.
+
+Errors passed to callbacks carry a 'status' property: 400 for invalid fields (with a 'fields' property mapping each offending field to a message; fields of a target are named e.g. 'targets.0.value'), 404 for an unknown scene and 409 for a scene name that is already in use. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const { FIELD_DEFINITIONS } = require("./devicecatalog");
+const { validate, hasErrors } = require("./validation");
+const { patchDevices } = require("./devices");
+const { formatFieldValue } = require("./history");
+const { SCHEDULE_ACTION_FIELDS } = require("./schedules");
+const { checkAction, validateRows, toRows, getDevicesByID } = require("./rules");
+
+// The fields a scene can set are the same as for a schedule or a rule action
+
+const SCENE_TARGET_FIELDS = SCHEDULE_ACTION_FIELDS;
+
+const MAX_SCENE_TARGETS = 20;
+
+const sceneSchema = {
+    scene_name: {
+        type: "string",
+        label: "Scene name",
+        required: true,
+        pattern: /^.+$/,
+        minLength: 1,
+        maxLength: 50,
+        messages: { required: "Enter a name for the scene.", pattern: "Scene name must be at most 50 characters." }
+    }
+};
+
+const targetSchema = {
+    device_type_ID: { type: "id", label: "Device", required: true, messages: { required: "Select a device." } },
+    field: {
+        type: "string",
+        label: "Setting",
+        required: true,
+        oneOf: () => SCENE_TARGET_FIELDS,
+        messages: { required: "Select the setting to change." }
+    },
+    value: { type: "integer", label: "Value", required: true, messages: { required: "Enter the value to set." } }
+};
+
+function sceneError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+function sceneNameTakenError(sceneName) {
+    let message = "A scene named '" + sceneName + "' already exists. Choose a different name.";
+    return sceneError(409, message, { scene_name: message });
+}
+
+/*
+
+A function that validates a new scene against the devices it refers to.
+
+Input:
+Raw scene field data (e.g. a form's request body, with a 'targets' list) and the device records keyed by device type ID.
+
+Output:
+An object containing the 'scene' to store (its name and targets) and the 'errors' keyed by field name.
+
+*/
+
+function validateScene(input, devices) {
+
+    let { values, errors } = validate(sceneSchema, input);
+
+    let targetRows = toRows(input.targets);
+
+    if (targetRows.length === 0) {
+        errors.targets = "Add at least one device setting.";
+    }
+    else if (targetRows.length > MAX_SCENE_TARGETS) {
+        errors.targets = "A scene can set at most " + MAX_SCENE_TARGETS + " device settings.";
+        targetRows = [];
+    }
+
+    let targets = validateRows("targets", targetRows, targetSchema, devices, checkAction, errors);
+
+    // A scene sets each field of a device once, so that applying it has one outcome
+
+    let seen = {};
+
+    targets.forEach((target, index) => {
+        let key = target.device_type_ID + "." + target.field;
+        let name = "targets." + index + ".field";
+        if (!target.device_type_ID || !target.field || errors[name]) {
+            return;
+        }
+        if (seen[key]) {
+            errors[name] = "This scene already sets " + FIELD_DEFINITIONS[target.field].label + " for " + devices[target.device_type_ID].Custom_Name + ".";
+        }
+        seen[key] = true;
+    });
+
+    return {
+        scene: { name: values.scene_name, targets: targets },
+        errors: errors
+    };
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To ensure that a scene name is not already used by another scene of the same household. Scene names are compared case-insensitively.
+
+Input:
+The transaction's connection, the scene name, the household ID and a callback.
+
+Output:
+A 409 error if another scene of the household uses the name, otherwise no error.
+
+*/
+
+function checkSceneNameAvailable(connection, sceneName, householdID, callback) {
+
+    connection.query("SELECT Scene_ID FROM scenes WHERE LOWER(Scene_Name) = LOWER(?) AND Household_ID = ?", [sceneName, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(result.length > 0 ? sceneNameTakenError(sceneName) : null);
+    });
+}
+
+function insertTargets(connection, sceneID, targets, callback) {
+    if (targets.length === 0) {
+        return callback(null);
+    }
+    let target = targets[0];
+    connection.query("INSERT INTO scenetargets (Scene_ID, Device_Type_ID, Field, Value) VALUES (?,?,?,?)", [sceneID, target.device_type_ID, target.field, target.value], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        insertTargets(connection, sceneID, targets.slice(1), callback);
+    });
+}
+
+/*
+
+A function that creates a scene.
+
+Purpose:
+To insert the scene into the 'Scenes' table and its targets into the 'Scene Targets' table in one transaction.
+
+Input:
+The ID of the household the scene belongs to, raw scene field data (e.g. a form's request body) and a callback. A scene can only set the household's own devices.
+
+Output:
+The callback receives an error (if any) and the ID of the new scene.
+
+*/
+
+function createScene(householdID, input, callback) {
+
+    getDevicesByID(householdID, (err, devices) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let { scene, errors } = validateScene(input || {}, devices);
+
+        if (hasErrors(errors)) {
+            let messages = Object.keys(errors).map((field) => errors[field]);
+            return callback(sceneError(400, messages.join(" "), errors));
+        }
+
+        db.transaction((connection, done) => {
+
+            checkSceneNameAvailable(connection, scene.name, householdID, (err) => {
+                if (err) {
+                    return done(err);
+                }
+
+                connection.query("INSERT INTO scenes (Scene_Name, Household_ID, Created_At) VALUES (?,?,?)", [scene.name, householdID, new Date().toISOString()], (err, result) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    let sceneID = result.insertId;
+
+                    insertTargets(connection, sceneID, scene.targets, (err) => {
+                        done(err, sceneID);
+                    });
+                });
+            });
+        }, (err, sceneID) => {
+
+            // A unique index on the scene name rejects a clash that races past the check
+
+            if (err && err.code === "ER_DUP_ENTRY") {
+                return callback(sceneNameTakenError(scene.name));
+            }
+            callback(err || null, sceneID);
+        });
+    });
+}
+
+/*
+
+A function that lists every scene of a household.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and the scenes ordered by name, each with its 'sceneID', 'sceneName' and 'targets'. Each target has its 'deviceTypeID', 'customName', 'field', 'value' and a 'description' such as 'Living_Speakers Volume (%) to 40%'.
+
+*/
+
+function listScenes(householdID, callback) {
+
+    db.query("SELECT * FROM scenes WHERE Household_ID = ? ORDER BY Scene_Name", [householdID], (err, scenes) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let sqlQueryTargets = "SELECT scenetargets.*, devicenames.Custom_Name FROM scenetargets JOIN devicenames ON scenetargets.Device_Type_ID = devicenames.Device_Type_ID WHERE devicenames.Household_ID = ? ORDER BY scenetargets.Target_ID";
+
+        db.query(sqlQueryTargets, [householdID], (err, targets) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, scenes.map((scene) => ({
+                sceneID: scene.Scene_ID,
+                sceneName: scene.Scene_Name,
+                targets: targets.filter((target) => target.Scene_ID === scene.Scene_ID).map((target) => ({
+                    deviceTypeID: target.Device_Type_ID,
+                    customName: target.Custom_Name,
+                    field: target.Field,
+                    value: target.Value,
+                    description: target.Custom_Name + " " + FIELD_DEFINITIONS[target.Field].label + " to " + formatFieldValue(target.Field, target.Value)
+                }))
+            })));
+        });
+    });
+}
+
+/*
+
+A function that deletes a scene with its targets.
+
+Input:
+The scene ID, the ID of the household that owns the scene and a callback.
+
+Output:
+The callback receives an error (if any). A 404 error is returned if the household has no scene with the given ID.
+
+*/
+
+function deleteScene(sceneID, householdID, callback) {
+
+    db.query("DELETE FROM scenes WHERE Scene_ID = ? AND Household_ID = ?", [sceneID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.affectedRows === 0) {
+            return callback(sceneError(404, "Scene not found"));
+        }
+        callback(null);
+    });
+}
+
+/*
+
+A function that applies a scene.
+
+Purpose:
+To set every device in a scene to its target values in one transaction. Each device's targets are applied together as one change, so each device is validated and recorded in the device history once. If any device cannot be set (e.g. its type has changed so that it no longer supports a field), no device is changed.
+
+Input:
+The scene ID, the context of the change (see devices.js; the scene's ID and name are added to it as 'scene') and a callback.
+
+Output:
+The callback receives an error (if any) and a summary containing the 'scene' name and the field representations of the devices that were 'changed' (with their new values) and of those that were 'unchanged' because they already had the scene's values. A 404 error is returned if the context's household has no scene with the given ID.
+
+*/
+
+function applyScene(sceneID, context, callback) {
+
+    db.query("SELECT * FROM scenes WHERE Scene_ID = ? AND Household_ID = ?", [sceneID, context.householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(sceneError(404, "Scene not found"));
+        }
+
+        let scene = result[0];
+
+        // Devices in the trash (see trash.js) keep their targets, but are left out until they are restored
+
+        let sqlQueryTargets = "SELECT scenetargets.* FROM scenetargets JOIN devicenames ON scenetargets.Device_Type_ID = devicenames.Device_Type_ID WHERE scenetargets.Scene_ID = ? ORDER BY scenetargets.Target_ID";
+
+        db.query(sqlQueryTargets, [scene.Scene_ID], (err, targets) => {
+            if (err) {
+                return callback(err);
+            }
+
+            // Group the targets by device, in the order the devices first appear in the scene
+
+            let patches = [];
+
+            targets.forEach((target) => {
+                let patch = patches.find((patch) => patch.deviceTypeID === target.Device_Type_ID);
+                if (!patch) {
+                    patch = { deviceTypeID: target.Device_Type_ID, changes: {} };
+                    patches.push(patch);
+                }
+                patch.changes[target.Field] = target.Value;
+            });
+
+            let sceneContext = Object.assign({}, context, { scene: { sceneID: scene.Scene_ID, name: scene.Scene_Name } });
+
+            patchDevices(patches, sceneContext, (err, outcome) => {
+                if (err) {
+                    return callback(err);
+                }
+                callback(null, {
+                    scene: scene.Scene_Name,
+                    changed: outcome.changed,
+                    unchanged: outcome.unchanged
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    SCENE_TARGET_FIELDS,
+    createScene,
+    listScenes,
+    deleteScene,
+    applyScene
+};
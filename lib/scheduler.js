@@ -0,0 +1,113 @@
+/*
+
+The in-process scheduler.
+
+Purpose:
+To run due schedules (see schedules.js) while the application is running. At a fixed interval the scheduler finds the schedules whose next run time has passed and applies each action through the same device update path as the forms and the JSON API, on behalf of the household of the schedule's device, so that every run is validated, recorded in the device history with the 'automation' origin and pushed to open pages.
+
+A schedule that fell due while the application was stopped runs once when the scheduler next checks, and then moves on to its next run time after that.
+
+*/
+
+const { patchDevice } = require("./devices");
+const { ORIGIN_AUTOMATION, formatFieldValue } = require("./history");
+const { FIELD_DEFINITIONS } = require("./devicecatalog");
+const { getDueSchedules, recordScheduleRun } = require("./schedules");
+
+// Run one due schedule and record its outcome
+
+function runSchedule(schedule, now, callback) {
+
+    let changes = {};
+    changes[schedule.Action_Field] = schedule.Action_Value;
+
+    patchDevice(schedule.Device_Type_ID, changes, { origin: ORIGIN_AUTOMATION, householdID: schedule.Household_ID }, (err) => {
+
+        let outcome = err ? "failed" : "success";
+        let message = err
+            ? (err.status ? err.message : "The device could not be updated.")
+            : FIELD_DEFINITIONS[schedule.Action_Field].label + " set to " + formatFieldValue(schedule.Action_Field, schedule.Action_Value) + ".";
+
+        if (err && !err.status) {
+            console.error("Schedule " + schedule.Schedule_ID + " failed:", err);
+        }
+
+        recordScheduleRun(schedule, outcome, message, now, callback);
+    });
+}
+
+/*
+
+A function that runs every schedule that is due.
+
+Input:
+A callback.
+
+Output:
+The due schedules are run one after another. The callback receives an error (if any) and the number of schedules run.
+
+*/
+
+function runDueSchedules(callback) {
+
+    let now = new Date();
+
+    getDueSchedules(now, (err, schedules) => {
+        if (err) {
+            return callback(err);
+        }
+
+        function next(index) {
+            if (index === schedules.length) {
+                return callback(null, schedules.length);
+            }
+            runSchedule(schedules[index], now, (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                next(index + 1);
+            });
+        }
+
+        next(0);
+    });
+}
+
+/*
+
+A function that starts the scheduler.
+
+Input:
+The 'scheduler' section of the configuration: 'intervalSeconds', the time between checks for due schedules.
+
+Output:
+An object with a 'stop' function. Due schedules are checked immediately and then at every interval; a check does not start while the previous one is still running.
+
+*/
+
+function startScheduler(options) {
+
+    let running = false;
+
+    function check() {
+        if (running) {
+            return;
+        }
+        running = true;
+        runDueSchedules((err) => {
+            running = false;
+            if (err) {
+                console.error("The scheduler could not run the due schedules:", err);
+            }
+        });
+    }
+
+    let timer = setInterval(check, options.intervalSeconds * 1000);
+    check();
+
+    return {
+        stop: () => clearInterval(timer)
+    };
+}
+
+module.exports = { runDueSchedules, startScheduler };
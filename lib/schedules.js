@@ -0,0 +1,475 @@
+/*
+
+Device schedules.
+
+Purpose:
+To store schedules which set a field of a device to a value at a given time, either once or repeatedly, and to record the outcome of each run. The schedules are run by the scheduler (see scheduler.js). A schedule belongs to the household of its device.
+
+Errors passed to callbacks carry a 'status' property: 400 for invalid fields (with a 'fields' property mapping each offending field to a message) and 404 for an unknown schedule. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const { FIELD_DEFINITIONS, supportsField, getFieldRange } = require("./devicecatalog");
+const { validate, hasErrors } = require("./validation");
+const { parseCronExpression, nextCronTime, describeCronExpression, DAY_NAMES } = require("./cron");
+const { getDevice } = require("./devices");
+const { formatFieldValue } = require("./history");
+
+// The fields a schedule can set. Whether batteries are included is not something a device can change on its own.
+
+const SCHEDULE_ACTION_FIELDS = ["on_off", "temperature", "volume", "open_closed"];
+
+// How a schedule is entered: at a time on chosen days of the week, with a cron expression, or once at a date and time
+
+const SCHEDULE_KINDS = ["weekly", "cron", "once"];
+
+const SCHEDULE_KIND_FIELDS = { weekly: "time", cron: "cron_expression", once: "run_at" };
+
+// The number of most recent runs shown on the schedules page
+
+const SCHEDULE_RUNS_LIMIT = 50;
+
+const scheduleSchema = {
+    device_type_ID: { type: "id", label: "Device", required: true, messages: { required: "Select a device." } },
+    schedule_kind: {
+        type: "string",
+        label: "Repeat",
+        required: true,
+        oneOf: () => SCHEDULE_KINDS
+    },
+    time: {
+        type: "string",
+        label: "Time",
+        required: (values) => values.schedule_kind === "weekly",
+        pattern: /^([01][0-9]|2[0-3]):[0-5][0-9]$/,
+        minLength: 5,
+        maxLength: 5,
+        messages: { required: "Enter the time of day.", pattern: "Enter the time as HH:MM." }
+    },
+    cron_expression: {
+        type: "string",
+        label: "Cron expression",
+        required: (values) => values.schedule_kind === "cron"
+    },
+    run_at: {
+        type: "string",
+        label: "Date and time",
+        required: (values) => values.schedule_kind === "once",
+        pattern: /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}$/,
+        minLength: 16,
+        maxLength: 16,
+        messages: { required: "Enter the date and time to run at.", pattern: "Enter the date and time as YYYY-MM-DDTHH:MM." }
+    },
+    action_field: {
+        type: "string",
+        label: "Setting",
+        required: true,
+        oneOf: () => SCHEDULE_ACTION_FIELDS,
+        messages: { required: "Select the setting to change." }
+    },
+    action_value: { type: "integer", label: "Value", required: true, messages: { required: "Enter the value to set." } }
+};
+
+function scheduleError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+// Checkboxes submit a single value as a string and several values as an array
+
+function toDaysOfWeek(input) {
+    if (input === undefined || input === null || input === "") {
+        return [];
+    }
+    return [].concat(input).map(String);
+}
+
+/*
+
+A function that validates a new schedule against its device.
+
+Input:
+Raw schedule field data (e.g. a form's request body), the device record the schedule is for (undefined if it does not exist) and the current time.
+
+Output:
+An object containing the 'schedule' to store (its type, cron expression, run time, action and next run time) and the 'errors' keyed by field name.
+
+*/
+
+function validateSchedule(input, device, now) {
+
+    let { values, errors } = validate(scheduleSchema, input);
+
+    // The form submits the fields for every way of entering a schedule, so only those for the chosen way are checked
+
+    Object.keys(SCHEDULE_KIND_FIELDS).forEach((kind) => {
+        if (kind !== values.schedule_kind) {
+            delete errors[SCHEDULE_KIND_FIELDS[kind]];
+        }
+    });
+
+    if (!errors.device_type_ID && values.device_type_ID && !device) {
+        errors.device_type_ID = "Select one of your devices.";
+    }
+
+    let cronExpression = null;
+    let runAt = null;
+
+    if (values.schedule_kind === "weekly") {
+        let days = toDaysOfWeek(input.days);
+        if (days.length === 0 || days.some((day) => !/^[0-6]$/.test(day))) {
+            errors.days = "Select at least one day of the week.";
+        }
+        else if (!errors.time) {
+            let [hours, minutes] = values.time.split(":");
+            cronExpression = parseInt(minutes, 10) + " " + parseInt(hours, 10) + " * * " + days.sort().join(",");
+        }
+    }
+
+    if (values.schedule_kind === "cron" && !errors.cron_expression) {
+        try {
+            parseCronExpression(values.cron_expression);
+            cronExpression = values.cron_expression.trim().split(/\s+/).join(" ");
+        }
+        catch (err) {
+            errors.cron_expression = err.message;
+        }
+    }
+
+    if (values.schedule_kind === "once" && !errors.run_at) {
+
+        // A date and time without a time zone is read in the server's time zone
+
+        runAt = new Date(values.run_at);
+        if (isNaN(runAt)) {
+            errors.run_at = "Enter a valid date and time.";
+        }
+        else if (runAt <= now) {
+            errors.run_at = "The date and time must be in the future.";
+        }
+    }
+
+    // Check the action against the device's type in the same way as a device update
+
+    if (device && !errors.action_field && values.action_field) {
+
+        let label = FIELD_DEFINITIONS[values.action_field].label;
+
+        if (!supportsField(device.Device_Type, values.action_field)) {
+            errors.action_field = label + " is not supported by " + device.Device_Type + ".";
+        }
+        else if (!errors.action_value && values.action_value !== null) {
+            if (FIELD_DEFINITIONS[values.action_field].control === "range") {
+                let range = getFieldRange(device.Device_Type, values.action_field);
+                if (values.action_value < range.min || values.action_value > range.max) {
+                    errors.action_value = label + " must be " + range.min + "–" + range.max + " for " + device.Device_Type + ".";
+                }
+            }
+            else if (values.action_value !== 0 && values.action_value !== 1) {
+                errors.action_value = label + " must be 0 or 1.";
+            }
+        }
+    }
+
+    let nextRunAt = null;
+
+    if (cronExpression) {
+        nextRunAt = nextCronTime(cronExpression, now);
+        if (!nextRunAt) {
+            errors[values.schedule_kind === "cron" ? "cron_expression" : "days"] = "This schedule never runs.";
+        }
+    }
+    if (runAt && !errors.run_at) {
+        nextRunAt = runAt;
+    }
+
+    return {
+        schedule: {
+            deviceTypeID: values.device_type_ID,
+            scheduleType: values.schedule_kind === "once" ? "once" : "recurring",
+            cronExpression: cronExpression,
+            runAt: runAt && !isNaN(runAt) ? runAt.toISOString() : null,
+            actionField: values.action_field,
+            actionValue: values.action_value,
+            nextRunAt: nextRunAt ? nextRunAt.toISOString() : null
+        },
+        errors: errors
+    };
+}
+
+/*
+
+A function that creates a schedule.
+
+Input:
+The ID of the household whose device the schedule sets, raw schedule field data (e.g. a form's request body) and a callback.
+
+Output:
+The callback receives an error (if any) and the ID of the new schedule.
+
+*/
+
+function createSchedule(householdID, input, callback) {
+
+    getDevice(input.device_type_ID, householdID, (err, device) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let { schedule, errors } = validateSchedule(input, device, new Date());
+
+        if (hasErrors(errors)) {
+            let messages = Object.keys(errors).map((field) => errors[field]);
+            return callback(scheduleError(400, messages.join(" "), errors));
+        }
+
+        let sqlQueryInsertSchedule = "INSERT INTO schedules (Device_Type_ID, Schedule_Type, Cron_Expression, Run_At, Action_Field, Action_Value, Paused, Next_Run_At, Created_At) VALUES (?,?,?,?,?,?,?,?,?)";
+
+        let scheduleRecord = [schedule.deviceTypeID, schedule.scheduleType, schedule.cronExpression, schedule.runAt, schedule.actionField, schedule.actionValue, 0, schedule.nextRunAt, new Date().toISOString()];
+
+        db.query(sqlQueryInsertSchedule, scheduleRecord, (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, result.insertId);
+        });
+    });
+}
+
+/*
+
+A function that converts a joined 'Schedules' record into a schedule for display.
+
+Input:
+A row of the 'Schedules' table joined with the device's 'Device Names' and 'Device Types' records.
+
+Output:
+An object containing the schedule's details and descriptions of when it runs, what it does and its status.
+
+*/
+
+function toScheduleView(row) {
+
+    let status = "Active";
+    if (row.Paused) {
+        status = "Paused";
+    }
+    else if (!row.Next_Run_At) {
+        status = "Completed";
+    }
+
+    return {
+        scheduleID: row.Schedule_ID,
+        deviceTypeID: row.Device_Type_ID,
+        customName: row.Custom_Name,
+        deviceType: row.Device_Type,
+        scheduleType: row.Schedule_Type,
+        cronExpression: row.Cron_Expression,
+        when: row.Schedule_Type === "once" ? "Once at " + new Date(row.Run_At).toLocaleString() : describeCronExpression(row.Cron_Expression),
+        actionField: row.Action_Field,
+        actionValue: row.Action_Value,
+        action: "Set " + FIELD_DEFINITIONS[row.Action_Field].label + " to " + formatFieldValue(row.Action_Field, row.Action_Value),
+        paused: Boolean(row.Paused),
+        nextRunAt: row.Next_Run_At,
+        nextRunText: row.Next_Run_At && !row.Paused ? new Date(row.Next_Run_At).toLocaleString() : "—",
+        status: status
+    };
+}
+
+const sqlQuerySchedules = "SELECT schedules.*, devicenames.Custom_Name, devicetypes.Device_Type FROM schedules JOIN devicenames ON schedules.Device_Type_ID = devicenames.Device_Type_ID JOIN devicetypes ON schedules.Device_Type_ID = devicetypes.Device_Type_ID";
+
+/*
+
+A function that lists every schedule of a household's devices.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and the schedules for display, ordered by device and then by creation.
+
+*/
+
+function listSchedules(householdID, callback) {
+
+    db.query(sqlQuerySchedules + " WHERE devicenames.Household_ID = ? ORDER BY devicenames.Custom_Name, schedules.Schedule_ID", [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map(toScheduleView));
+    });
+}
+
+/*
+
+A function that lists the most recent runs of a household's schedules.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and up to SCHEDULE_RUNS_LIMIT runs, most recent first, each with its schedule's device and action.
+
+*/
+
+function listScheduleRuns(householdID, callback) {
+
+    let sqlQueryRuns = "SELECT scheduleruns.*, schedules.Action_Field, schedules.Action_Value, devicenames.Custom_Name FROM scheduleruns JOIN schedules ON scheduleruns.Schedule_ID = schedules.Schedule_ID JOIN devicenames ON schedules.Device_Type_ID = devicenames.Device_Type_ID WHERE devicenames.Household_ID = ? ORDER BY scheduleruns.Ran_At DESC, scheduleruns.Run_ID DESC LIMIT " + SCHEDULE_RUNS_LIMIT;
+
+    db.query(sqlQueryRuns, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            runID: row.Run_ID,
+            scheduleID: row.Schedule_ID,
+            customName: row.Custom_Name,
+            action: "Set " + FIELD_DEFINITIONS[row.Action_Field].label + " to " + formatFieldValue(row.Action_Field, row.Action_Value),
+            ranAtText: new Date(row.Ran_At).toLocaleString(),
+            outcome: row.Outcome,
+            message: row.Message
+        })));
+    });
+}
+
+/*
+
+A function that pauses or resumes a schedule.
+
+Purpose:
+To stop a schedule from running without deleting it. A recurring schedule that is resumed runs next at its first time after it is resumed, rather than catching up on the runs missed while it was paused.
+
+Input:
+The schedule ID, the ID of the household whose device the schedule sets, true to pause or false to resume, and a callback.
+
+Output:
+The callback receives an error (if any). A 404 error is returned if the household has no schedule with the given ID.
+
+*/
+
+function setSchedulePaused(scheduleID, householdID, paused, callback) {
+
+    let sqlQuerySchedule = "SELECT schedules.* FROM schedules JOIN devicenames ON schedules.Device_Type_ID = devicenames.Device_Type_ID WHERE schedules.Schedule_ID = ? AND devicenames.Household_ID = ?";
+
+    db.query(sqlQuerySchedule, [scheduleID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(scheduleError(404, "Schedule not found"));
+        }
+
+        let schedule = result[0];
+        let nextRunAt = schedule.Next_Run_At;
+
+        if (!paused && schedule.Schedule_Type === "recurring") {
+            let next = nextCronTime(schedule.Cron_Expression, new Date());
+            nextRunAt = next ? next.toISOString() : null;
+        }
+
+        db.query("UPDATE schedules SET Paused = ?, Next_Run_At = ? WHERE Schedule_ID = ?", [paused ? 1 : 0, nextRunAt, scheduleID], (err) => {
+            callback(err || null);
+        });
+    });
+}
+
+/*
+
+A function that deletes a schedule and its recorded runs.
+
+Input:
+The schedule ID, the ID of the household whose device the schedule sets and a callback.
+
+Output:
+The callback receives an error (if any). A 404 error is returned if the household has no schedule with the given ID.
+
+*/
+
+function deleteSchedule(scheduleID, householdID, callback) {
+
+    let sqlQueryDelete = "DELETE FROM schedules WHERE Schedule_ID = ? AND Device_Type_ID IN (SELECT Device_Type_ID FROM devicenames WHERE Household_ID = ?)";
+
+    db.query(sqlQueryDelete, [scheduleID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.affectedRows === 0) {
+            return callback(scheduleError(404, "Schedule not found"));
+        }
+        callback(null);
+    });
+}
+
+/*
+
+A function that retrieves the schedules that are due to run.
+
+Input:
+The current time and a callback.
+
+Output:
+The callback receives an error (if any) and the rows of the active schedules whose next run time has passed, earliest first, each with the 'Household_ID' of its device.
+
+*/
+
+function getDueSchedules(now, callback) {
+
+    let sqlQueryDue = "SELECT schedules.*, devicenames.Household_ID FROM schedules JOIN devicenames ON schedules.Device_Type_ID = devicenames.Device_Type_ID WHERE schedules.Paused = 0 AND schedules.Next_Run_At IS NOT NULL AND schedules.Next_Run_At <= ? ORDER BY schedules.Next_Run_At, schedules.Schedule_ID";
+
+    db.query(sqlQueryDue, [now.toISOString()], callback);
+}
+
+/*
+
+A function that records the outcome of a schedule run.
+
+Purpose:
+To store the run and move the schedule on to its next run time in one transaction, so that a run is never recorded without the schedule advancing (or the reverse).
+
+Input:
+The schedule's row, the outcome ('success' or 'failed'), a message describing the outcome, the time of the run and a callback.
+
+Output:
+The callback receives an error (if any).
+
+*/
+
+function recordScheduleRun(schedule, outcome, message, ranAt, callback) {
+
+    let nextRunAt = null;
+
+    if (schedule.Schedule_Type === "recurring") {
+        let next = nextCronTime(schedule.Cron_Expression, ranAt);
+        nextRunAt = next ? next.toISOString() : null;
+    }
+
+    db.transaction((connection, done) => {
+
+        let sqlQueryInsertRun = "INSERT INTO scheduleruns (Schedule_ID, Ran_At, Outcome, Message) VALUES (?,?,?,?)";
+
+        connection.query(sqlQueryInsertRun, [schedule.Schedule_ID, ranAt.toISOString(), outcome, message.slice(0, 255)], (err) => {
+            if (err) {
+                return done(err);
+            }
+            connection.query("UPDATE schedules SET Next_Run_At = ? WHERE Schedule_ID = ?", [nextRunAt, schedule.Schedule_ID], (err) => {
+                done(err);
+            });
+        });
+    }, callback);
+}
+
+module.exports = {
+    SCHEDULE_ACTION_FIELDS,
+    DAY_NAMES,
+    createSchedule,
+    listSchedules,
+    listScheduleRuns,
+    setSchedulePaused,
+    deleteSchedule,
+    getDueSchedules,
+    recordScheduleRun
+};
@@ -0,0 +1,170 @@
+/*
+
+Seed data for a demo home.
+
+Purpose:
+To fill a new database with sample rooms, devices of several types and a scene, so that the dashboard and device controls can be tried out straight away. The demo home belongs to the original household (see migration 8), which the first user to register joins. The devices are created through the same device operations as the forms and the JSON API, so they are validated against the device type catalog.
+
+*/
+
+const { createDevice } = require("./devices");
+const { ORIGIN_AUTOMATION } = require("./history");
+const { listRooms, createRoom } = require("./rooms");
+const { createScene } = require("./scenes");
+
+const DEMO_ROOMS = ["Bathroom", "Bedroom", "Garage", "Hall", "Kitchen", "Living Room", "Office"];
+
+const DEMO_DEVICES = [
+    { custom_name: "Bedside_Alarm", room: "Bedroom", device_type: "Alarm Clock", on_off: 1, volume: 40, batteries_included: 1, battery_level: 80 },
+    { custom_name: "Hall_Thermostat", room: "Hall", device_type: "AC Thermostat", on_off: 1, temperature: 21, batteries_included: 0, open_closed: 0 },
+    { custom_name: "Kitchen_Kettle", room: "Kitchen", device_type: "Stainless Steel Kettle", on_off: 0, temperature: 80, open_closed: 0 },
+    { custom_name: "Kitchen_Fridge", room: "Kitchen", device_type: "Refrigerator", on_off: 1, temperature: 4, open_closed: 0 },
+    { custom_name: "Living_Speakers", room: "Living Room", device_type: "Speakers", on_off: 0, volume: 25, batteries_included: 0 },
+    { custom_name: "Front_Door_CCTV", room: "Hall", device_type: "CCTV Surveillance Camera", on_off: 1, volume: 0, batteries_included: 1, battery_level: 45 },
+    { custom_name: "Home_Security", room: "Hall", device_type: "Security Alarm", on_off: 1, volume: 90, batteries_included: 1, battery_level: 90, open_closed: 0 },
+    { custom_name: "Laundry_Washer", room: "Garage", device_type: "Washing Machine", on_off: 0, temperature: 30, open_closed: 1 },
+    { custom_name: "Office_Mouse", room: "Office", device_type: "Wireless Mouse", on_off: 1, batteries_included: 1, battery_level: 15, open_closed: 0 },
+    { custom_name: "Bathroom_Heater", room: "Bathroom", device_type: "Water Heater", on_off: 1, temperature: 50, open_closed: 0 }
+];
+
+// Scene targets refer to the demo devices by custom name
+
+const DEMO_SCENES = [
+    {
+        scene_name: "Movie Night",
+        targets: [
+            { device: "Living_Speakers", field: "on_off", value: 1 },
+            { device: "Living_Speakers", field: "volume", value: 40 },
+            { device: "Hall_Thermostat", field: "temperature", value: 21 }
+        ]
+    }
+];
+
+// Create the demo rooms that do not exist yet, then look up the ID of every room by name
+
+function seedDemoRooms(householdID, callback) {
+
+    function next(index) {
+        if (index === DEMO_ROOMS.length) {
+            return listRooms(householdID, (err, rooms) => {
+                if (err) {
+                    return callback(err);
+                }
+                let roomIDs = {};
+                rooms.forEach((room) => {
+                    roomIDs[room.roomName.toLowerCase()] = room.roomID;
+                });
+                callback(null, roomIDs);
+            });
+        }
+
+        createRoom(householdID, { room_name: DEMO_ROOMS[index] }, (err) => {
+            if (err && err.status !== 409) {
+                return callback(err);
+            }
+            next(index + 1);
+        });
+    }
+
+    next(0);
+}
+
+// Create the demo scenes that do not exist yet, once the demo devices exist
+
+function seedDemoScenes(householdID, callback) {
+
+    db.query("SELECT Device_Type_ID, Custom_Name FROM devicenames WHERE Household_ID = ?", [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let deviceIDs = {};
+        result.forEach((row) => {
+            deviceIDs[row.Custom_Name] = row.Device_Type_ID;
+        });
+
+        function next(index) {
+            if (index === DEMO_SCENES.length) {
+                return callback(null);
+            }
+
+            let scene = DEMO_SCENES[index];
+            let input = {
+                scene_name: scene.scene_name,
+                targets: scene.targets.map((target) => ({ device_type_ID: deviceIDs[target.device], field: target.field, value: target.value }))
+            };
+
+            createScene(householdID, input, (err) => {
+                if (err && err.status !== 409) {
+                    return callback(err);
+                }
+                next(index + 1);
+            });
+        }
+
+        next(0);
+    });
+}
+
+/*
+
+A function that creates the demo home's rooms, devices and scenes.
+
+Input:
+A callback. The global 'db' storage object must be connected and migrated.
+
+Output:
+The callback receives an error (if any) and an object listing the custom names of the devices 'created' and those 'skipped' because a device with the same custom name already exists. Rooms and scenes that already exist are reused.
+
+*/
+
+function seedDemoHome(callback) {
+
+    let report = { created: [], skipped: [] };
+
+    db.query("SELECT MIN(Household_ID) AS Household_ID FROM households", (err, result) => {
+        if (err) {
+            return callback(err, report);
+        }
+        seedHousehold(result[0].Household_ID, report, callback);
+    });
+}
+
+// Create the demo home in a household
+
+function seedHousehold(householdID, report, callback) {
+
+    seedDemoRooms(householdID, (err, roomIDs) => {
+        if (err) {
+            return callback(err, report);
+        }
+
+        function next(index) {
+            if (index === DEMO_DEVICES.length) {
+                return seedDemoScenes(householdID, (err) => {
+                    callback(err || null, report);
+                });
+            }
+
+            let device = DEMO_DEVICES[index];
+            let input = Object.assign({ room_ID: roomIDs[device.room.toLowerCase()] }, device);
+
+            createDevice(input, { origin: ORIGIN_AUTOMATION, householdID: householdID }, (err) => {
+                if (err && err.status === 409) {
+                    report.skipped.push(device.custom_name);
+                }
+                else if (err) {
+                    return callback(err, report);
+                }
+                else {
+                    report.created.push(device.custom_name);
+                }
+                next(index + 1);
+            });
+        }
+
+        next(0);
+    });
+}
+
+module.exports = { DEMO_ROOMS, DEMO_DEVICES, DEMO_SCENES, seedDemoHome };
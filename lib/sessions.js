@@ -0,0 +1,261 @@
+/*
+
+Login sessions.
+
+Purpose:
+To remember a logged-in user between requests. Logging in creates a session in the 'Sessions' table and sends its random token to the browser in an HttpOnly cookie; later requests present the cookie and are made as the session's user. Only a SHA-256 hash of each token is stored, so a copy of the database cannot be used to take over a session. A session ends when the user logs out or when it expires.
+
+Every page except the public ones ('/', '/about', '/login' and '/register') and the static files requires a logged-in user: a page request without one is redirected to the login page, and a JSON API request is answered with a 401 status code. A JSON API request can instead be made as a user with one of their API tokens in an 'Authorization: Bearer <token>' header (see apitokens.js).
+
+*/
+
+const crypto = require("crypto");
+const config = require("../config");
+const { getUser } = require("./users");
+const { hasPermission, canControlDevice } = require("./permissions");
+const { authenticateApiToken } = require("./apitokens");
+
+const SESSION_COOKIE = "mysmarthome_session";
+const SESSION_TOKEN_BYTES = 32;
+
+const PUBLIC_PATHS = ["/", "/index.html", "/about", "/login", "/register"];
+
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+// Express matches routes without regard to case, so '/API/v1/devices' reaches the JSON API too
+
+function isApiPath(path) {
+    return path.toLowerCase().startsWith("/api/");
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Read the cookies of a request into an object keyed by name
+
+function parseCookies(req) {
+
+    let cookies = {};
+
+    String(req.headers.cookie || "").split(";").forEach(function (pair) {
+        let index = pair.indexOf("=");
+        if (index > 0) {
+            let name = pair.slice(0, index).trim();
+            let value = pair.slice(index + 1).trim();
+            try {
+                cookies[name] = decodeURIComponent(value);
+            }
+            catch (err) {
+                cookies[name] = value;
+            }
+        }
+    });
+
+    return cookies;
+}
+
+function setSessionCookie(res, token, maxAgeSeconds) {
+
+    let attributes = [SESSION_COOKIE + "=" + token, "Path=/", "HttpOnly", "SameSite=Lax", "Max-Age=" + maxAgeSeconds];
+
+    if (config.sessions.secureCookie) {
+        attributes.push("Secure");
+    }
+
+    res.setHeader("Set-Cookie", attributes.join("; "));
+}
+
+/*
+
+A function that starts a session for a user who has logged in.
+
+Input:
+The response object, the user (see users.js) and a callback.
+
+Output:
+The session is stored and its cookie is set on the response. The callback receives an error (if any).
+
+*/
+
+function startSession(res, user, callback) {
+
+    let token = crypto.randomBytes(SESSION_TOKEN_BYTES).toString("hex");
+    let now = new Date();
+    let expiresAt = new Date(now.getTime() + config.sessions.maxAgeHours * 3600 * 1000);
+
+    let sqlQueryInsertSession = "INSERT INTO sessions (Token_Hash, User_ID, Created_At, Expires_At) VALUES (?,?,?,?)";
+
+    db.query(sqlQueryInsertSession, [hashToken(token), user.userID, now.toISOString(), expiresAt.toISOString()], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        setSessionCookie(res, token, config.sessions.maxAgeHours * 3600);
+        callback(null);
+    });
+}
+
+/*
+
+A function that ends the session of a request.
+
+Input:
+The request and response objects and a callback.
+
+Output:
+The session is deleted (along with any of the user's other sessions that have expired) and its cookie is cleared. The callback receives an error (if any).
+
+*/
+
+function endSession(req, res, callback) {
+
+    let token = parseCookies(req)[SESSION_COOKIE];
+
+    setSessionCookie(res, "", 0);
+
+    if (!token) {
+        return callback(null);
+    }
+
+    db.query("DELETE FROM sessions WHERE Token_Hash = ? OR Expires_At <= ?", [hashToken(token), new Date().toISOString()], (err) => {
+        callback(err || null);
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To retrieve the user of an unexpired session.
+
+Input:
+The session token from the request's cookie and a callback.
+
+Output:
+The callback receives an error (if any) and the session's user (see users.js), or undefined if the token does not belong to an unexpired session.
+
+*/
+
+function getSessionUser(token, callback) {
+
+    let sqlQuerySession = "SELECT User_ID FROM sessions WHERE Token_Hash = ? AND Expires_At > ?";
+
+    db.query(sqlQuerySession, [hashToken(token), new Date().toISOString()], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(null, undefined);
+        }
+        getUser(result[0].User_ID, callback);
+    });
+}
+
+/*
+
+A function that identifies the user a request is made as.
+
+Input:
+The request and a callback.
+
+Output:
+The callback receives an error (if any), the user (see users.js) of the request's bearer token, for a JSON API request that has one, or else of its session cookie, and the token's limits (see apitokens.js) for a request made with a token. The user is undefined if the token has been revoked or the session has ended (e.g. the user logged out or was removed from their household).
+
+*/
+
+function findRequestUser(req, callback) {
+
+    let bearer = BEARER_PATTERN.exec(req.headers.authorization || "");
+
+    if (bearer && isApiPath(req.path)) {
+        return authenticateApiToken(bearer[1], callback);
+    }
+
+    let token = parseCookies(req)[SESSION_COOKIE];
+
+    if (!token) {
+        return callback(null, undefined);
+    }
+
+    getSessionUser(token, callback);
+}
+
+/*
+
+Middleware that identifies the logged-in user.
+
+Input:
+The request, response and next function.
+
+Output:
+The session's user (see users.js) is set as 'req.user' and as 'user' for every view, or NULL when nobody is logged in. A JSON API request with a bearer token is made as the token's user instead, and the token's limits are set as 'req.apiToken' (see apitokens.js); a token that does not exist or has been revoked is answered with a 401 status code rather than falling back to the session. Views also receive 'can(permission)' and 'canControl(deviceType, field)', which check the user's role (see permissions.js) so that controls the user may not use can be hidden or disabled. A failed database query is passed to the next error handler.
+
+*/
+
+function loadUser(req, res, next) {
+
+    req.user = null;
+    res.locals.user = null;
+    res.locals.can = (permission) => req.user !== null && hasPermission(req.user.role, permission);
+    res.locals.canControl = (deviceType, field) => req.user !== null && canControlDevice(req.user.role, deviceType, field);
+
+    let bearer = BEARER_PATTERN.exec(req.headers.authorization || "");
+
+    findRequestUser(req, (err, user, apiToken) => {
+        if (err) {
+            return next(err);
+        }
+        if (!user && bearer && isApiPath(req.path)) {
+            return res.status(401).json({ error: "The API token is not valid. It may have been revoked." });
+        }
+        req.user = user || null;
+        if (apiToken) {
+            req.apiToken = apiToken;
+        }
+        res.locals.user = req.user;
+        next();
+    });
+}
+
+// Only return the user to a path on this site after logging in, never to another site
+
+function safeNextPath(path) {
+    return typeof path === "string" && /^\/(?![\/\\])/.test(path) ? path : "/dashboard";
+}
+
+/*
+
+Middleware that requires a logged-in user.
+
+Input:
+The request, response and next function. It must run after loadUser.
+
+Output:
+Requests for public pages and requests with a logged-in user continue. Otherwise, a JSON API request receives a 401 status code with a JSON error body, and a page request is redirected to the login page, which returns to the requested page (or to the dashboard, for a form submission) once the user has logged in.
+
+*/
+
+function requireLogin(req, res, next) {
+
+    if (req.user || PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    if (isApiPath(req.path)) {
+        return res.status(401).json({ error: "Log in or send an API token to use the API." });
+    }
+
+    let nextPath = req.method === "GET" ? req.originalUrl : "/dashboard";
+
+    res.redirect("/login?next=" + encodeURIComponent(nextPath));
+}
+
+module.exports = {
+    startSession,
+    endSession,
+    findRequestUser,
+    loadUser,
+    requireLogin,
+    safeNextPath
+};
@@ -0,0 +1,336 @@
+/*
+
+The device simulator.
+
+Purpose:
+To make devices behave like the appliances they stand for, so that dashboards and automations can be demonstrated and tested without real hardware. When the simulator is running, each device type follows a behavior model at every step:
+
+    Heating and cooling   Devices with a temperature setting (e.g. a Kettle, an Oven or a Refrigerator) move their current temperature towards the temperature they are set to while they are on, at a rate for their type, and back towards room temperature while they are off.
+    Batteries             Devices with batteries included discharge while they are on, reporting their battery level every BATTERY_REPORT_STEP%, and switch off when their batteries are empty. Setting a device's battery level (e.g. after charging it) restarts its discharge from that level.
+    Cycles                A Washing Machine runs a cycle while it is on, and switches off when the cycle is complete.
+
+The simulated readings (see migration 11) are written back to the 'Device Simulation' table at every step and announced as 'device-simulated' events, so that open pages show them as they change. A device that switches itself off or reports its battery level is changed through the same validated device update path as the forms, on behalf of its household, so that the change is recorded in the device history with the 'simulator' origin, pushed to open pages and can trigger rules and low-battery alerts.
+
+*/
+
+const { supportsField } = require("./devicecatalog");
+const { toDeviceResource, patchDevice } = require("./devices");
+const { DEVICE_SIMULATED, publishDeviceEvent } = require("./deviceevents");
+const { ORIGIN_SIMULATOR } = require("./history");
+
+// The temperature devices settle at while they are off (°C)
+
+const ROOM_TEMPERATURE = 20;
+
+// How quickly each device type heats or cools while on (°C per minute), how quickly its batteries discharge while on (% per hour) and how long its cycle runs (minutes)
+
+const DEVICE_BEHAVIORS = {
+    "AC Thermostat": { temperatureRate: 0.2, batteryDrain: 1 },
+    "Stainless Steel Kettle": { temperatureRate: 20 },
+    "Microwave": { temperatureRate: 15 },
+    "Clothing Iron": { temperatureRate: 40 },
+    "Oven": { temperatureRate: 10 },
+    "Refrigerator": { temperatureRate: 0.5 },
+    "Rice Cooker": { temperatureRate: 4 },
+    "Pressure Cooker": { temperatureRate: 5 },
+    "Food Dehydrator": { temperatureRate: 2 },
+    "Washing Machine": { temperatureRate: 2, cycleMinutes: 60 },
+    "Water Heater": { temperatureRate: 1 },
+    "Alarm Clock": { batteryDrain: 0.5 },
+    "Digital Camera": { batteryDrain: 20 },
+    "Electric Razor": { batteryDrain: 30 },
+    "Game Controller": { batteryDrain: 10 },
+    "Security Alarm": { batteryDrain: 1 },
+    "Wireless Mouse": { batteryDrain: 2 },
+    "Speakers": { batteryDrain: 15 },
+    "CCTV Surveillance Camera": { batteryDrain: 5 },
+    "Cordless Vacuum Cleaner": { batteryDrain: 60 }
+};
+
+// Devices cool down (or warm up) at half their heating rate while they are off
+
+const OFF_RATE_FACTOR = 0.5;
+
+// A discharging device reports its battery level each time it drops by this much (%), so that the device history is not filled with every step
+
+const BATTERY_REPORT_STEP = 5;
+
+// Move a value towards a target by at most a step
+
+function approach(value, target, step) {
+    if (value < target) {
+        return Math.min(target, value + step);
+    }
+    return Math.max(target, value - step);
+}
+
+/*
+
+A function that advances one device's simulated state.
+
+Input:
+The device's field representation (see devices.js), its simulated state ('temperature', 'batteryLevel' and 'cycleMinutes', each NULL when it does not apply or has not been simulated yet) and the number of simulated minutes to advance by.
+
+Output:
+An object containing the new simulated 'state', and the 'changes' to make to the device's fields (NULL if they do not change) with the 'reason' for switching it off (e.g. its cycle is complete), or NULL if it does not switch off.
+
+*/
+
+function simulateDevice(device, state, minutes) {
+
+    let behavior = DEVICE_BEHAVIORS[device.device_type] || {};
+    let on = device.on_off === 1;
+    let next = { temperature: null, batteryLevel: null, cycleMinutes: null };
+    let changes = null;
+    let reason = null;
+
+    if (behavior.temperatureRate && device.temperature !== null) {
+        let temperature = state.temperature === null ? (on ? device.temperature : ROOM_TEMPERATURE) : state.temperature;
+        let target = on ? device.temperature : ROOM_TEMPERATURE;
+        let rate = on ? behavior.temperatureRate : behavior.temperatureRate * OFF_RATE_FACTOR;
+        next.temperature = approach(temperature, target, rate * minutes);
+    }
+
+    if (behavior.batteryDrain && supportsField(device.device_type, "battery_level") && device.batteries_included === 1 && device.battery_level !== null) {
+
+        // The simulated level is finer than the reported one; a reported level outside the step it was reported in has been set since, and is discharged from instead
+
+        let batteryLevel = state.batteryLevel;
+        if (batteryLevel === null || device.battery_level < Math.floor(batteryLevel) || device.battery_level >= Math.floor(batteryLevel) + BATTERY_REPORT_STEP) {
+            batteryLevel = device.battery_level;
+        }
+
+        next.batteryLevel = on ? Math.max(0, batteryLevel - behavior.batteryDrain * minutes / 60) : batteryLevel;
+
+        let reportedLevel = Math.floor(next.batteryLevel);
+        if (device.battery_level - reportedLevel >= BATTERY_REPORT_STEP || (reportedLevel === 0 && device.battery_level !== 0)) {
+            changes = { battery_level: reportedLevel };
+        }
+        if (on && next.batteryLevel === 0) {
+            changes = { battery_level: 0, on_off: 0 };
+            reason = "its batteries are empty";
+        }
+    }
+
+    if (behavior.cycleMinutes && on && !reason) {
+        next.cycleMinutes = (state.cycleMinutes || 0) + minutes;
+        if (next.cycleMinutes >= behavior.cycleMinutes) {
+            next.cycleMinutes = null;
+            changes = Object.assign({}, changes, { on_off: 0 });
+            reason = "its cycle is complete";
+        }
+    }
+
+    return { state: next, changes: changes, reason: reason };
+}
+
+/*
+
+A function that describes a device's simulated readings for display.
+
+Input:
+The device's type and its simulated state (see simulateDevice), or undefined if it has not been simulated.
+
+Output:
+An array of short descriptions, e.g. ['Currently 65°C', 'Cycle: 20 min left'], which is empty if the device has no simulated readings. The battery level is not described, as it is reported in the device's 'battery_level' field.
+
+*/
+
+function describeSimulation(deviceType, state) {
+
+    let readings = [];
+
+    if (!state) {
+        return readings;
+    }
+
+    let behavior = DEVICE_BEHAVIORS[deviceType] || {};
+
+    if (state.temperature !== null) {
+        readings.push("Currently " + Math.round(state.temperature) + "°C");
+    }
+    if (state.cycleMinutes !== null && behavior.cycleMinutes) {
+        readings.push("Cycle: " + Math.ceil(behavior.cycleMinutes - state.cycleMinutes) + " min left");
+    }
+
+    return readings;
+}
+
+// The simulated battery level is selected as 'Simulated_Battery_Level', as the 'Device Types' table has a 'Battery_Level' of its own
+
+function toSimulationState(row) {
+    return {
+        temperature: row.Current_Temperature === undefined ? null : row.Current_Temperature,
+        batteryLevel: row.Simulated_Battery_Level === undefined ? null : row.Simulated_Battery_Level,
+        cycleMinutes: row.Cycle_Minutes === undefined ? null : row.Cycle_Minutes
+    };
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To retrieve the simulated readings of every device of a household.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and an object mapping each simulated device's ID to its readings (see describeSimulation). Devices that have not been simulated are not listed.
+
+*/
+
+function getSimulationReadings(householdID, callback) {
+
+    let sqlQuerySimulation = "SELECT devicesimulation.Device_Type_ID, devicesimulation.Current_Temperature, devicesimulation.Battery_Level AS Simulated_Battery_Level, devicesimulation.Cycle_Minutes, devicetypes.Device_Type FROM devicesimulation JOIN devicetypes ON devicesimulation.Device_Type_ID = devicetypes.Device_Type_ID JOIN devicenames ON devicesimulation.Device_Type_ID = devicenames.Device_Type_ID WHERE devicenames.Household_ID = ?";
+
+    db.query(sqlQuerySimulation, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        let readings = {};
+        result.forEach((row) => {
+            readings[row.Device_Type_ID] = describeSimulation(row.Device_Type, toSimulationState(row));
+        });
+        callback(null, readings);
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To write a device's simulated state back to the 'Device Simulation' table, creating its record the first time it is simulated.
+
+Input:
+The device ID, its simulated state and a callback.
+
+Output:
+The callback receives an error (if any).
+
+*/
+
+function saveSimulationState(deviceTypeID, state, callback) {
+
+    let values = [state.temperature, state.batteryLevel, state.cycleMinutes, new Date().toISOString(), deviceTypeID];
+
+    db.query("UPDATE devicesimulation SET Current_Temperature = ?, Battery_Level = ?, Cycle_Minutes = ?, Updated_At = ? WHERE Device_Type_ID = ?", values, (err, result) => {
+        if (err || result.affectedRows > 0) {
+            return callback(err || null);
+        }
+        db.query("INSERT INTO devicesimulation (Current_Temperature, Battery_Level, Cycle_Minutes, Updated_At, Device_Type_ID) VALUES (?,?,?,?,?)", values, (err) => {
+            callback(err || null);
+        });
+    });
+}
+
+/*
+
+A function that advances the simulation of every device by one step.
+
+Input:
+The number of simulated minutes to advance by and a callback.
+
+Output:
+Each device's simulated state is saved, a 'device-simulated' event is published for each device whose readings changed, and each device that switches itself off or reports its battery level is updated. A device that cannot be updated is logged and does not stop the others. The callback receives an error (if any) if the devices cannot be read.
+
+*/
+
+function runSimulationStep(minutes, callback) {
+
+    let sqlQueryAll = "SELECT devicenames.Household_ID, devicenames.Custom_Name, devicetypes.*, devicesimulation.Current_Temperature, devicesimulation.Battery_Level AS Simulated_Battery_Level, devicesimulation.Cycle_Minutes FROM devicenames JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID LEFT JOIN devicesimulation ON devicenames.Device_Type_ID = devicesimulation.Device_Type_ID ORDER BY devicenames.Device_Type_ID";
+
+    db.query(sqlQueryAll, [], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+
+        function next(index) {
+            if (index === rows.length) {
+                return callback(null);
+            }
+
+            let row = rows[index];
+            let device = toDeviceResource(row);
+            let previous = toSimulationState(row);
+            let result = simulateDevice(device, previous, minutes);
+
+            saveSimulationState(device.device_type_ID, result.state, (err) => {
+                if (err) {
+                    console.error("The simulator could not save the state of device " + device.device_type_ID + ":", err);
+                }
+
+                let readings = describeSimulation(device.device_type, result.state);
+
+                if (readings.join() !== describeSimulation(device.device_type, previous).join()) {
+                    publishDeviceEvent(DEVICE_SIMULATED, { device_type_ID: device.device_type_ID, readings: readings, context: { origin: ORIGIN_SIMULATOR, householdID: row.Household_ID } });
+                }
+
+                if (!result.changes) {
+                    return next(index + 1);
+                }
+
+                if (result.reason) {
+                    console.log("Simulator: " + device.custom_name + " switched off because " + result.reason + ".");
+                }
+
+                patchDevice(device.device_type_ID, result.changes, { origin: ORIGIN_SIMULATOR, householdID: row.Household_ID }, (err) => {
+                    if (err) {
+                        console.error("The simulator could not update device " + device.device_type_ID + ":", err);
+                    }
+                    next(index + 1);
+                });
+            });
+        }
+
+        next(0);
+    });
+}
+
+/*
+
+A function that starts the simulator.
+
+Input:
+The 'simulator' section of the configuration: 'intervalSeconds', the time between steps, and 'speed', the number of simulated minutes that pass in each real minute (e.g. 60 to simulate an hour every minute).
+
+Output:
+An object with a 'stop' function. A step does not start while the previous one is still running.
+
+*/
+
+function startSimulator(options) {
+
+    let running = false;
+    let minutesPerStep = options.intervalSeconds / 60 * options.speed;
+
+    function step() {
+        if (running) {
+            return;
+        }
+        running = true;
+        runSimulationStep(minutesPerStep, (err) => {
+            running = false;
+            if (err) {
+                console.error("The simulator could not simulate the devices:", err);
+            }
+        });
+    }
+
+    let timer = setInterval(step, options.intervalSeconds * 1000);
+
+    return {
+        stop: () => clearInterval(timer)
+    };
+}
+
+module.exports = {
+    DEVICE_BEHAVIORS,
+    simulateDevice,
+    describeSimulation,
+    getSimulationReadings,
+    runSimulationStep,
+    startSimulator
+};
@@ -0,0 +1,43 @@
+/*
+
+The storage interface used by the routes.
+
+Purpose:
+To decouple the routes from a particular database so that the backend can be chosen by configuration (see config.js). Every backend provides:
+
+    dialect                         'mysql' or 'sqlite'.
+    query(sql, params, callback)    Runs a statement with '?' placeholders. SELECT statements return an array of rows; other statements return an object containing 'insertId' and 'affectedRows'.
+    transaction(work, callback)     Runs a sequence of queries in one transaction. 'work' receives a connection and a 'done' callback; every query in the transaction must be issued with connection.query. Calling 'done' with an error, or throwing from 'work', rolls the transaction back, otherwise it is committed. The callback receives the error which caused the rollback (if any) or the result passed to 'done'. 'work' must not wait for a query issued with query() rather than the connection: with SQLite, such a query waits until the transaction has finished, so the transaction would never finish.
+    close(callback)                 Releases the database connection(s).
+
+*/
+
+const { createMySQLStorage } = require("./mysql");
+const { createSQLiteStorage } = require("./sqlite");
+
+/*
+
+A function that creates the storage backend named in the configuration.
+
+Input:
+The 'storage' section of the configuration and a callback.
+
+Output:
+The callback receives an error (if any) and the connected storage object.
+
+*/
+
+function createStorage(options, callback) {
+    if (options.backend === "mysql") {
+        return createMySQLStorage(options.mysql, callback);
+    }
+    if (options.backend === "sqlite") {
+        return createSQLiteStorage({ filename: options.sqlite.filename }, callback);
+    }
+    if (options.backend === "memory") {
+        return createSQLiteStorage({ filename: null }, callback);
+    }
+    callback(new Error("Unknown storage backend '" + options.backend + "'. Use 'mysql', 'sqlite' or 'memory'."));
+}
+
+module.exports = { createStorage };
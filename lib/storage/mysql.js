@@ -0,0 +1,95 @@
+const mysql = require("mysql");
+
+/*
+
+A storage backend for a MySQL server.
+
+Purpose:
+To implement the storage interface (see index.js) with a MySQL connection pool. A pool allows a transaction to reserve its own connection while other requests continue to be served.
+
+Input:
+The connection options (host, port, user, password, database) and a callback.
+
+Output:
+The callback receives an error if the server cannot be reached, otherwise the storage object.
+
+*/
+
+function createMySQLStorage(options, callback) {
+
+    const pool = mysql.createPool(options);
+
+    function transaction(work, callback) {
+
+        // A pooled connection is reserved for the whole transaction so that queries from concurrent requests cannot interleave with it
+
+        pool.getConnection((err, connection) => {
+            if (err) {
+                return callback(err);
+            }
+
+            function rollback(err) {
+                connection.rollback(() => {
+                    connection.release();
+                    callback(err);
+                });
+            }
+
+            connection.beginTransaction((err) => {
+                if (err) {
+                    connection.release();
+                    return callback(err);
+                }
+
+                let finished = false;
+
+                function finish(err, result) {
+                    if (finished) {
+                        return;
+                    }
+                    finished = true;
+                    if (err) {
+                        return rollback(err);
+                    }
+
+                    connection.commit((err) => {
+                        if (err) {
+                            return rollback(err);
+                        }
+                        connection.release();
+                        callback(null, result);
+                    });
+                }
+
+                // A work function that throws rolls the transaction back and releases the connection, rather than leaving it reserved for good
+
+                try {
+                    work(connection, finish);
+                }
+                catch (err) {
+                    finish(err);
+                }
+            });
+        });
+    }
+
+    // Connect to the database to ensure that the server is reachable before the storage is used
+
+    pool.getConnection((err, connection) => {
+        if (err) {
+            return callback(err);
+        }
+        connection.release();
+
+        callback(null, {
+            dialect: "mysql",
+            query: function () {
+                return pool.query.apply(pool, arguments);
+            },
+            transaction: transaction,
+            close: (callback) => pool.end(callback)
+        });
+    });
+}
+
+module.exports = { createMySQLStorage };
@@ -0,0 +1,225 @@
+const fs = require("fs");
+const initSqlJs = require("sql.js");
+
+// Writes are saved to the database file at most this often, so that frequent writes (e.g. by the simulator) do not each rewrite the whole file
+
+const PERSIST_DELAY_MS = 1000;
+
+/*
+
+A storage backend for an embedded SQLite database.
+
+Purpose:
+To implement the storage interface (see index.js) without a database server, so that the device manager can run locally and each test run can start with fresh data. The schema is created by the migrations (see lib/migrations.js). The database is held in memory and, when a file name is given, loaded from that file and saved to it within PERSIST_DELAY_MS of a write, and when the storage is closed.
+
+SQLite has a single connection, so a query issued with query() while a transaction is open waits until the transaction has finished. A transaction's work must therefore issue its queries with its own connection: waiting for a query() of its own would never finish.
+
+Input:
+An options object containing an optional 'filename' (NULL for a database that only exists in memory) and a callback.
+
+Output:
+The callback receives an error (if any) and the storage object.
+
+*/
+
+function createSQLiteStorage(options, callback) {
+
+    initSqlJs().then((SQL) => {
+
+        let database;
+
+        if (options.filename && fs.existsSync(options.filename)) {
+            database = new SQL.Database(fs.readFileSync(options.filename));
+        }
+        else {
+            database = new SQL.Database();
+        }
+
+        database.run("PRAGMA foreign_keys = ON");
+
+        // SQLite has a single connection, so queries issued while a transaction is open wait until it has finished
+
+        let transactionOpen = false;
+        let waiting = [];
+
+        function schedule(task) {
+            if (transactionOpen) {
+                waiting.push(task);
+            }
+            else {
+                task();
+            }
+        }
+
+        function drain() {
+            while (!transactionOpen && waiting.length > 0) {
+                waiting.shift()();
+            }
+        }
+
+        let persistTimer = null;
+        let closed = false;
+
+        function writeFile() {
+            persistTimer = null;
+            if (closed) {
+                return;
+            }
+            try {
+                fs.writeFileSync(options.filename, Buffer.from(database.export()));
+            }
+            catch (err) {
+                console.error("The database could not be saved to " + options.filename + ":", err.message);
+            }
+
+            // Exporting re-opens the database, which resets its pragmas
+
+            database.run("PRAGMA foreign_keys = ON");
+        }
+
+        // Save the database to its file once the writes made in the meantime have been coalesced. The file is not written while a transaction is open, as exporting would end it.
+
+        function persist() {
+            if (options.filename && !persistTimer) {
+                persistTimer = setTimeout(() => schedule(writeFile), PERSIST_DELAY_MS);
+            }
+        }
+
+        // Run a statement and shape its result like the MySQL driver: an array of rows, or the insert ID and affected row count
+
+        function execute(sql, params) {
+            let statement = database.prepare(sql);
+            try {
+                statement.bind([].concat(params === undefined ? [] : params).map(toSQLiteValue));
+
+                if (statement.getColumnNames().length > 0) {
+                    let rows = [];
+                    while (statement.step()) {
+                        rows.push(statement.getAsObject());
+                    }
+                    return rows;
+                }
+
+                statement.step();
+                return {
+                    insertId: database.exec("SELECT last_insert_rowid()")[0].values[0][0],
+                    affectedRows: database.getRowsModified()
+                };
+            }
+            finally {
+                statement.free();
+            }
+        }
+
+        function run(sql, params, callback, persistWrites) {
+            let result;
+            try {
+                result = execute(sql, params);
+                if (persistWrites && !Array.isArray(result)) {
+                    persist();
+                }
+            }
+            catch (err) {
+                return setImmediate(() => callback(toDriverError(err)));
+            }
+            setImmediate(() => callback(null, result));
+        }
+
+        function query(sql, params, callback) {
+            if (typeof params === "function") {
+                callback = params;
+                params = [];
+            }
+            schedule(() => run(sql, params, callback || function () { }, true));
+        }
+
+        function transaction(work, callback) {
+            schedule(() => {
+                transactionOpen = true;
+                database.run("BEGIN");
+
+                let finished = false;
+
+                let connection = {
+                    query: (sql, params, callback) => {
+                        if (typeof params === "function") {
+                            callback = params;
+                            params = [];
+                        }
+                        run(sql, params, callback, false);
+                    }
+                };
+
+                function finish(err, result) {
+                    if (finished) {
+                        return;
+                    }
+                    finished = true;
+                    if (err) {
+                        database.run("ROLLBACK");
+                    }
+                    else {
+                        database.run("COMMIT");
+                        persist();
+                    }
+                    transactionOpen = false;
+                    setImmediate(() => callback(err || null, result));
+                    drain();
+                }
+
+                // A work function that throws rolls the transaction back, rather than leaving it open for every later query to wait on
+
+                try {
+                    work(connection, finish);
+                }
+                catch (err) {
+                    finish(err);
+                }
+            });
+        }
+
+        let storage = {
+            dialect: "sqlite",
+            query: query,
+            transaction: transaction,
+            close: (callback) => {
+                if (persistTimer) {
+                    clearTimeout(persistTimer);
+                    writeFile();
+                }
+                closed = true;
+                database.close();
+                if (callback) {
+                    setImmediate(callback);
+                }
+            }
+        };
+
+        setImmediate(() => callback(null, storage));
+
+    }, callback);
+}
+
+function toSQLiteValue(value) {
+    if (value === undefined) {
+        return null;
+    }
+    if (typeof value === "boolean") {
+        return value ? 1 : 0;
+    }
+    return value;
+}
+
+// Give constraint violations the same error codes as the MySQL driver so that callers can handle both backends alike
+
+function toDriverError(err) {
+    if (/UNIQUE constraint failed/.test(err.message)) {
+        err.code = "ER_DUP_ENTRY";
+    }
+    else if (/FOREIGN KEY constraint failed/.test(err.message)) {
+        err.code = "ER_NO_REFERENCED_ROW_2";
+    }
+    return err;
+}
+
+module.exports = { createSQLiteStorage };
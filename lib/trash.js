@@ -0,0 +1,166 @@
+/*
+
+The device trash.
+
+Purpose:
+To keep deleted devices for a while, so that a device deleted by mistake can be brought back. Deleting a device (see devices.js) moves it to the 'Device Trash' table (see migration 15) rather than deleting it for good. From the trash, a device can be restored with all its values (see restoreDevice in devices.js) or purged, which deletes its 'Device Types' record and, by the ON DELETE CASCADE referential actions, its schedules, scene targets, rule conditions and actions, low-battery alerts and simulation state. Its history and energy usage are kept, as for any deleted device.
+
+Devices are purged automatically once they have been in the trash for the configured number of days.
+
+Errors passed to callbacks carry a 'status' property: 404 for a device that is not in the household's trash. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+// How often the trash is checked for devices to purge
+
+const TRASH_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function trashError(status, message) {
+    let err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To list the devices in a household's trash.
+
+Input:
+The household ID, the number of days devices are kept in the trash and a callback.
+
+Output:
+The callback receives an error (if any) and the trashed devices, most recently deleted first, each with its 'deviceTypeID', 'customName', 'deviceType', 'roomName' (NULL for no room), when it was deleted ('deletedAt', 'deletedAtText') and by whom ('deletedBy', NULL if not by a member), and when it will be purged ('purgeAtText').
+
+*/
+
+function listTrash(householdID, retentionDays, callback) {
+
+    let sqlQueryTrash = "SELECT devicetrash.Device_Type_ID, devicetrash.Custom_Name, devicetrash.Deleted_At, devicetrash.Deleted_By, devicetypes.Device_Type, rooms.Room_Name FROM devicetrash JOIN devicetypes ON devicetrash.Device_Type_ID = devicetypes.Device_Type_ID LEFT JOIN rooms ON devicetrash.Room_ID = rooms.Room_ID WHERE devicetrash.Household_ID = ? ORDER BY devicetrash.Deleted_At DESC, devicetrash.Device_Type_ID DESC";
+
+    db.query(sqlQueryTrash, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            deviceTypeID: row.Device_Type_ID,
+            customName: row.Custom_Name,
+            deviceType: row.Device_Type,
+            roomName: row.Room_Name || null,
+            deletedAt: row.Deleted_At,
+            deletedAtText: new Date(row.Deleted_At).toLocaleString(),
+            deletedBy: row.Deleted_By,
+            purgeAtText: new Date(new Date(row.Deleted_At).getTime() + retentionDays * DAY_MS).toLocaleString()
+        })));
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To delete a device in a household's trash for good.
+
+Input:
+The device type ID, the household ID and a callback.
+
+Output:
+Deletion of the device's 'Device Types' record, and with it its trash record and every record referring to it. The callback receives an error (if any); a 404 error is returned if the household has no device with the given ID in the trash.
+
+*/
+
+function purgeDevice(deviceTypeID, householdID, callback) {
+
+    let sqlQueryPurge = "DELETE FROM devicetypes WHERE Device_Type_ID IN (SELECT Device_Type_ID FROM devicetrash WHERE Device_Type_ID = ? AND Household_ID = ?)";
+
+    db.query(sqlQueryPurge, [deviceTypeID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.affectedRows === 0) {
+            return callback(trashError(404, "Device not found in the trash"));
+        }
+        callback(null);
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To purge every device, of every household, that has been in the trash for longer than the retention period.
+
+Input:
+The number of days devices are kept in the trash and a callback.
+
+Output:
+The callback receives an error (if any) and the number of devices purged.
+
+*/
+
+function purgeExpiredDevices(retentionDays, callback) {
+
+    let cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+
+    let sqlQueryPurgeExpired = "DELETE FROM devicetypes WHERE Device_Type_ID IN (SELECT Device_Type_ID FROM devicetrash WHERE Deleted_At <= ?)";
+
+    db.query(sqlQueryPurgeExpired, [cutoff], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.affectedRows);
+    });
+}
+
+/*
+
+A function that starts purging expired devices from the trash.
+
+Input:
+The 'trash' section of the configuration: 'retentionDays', the number of days devices are kept in the trash.
+
+Output:
+An object with a 'stop' function. The expired devices are purged immediately and then checked every hour; a check does not start while the previous one is still running.
+
+*/
+
+function startTrashPurger(options) {
+
+    let running = false;
+
+    function check() {
+        if (running) {
+            return;
+        }
+        running = true;
+        purgeExpiredDevices(options.retentionDays, (err, purged) => {
+            running = false;
+            if (err) {
+                return console.error("The trash could not be purged:", err);
+            }
+            if (purged > 0) {
+                console.log("Purged " + purged + " device(s) that had been in the trash for more than " + options.retentionDays + " days.");
+            }
+        });
+    }
+
+    let timer = setInterval(check, TRASH_CHECK_INTERVAL_MS);
+    check();
+
+    return {
+        stop: () => clearInterval(timer)
+    };
+}
+
+module.exports = {
+    listTrash,
+    purgeDevice,
+    purgeExpiredDevices,
+    startTrashPurger
+};
@@ -0,0 +1,589 @@
+/*
+
+User accounts.
+
+Purpose:
+To register users and check their passwords when they log in. Users are stored in the 'Users' table; a password is never stored, only a salted scrypt hash of it. Every user belongs to a household (the 'Households' table), which owns the devices, rooms, scenes and rules its users manage.
+
+The first user to register joins the household that owns the devices created before accounts existed (see migration 8). Every later registration creates a new household, named after the user unless a household name is given. A user who registers is the owner of their household; the owner can then add other members to it, each with a role that decides what they may do (see permissions.js). A household always keeps at least one owner.
+
+Errors passed to callbacks carry a 'status' property: 400 for invalid fields, 401 for a wrong username or password, 404 for a member who is not in the household and 409 for a username that is already in use or a change that would leave a household without an owner. Errors with a 400 or 409 status also carry a 'fields' property which maps each offending field to a message. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const crypto = require("crypto");
+const { validate, hasErrors } = require("./validation");
+const { ROLES } = require("./permissions");
+
+// The scrypt parameters are stored with each hash, so they can be raised later without invalidating existing passwords
+
+const PASSWORD_HASH_SCHEME = "scrypt";
+const SCRYPT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const PASSWORD_KEY_LENGTH = 64;
+const PASSWORD_SALT_BYTES = 16;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+const registrationSchema = {
+    username: {
+        type: "string",
+        label: "Username",
+        required: true,
+        pattern: /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/,
+        minLength: 3,
+        maxLength: 30,
+        messages: {
+            required: "Enter a username.",
+            pattern: "Enter a username (3–30 chars.) using letters, numbers, '.', '_' or '-'."
+        }
+    },
+    household_name: {
+        type: "string",
+        label: "Household name",
+        pattern: /^[a-zA-Z0-9][a-zA-Z0-9 '&-]*$/,
+        minLength: 1,
+        maxLength: 50,
+        messages: {
+            pattern: "Enter a household name (up to 50 chars.) using letters, numbers, spaces, ' & or -."
+        }
+    }
+};
+
+// The fields of a member added to a household by its owner; the username follows the same rules as at registration
+
+const memberSchema = {
+    username: registrationSchema.username,
+    role: {
+        type: "string",
+        label: "Role",
+        required: true,
+        oneOf: () => ROLES,
+        messages: {
+            required: "Choose a role.",
+            oneOf: "Choose one of the roles: " + ROLES.join(", ") + "."
+        }
+    }
+};
+
+const roleSchema = {
+    role: memberSchema.role
+};
+
+function userError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+function usernameTakenError(username) {
+    let message = "The username '" + username + "' is already taken. Choose a different username.";
+    return userError(409, message, { username: message });
+}
+
+// Passwords are checked separately from the schema, as they are never trimmed and never shown again in error messages or forms
+
+function validatePassword(input, errors) {
+
+    let password = typeof input.password === "string" ? input.password : "";
+
+    if (password.length === 0) {
+        errors.password = "Enter a password.";
+    }
+    else if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        errors.password = "Enter a password of " + MIN_PASSWORD_LENGTH + "–" + MAX_PASSWORD_LENGTH + " characters.";
+    }
+    else if (input.confirm_password !== undefined && input.confirm_password !== password) {
+        errors.confirm_password = "The passwords do not match.";
+    }
+
+    return password;
+}
+
+/*
+
+A function that validates a registration.
+
+Input:
+Raw registration data (e.g. a form's request body) containing the 'username', the 'password', an optional 'confirm_password' that must match it, and an optional 'household_name'.
+
+Output:
+An object containing the registration's converted 'values' and the 'errors' keyed by field name.
+
+*/
+
+function validateRegistration(input) {
+
+    input = input || {};
+
+    let { values, errors } = validate(registrationSchema, input);
+
+    values.password = validatePassword(input, errors);
+
+    if (values.household_name) {
+        values.household_name = values.household_name.replace(/\s+/g, " ");
+    }
+
+    return { values: values, errors: errors };
+}
+
+/*
+
+A function that hashes a password.
+
+Input:
+The password and a callback.
+
+Output:
+The callback receives an error (if any) and the hash, which records the scheme, the scrypt parameters and the random salt alongside the derived key, e.g. 'scrypt$16384$8$1$<salt>$<key>'.
+
+*/
+
+function hashPassword(password, callback) {
+
+    let salt = crypto.randomBytes(PASSWORD_SALT_BYTES);
+    let options = { N: SCRYPT_COST, r: SCRYPT_BLOCK_SIZE, p: SCRYPT_PARALLELIZATION };
+
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, options, (err, key) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, [PASSWORD_HASH_SCHEME, SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELIZATION, salt.toString("hex"), key.toString("hex")].join("$"));
+    });
+}
+
+/*
+
+A function that checks a password against a stored hash.
+
+Input:
+The password, the hash created by hashPassword and a callback.
+
+Output:
+The callback receives an error (if any) and true if the password matches. The derived keys are compared in constant time.
+
+*/
+
+function verifyPassword(password, hash, callback) {
+
+    let parts = String(hash).split("$");
+
+    if (parts.length !== 6 || parts[0] !== PASSWORD_HASH_SCHEME) {
+        return callback(null, false);
+    }
+
+    let expected = Buffer.from(parts[5], "hex");
+    let options = { N: parseInt(parts[1], 10), r: parseInt(parts[2], 10), p: parseInt(parts[3], 10) };
+
+    crypto.scrypt(password, Buffer.from(parts[4], "hex"), expected.length, options, (err, key) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, crypto.timingSafeEqual(key, expected));
+    });
+}
+
+// The representation of a user passed to routes and views, without the password hash. The household's battery settings and the user's unread notifications are only read for a logged-in user (see getUser).
+
+function toUser(row) {
+    return {
+        userID: row.User_ID,
+        username: row.Username,
+        householdID: row.Household_ID,
+        householdName: row.Household_Name,
+        role: row.Role,
+        lowBatteryThreshold: row.Low_Battery_Threshold,
+        lowBatteryCount: row.Low_Battery_Count,
+        unreadNotificationCount: row.Unread_Notification_Count
+    };
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To choose the household a new user joins: the household created by migration 8, as long as nobody has joined it yet.
+
+Input:
+The transaction's connection, the household name given at registration (NULL for none), the username and a callback.
+
+Output:
+The callback receives an error (if any) and the ID of the household, which is created if the user does not join the original household.
+
+*/
+
+function chooseHousehold(connection, householdName, username, callback) {
+
+    let sqlQueryUnclaimed = "SELECT households.Household_ID FROM households WHERE NOT EXISTS (SELECT 1 FROM users) ORDER BY households.Household_ID LIMIT 1";
+
+    connection.query(sqlQueryUnclaimed, [], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+
+        if (result.length > 0) {
+            if (!householdName) {
+                return callback(null, result[0].Household_ID);
+            }
+            return connection.query("UPDATE households SET Household_Name = ? WHERE Household_ID = ?", [householdName, result[0].Household_ID], (err) => {
+                callback(err, result[0].Household_ID);
+            });
+        }
+
+        let sqlQueryInsertHousehold = "INSERT INTO households (Household_Name, Created_At) VALUES (?,?)";
+
+        connection.query(sqlQueryInsertHousehold, [householdName || username + "'s Home", new Date().toISOString()], (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, result.insertId);
+        });
+    });
+}
+
+/*
+
+A function that registers a user.
+
+Purpose:
+To create the user, and the household they belong to, in one transaction.
+
+Input:
+Raw registration data (see validateRegistration) and a callback.
+
+Output:
+The callback receives an error (if any) and the new user (see toUser).
+
+*/
+
+function registerUser(input, callback) {
+
+    let { values, errors } = validateRegistration(input);
+
+    if (hasErrors(errors)) {
+        let messages = Object.keys(errors).map((field) => errors[field]);
+        return callback(userError(400, messages.join(" "), errors));
+    }
+
+    hashPassword(values.password, (err, passwordHash) => {
+        if (err) {
+            return callback(err);
+        }
+
+        db.transaction((connection, done) => {
+
+            connection.query("SELECT User_ID FROM users WHERE LOWER(Username) = LOWER(?)", [values.username], (err, result) => {
+                if (err) {
+                    return done(err);
+                }
+                if (result.length > 0) {
+                    return done(usernameTakenError(values.username));
+                }
+
+                chooseHousehold(connection, values.household_name, values.username, (err, householdID) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    let sqlQueryInsertUser = "INSERT INTO users (Username, Password_Hash, Household_ID, Role, Created_At) VALUES (?,?,?,?,?)";
+
+                    connection.query(sqlQueryInsertUser, [values.username, passwordHash, householdID, "owner", new Date().toISOString()], (err, result) => {
+                        done(err, result && result.insertId);
+                    });
+                });
+            });
+        }, (err, userID) => {
+
+            // A unique index on the username rejects a clash that races past the check
+
+            if (err && err.code === "ER_DUP_ENTRY") {
+                return callback(usernameTakenError(values.username));
+            }
+            if (err) {
+                return callback(err);
+            }
+            getUser(userID, callback);
+        });
+    });
+}
+
+/*
+
+A function that retrieves a user with their household.
+
+Input:
+The user ID and a callback.
+
+Output:
+The callback receives an error (if any) and the user (see toUser), or undefined if no user exists with the given ID. The user includes their household's 'lowBatteryThreshold' and 'lowBatteryCount', the number of its devices with an open low-battery alert (see batteries.js), and the user's 'unreadNotificationCount' (see notifications.js), which the navigation bar shows on every page.
+
+*/
+
+function getUser(userID, callback) {
+
+    let sqlQueryUser = "SELECT users.User_ID, users.Username, users.Household_ID, users.Role, households.Household_Name, households.Low_Battery_Threshold, (SELECT COUNT(*) FROM batteryalerts WHERE batteryalerts.Household_ID = users.Household_ID AND batteryalerts.Resolved_At IS NULL) AS Low_Battery_Count, (SELECT COUNT(*) FROM notifications WHERE notifications.User_ID = users.User_ID AND notifications.Read_At IS NULL) AS Unread_Notification_Count FROM users JOIN households ON users.Household_ID = households.Household_ID WHERE users.User_ID = ?";
+
+    db.query(sqlQueryUser, [userID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result[0] ? toUser(result[0]) : undefined);
+    });
+}
+
+/*
+
+A function that checks a user's credentials.
+
+Input:
+Raw login data (e.g. a form's request body) containing the 'username' (compared case-insensitively) and the 'password', and a callback.
+
+Output:
+The callback receives an error (if any) and the user (see toUser). A 401 error is returned if the username is unknown or the password is wrong, without saying which.
+
+*/
+
+function authenticateUser(input, callback) {
+
+    input = input || {};
+
+    let username = typeof input.username === "string" ? input.username.trim() : "";
+    let password = typeof input.password === "string" ? input.password : "";
+    let invalid = userError(401, "The username or password is incorrect.");
+
+    if (username === "" || password === "") {
+        return callback(invalid);
+    }
+
+    let sqlQueryCredentials = "SELECT users.User_ID, users.Username, users.Password_Hash, users.Household_ID, users.Role, households.Household_Name FROM users JOIN households ON users.Household_ID = households.Household_ID WHERE LOWER(users.Username) = LOWER(?)";
+
+    db.query(sqlQueryCredentials, [username], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+
+        // An unknown username is checked against a throwaway hash, so that it takes as long to reject as a wrong password
+
+        let row = result[0];
+        let hash = row ? row.Password_Hash : [PASSWORD_HASH_SCHEME, SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELIZATION, "00", "00".repeat(PASSWORD_KEY_LENGTH)].join("$");
+
+        verifyPassword(password, hash, (err, matches) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!row || !matches) {
+                return callback(invalid);
+            }
+            callback(null, toUser(row));
+        });
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To list the members of a household, in the order they joined.
+
+Input:
+The household ID and a callback.
+
+Output:
+The callback receives an error (if any) and the members, each with their 'userID', 'username', 'role' and when they joined ('createdAt', and 'createdAtText' for display).
+
+*/
+
+function listHouseholdMembers(householdID, callback) {
+
+    let sqlQueryMembers = "SELECT User_ID, Username, Role, Created_At FROM users WHERE Household_ID = ? ORDER BY User_ID";
+
+    db.query(sqlQueryMembers, [householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            userID: row.User_ID,
+            username: row.Username,
+            role: row.Role,
+            createdAt: row.Created_At,
+            createdAtText: new Date(row.Created_At).toLocaleDateString()
+        })));
+    });
+}
+
+/*
+
+A function that adds a member to a household.
+
+Purpose:
+To let a household's owner create an account for another member (e.g. a child or a guest), who then logs in with the username and password chosen for them.
+
+Input:
+The household ID, raw member data (e.g. a form's request body) containing the 'username', the 'password', an optional 'confirm_password' that must match it, and the 'role', and a callback.
+
+Output:
+The callback receives an error (if any) and the new member (see toUser).
+
+*/
+
+function addHouseholdMember(householdID, input, callback) {
+
+    input = input || {};
+
+    let { values, errors } = validate(memberSchema, input);
+
+    values.password = validatePassword(input, errors);
+
+    if (hasErrors(errors)) {
+        let messages = Object.keys(errors).map((field) => errors[field]);
+        return callback(userError(400, messages.join(" "), errors));
+    }
+
+    hashPassword(values.password, (err, passwordHash) => {
+        if (err) {
+            return callback(err);
+        }
+
+        db.query("SELECT User_ID FROM users WHERE LOWER(Username) = LOWER(?)", [values.username], (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            if (result.length > 0) {
+                return callback(usernameTakenError(values.username));
+            }
+
+            let sqlQueryInsertUser = "INSERT INTO users (Username, Password_Hash, Household_ID, Role, Created_At) VALUES (?,?,?,?,?)";
+
+            db.query(sqlQueryInsertUser, [values.username, passwordHash, householdID, values.role, new Date().toISOString()], (err, result) => {
+                if (err && err.code === "ER_DUP_ENTRY") {
+                    return callback(usernameTakenError(values.username));
+                }
+                if (err) {
+                    return callback(err);
+                }
+                getUser(result.insertId, callback);
+            });
+        });
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To check, within a transaction, that a member belongs to a household and that changing them leaves the household with an owner.
+
+Input:
+The transaction's connection, the household ID, the member's user ID, the role the member will have afterwards (NULL if they are being removed) and a callback.
+
+Output:
+The callback receives an error (if any): a 404 error if the household has no such member, or a 409 error if the member is the household's only owner and would no longer be one.
+
+*/
+
+function checkMemberChange(connection, householdID, userID, newRole, callback) {
+
+    let sqlQueryMember = "SELECT User_ID, Username, Role FROM users WHERE User_ID = ? AND Household_ID = ?";
+
+    connection.query(sqlQueryMember, [userID, householdID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(userError(404, "Member not found"));
+        }
+        if (result[0].Role !== "owner" || newRole === "owner") {
+            return callback(null);
+        }
+
+        connection.query("SELECT COUNT(*) AS Owners FROM users WHERE Household_ID = ? AND Role = 'owner'", [householdID], (err, owners) => {
+            if (err) {
+                return callback(err);
+            }
+            if (Number(owners[0].Owners) <= 1) {
+                return callback(userError(409, result[0].Username + " is the only owner of the household. Make another member an owner first."));
+            }
+            callback(null);
+        });
+    });
+}
+
+/*
+
+A function that changes the role of a household member.
+
+Input:
+The household ID, the member's user ID, raw data containing the new 'role' and a callback.
+
+Output:
+The callback receives an error (if any). The new role applies from the member's next request.
+
+*/
+
+function setMemberRole(householdID, userID, input, callback) {
+
+    let { values, errors } = validate(roleSchema, input || {});
+
+    if (hasErrors(errors)) {
+        return callback(userError(400, errors.role, errors));
+    }
+
+    db.transaction((connection, done) => {
+        checkMemberChange(connection, householdID, userID, values.role, (err) => {
+            if (err) {
+                return done(err);
+            }
+            connection.query("UPDATE users SET Role = ? WHERE User_ID = ?", [values.role, userID], (err) => {
+                done(err);
+            });
+        });
+    }, callback);
+}
+
+/*
+
+A function that removes a member from a household.
+
+Purpose:
+To delete the member's account. Their sessions are removed by the ON DELETE CASCADE referential action, so they are logged out at once; the changes they made stay in the device history.
+
+Input:
+The household ID, the member's user ID and a callback.
+
+Output:
+The callback receives an error (if any).
+
+*/
+
+function removeHouseholdMember(householdID, userID, callback) {
+
+    db.transaction((connection, done) => {
+        checkMemberChange(connection, householdID, userID, null, (err) => {
+            if (err) {
+                return done(err);
+            }
+            connection.query("DELETE FROM users WHERE User_ID = ?", [userID], (err) => {
+                done(err);
+            });
+        });
+    }, callback);
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    registerUser,
+    getUser,
+    authenticateUser,
+    listHouseholdMembers,
+    addHouseholdMember,
+    setMemberRole,
+    removeHouseholdMember
+};
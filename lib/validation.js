@@ -0,0 +1,173 @@
+/*
+
+A declarative, schema-driven validator.
+
+Purpose:
+To validate request data against a schema that describes each field, instead of repeating sanitization and type checks in every route. Every field is checked and each failure is reported against the field it belongs to, so that forms can show the error next to the matching control.
+
+A schema maps field names to rules:
+
+    type        'string', 'integer', 'number' (which may have decimals), 'flag' (0 or 1), 'id' (a positive integer) or 'date' (a calendar date written as YYYY-MM-DD, kept as a string). Input is converted to this type; a list or object is rejected, except that a 'flag' takes the first of a list of values (see convert).
+    label       The name of the field used in error messages.
+    required    True, or a function of the converted values, if the field may not be empty.
+    allowed     A function of the converted values which returns false if the field may not be set.
+    oneOf       A function returning the list of accepted values.
+    pattern     A regular expression a string must match, together with 'minLength' and 'maxLength'.
+    range       A function of the converted values returning the inclusive { min, max } of an integer or number.
+    messages    Optional overrides for the 'required', 'allowed', 'oneOf', 'pattern' and 'range' messages. An override may be a string or a function of the converted values.
+
+*/
+
+const DEFAULT_MESSAGES = {
+    required: (label) => label + " is required.",
+    allowed: (label) => label + " is not supported.",
+    oneOf: (label) => label + " is not one of the accepted values.",
+    pattern: (label) => label + " is not in the expected format.",
+    range: (label, values, range) => label + " must be " + range.min + "–" + range.max + ".",
+    string: (label) => label + " must be a single value.",
+    integer: (label) => label + " must be a whole number.",
+    number: (label) => label + " must be a number.",
+    flag: (label) => label + " must be 0 or 1.",
+    id: (label) => label + " must be a valid ID.",
+    date: (label) => label + " must be a date in the format YYYY-MM-DD."
+};
+
+// Convert a raw input value into the type a rule declares. Returns undefined if the value cannot be converted.
+
+function convert(type, value) {
+
+    // A checkbox may be submitted alongside its hidden fallback field, so a flag takes the first of its values. Any other list or object (e.g. '{"volume": [40]}' in a JSON body) is not a value of the field's type.
+
+    if (type === "flag" && Array.isArray(value)) {
+        value = value[0];
+    }
+
+    if (value !== null && typeof value === "object") {
+        return undefined;
+    }
+
+    if (value === undefined || value === null || String(value).trim() === "") {
+        return null;
+    }
+
+    value = String(value).trim();
+
+    if (type === "integer") {
+        return /^-?[0-9]+$/.test(value) ? parseInt(value, 10) : undefined;
+    }
+    if (type === "number") {
+        return /^-?[0-9]+(\.[0-9]+)?$/.test(value) ? parseFloat(value) : undefined;
+    }
+    if (type === "id") {
+        return /^[0-9]+$/.test(value) && parseInt(value, 10) > 0 ? parseInt(value, 10) : undefined;
+    }
+    if (type === "flag") {
+        if (value === "1" || value === "true") {
+            return 1;
+        }
+        if (value === "0" || value === "false") {
+            return 0;
+        }
+        return undefined;
+    }
+    if (type === "date") {
+
+        // Reject dates such as 2023-02-30, which Date would roll over into the following month
+
+        let date = new Date(value + "T00:00:00Z");
+        return /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(value) && !isNaN(date) && date.toISOString().slice(0, 10) === value ? value : undefined;
+    }
+    return value;
+}
+
+function message(rule, name, values, extra) {
+    let override = rule.messages && rule.messages[name];
+    if (typeof override === "function") {
+        return override(values, extra);
+    }
+    if (typeof override === "string") {
+        return override;
+    }
+    return DEFAULT_MESSAGES[name](rule.label, values, extra);
+}
+
+function evaluate(option, values) {
+    return typeof option === "function" ? option(values) : option;
+}
+
+/*
+
+A function that validates input against a schema.
+
+Input:
+A schema (see above) and the raw input, e.g. a request body.
+
+Output:
+An object containing 'values', the converted value of every field in the schema (NULL when empty), and 'errors', an object mapping each invalid field to a message. 'errors' is empty when the input is valid.
+
+*/
+
+function validate(schema, input) {
+
+    let values = {};
+    let errors = {};
+
+    input = input || {};
+
+    // Convert every field first so that rules can depend on the values of other fields
+
+    Object.keys(schema).forEach(function (field) {
+        let converted = convert(schema[field].type, input[field]);
+        if (converted === undefined) {
+            errors[field] = message(schema[field], schema[field].type, values);
+            values[field] = null;
+        }
+        else {
+            values[field] = converted;
+        }
+    });
+
+    Object.keys(schema).forEach(function (field) {
+
+        let rule = schema[field];
+        let value = values[field];
+
+        if (errors[field]) {
+            return;
+        }
+
+        if (value === null) {
+            if (evaluate(rule.required, values)) {
+                errors[field] = message(rule, "required", values);
+            }
+            return;
+        }
+
+        if (rule.allowed && !rule.allowed(values)) {
+            errors[field] = message(rule, "allowed", values);
+        }
+        else if (rule.oneOf && !rule.oneOf(values).includes(value)) {
+            errors[field] = message(rule, "oneOf", values);
+        }
+        else if (rule.pattern && (!rule.pattern.test(value) || value.length < rule.minLength || value.length > rule.maxLength)) {
+            errors[field] = message(rule, "pattern", values);
+        }
+        else if (rule.range) {
+            let range = rule.range(values);
+            if (range && (value < range.min || value > range.max)) {
+                errors[field] = message(rule, "range", values, range);
+            }
+        }
+    });
+
+    return { values: values, errors: errors };
+}
+
+function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
+
+module.exports = {
+    validate,
+    hasErrors
+};
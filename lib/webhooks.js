@@ -0,0 +1,661 @@
+/*
+
+Outbound webhooks.
+
+Purpose:
+To send a user's notifications (see notifications.js) to other services as they happen. A member whose role allows them to manage the household (see permissions.js) adds webhooks by URL, since a webhook receives the household's events; every notification the user receives is then POSTed to each of their webhooks as JSON, using the same field names as the JSON API:
+
+    {
+        "event": "security_alarm_on",
+        "message": "Home_Security was switched on by alice.",
+        "notification_ID": 12,
+        "household_ID": 1,
+        "device_type_ID": 7,
+        "custom_name": "Home_Security",
+        "created_at": "2024-01-01T12:00:00.000Z"
+    }
+
+Each request is signed so that the receiver can check that it came from this application: the 'X-MySmartHome-Signature' header is 'sha256=' followed by the hex HMAC-SHA256, keyed with the webhook's secret, of the 'X-MySmartHome-Timestamp' header, a '.' and the body. The 'X-MySmartHome-Event' and 'X-MySmartHome-Delivery' headers give the event type and the delivery's ID, which stays the same when a delivery is retried.
+
+Webhooks may only be sent to public servers: a URL whose host is this server or on a loopback, link-local or private network is rejected when the webhook is added, and a delivery is not sent if the webhook's host name resolves to such an address, so that webhooks cannot be used to reach services that are not meant to be reachable from outside.
+
+A delivery succeeds when the webhook responds with a 2xx status code. Otherwise it is retried after each of the WEBHOOK_RETRY_DELAYS in turn and fails once they are used up. Every delivery is logged in the 'Webhook Deliveries' table (see migration 14) with its outcome, so that a user can see what was sent and why a delivery failed.
+
+Errors passed to callbacks carry a 'status' property: 400 for invalid fields, with a 'fields' property which maps each offending field to a message, and 404 for an unknown webhook. Errors without a 'status' property are unexpected database failures.
+
+*/
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { validate, hasErrors } = require("./validation");
+const { hasPermission } = require("./permissions");
+
+// The delays before each retry of a failed delivery (seconds); a delivery is attempted once more than there are delays
+
+const WEBHOOK_RETRY_DELAYS = [30, 120, 600, 3600];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// A user may have at most this many webhooks
+
+const WEBHOOK_LIMIT = 5;
+
+// The 'Webhooks' page lists at most this many of the most recent deliveries
+
+const WEBHOOK_DELIVERY_LIMIT = 50;
+
+const SECRET_PREFIX = "whsec_";
+const SECRET_BYTES = 24;
+
+const webhookSchema = {
+    url: {
+        type: "string",
+        label: "URL",
+        required: true,
+        pattern: /^https?:\/\/[^\s/?#]+[^\s]*$/i,
+        minLength: 1,
+        maxLength: 500,
+        messages: {
+            required: "Enter the URL to send notifications to.",
+            pattern: "Enter an http:// or https:// URL (up to 500 chars.)."
+        }
+    }
+};
+
+// The loopback, link-local, private, shared, multicast and reserved networks that webhooks may not be sent to
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+[["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3]].forEach(([network, prefix]) => {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+});
+
+[["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]].forEach(([network, prefix]) => {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+});
+
+const BLOCKED_HOST_MESSAGE = "Enter the URL of a public server, not of this server or its local network.";
+
+function webhookError(status, message, fields) {
+    let err = new Error(message);
+    err.status = status;
+    if (fields) {
+        err.fields = fields;
+    }
+    return err;
+}
+
+/*
+
+A function that signs a webhook request.
+
+Input:
+The webhook's secret, the request's timestamp and its body.
+
+Output:
+The value of the 'X-MySmartHome-Signature' header.
+
+*/
+
+function signPayload(secret, timestamp, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(timestamp + "." + body).digest("hex");
+}
+
+/*
+
+A function that determines whether a webhook may not be sent to an address.
+
+Input:
+An IPv4 or IPv6 address, or a host name.
+
+Output:
+True if the address is on a loopback, link-local, private or other non-public network (see BLOCKED_ADDRESSES), otherwise false. Host names are not resolved, so they are never blocked here.
+
+*/
+
+function isBlockedAddress(address) {
+    let family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/*
+
+A function that checks that a webhook URL's host is a public server.
+
+Input:
+The URL, which has passed the schema's pattern.
+
+Output:
+An error message if the URL's host is 'localhost' or a non-public address, or the URL cannot be parsed; otherwise NULL. Host names are checked when a delivery is sent (see publicLookup), since the addresses they resolve to can change.
+
+*/
+
+function webhookHostError(url) {
+
+    let hostname;
+
+    try {
+        hostname = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+    }
+    catch (e) {
+        return webhookSchema.url.messages.pattern;
+    }
+
+    if (hostname === "localhost" || hostname.endsWith(".localhost") || isBlockedAddress(hostname)) {
+        return BLOCKED_HOST_MESSAGE;
+    }
+    return null;
+}
+
+/*
+
+A function that resolves a webhook's host name for a delivery, refusing non-public addresses.
+
+Input:
+The host name, the lookup options and a callback, as for dns.lookup (it is passed as the request's 'lookup' option).
+
+Output:
+The callback receives the addresses from dns.lookup, or an error if the host name cannot be resolved or resolves to a non-public address (see isBlockedAddress).
+
+*/
+
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) {
+            return callback(err);
+        }
+        let addresses = Array.isArray(address) ? address : [{ address: address, family: family }];
+        let blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(new Error("The webhook's host resolves to " + blocked.address + ", which is not a public address."));
+        }
+        callback(null, address, family);
+    });
+}
+
+/*
+
+A function that adds a webhook for a user.
+
+Input:
+The user's ID, raw webhook data (e.g. a form's request body) containing the 'url' and a callback.
+
+Output:
+The callback receives an error (if any) and the new webhook's ID. The webhook's secret is generated, and is shown with the webhook on the 'Webhooks' page. A URL whose host is this server or on its local network is rejected (see webhookHostError).
+
+*/
+
+function createWebhook(userID, input, callback) {
+
+    let { values, errors } = validate(webhookSchema, input);
+
+    if (!errors.url) {
+        let hostError = webhookHostError(values.url);
+        if (hostError) {
+            errors.url = hostError;
+        }
+    }
+
+    if (hasErrors(errors)) {
+        return callback(webhookError(400, "The webhook is not valid.", errors));
+    }
+
+    db.query("SELECT COUNT(*) AS Webhook_Count FROM webhooks WHERE User_ID = ?", [userID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result[0].Webhook_Count >= WEBHOOK_LIMIT) {
+            let message = "You can have up to " + WEBHOOK_LIMIT + " webhooks. Delete one before adding another.";
+            return callback(webhookError(400, message, { url: message }));
+        }
+
+        let secret = SECRET_PREFIX + crypto.randomBytes(SECRET_BYTES).toString("hex");
+
+        db.query("INSERT INTO webhooks (User_ID, URL, Secret, Created_At) VALUES (?,?,?,?)", [userID, values.url, secret, new Date().toISOString()], (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, result.insertId);
+        });
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To list a user's webhooks, oldest first.
+
+Input:
+The user's ID and a callback.
+
+Output:
+The callback receives an error (if any) and the webhooks, each with its 'webhookID', 'url', 'secret' and when it was added ('createdAtText').
+
+*/
+
+function listWebhooks(userID, callback) {
+
+    db.query("SELECT * FROM webhooks WHERE User_ID = ? ORDER BY Webhook_ID", [userID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            webhookID: row.Webhook_ID,
+            url: row.URL,
+            secret: row.Secret,
+            createdAtText: new Date(row.Created_At).toLocaleString()
+        })));
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To delete one of a user's webhooks, with its delivery log. Deliveries that are waiting to be retried are not sent.
+
+Input:
+The user's ID, the webhook ID and a callback.
+
+Output:
+The callback receives an error (if any); a 404 error if the user has no webhook with the given ID.
+
+*/
+
+function deleteWebhook(userID, webhookID, callback) {
+
+    db.query("DELETE FROM webhooks WHERE Webhook_ID = ? AND User_ID = ?", [webhookID, userID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.affectedRows === 0) {
+            return callback(webhookError(404, "Webhook not found"));
+        }
+        callback(null);
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To list the most recent deliveries to a user's webhooks.
+
+Input:
+The user's ID and a callback.
+
+Output:
+The callback receives an error (if any) and up to WEBHOOK_DELIVERY_LIMIT deliveries, newest first, each with its 'deliveryID', the 'url' it was sent to, its 'eventType', 'payload', 'status' ('pending', 'delivered' or 'failed'), the number of 'attempts', the 'responseStatus' and 'lastError' of the last attempt (NULL if there were none), and when it was created, last attempted and will next be attempted ('createdAtText', 'lastAttemptAtText' and 'nextAttemptAtText', NULL where they do not apply).
+
+*/
+
+function listWebhookDeliveries(userID, callback) {
+
+    let sqlQueryDeliveries = "SELECT webhookdeliveries.*, webhooks.URL FROM webhookdeliveries JOIN webhooks ON webhookdeliveries.Webhook_ID = webhooks.Webhook_ID WHERE webhooks.User_ID = ? ORDER BY webhookdeliveries.Delivery_ID DESC LIMIT " + WEBHOOK_DELIVERY_LIMIT;
+
+    db.query(sqlQueryDeliveries, [userID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.map((row) => ({
+            deliveryID: row.Delivery_ID,
+            url: row.URL,
+            eventType: row.Event_Type,
+            payload: row.Payload,
+            status: row.Status,
+            attempts: row.Attempts,
+            responseStatus: row.Response_Status,
+            lastError: row.Last_Error,
+            createdAtText: new Date(row.Created_At).toLocaleString(),
+            lastAttemptAtText: row.Last_Attempt_At ? new Date(row.Last_Attempt_At).toLocaleString() : null,
+            nextAttemptAtText: row.Status === "pending" && row.Next_Attempt_At ? new Date(row.Next_Attempt_At).toLocaleString() : null
+        })));
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To queue a notification for delivery to each of its user's webhooks.
+
+Input:
+The transaction's connection, the user's ID, the webhook payload (see above) and a callback.
+
+Output:
+A pending delivery, due immediately, for each of the user's webhooks. Nothing is queued if the user's role no longer allows them to manage the household's webhooks. The callback receives an error (if any) and the number of deliveries queued.
+
+*/
+
+function queueWebhookDeliveries(connection, userID, payload, callback) {
+
+    let sqlQueryWebhooks = "SELECT webhooks.Webhook_ID, users.Role FROM webhooks JOIN users ON webhooks.User_ID = users.User_ID WHERE webhooks.User_ID = ?";
+
+    connection.query(sqlQueryWebhooks, [userID], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let webhooks = result.filter((row) => hasPermission(row.Role, "manage_household"));
+
+        let now = new Date().toISOString();
+        let remaining = webhooks.slice();
+
+        (function queueNext() {
+            if (remaining.length === 0) {
+                return callback(null, webhooks.length);
+            }
+            let sqlQueryInsertDelivery = "INSERT INTO webhookdeliveries (Webhook_ID, Event_Type, Payload, Status, Attempts, Created_At, Next_Attempt_At) VALUES (?,?,?,'pending',0,?,?)";
+            connection.query(sqlQueryInsertDelivery, [remaining.shift().Webhook_ID, payload.event, JSON.stringify(payload), now, now], (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                queueNext();
+            });
+        })();
+    });
+}
+
+/*
+
+A function that sends a delivery to its webhook.
+
+Input:
+The delivery's row of the 'Webhook Deliveries' table, joined with its webhook's 'URL' and 'Secret', and a callback.
+
+Output:
+The callback receives the outcome of the attempt: the 'responseStatus' (NULL if no response was received) and an 'error' message (NULL if the webhook accepted the delivery with a 2xx status code). It is never passed an error of its own.
+
+*/
+
+function sendDelivery(delivery, callback) {
+
+    let url;
+
+    try {
+        url = new URL(delivery.URL);
+    }
+    catch (e) {
+        return callback({ responseStatus: null, error: "The URL is not valid." });
+    }
+
+    // A webhook added before hosts were checked is not sent to; a host name is checked as it is resolved (see publicLookup)
+
+    if (webhookHostError(delivery.URL)) {
+        return callback({ responseStatus: null, error: "The webhook's host is not a public server." });
+    }
+
+    let timestamp = String(Math.floor(Date.now() / 1000));
+    let body = delivery.Payload;
+    let finished = false;
+
+    function finish(outcome) {
+        if (!finished) {
+            finished = true;
+            callback(outcome);
+        }
+    }
+
+    let request = (url.protocol === "https:" ? https : http).request(url, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(body),
+            "User-Agent": "MySmartHome-Webhooks",
+            "X-MySmartHome-Event": delivery.Event_Type,
+            "X-MySmartHome-Delivery": String(delivery.Delivery_ID),
+            "X-MySmartHome-Timestamp": timestamp,
+            "X-MySmartHome-Signature": signPayload(delivery.Secret, timestamp, body)
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        lookup: publicLookup
+    }, (response) => {
+
+        // The response body is not used, but is read so that the connection is released
+
+        response.resume();
+        response.on("end", () => {
+            let accepted = response.statusCode >= 200 && response.statusCode < 300;
+            finish({ responseStatus: response.statusCode, error: accepted ? null : "The webhook responded with status " + response.statusCode + "." });
+        });
+    });
+
+    request.on("timeout", () => {
+        request.destroy(new Error("No response within " + WEBHOOK_TIMEOUT_MS / 1000 + " seconds."));
+    });
+
+    request.on("error", (err) => {
+        finish({ responseStatus: null, error: String(err.message).slice(0, 255) });
+    });
+
+    request.end(body);
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To make one attempt at a pending delivery and record its outcome: the delivery is 'delivered' if the webhook accepted it, 'failed' if it has been attempted as often as WEBHOOK_RETRY_DELAYS allows, or otherwise left pending until its next retry is due.
+
+Input:
+The delivery's row (see sendDelivery) and a callback.
+
+Output:
+The callback receives an error (if any) once the outcome is recorded.
+
+*/
+
+function attemptDelivery(delivery, callback) {
+
+    sendDelivery(delivery, (outcome) => {
+
+        let attempts = delivery.Attempts + 1;
+        let now = Date.now();
+        let status = "pending";
+        let nextAttemptAt = null;
+
+        if (!outcome.error) {
+            status = "delivered";
+        }
+        else if (attempts > WEBHOOK_RETRY_DELAYS.length) {
+            status = "failed";
+        }
+        else {
+            nextAttemptAt = new Date(now + WEBHOOK_RETRY_DELAYS[attempts - 1] * 1000).toISOString();
+        }
+
+        let sqlQueryRecordAttempt = "UPDATE webhookdeliveries SET Status = ?, Attempts = ?, Response_Status = ?, Last_Error = ?, Last_Attempt_At = ?, Next_Attempt_At = ? WHERE Delivery_ID = ?";
+
+        db.query(sqlQueryRecordAttempt, [status, attempts, outcome.responseStatus, outcome.error, new Date(now).toISOString(), nextAttemptAt, delivery.Delivery_ID], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            if (status === "failed") {
+                console.error("Webhook delivery " + delivery.Delivery_ID + " to " + delivery.URL + " failed after " + attempts + " attempts: " + outcome.error);
+            }
+            callback(null);
+        });
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To attempt a webhook's pending deliveries that are due, one at a time and oldest first, until none is due.
+
+Input:
+The webhook ID and a callback.
+
+Output:
+The callback receives an error (if any) once no delivery to the webhook is due.
+
+*/
+
+function runWebhookQueue(webhookID, callback) {
+
+    let sqlQueryNextDelivery = "SELECT webhookdeliveries.*, webhooks.URL, webhooks.Secret FROM webhookdeliveries JOIN webhooks ON webhookdeliveries.Webhook_ID = webhooks.Webhook_ID WHERE webhookdeliveries.Webhook_ID = ? AND webhookdeliveries.Status = 'pending' AND webhookdeliveries.Next_Attempt_At <= ? ORDER BY webhookdeliveries.Delivery_ID LIMIT 1";
+
+    db.query(sqlQueryNextDelivery, [webhookID, new Date().toISOString()], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.length === 0) {
+            return callback(null);
+        }
+        attemptDelivery(result[0], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            runWebhookQueue(webhookID, callback);
+        });
+    });
+}
+
+// The webhooks whose queues are running, each mapped to whether more of its deliveries were found to be due meanwhile (its queue is then run again when it finishes)
+
+const runningQueues = new Map();
+
+function startWebhookQueue(webhookID) {
+    runningQueues.set(webhookID, false);
+    runWebhookQueue(webhookID, (err) => {
+        let dueAgain = runningQueues.get(webhookID);
+        runningQueues.delete(webhookID);
+        if (err) {
+            return console.error("The deliveries to webhook " + webhookID + " could not be sent:", err);
+        }
+        if (dueAgain) {
+            startWebhookQueue(webhookID);
+        }
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To attempt every pending delivery that is due. Each webhook has its own queue, whose deliveries are attempted one at a time and in order (see runWebhookQueue), and the queues run independently of each other, so that a webhook that is slow to respond or does not respond at all holds up only its own deliveries.
+
+Input:
+A callback.
+
+Output:
+The callback receives an error (if any) once the queue of every webhook with a delivery due has been started; a queue that is already running is run again when it finishes. Errors in the queues themselves are logged.
+
+*/
+
+function runDueDeliveries(callback) {
+
+    let sqlQueryDueWebhooks = "SELECT DISTINCT Webhook_ID FROM webhookdeliveries WHERE Status = 'pending' AND Next_Attempt_At <= ?";
+
+    db.query(sqlQueryDueWebhooks, [new Date().toISOString()], (err, webhooks) => {
+        if (err) {
+            return callback(err);
+        }
+        webhooks.forEach((row) => {
+            if (runningQueues.has(row.Webhook_ID)) {
+                runningQueues.set(row.Webhook_ID, true);
+            }
+            else {
+                startWebhookQueue(row.Webhook_ID);
+            }
+        });
+        callback(null);
+    });
+}
+
+// Set while the dispatcher is running, so that new deliveries are attempted as soon as they are queued
+
+let dispatchNow = null;
+
+/*
+
+A function that starts the webhook dispatcher.
+
+Input:
+The 'notifications' section of the configuration: 'webhookIntervalSeconds', the time between checks for deliveries that are due to be retried.
+
+Output:
+An object with a 'stop' function. Due deliveries are attempted immediately, whenever a notification is queued for delivery (see dispatchDeliveries) and at every interval, in a queue per webhook (see runDueDeliveries); a check does not start while the previous one is still looking for due deliveries, but a check requested meanwhile runs after it.
+
+*/
+
+function startWebhookDispatcher(options) {
+
+    let running = false;
+    let requested = false;
+
+    function check() {
+        if (running) {
+            requested = true;
+            return;
+        }
+        running = true;
+        requested = false;
+        runDueDeliveries((err) => {
+            running = false;
+            if (err) {
+                console.error("The webhook dispatcher could not look for the due deliveries:", err);
+            }
+            if (requested) {
+                check();
+            }
+        });
+    }
+
+    let timer = setInterval(check, options.webhookIntervalSeconds * 1000);
+    dispatchNow = check;
+    check();
+
+    return {
+        stop: () => {
+            clearInterval(timer);
+            dispatchNow = null;
+        }
+    };
+}
+
+/*
+
+A function that asks the webhook dispatcher to send the deliveries that have just been queued.
+
+Input:
+None.
+
+Output:
+The due deliveries are attempted if the dispatcher is running; otherwise they wait until it is started.
+
+*/
+
+function dispatchDeliveries() {
+    if (dispatchNow) {
+        dispatchNow();
+    }
+}
+
+module.exports = {
+    WEBHOOK_RETRY_DELAYS,
+    WEBHOOK_LIMIT,
+    signPayload,
+    webhookHostError,
+    publicLookup,
+    createWebhook,
+    listWebhooks,
+    deleteWebhook,
+    listWebhookDeliveries,
+    queueWebhookDeliveries,
+    runDueDeliveries,
+    startWebhookDispatcher,
+    dispatchDeliveries
+};
@@ -0,0 +1,106 @@
+/*
+
+The schema migration command.
+
+Usage:
+node migrate.js                 Apply every pending migration.
+node migrate.js up [version]    Apply the pending migrations up to a version.
+node migrate.js down [version]  Revert the applied migrations above a version (by default, the latest migration only).
+node migrate.js status          Show the current schema version and the pending migrations.
+node migrate.js seed            Apply every pending migration and add the demo home's sample devices.
+
+The database is selected in the same way as for the application (see config.js).
+
+*/
+
+const config = require("./config");
+const { createStorage } = require("./lib/storage");
+const { migrate, getSchemaStatus } = require("./lib/migrations");
+const { seedDemoHome } = require("./lib/seed");
+
+const command = process.argv[2] || "up";
+const versionArgument = process.argv[3];
+
+function finish(storage, err) {
+    if (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    }
+    storage.close(() => { });
+}
+
+function reportMigrations(completed) {
+    if (completed.length === 0) {
+        console.log("The database schema is up to date.");
+    }
+    completed.forEach((step) => {
+        console.log((step.direction === "up" ? "Applied" : "Reverted") + " migration " + step.version + " (" + step.name + ").");
+    });
+}
+
+function parseVersion(value) {
+    let version = Number(value);
+    if (!Number.isInteger(version) || version < 0) {
+        console.error("The version must be a whole number: " + value);
+        process.exit(1);
+    }
+    return version;
+}
+
+if (["up", "down", "status", "seed"].indexOf(command) === -1) {
+    console.error("Unknown command '" + command + "'. Use 'up', 'down', 'status' or 'seed'.");
+    process.exit(1);
+}
+
+createStorage(config.storage, (err, storage) => {
+    if (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    if (command === "status") {
+        return getSchemaStatus(storage, (err, status) => {
+            if (!err) {
+                console.log("Current schema version: " + status.currentVersion + " (latest: " + status.latestVersion + ")");
+                status.pending.forEach((migration) => {
+                    console.log("Pending migration " + migration.version + " (" + migration.name + ")");
+                });
+            }
+            finish(storage, err);
+        });
+    }
+
+    if (command === "down") {
+        return getSchemaStatus(storage, (err, status) => {
+            if (err) {
+                return finish(storage, err);
+            }
+            let target = versionArgument === undefined ? Math.max(status.currentVersion - 1, 0) : parseVersion(versionArgument);
+            migrate(storage, target, (err, completed) => {
+                reportMigrations(completed || []);
+                finish(storage, err);
+            });
+        });
+    }
+
+    let target = command === "up" && versionArgument !== undefined ? parseVersion(versionArgument) : undefined;
+
+    migrate(storage, target, (err, completed) => {
+        reportMigrations(completed || []);
+        if (err || command !== "seed") {
+            return finish(storage, err);
+        }
+
+        // The device operations use the global storage object, as they do in the application
+
+        global.db = storage;
+
+        seedDemoHome((err, report) => {
+            if (report) {
+                report.created.forEach((name) => console.log("Created device " + name + "."));
+                report.skipped.forEach((name) => console.log("Skipped device " + name + ": the custom name is already in use."));
+            }
+            finish(storage, err);
+        });
+    });
+});
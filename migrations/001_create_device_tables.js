@@ -0,0 +1,57 @@
+/*
+
+Migration 1: the 'Device Types' and 'Device Names' tables.
+
+Each device record is stored in the 'Device Types' table. Its custom name is stored in the 'Device Names' table, whose Device_Type_ID references the 'Device Types' record and is deleted with it (ON DELETE CASCADE). Fields that do not apply to a device type are NULL.
+
+The tables are only created if they do not exist, so a database that was set up by hand before migrations were introduced can be brought under version control.
+
+*/
+
+module.exports = {
+    version: 1,
+    name: "create_device_tables",
+    up: {
+        mysql: [
+            `CREATE TABLE IF NOT EXISTS devicetypes (
+                Device_Type_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Device_Type VARCHAR(50) NOT NULL,
+                On_Off TINYINT(1) NULL,
+                Temperature INT NULL,
+                Volume INT NULL,
+                Batteries_Included TINYINT(1) NULL,
+                Open_Closed TINYINT(1) NULL
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE IF NOT EXISTS devicenames (
+                Device_Type_ID INT NOT NULL PRIMARY KEY,
+                Custom_Name VARCHAR(16) NOT NULL,
+                CONSTRAINT devicenames_device_type_fk FOREIGN KEY (Device_Type_ID) REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            `CREATE TABLE IF NOT EXISTS devicetypes (
+                Device_Type_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Device_Type VARCHAR(50) NOT NULL,
+                On_Off TINYINT NULL,
+                Temperature INT NULL,
+                Volume INT NULL,
+                Batteries_Included TINYINT NULL,
+                Open_Closed TINYINT NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS devicenames (
+                Device_Type_ID INTEGER NOT NULL PRIMARY KEY REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE,
+                Custom_Name VARCHAR(16) NOT NULL COLLATE NOCASE
+            )`
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE devicenames",
+            "DROP TABLE devicetypes"
+        ],
+        sqlite: [
+            "DROP TABLE devicenames",
+            "DROP TABLE devicetypes"
+        ]
+    }
+};
@@ -0,0 +1,28 @@
+/*
+
+Migration 2: a unique index on the custom name.
+
+Device operations check that a custom name is not in use before writing it (see lib/devices.js); the index rejects a clash that races past the check. Custom names are compared case-insensitively, as with MySQL's default collation.
+
+*/
+
+module.exports = {
+    version: 2,
+    name: "unique_custom_name",
+    up: {
+        mysql: [
+            "ALTER TABLE devicenames ADD UNIQUE INDEX devicenames_custom_name_unique (Custom_Name)"
+        ],
+        sqlite: [
+            "CREATE UNIQUE INDEX devicenames_custom_name_unique ON devicenames (Custom_Name COLLATE NOCASE)"
+        ]
+    },
+    down: {
+        mysql: [
+            "ALTER TABLE devicenames DROP INDEX devicenames_custom_name_unique"
+        ],
+        sqlite: [
+            "DROP INDEX devicenames_custom_name_unique"
+        ]
+    }
+};
@@ -0,0 +1,50 @@
+/*
+
+Migration 3: the 'Device History' table.
+
+Every creation, update and deletion of a device appends a record containing the device's field values before and after the change (as JSON, NULL for a created or deleted device), the time of the change and its origin. Records are never updated or deleted, and there is no foreign key to the 'Device Types' table so that the history of a deleted device is kept.
+
+*/
+
+module.exports = {
+    version: 3,
+    name: "create_device_history",
+    up: {
+        mysql: [
+            `CREATE TABLE devicehistory (
+                History_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Device_Type_ID INT NOT NULL,
+                Custom_Name VARCHAR(16) NOT NULL,
+                Action VARCHAR(10) NOT NULL,
+                Origin VARCHAR(20) NOT NULL,
+                Before_Values TEXT NULL,
+                After_Values TEXT NULL,
+                Changed_At VARCHAR(30) NOT NULL,
+                INDEX devicehistory_device (Device_Type_ID, Changed_At),
+                INDEX devicehistory_changed_at (Changed_At)
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            `CREATE TABLE devicehistory (
+                History_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Device_Type_ID INTEGER NOT NULL,
+                Custom_Name VARCHAR(16) NOT NULL,
+                Action VARCHAR(10) NOT NULL,
+                Origin VARCHAR(20) NOT NULL,
+                Before_Values TEXT NULL,
+                After_Values TEXT NULL,
+                Changed_At VARCHAR(30) NOT NULL
+            )`,
+            "CREATE INDEX devicehistory_device ON devicehistory (Device_Type_ID, Changed_At)",
+            "CREATE INDEX devicehistory_changed_at ON devicehistory (Changed_At)"
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE devicehistory"
+        ],
+        sqlite: [
+            "DROP TABLE devicehistory"
+        ]
+    }
+};
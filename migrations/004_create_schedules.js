@@ -0,0 +1,72 @@
+/*
+
+Migration 4: the 'Schedules' and 'Schedule Runs' tables.
+
+A schedule sets one field of a device to a value, either once at 'Run_At' or repeatedly according to a cron expression. 'Next_Run_At' is the next time the schedule is due, and is NULL once a one-off schedule has run. Every run of a schedule is recorded with its outcome. Schedules and their runs are deleted with their device (ON DELETE CASCADE).
+
+*/
+
+module.exports = {
+    version: 4,
+    name: "create_schedules",
+    up: {
+        mysql: [
+            `CREATE TABLE schedules (
+                Schedule_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Device_Type_ID INT NOT NULL,
+                Schedule_Type VARCHAR(10) NOT NULL,
+                Cron_Expression VARCHAR(100) NULL,
+                Run_At VARCHAR(30) NULL,
+                Action_Field VARCHAR(30) NOT NULL,
+                Action_Value INT NOT NULL,
+                Paused TINYINT(1) NOT NULL DEFAULT 0,
+                Next_Run_At VARCHAR(30) NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                INDEX schedules_next_run (Paused, Next_Run_At),
+                CONSTRAINT schedules_device_type_fk FOREIGN KEY (Device_Type_ID) REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE scheduleruns (
+                Run_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Schedule_ID INT NOT NULL,
+                Ran_At VARCHAR(30) NOT NULL,
+                Outcome VARCHAR(10) NOT NULL,
+                Message VARCHAR(255) NOT NULL,
+                INDEX scheduleruns_ran_at (Ran_At),
+                CONSTRAINT scheduleruns_schedule_fk FOREIGN KEY (Schedule_ID) REFERENCES schedules (Schedule_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            `CREATE TABLE schedules (
+                Schedule_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Device_Type_ID INTEGER NOT NULL REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE,
+                Schedule_Type VARCHAR(10) NOT NULL,
+                Cron_Expression VARCHAR(100) NULL,
+                Run_At VARCHAR(30) NULL,
+                Action_Field VARCHAR(30) NOT NULL,
+                Action_Value INT NOT NULL,
+                Paused TINYINT NOT NULL DEFAULT 0,
+                Next_Run_At VARCHAR(30) NULL,
+                Created_At VARCHAR(30) NOT NULL
+            )`,
+            "CREATE INDEX schedules_next_run ON schedules (Paused, Next_Run_At)",
+            `CREATE TABLE scheduleruns (
+                Run_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Schedule_ID INTEGER NOT NULL REFERENCES schedules (Schedule_ID) ON DELETE CASCADE,
+                Ran_At VARCHAR(30) NOT NULL,
+                Outcome VARCHAR(10) NOT NULL,
+                Message VARCHAR(255) NOT NULL
+            )`,
+            "CREATE INDEX scheduleruns_ran_at ON scheduleruns (Ran_At)"
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE scheduleruns",
+            "DROP TABLE schedules"
+        ],
+        sqlite: [
+            "DROP TABLE scheduleruns",
+            "DROP TABLE schedules"
+        ]
+    }
+};
@@ -0,0 +1,118 @@
+/*
+
+Migration 5: the automation rule tables.
+
+A rule ('Rules') has one trigger: a change to a device field that makes a comparison true ('change'), a comparison that has stayed true for a number of minutes ('duration'), or a cron expression ('time'). 'Condition_Since' and 'Duration_Fired' track how long a duration trigger's comparison has held and whether the rule has fired for that period; 'Next_Run_At' is the next time a time trigger is due.
+
+When a rule is triggered and all of its conditions ('Rule Conditions') hold, its actions ('Rule Actions') set fields of devices. Each time a rule fires, the outcome is recorded ('Rule Firings').
+
+A rule is deleted with its trigger device. Conditions and actions refer to devices without a foreign key: a condition on a deleted device never holds, and an action on a deleted device fails and is reported when the rule fires.
+
+*/
+
+module.exports = {
+    version: 5,
+    name: "create_rules",
+    up: {
+        mysql: [
+            `CREATE TABLE rules (
+                Rule_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Name VARCHAR(50) NOT NULL,
+                Enabled TINYINT(1) NOT NULL DEFAULT 1,
+                Trigger_Type VARCHAR(10) NOT NULL,
+                Trigger_Device_Type_ID INT NULL,
+                Trigger_Field VARCHAR(30) NULL,
+                Trigger_Operator VARCHAR(2) NULL,
+                Trigger_Value INT NULL,
+                Trigger_Minutes INT NULL,
+                Trigger_Cron VARCHAR(100) NULL,
+                Condition_Since VARCHAR(30) NULL,
+                Duration_Fired TINYINT(1) NOT NULL DEFAULT 0,
+                Next_Run_At VARCHAR(30) NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                CONSTRAINT rules_trigger_device_fk FOREIGN KEY (Trigger_Device_Type_ID) REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE ruleconditions (
+                Condition_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Rule_ID INT NOT NULL,
+                Device_Type_ID INT NOT NULL,
+                Field VARCHAR(30) NOT NULL,
+                Operator VARCHAR(2) NOT NULL,
+                Value INT NOT NULL,
+                CONSTRAINT ruleconditions_rule_fk FOREIGN KEY (Rule_ID) REFERENCES rules (Rule_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE ruleactions (
+                Action_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Rule_ID INT NOT NULL,
+                Device_Type_ID INT NOT NULL,
+                Field VARCHAR(30) NOT NULL,
+                Value INT NOT NULL,
+                CONSTRAINT ruleactions_rule_fk FOREIGN KEY (Rule_ID) REFERENCES rules (Rule_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE rulefirings (
+                Firing_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Rule_ID INT NOT NULL,
+                Fired_At VARCHAR(30) NOT NULL,
+                Outcome VARCHAR(10) NOT NULL,
+                Message TEXT NOT NULL,
+                INDEX rulefirings_fired_at (Fired_At),
+                CONSTRAINT rulefirings_rule_fk FOREIGN KEY (Rule_ID) REFERENCES rules (Rule_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            `CREATE TABLE rules (
+                Rule_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Name VARCHAR(50) NOT NULL,
+                Enabled TINYINT NOT NULL DEFAULT 1,
+                Trigger_Type VARCHAR(10) NOT NULL,
+                Trigger_Device_Type_ID INTEGER NULL REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE,
+                Trigger_Field VARCHAR(30) NULL,
+                Trigger_Operator VARCHAR(2) NULL,
+                Trigger_Value INT NULL,
+                Trigger_Minutes INT NULL,
+                Trigger_Cron VARCHAR(100) NULL,
+                Condition_Since VARCHAR(30) NULL,
+                Duration_Fired TINYINT NOT NULL DEFAULT 0,
+                Next_Run_At VARCHAR(30) NULL,
+                Created_At VARCHAR(30) NOT NULL
+            )`,
+            `CREATE TABLE ruleconditions (
+                Condition_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Rule_ID INTEGER NOT NULL REFERENCES rules (Rule_ID) ON DELETE CASCADE,
+                Device_Type_ID INTEGER NOT NULL,
+                Field VARCHAR(30) NOT NULL,
+                Operator VARCHAR(2) NOT NULL,
+                Value INT NOT NULL
+            )`,
+            `CREATE TABLE ruleactions (
+                Action_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Rule_ID INTEGER NOT NULL REFERENCES rules (Rule_ID) ON DELETE CASCADE,
+                Device_Type_ID INTEGER NOT NULL,
+                Field VARCHAR(30) NOT NULL,
+                Value INT NOT NULL
+            )`,
+            `CREATE TABLE rulefirings (
+                Firing_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Rule_ID INTEGER NOT NULL REFERENCES rules (Rule_ID) ON DELETE CASCADE,
+                Fired_At VARCHAR(30) NOT NULL,
+                Outcome VARCHAR(10) NOT NULL,
+                Message TEXT NOT NULL
+            )`,
+            "CREATE INDEX rulefirings_fired_at ON rulefirings (Fired_At)"
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE rulefirings",
+            "DROP TABLE ruleactions",
+            "DROP TABLE ruleconditions",
+            "DROP TABLE rules"
+        ],
+        sqlite: [
+            "DROP TABLE rulefirings",
+            "DROP TABLE ruleactions",
+            "DROP TABLE ruleconditions",
+            "DROP TABLE rules"
+        ]
+    }
+};
@@ -0,0 +1,44 @@
+/*
+
+Migration 6: rooms.
+
+Rooms (or zones, e.g. 'Kitchen' or 'Garage') are stored in the 'Rooms' table, with names that are unique regardless of case. A device is assigned to at most one room through the Room_ID of its 'Device Names' record; deleting a room leaves its devices unassigned (ON DELETE SET NULL).
+
+*/
+
+module.exports = {
+    version: 6,
+    name: "create_rooms",
+    up: {
+        mysql: [
+            `CREATE TABLE rooms (
+                Room_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Room_Name VARCHAR(30) NOT NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                UNIQUE INDEX rooms_room_name_unique (Room_Name)
+            ) ENGINE = InnoDB`,
+            `ALTER TABLE devicenames
+                ADD COLUMN Room_ID INT NULL,
+                ADD CONSTRAINT devicenames_room_fk FOREIGN KEY (Room_ID) REFERENCES rooms (Room_ID) ON DELETE SET NULL`
+        ],
+        sqlite: [
+            `CREATE TABLE rooms (
+                Room_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Room_Name VARCHAR(30) NOT NULL COLLATE NOCASE,
+                Created_At VARCHAR(30) NOT NULL
+            )`,
+            "CREATE UNIQUE INDEX rooms_room_name_unique ON rooms (Room_Name COLLATE NOCASE)",
+            "ALTER TABLE devicenames ADD COLUMN Room_ID INTEGER NULL REFERENCES rooms (Room_ID) ON DELETE SET NULL"
+        ]
+    },
+    down: {
+        mysql: [
+            "ALTER TABLE devicenames DROP FOREIGN KEY devicenames_room_fk, DROP COLUMN Room_ID",
+            "DROP TABLE rooms"
+        ],
+        sqlite: [
+            "ALTER TABLE devicenames DROP COLUMN Room_ID",
+            "DROP TABLE rooms"
+        ]
+    }
+};
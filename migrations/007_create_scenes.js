@@ -0,0 +1,58 @@
+/*
+
+Migration 7: scenes.
+
+A scene ('Scenes', e.g. 'Movie night') is a saved set of target values for several devices, with names that are unique regardless of case. Each target ('Scene Targets') sets one field of one device to a value, and a scene sets each field of a device at most once. A target is deleted with its device (ON DELETE CASCADE), so a scene only ever refers to existing devices.
+
+*/
+
+module.exports = {
+    version: 7,
+    name: "create_scenes",
+    up: {
+        mysql: [
+            `CREATE TABLE scenes (
+                Scene_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Scene_Name VARCHAR(50) NOT NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                UNIQUE INDEX scenes_scene_name_unique (Scene_Name)
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE scenetargets (
+                Target_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Scene_ID INT NOT NULL,
+                Device_Type_ID INT NOT NULL,
+                Field VARCHAR(30) NOT NULL,
+                Value INT NOT NULL,
+                UNIQUE INDEX scenetargets_device_field_unique (Scene_ID, Device_Type_ID, Field),
+                CONSTRAINT scenetargets_scene_fk FOREIGN KEY (Scene_ID) REFERENCES scenes (Scene_ID) ON DELETE CASCADE,
+                CONSTRAINT scenetargets_device_fk FOREIGN KEY (Device_Type_ID) REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            `CREATE TABLE scenes (
+                Scene_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Scene_Name VARCHAR(50) NOT NULL COLLATE NOCASE,
+                Created_At VARCHAR(30) NOT NULL
+            )`,
+            "CREATE UNIQUE INDEX scenes_scene_name_unique ON scenes (Scene_Name COLLATE NOCASE)",
+            `CREATE TABLE scenetargets (
+                Target_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Scene_ID INTEGER NOT NULL REFERENCES scenes (Scene_ID) ON DELETE CASCADE,
+                Device_Type_ID INTEGER NOT NULL REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE,
+                Field VARCHAR(30) NOT NULL,
+                Value INT NOT NULL
+            )`,
+            "CREATE UNIQUE INDEX scenetargets_device_field_unique ON scenetargets (Scene_ID, Device_Type_ID, Field)"
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE scenetargets",
+            "DROP TABLE scenes"
+        ],
+        sqlite: [
+            "DROP TABLE scenetargets",
+            "DROP TABLE scenes"
+        ]
+    }
+};
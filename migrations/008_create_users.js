@@ -0,0 +1,138 @@
+/*
+
+Migration 8: user accounts, households and sessions.
+
+A user ('Users') logs in with a username, unique regardless of case, and a password stored as a salted scrypt hash. Each user belongs to one household ('Households'), which owns devices, rooms, scenes and rules through their Household_ID; schedules belong to the household of their device. The device history also records the household, so that the history of a deleted device stays with its household. Custom names, room names and scene names are now unique within a household rather than across the whole system.
+
+A login creates a session ('Sessions'). Only a SHA-256 hash of the session's token is stored, so the tokens in the session cookies cannot be read back from the database.
+
+The devices, rooms, scenes, rules and history recorded before accounts existed are given to a household named 'My Home', which the first user to register joins.
+
+*/
+
+module.exports = {
+    version: 8,
+    name: "create_users",
+    up: {
+        mysql: [
+            `CREATE TABLE households (
+                Household_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Household_Name VARCHAR(50) NOT NULL,
+                Created_At VARCHAR(30) NOT NULL
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE users (
+                User_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Username VARCHAR(30) NOT NULL,
+                Password_Hash VARCHAR(200) NOT NULL,
+                Household_ID INT NOT NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                UNIQUE INDEX users_username_unique (Username),
+                CONSTRAINT users_household_fk FOREIGN KEY (Household_ID) REFERENCES households (Household_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE sessions (
+                Session_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Token_Hash CHAR(64) NOT NULL,
+                User_ID INT NOT NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                Expires_At VARCHAR(30) NOT NULL,
+                UNIQUE INDEX sessions_token_hash_unique (Token_Hash),
+                CONSTRAINT sessions_user_fk FOREIGN KEY (User_ID) REFERENCES users (User_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            "INSERT INTO households (Household_Name, Created_At) VALUES ('My Home', CONCAT(DATE_FORMAT(UTC_TIMESTAMP(), '%Y-%m-%dT%H:%i:%s'), '.000Z'))",
+            `ALTER TABLE devicenames
+                ADD COLUMN Household_ID INT NULL,
+                ADD CONSTRAINT devicenames_household_fk FOREIGN KEY (Household_ID) REFERENCES households (Household_ID) ON DELETE CASCADE,
+                DROP INDEX devicenames_custom_name_unique,
+                ADD UNIQUE INDEX devicenames_custom_name_unique (Household_ID, Custom_Name)`,
+            `ALTER TABLE rooms
+                ADD COLUMN Household_ID INT NULL,
+                ADD CONSTRAINT rooms_household_fk FOREIGN KEY (Household_ID) REFERENCES households (Household_ID) ON DELETE CASCADE,
+                DROP INDEX rooms_room_name_unique,
+                ADD UNIQUE INDEX rooms_room_name_unique (Household_ID, Room_Name)`,
+            `ALTER TABLE scenes
+                ADD COLUMN Household_ID INT NULL,
+                ADD CONSTRAINT scenes_household_fk FOREIGN KEY (Household_ID) REFERENCES households (Household_ID) ON DELETE CASCADE,
+                DROP INDEX scenes_scene_name_unique,
+                ADD UNIQUE INDEX scenes_scene_name_unique (Household_ID, Scene_Name)`,
+            `ALTER TABLE rules
+                ADD COLUMN Household_ID INT NULL,
+                ADD CONSTRAINT rules_household_fk FOREIGN KEY (Household_ID) REFERENCES households (Household_ID) ON DELETE CASCADE`,
+            "ALTER TABLE devicehistory ADD COLUMN Household_ID INT NULL, ADD INDEX devicehistory_household (Household_ID)",
+            "UPDATE devicenames SET Household_ID = (SELECT MIN(Household_ID) FROM households)",
+            "UPDATE rooms SET Household_ID = (SELECT MIN(Household_ID) FROM households)",
+            "UPDATE scenes SET Household_ID = (SELECT MIN(Household_ID) FROM households)",
+            "UPDATE rules SET Household_ID = (SELECT MIN(Household_ID) FROM households)",
+            "UPDATE devicehistory SET Household_ID = (SELECT MIN(Household_ID) FROM households)"
+        ],
+        sqlite: [
+            `CREATE TABLE households (
+                Household_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Household_Name VARCHAR(50) NOT NULL,
+                Created_At VARCHAR(30) NOT NULL
+            )`,
+            `CREATE TABLE users (
+                User_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Username VARCHAR(30) NOT NULL COLLATE NOCASE,
+                Password_Hash VARCHAR(200) NOT NULL,
+                Household_ID INTEGER NOT NULL REFERENCES households (Household_ID) ON DELETE CASCADE,
+                Created_At VARCHAR(30) NOT NULL
+            )`,
+            "CREATE UNIQUE INDEX users_username_unique ON users (Username COLLATE NOCASE)",
+            `CREATE TABLE sessions (
+                Session_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Token_Hash CHAR(64) NOT NULL,
+                User_ID INTEGER NOT NULL REFERENCES users (User_ID) ON DELETE CASCADE,
+                Created_At VARCHAR(30) NOT NULL,
+                Expires_At VARCHAR(30) NOT NULL
+            )`,
+            "CREATE UNIQUE INDEX sessions_token_hash_unique ON sessions (Token_Hash)",
+            "INSERT INTO households (Household_Name, Created_At) VALUES ('My Home', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))",
+            "ALTER TABLE devicenames ADD COLUMN Household_ID INTEGER NULL REFERENCES households (Household_ID) ON DELETE CASCADE",
+            "DROP INDEX devicenames_custom_name_unique",
+            "CREATE UNIQUE INDEX devicenames_custom_name_unique ON devicenames (Household_ID, Custom_Name COLLATE NOCASE)",
+            "ALTER TABLE rooms ADD COLUMN Household_ID INTEGER NULL REFERENCES households (Household_ID) ON DELETE CASCADE",
+            "DROP INDEX rooms_room_name_unique",
+            "CREATE UNIQUE INDEX rooms_room_name_unique ON rooms (Household_ID, Room_Name COLLATE NOCASE)",
+            "ALTER TABLE scenes ADD COLUMN Household_ID INTEGER NULL REFERENCES households (Household_ID) ON DELETE CASCADE",
+            "DROP INDEX scenes_scene_name_unique",
+            "CREATE UNIQUE INDEX scenes_scene_name_unique ON scenes (Household_ID, Scene_Name COLLATE NOCASE)",
+            "ALTER TABLE rules ADD COLUMN Household_ID INTEGER NULL REFERENCES households (Household_ID) ON DELETE CASCADE",
+            "ALTER TABLE devicehistory ADD COLUMN Household_ID INTEGER NULL",
+            "CREATE INDEX devicehistory_household ON devicehistory (Household_ID)",
+            "UPDATE devicenames SET Household_ID = (SELECT MIN(Household_ID) FROM households)",
+            "UPDATE rooms SET Household_ID = (SELECT MIN(Household_ID) FROM households)",
+            "UPDATE scenes SET Household_ID = (SELECT MIN(Household_ID) FROM households)",
+            "UPDATE rules SET Household_ID = (SELECT MIN(Household_ID) FROM households)",
+            "UPDATE devicehistory SET Household_ID = (SELECT MIN(Household_ID) FROM households)"
+        ]
+    },
+    down: {
+        mysql: [
+            "ALTER TABLE devicehistory DROP INDEX devicehistory_household, DROP COLUMN Household_ID",
+            "ALTER TABLE rules DROP FOREIGN KEY rules_household_fk, DROP COLUMN Household_ID",
+            "ALTER TABLE scenes DROP FOREIGN KEY scenes_household_fk, DROP INDEX scenes_scene_name_unique, DROP COLUMN Household_ID, ADD UNIQUE INDEX scenes_scene_name_unique (Scene_Name)",
+            "ALTER TABLE rooms DROP FOREIGN KEY rooms_household_fk, DROP INDEX rooms_room_name_unique, DROP COLUMN Household_ID, ADD UNIQUE INDEX rooms_room_name_unique (Room_Name)",
+            "ALTER TABLE devicenames DROP FOREIGN KEY devicenames_household_fk, DROP INDEX devicenames_custom_name_unique, DROP COLUMN Household_ID, ADD UNIQUE INDEX devicenames_custom_name_unique (Custom_Name)",
+            "DROP TABLE sessions",
+            "DROP TABLE users",
+            "DROP TABLE households"
+        ],
+        sqlite: [
+            "DROP INDEX devicehistory_household",
+            "ALTER TABLE devicehistory DROP COLUMN Household_ID",
+            "ALTER TABLE rules DROP COLUMN Household_ID",
+            "DROP INDEX scenes_scene_name_unique",
+            "ALTER TABLE scenes DROP COLUMN Household_ID",
+            "CREATE UNIQUE INDEX scenes_scene_name_unique ON scenes (Scene_Name COLLATE NOCASE)",
+            "DROP INDEX rooms_room_name_unique",
+            "ALTER TABLE rooms DROP COLUMN Household_ID",
+            "CREATE UNIQUE INDEX rooms_room_name_unique ON rooms (Room_Name COLLATE NOCASE)",
+            "DROP INDEX devicenames_custom_name_unique",
+            "ALTER TABLE devicenames DROP COLUMN Household_ID",
+            "CREATE UNIQUE INDEX devicenames_custom_name_unique ON devicenames (Custom_Name COLLATE NOCASE)",
+            "DROP TABLE sessions",
+            "DROP TABLE users",
+            "DROP TABLE households"
+        ]
+    }
+};
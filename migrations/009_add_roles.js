@@ -0,0 +1,56 @@
+/*
+
+Migration 9: household roles and the log of denied attempts.
+
+Every user has a role within their household ('owner', 'adult', 'child' or 'guest'; see permissions.js). Each user registered before roles existed created or claimed their own household, so they all become its owner.
+
+An attempt that a member's role does not allow is recorded in 'Permission Denials' with the member's username and role at the time, what they attempted and why it was denied. A denial is kept when its member is removed from the household.
+
+*/
+
+module.exports = {
+    version: 9,
+    name: "add_roles",
+    up: {
+        mysql: [
+            "ALTER TABLE users ADD COLUMN Role VARCHAR(10) NOT NULL DEFAULT 'owner'",
+            `CREATE TABLE permissiondenials (
+                Denial_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Household_ID INT NOT NULL,
+                User_ID INT NULL,
+                Username VARCHAR(30) NOT NULL,
+                Role VARCHAR(10) NOT NULL,
+                Action VARCHAR(200) NOT NULL,
+                Reason VARCHAR(300) NOT NULL,
+                Denied_At VARCHAR(30) NOT NULL,
+                INDEX permissiondenials_household (Household_ID),
+                CONSTRAINT permissiondenials_household_fk FOREIGN KEY (Household_ID) REFERENCES households (Household_ID) ON DELETE CASCADE,
+                CONSTRAINT permissiondenials_user_fk FOREIGN KEY (User_ID) REFERENCES users (User_ID) ON DELETE SET NULL
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            "ALTER TABLE users ADD COLUMN Role VARCHAR(10) NOT NULL DEFAULT 'owner'",
+            `CREATE TABLE permissiondenials (
+                Denial_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Household_ID INTEGER NOT NULL REFERENCES households (Household_ID) ON DELETE CASCADE,
+                User_ID INTEGER NULL REFERENCES users (User_ID) ON DELETE SET NULL,
+                Username VARCHAR(30) NOT NULL,
+                Role VARCHAR(10) NOT NULL,
+                Action VARCHAR(200) NOT NULL,
+                Reason VARCHAR(300) NOT NULL,
+                Denied_At VARCHAR(30) NOT NULL
+            )`,
+            "CREATE INDEX permissiondenials_household ON permissiondenials (Household_ID)"
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE permissiondenials",
+            "ALTER TABLE users DROP COLUMN Role"
+        ],
+        sqlite: [
+            "DROP TABLE permissiondenials",
+            "ALTER TABLE users DROP COLUMN Role"
+        ]
+    }
+};
@@ -0,0 +1,65 @@
+/*
+
+Migration 10: personal API tokens.
+
+A user creates API tokens ('API Tokens') so that scripts can use the JSON API without a browser session. Only a SHA-256 hash of each token is stored, with its first characters ('Token_Prefix') so that the user can tell their tokens apart. A token's scope is 'read' or 'control', and a token is either allowed to use every device of its user's household ('All_Devices' = 1) or only the devices listed in 'API Token Devices'. A token is deleted with its user. A deleted device stays on the lists while it is in the trash (see migration 15), since its 'Device Types' record is kept, so a restored device is still on them; it is removed from the lists when it is purged from the trash and its 'Device Types' record is deleted. Device IDs are never reused, so a token limited to devices never gains access to others.
+
+*/
+
+module.exports = {
+    version: 10,
+    name: "create_api_tokens",
+    up: {
+        mysql: [
+            `CREATE TABLE apitokens (
+                Token_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                User_ID INT NOT NULL,
+                Token_Name VARCHAR(50) NOT NULL,
+                Token_Hash CHAR(64) NOT NULL,
+                Token_Prefix VARCHAR(12) NOT NULL,
+                Scope VARCHAR(10) NOT NULL,
+                All_Devices TINYINT NOT NULL DEFAULT 1,
+                Created_At VARCHAR(30) NOT NULL,
+                Last_Used_At VARCHAR(30) NULL,
+                UNIQUE INDEX apitokens_token_hash_unique (Token_Hash),
+                CONSTRAINT apitokens_user_fk FOREIGN KEY (User_ID) REFERENCES users (User_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE apitokendevices (
+                Token_ID INT NOT NULL,
+                Device_Type_ID INT NOT NULL,
+                PRIMARY KEY (Token_ID, Device_Type_ID),
+                CONSTRAINT apitokendevices_token_fk FOREIGN KEY (Token_ID) REFERENCES apitokens (Token_ID) ON DELETE CASCADE,
+                CONSTRAINT apitokendevices_device_fk FOREIGN KEY (Device_Type_ID) REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            `CREATE TABLE apitokens (
+                Token_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                User_ID INTEGER NOT NULL REFERENCES users (User_ID) ON DELETE CASCADE,
+                Token_Name VARCHAR(50) NOT NULL,
+                Token_Hash CHAR(64) NOT NULL,
+                Token_Prefix VARCHAR(12) NOT NULL,
+                Scope VARCHAR(10) NOT NULL,
+                All_Devices INTEGER NOT NULL DEFAULT 1,
+                Created_At VARCHAR(30) NOT NULL,
+                Last_Used_At VARCHAR(30) NULL
+            )`,
+            "CREATE UNIQUE INDEX apitokens_token_hash_unique ON apitokens (Token_Hash)",
+            `CREATE TABLE apitokendevices (
+                Token_ID INTEGER NOT NULL REFERENCES apitokens (Token_ID) ON DELETE CASCADE,
+                Device_Type_ID INTEGER NOT NULL REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE,
+                PRIMARY KEY (Token_ID, Device_Type_ID)
+            )`
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE apitokendevices",
+            "DROP TABLE apitokens"
+        ],
+        sqlite: [
+            "DROP TABLE apitokendevices",
+            "DROP TABLE apitokens"
+        ]
+    }
+};
@@ -0,0 +1,41 @@
+/*
+
+Migration 11: the simulated state of devices.
+
+When the device simulator is running (see simulator.js), the readings it simulates for each device are stored in 'Device Simulation': the device's current temperature (as opposed to the temperature it is set to), the charge left in its batteries as a percentage, and how many minutes of its cycle have run (e.g. a washing machine's). A reading is NULL when it does not apply to the device. The simulated state is deleted with its device.
+
+*/
+
+module.exports = {
+    version: 11,
+    name: "create_device_simulation",
+    up: {
+        mysql: [
+            `CREATE TABLE devicesimulation (
+                Device_Type_ID INT NOT NULL PRIMARY KEY,
+                Current_Temperature DOUBLE NULL,
+                Battery_Level DOUBLE NULL,
+                Cycle_Minutes DOUBLE NULL,
+                Updated_At VARCHAR(30) NOT NULL,
+                CONSTRAINT devicesimulation_device_fk FOREIGN KEY (Device_Type_ID) REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            `CREATE TABLE devicesimulation (
+                Device_Type_ID INTEGER NOT NULL PRIMARY KEY REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE,
+                Current_Temperature REAL NULL,
+                Battery_Level REAL NULL,
+                Cycle_Minutes REAL NULL,
+                Updated_At VARCHAR(30) NOT NULL
+            )`
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE devicesimulation"
+        ],
+        sqlite: [
+            "DROP TABLE devicesimulation"
+        ]
+    }
+};
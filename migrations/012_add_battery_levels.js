@@ -0,0 +1,68 @@
+/*
+
+Migration 12: battery levels and low-battery alerts.
+
+Every device type that takes batteries (see devicecatalog.js) reports how charged its batteries are as a percentage in 'Battery_Level', which is NULL for the other device types. Existing battery devices start at the level the simulator last reached for them (see migration 11), or fully charged if they have not been simulated.
+
+A battery is low when its level is at or below a threshold: the household's 'Low_Battery_Threshold', unless the device has its own 'Low_Battery_Threshold' in 'Device Names'. When a device's battery becomes low, an alert is raised in 'Battery Alerts' with the level and threshold at the time; the alert is resolved when the battery is charged above the threshold or taken out. Alerts are deleted with their device.
+
+*/
+
+module.exports = {
+    version: 12,
+    name: "add_battery_levels",
+    up: {
+        mysql: [
+            "ALTER TABLE devicetypes ADD COLUMN Battery_Level INT NULL",
+            `UPDATE devicetypes SET Battery_Level = COALESCE((SELECT ROUND(devicesimulation.Battery_Level) FROM devicesimulation WHERE devicesimulation.Device_Type_ID = devicetypes.Device_Type_ID), 100)
+                WHERE Batteries_Included IS NOT NULL`,
+            "ALTER TABLE households ADD COLUMN Low_Battery_Threshold INT NOT NULL DEFAULT 20",
+            "ALTER TABLE devicenames ADD COLUMN Low_Battery_Threshold INT NULL",
+            `CREATE TABLE batteryalerts (
+                Alert_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Household_ID INT NOT NULL,
+                Device_Type_ID INT NOT NULL,
+                Custom_Name VARCHAR(16) NOT NULL,
+                Battery_Level INT NOT NULL,
+                Threshold INT NOT NULL,
+                Raised_At VARCHAR(30) NOT NULL,
+                Resolved_At VARCHAR(30) NULL,
+                INDEX batteryalerts_household (Household_ID, Resolved_At),
+                CONSTRAINT batteryalerts_household_fk FOREIGN KEY (Household_ID) REFERENCES households (Household_ID) ON DELETE CASCADE,
+                CONSTRAINT batteryalerts_device_fk FOREIGN KEY (Device_Type_ID) REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            "ALTER TABLE devicetypes ADD COLUMN Battery_Level INTEGER NULL",
+            `UPDATE devicetypes SET Battery_Level = COALESCE((SELECT ROUND(devicesimulation.Battery_Level) FROM devicesimulation WHERE devicesimulation.Device_Type_ID = devicetypes.Device_Type_ID), 100)
+                WHERE Batteries_Included IS NOT NULL`,
+            "ALTER TABLE households ADD COLUMN Low_Battery_Threshold INTEGER NOT NULL DEFAULT 20",
+            "ALTER TABLE devicenames ADD COLUMN Low_Battery_Threshold INTEGER NULL",
+            `CREATE TABLE batteryalerts (
+                Alert_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Household_ID INTEGER NOT NULL REFERENCES households (Household_ID) ON DELETE CASCADE,
+                Device_Type_ID INTEGER NOT NULL REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE,
+                Custom_Name VARCHAR(16) NOT NULL,
+                Battery_Level INTEGER NOT NULL,
+                Threshold INTEGER NOT NULL,
+                Raised_At VARCHAR(30) NOT NULL,
+                Resolved_At VARCHAR(30) NULL
+            )`,
+            "CREATE INDEX batteryalerts_household ON batteryalerts (Household_ID, Resolved_At)"
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE batteryalerts",
+            "ALTER TABLE devicenames DROP COLUMN Low_Battery_Threshold",
+            "ALTER TABLE households DROP COLUMN Low_Battery_Threshold",
+            "ALTER TABLE devicetypes DROP COLUMN Battery_Level"
+        ],
+        sqlite: [
+            "DROP TABLE batteryalerts",
+            "ALTER TABLE devicenames DROP COLUMN Low_Battery_Threshold",
+            "ALTER TABLE households DROP COLUMN Low_Battery_Threshold",
+            "ALTER TABLE devicetypes DROP COLUMN Battery_Level"
+        ]
+    }
+};
@@ -0,0 +1,61 @@
+/*
+
+Migration 13: device usage and energy tariffs.
+
+Every period during which a device is switched on is recorded in 'Device Usage', from when it was switched on ('Started_At') to when it was switched off, changed to another device type or deleted ('Ended_At', NULL while it is still on). The device's type, custom name and room are copied into the record, so that the energy the device used can still be estimated from the rated power of its type (see devicecatalog.js) after it is renamed, moved or deleted; like 'Device History', records are therefore kept when their device or room is deleted.
+
+Each household prices its energy at its 'Energy_Tariff' (per kWh). Devices which are already on start a usage period when the migration runs.
+
+*/
+
+module.exports = {
+    version: 13,
+    name: "create_device_usage",
+    up: {
+        mysql: [
+            `CREATE TABLE deviceusage (
+                Usage_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Household_ID INT NOT NULL,
+                Device_Type_ID INT NOT NULL,
+                Custom_Name VARCHAR(16) NOT NULL,
+                Device_Type VARCHAR(50) NOT NULL,
+                Room_ID INT NULL,
+                Started_At VARCHAR(30) NOT NULL,
+                Ended_At VARCHAR(30) NULL,
+                INDEX deviceusage_household (Household_ID, Ended_At),
+                CONSTRAINT deviceusage_household_fk FOREIGN KEY (Household_ID) REFERENCES households (Household_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            "ALTER TABLE households ADD COLUMN Energy_Tariff DOUBLE NOT NULL DEFAULT 0.3",
+            `INSERT INTO deviceusage (Household_ID, Device_Type_ID, Custom_Name, Device_Type, Room_ID, Started_At)
+                SELECT devicenames.Household_ID, devicetypes.Device_Type_ID, devicenames.Custom_Name, devicetypes.Device_Type, devicenames.Room_ID, CONCAT(DATE_FORMAT(UTC_TIMESTAMP(), '%Y-%m-%dT%H:%i:%s'), '.000Z')
+                FROM devicetypes JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID WHERE devicetypes.On_Off = 1`
+        ],
+        sqlite: [
+            `CREATE TABLE deviceusage (
+                Usage_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Household_ID INTEGER NOT NULL REFERENCES households (Household_ID) ON DELETE CASCADE,
+                Device_Type_ID INTEGER NOT NULL,
+                Custom_Name VARCHAR(16) NOT NULL,
+                Device_Type VARCHAR(50) NOT NULL,
+                Room_ID INTEGER NULL,
+                Started_At VARCHAR(30) NOT NULL,
+                Ended_At VARCHAR(30) NULL
+            )`,
+            "CREATE INDEX deviceusage_household ON deviceusage (Household_ID, Ended_At)",
+            "ALTER TABLE households ADD COLUMN Energy_Tariff REAL NOT NULL DEFAULT 0.3",
+            `INSERT INTO deviceusage (Household_ID, Device_Type_ID, Custom_Name, Device_Type, Room_ID, Started_At)
+                SELECT devicenames.Household_ID, devicetypes.Device_Type_ID, devicenames.Custom_Name, devicetypes.Device_Type, devicenames.Room_ID, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+                FROM devicetypes JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID WHERE devicetypes.On_Off = 1`
+        ]
+    },
+    down: {
+        mysql: [
+            "ALTER TABLE households DROP COLUMN Energy_Tariff",
+            "DROP TABLE deviceusage"
+        ],
+        sqlite: [
+            "ALTER TABLE households DROP COLUMN Energy_Tariff",
+            "DROP TABLE deviceusage"
+        ]
+    }
+};
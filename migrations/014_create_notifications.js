@@ -0,0 +1,116 @@
+/*
+
+Migration 14: notifications and webhooks.
+
+When something important happens to a household's devices (see notifications.js), a notification is created in 'Notifications' for each member of the household who receives that type of event, and stays unread until its user reads it ('Read_At'). A user who does not want a type of event has a row for it in 'Notification Preferences' with 'Enabled' = 0; users receive every type they have not turned off.
+
+A user can also have their notifications sent to their own 'Webhooks', each signed with the webhook's 'Secret'. Every notification sent to a webhook is a delivery in 'Webhook Deliveries', which records the JSON payload sent, its 'Status' ('pending' until it is 'delivered' or has 'failed' every attempt), the number of 'Attempts', the outcome of the last attempt and when the next attempt is due. Notifications, preferences and webhooks are deleted with their user, and deliveries with their webhook.
+
+*/
+
+module.exports = {
+    version: 14,
+    name: "create_notifications",
+    up: {
+        mysql: [
+            `CREATE TABLE notifications (
+                Notification_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                User_ID INT NOT NULL,
+                Household_ID INT NOT NULL,
+                Event_Type VARCHAR(30) NOT NULL,
+                Device_Type_ID INT NULL,
+                Custom_Name VARCHAR(16) NULL,
+                Message VARCHAR(255) NOT NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                Read_At VARCHAR(30) NULL,
+                INDEX notifications_user (User_ID, Read_At),
+                CONSTRAINT notifications_user_fk FOREIGN KEY (User_ID) REFERENCES users (User_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE notificationpreferences (
+                User_ID INT NOT NULL,
+                Event_Type VARCHAR(30) NOT NULL,
+                Enabled TINYINT NOT NULL,
+                PRIMARY KEY (User_ID, Event_Type),
+                CONSTRAINT notificationpreferences_user_fk FOREIGN KEY (User_ID) REFERENCES users (User_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE webhooks (
+                Webhook_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                User_ID INT NOT NULL,
+                URL VARCHAR(500) NOT NULL,
+                Secret VARCHAR(80) NOT NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                CONSTRAINT webhooks_user_fk FOREIGN KEY (User_ID) REFERENCES users (User_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`,
+            `CREATE TABLE webhookdeliveries (
+                Delivery_ID INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                Webhook_ID INT NOT NULL,
+                Event_Type VARCHAR(30) NOT NULL,
+                Payload TEXT NOT NULL,
+                Status VARCHAR(10) NOT NULL,
+                Attempts INT NOT NULL DEFAULT 0,
+                Response_Status INT NULL,
+                Last_Error VARCHAR(255) NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                Last_Attempt_At VARCHAR(30) NULL,
+                Next_Attempt_At VARCHAR(30) NULL,
+                INDEX webhookdeliveries_due (Status, Next_Attempt_At),
+                CONSTRAINT webhookdeliveries_webhook_fk FOREIGN KEY (Webhook_ID) REFERENCES webhooks (Webhook_ID) ON DELETE CASCADE
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            `CREATE TABLE notifications (
+                Notification_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                User_ID INTEGER NOT NULL REFERENCES users (User_ID) ON DELETE CASCADE,
+                Household_ID INTEGER NOT NULL,
+                Event_Type VARCHAR(30) NOT NULL,
+                Device_Type_ID INTEGER NULL,
+                Custom_Name VARCHAR(16) NULL,
+                Message VARCHAR(255) NOT NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                Read_At VARCHAR(30) NULL
+            )`,
+            "CREATE INDEX notifications_user ON notifications (User_ID, Read_At)",
+            `CREATE TABLE notificationpreferences (
+                User_ID INTEGER NOT NULL REFERENCES users (User_ID) ON DELETE CASCADE,
+                Event_Type VARCHAR(30) NOT NULL,
+                Enabled INTEGER NOT NULL,
+                PRIMARY KEY (User_ID, Event_Type)
+            )`,
+            `CREATE TABLE webhooks (
+                Webhook_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                User_ID INTEGER NOT NULL REFERENCES users (User_ID) ON DELETE CASCADE,
+                URL VARCHAR(500) NOT NULL,
+                Secret VARCHAR(80) NOT NULL,
+                Created_At VARCHAR(30) NOT NULL
+            )`,
+            `CREATE TABLE webhookdeliveries (
+                Delivery_ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Webhook_ID INTEGER NOT NULL REFERENCES webhooks (Webhook_ID) ON DELETE CASCADE,
+                Event_Type VARCHAR(30) NOT NULL,
+                Payload TEXT NOT NULL,
+                Status VARCHAR(10) NOT NULL,
+                Attempts INTEGER NOT NULL DEFAULT 0,
+                Response_Status INTEGER NULL,
+                Last_Error VARCHAR(255) NULL,
+                Created_At VARCHAR(30) NOT NULL,
+                Last_Attempt_At VARCHAR(30) NULL,
+                Next_Attempt_At VARCHAR(30) NULL
+            )`,
+            "CREATE INDEX webhookdeliveries_due ON webhookdeliveries (Status, Next_Attempt_At)"
+        ]
+    },
+    down: {
+        mysql: [
+            "DROP TABLE webhookdeliveries",
+            "DROP TABLE webhooks",
+            "DROP TABLE notificationpreferences",
+            "DROP TABLE notifications"
+        ],
+        sqlite: [
+            "DROP TABLE webhookdeliveries",
+            "DROP TABLE webhooks",
+            "DROP TABLE notificationpreferences",
+            "DROP TABLE notifications"
+        ]
+    }
+};
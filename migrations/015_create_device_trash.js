@@ -0,0 +1,53 @@
+/*
+
+Migration 15: the device trash.
+
+Deleting a device moves it to the trash instead of deleting it for good (see trash.js): its 'Device Names' record is moved to 'Device Trash', with when it was deleted ('Deleted_At') and by whom ('Deleted_By', NULL for a change not made by a member), while its 'Device Types' record is kept. Its schedules, scene targets, rules and other records that refer to the device type are therefore kept too, and a restored device gets them back with all its values. A device is only deleted for good when it is purged from the trash, when its 'Device Types' record is deleted and every record referring to it with it.
+
+A trashed device's room is cleared if the room is deleted. The migration can be reverted, but reverting it purges every device in the trash.
+
+*/
+
+module.exports = {
+    version: 15,
+    name: "create_device_trash",
+    up: {
+        mysql: [
+            `CREATE TABLE devicetrash (
+                Device_Type_ID INT NOT NULL PRIMARY KEY,
+                Household_ID INT NOT NULL,
+                Custom_Name VARCHAR(16) NOT NULL,
+                Room_ID INT NULL,
+                Low_Battery_Threshold INT NULL,
+                Deleted_At VARCHAR(30) NOT NULL,
+                Deleted_By VARCHAR(30) NULL,
+                INDEX devicetrash_household (Household_ID, Deleted_At),
+                CONSTRAINT devicetrash_device_type_fk FOREIGN KEY (Device_Type_ID) REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE,
+                CONSTRAINT devicetrash_household_fk FOREIGN KEY (Household_ID) REFERENCES households (Household_ID) ON DELETE CASCADE,
+                CONSTRAINT devicetrash_room_fk FOREIGN KEY (Room_ID) REFERENCES rooms (Room_ID) ON DELETE SET NULL
+            ) ENGINE = InnoDB`
+        ],
+        sqlite: [
+            `CREATE TABLE devicetrash (
+                Device_Type_ID INTEGER NOT NULL PRIMARY KEY REFERENCES devicetypes (Device_Type_ID) ON DELETE CASCADE,
+                Household_ID INTEGER NOT NULL REFERENCES households (Household_ID) ON DELETE CASCADE,
+                Custom_Name VARCHAR(16) NOT NULL,
+                Room_ID INTEGER NULL REFERENCES rooms (Room_ID) ON DELETE SET NULL,
+                Low_Battery_Threshold INTEGER NULL,
+                Deleted_At VARCHAR(30) NOT NULL,
+                Deleted_By VARCHAR(30) NULL
+            )`,
+            "CREATE INDEX devicetrash_household ON devicetrash (Household_ID, Deleted_At)"
+        ]
+    },
+    down: {
+        mysql: [
+            "DELETE FROM devicetypes WHERE Device_Type_ID IN (SELECT Device_Type_ID FROM devicetrash)",
+            "DROP TABLE devicetrash"
+        ],
+        sqlite: [
+            "DELETE FROM devicetypes WHERE Device_Type_ID IN (SELECT Device_Type_ID FROM devicetrash)",
+            "DROP TABLE devicetrash"
+        ]
+    }
+};
@@ -0,0 +1,24 @@
+/*
+
+Migration 16: no battery level without batteries.
+
+A device whose batteries are excluded ('Batteries_Included' = 0) has no 'Battery_Level', in the same way as a device type that does not take batteries; only devices with batteries report a level (see devicefields.js). Migration 12 gave every device type that takes batteries a level, including those whose batteries were excluded, so their levels are cleared. Reverting the migration leaves the levels cleared, as the old values are not kept.
+
+*/
+
+module.exports = {
+    version: 16,
+    name: "clear_excluded_battery_levels",
+    up: {
+        mysql: [
+            "UPDATE devicetypes SET Battery_Level = NULL WHERE Batteries_Included = 0"
+        ],
+        sqlite: [
+            "UPDATE devicetypes SET Battery_Level = NULL WHERE Batteries_Included = 0"
+        ]
+    },
+    down: {
+        mysql: [],
+        sqlite: []
+    }
+};
@@ -0,0 +1,31 @@
+/*
+
+Battery level display.
+
+Purpose:
+To update a device's battery level (see views/batterylevel.ejs) when the device changes, without reloading the page.
+
+Input:
+The battery level element, whose 'data-threshold' attribute holds the low-battery threshold that applies to the device, and the device's fields (the same field names as the forms).
+
+Output:
+The element shows the device's battery level with the low-battery icon at or below the threshold, and is hidden while the device's batteries are excluded or it does not take batteries.
+
+*/
+
+function showBatteryLevel(element, device) {
+
+    if (!element) {
+        return;
+    }
+
+    let shown = device.batteries_included === 1 && device.battery_level !== null && device.battery_level !== undefined;
+
+    element.style.display = shown ? "" : "none";
+
+    if (shown) {
+        let low = device.battery_level <= Number(element.getAttribute("data-threshold"));
+        element.querySelector(".battery_icon").src = low ? "/img/low-battery-level.png" : "/img/high-battery-level.png";
+        element.querySelector(".battery_level_value").textContent = device.battery_level;
+    }
+}
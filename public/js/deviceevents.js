@@ -0,0 +1,56 @@
+/*
+
+Live device updates.
+
+Purpose:
+To subscribe a page to the server's stream of device changes (GET /api/v1/events) so that it can update in place when a device is created, updated, deleted or restored from another screen or by a script.
+
+Input:
+An object mapping the event types 'device-created', 'device-updated', 'device-deleted', 'device-restored' and 'device-simulated' to handler functions. Created, updated and restored handlers receive the device's fields (the same field names as the forms); the deleted handler receives the ID of the deleted device; the simulated handler receives the ID of a device and its simulated readings (an array of descriptions, e.g. 'Currently 65°C').
+
+Output:
+The EventSource, which reconnects automatically if the connection is lost, or NULL if the browser does not support Server-Sent Events.
+
+*/
+
+function subscribeToDeviceEvents(handlers) {
+
+    if (!window.EventSource) {
+        return null;
+    }
+
+    let source = new EventSource("/api/v1/events");
+
+    source.addEventListener("device-created", function (event) {
+        if (handlers["device-created"]) {
+            handlers["device-created"](JSON.parse(event.data).device);
+        }
+    });
+
+    source.addEventListener("device-updated", function (event) {
+        if (handlers["device-updated"]) {
+            handlers["device-updated"](JSON.parse(event.data).device);
+        }
+    });
+
+    source.addEventListener("device-deleted", function (event) {
+        if (handlers["device-deleted"]) {
+            handlers["device-deleted"](JSON.parse(event.data).device_type_ID);
+        }
+    });
+
+    source.addEventListener("device-restored", function (event) {
+        if (handlers["device-restored"]) {
+            handlers["device-restored"](JSON.parse(event.data).device);
+        }
+    });
+
+    source.addEventListener("device-simulated", function (event) {
+        if (handlers["device-simulated"]) {
+            let data = JSON.parse(event.data);
+            handlers["device-simulated"](data.device_type_ID, data.readings);
+        }
+    });
+
+    return source;
+}
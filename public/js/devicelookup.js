@@ -0,0 +1,135 @@
+/*
+
+Device lookup.
+
+Purpose:
+To choose a device by typing part of its custom name instead of scrolling through a list of every device. The matching devices are searched for on the server (GET /api/v1/devices?q=...) as the user types, and choosing one submits the lookup's form with the device's ID.
+
+A lookup (see views/devicelookup.ejs) is a form containing a '.device_lookup_input' text input, a hidden input for the chosen device's ID, and a '.device_lookup_results' list for the matching devices.
+
+Input:
+The lookup's form element.
+
+Output:
+None. The matching devices are listed below the input, at most DEVICE_LOOKUP_LIMIT at a time; the arrow keys move between them and Enter chooses one.
+
+*/
+
+const DEVICE_LOOKUP_LIMIT = 10;
+
+// Wait until the user pauses typing before searching
+
+const DEVICE_LOOKUP_DELAY_MS = 200;
+
+function setupDeviceLookup(form) {
+
+    let input = form.querySelector(".device_lookup_input");
+    let chosen = form.querySelector('input[type="hidden"]');
+    let results = form.querySelector(".device_lookup_results");
+    let timer = null;
+    let latest = 0;
+
+    function choose(device) {
+        chosen.value = device.device_type_ID;
+        input.value = device.custom_name;
+        form.submit();
+    }
+
+    function options() {
+        return Array.from(results.querySelectorAll("button"));
+    }
+
+    function show(devices, total) {
+        results.replaceChildren();
+        devices.forEach(function (device) {
+            let item = document.createElement("li");
+            let button = document.createElement("button");
+            button.type = "button";
+            button.textContent = device.custom_name + " " + device.device_type;
+            button.addEventListener("click", function () {
+                choose(device);
+            });
+            item.appendChild(button);
+            results.appendChild(item);
+        });
+        if (devices.length === 0 || total > devices.length) {
+            let item = document.createElement("li");
+            item.className = "history_meta";
+            item.textContent = devices.length === 0 ? "No devices match." : (total - devices.length) + " more: keep typing to narrow the search.";
+            results.appendChild(item);
+        }
+        results.style.display = "";
+    }
+
+    function search() {
+        let request = ++latest;
+        let query = "?sort=name&per_page=" + DEVICE_LOOKUP_LIMIT + (input.value.trim() ? "&q=" + encodeURIComponent(input.value.trim()) : "");
+
+        fetch("/api/v1/devices" + query)
+            .then(function (response) {
+                return response.json();
+            })
+            .then(function (result) {
+
+                // Ignore the answer to a search the user has typed past
+
+                if (request === latest && result.devices) {
+                    show(result.devices, result.total);
+                }
+            })
+            .catch(function () {
+                results.style.display = "none";
+            });
+    }
+
+    input.addEventListener("input", function () {
+        clearTimeout(timer);
+        timer = setTimeout(search, DEVICE_LOOKUP_DELAY_MS);
+    });
+
+    input.addEventListener("focus", search);
+
+    input.addEventListener("keydown", function (event) {
+        let buttons = options();
+        if (event.key === "ArrowDown" && buttons.length > 0) {
+            event.preventDefault();
+            buttons[0].focus();
+        }
+        else if (event.key === "Enter") {
+            event.preventDefault();
+            if (buttons.length === 1) {
+                buttons[0].click();
+            }
+        }
+        else if (event.key === "Escape") {
+            results.style.display = "none";
+        }
+    });
+
+    results.addEventListener("keydown", function (event) {
+        let buttons = options();
+        let index = buttons.indexOf(document.activeElement);
+        if (event.key === "ArrowDown" && index < buttons.length - 1) {
+            event.preventDefault();
+            buttons[index + 1].focus();
+        }
+        else if (event.key === "ArrowUp") {
+            event.preventDefault();
+            (index > 0 ? buttons[index - 1] : input).focus();
+        }
+        else if (event.key === "Escape") {
+            results.style.display = "none";
+            input.focus();
+        }
+    });
+
+    // Hide the results once the focus leaves the lookup
+
+    form.addEventListener("focusout", function (event) {
+        if (!form.contains(event.relatedTarget)) {
+            results.style.display = "none";
+        }
+    });
+}
+
+document.querySelectorAll(".device_lookup").forEach(setupDeviceLookup);
@@ -0,0 +1,172 @@
+/*
+
+Device setting rows.
+
+Purpose:
+To build the rows of a form which each pick a device, one of its settings and a value: the trigger, conditions and actions of a rule, or the targets of a scene. A row only offers the settings its device supports, a switch setting's value is picked from its two states, and a row with a comparison only offers the comparisons that suit its setting.
+
+A row's template contains a '.row_device' and a '.row_field' select, a '.row_switch' select and a '.row_value' input for the value, a '.row_status' paragraph for its errors, and optionally a '.row_operator' select and a '.remove_row' button. The elements of a row added to a list are named after their 'data-name' attribute, e.g. 'targets[0][value]'.
+
+Input:
+An object containing 'devices' (each with its 'id', custom 'name' and device 'type'), 'deviceTypes' (each with its 'name' and the 'fields' it supports), 'operators' and 'switchOperators' (only needed for rows with a comparison), 'fieldErrors', the errors of the submitted form keyed by field name (e.g. 'targets.0.value'), and 'listIDPrefix', which is prefixed to a list's name to find the element its rows are added to.
+
+Output:
+An object containing the functions 'setup_row' (fill in a row, and restore its submitted values and errors), 'add_row' (add a row to a list from a template), 'row_errors' (the errors of a row of a list) and 'show_row_value' (show the value control that suits a row's setting).
+
+*/
+
+function createSettingRows(options) {
+
+    const devices = options.devices;
+    const deviceTypes = options.deviceTypes;
+    const operators = options.operators || [];
+    const switchOperators = options.switchOperators || [];
+    const fieldErrors = options.fieldErrors;
+
+    const switchLabels = {
+        on_off: ["On", "Off"],
+        open_closed: ["Open", "Closed"],
+        batteries_included: ["Included", "Excluded"]
+    };
+
+    function fill_select(select, placeholder, items) {
+        select.innerHTML = "";
+        let empty = document.createElement("option");
+        empty.value = "";
+        empty.hidden = true;
+        empty.textContent = placeholder;
+        select.appendChild(empty);
+        items.forEach(function (item) {
+            let option = document.createElement("option");
+            option.value = item.value;
+            option.textContent = item.label;
+            select.appendChild(option);
+        });
+    }
+
+    function device_type_of(row) {
+        let device = devices.find(function (device) {
+            return String(device.id) === row.querySelector(".row_device").value;
+        });
+        return device ? deviceTypes.find(function (deviceType) { return deviceType.name === device.type; }) : undefined;
+    }
+
+    // Only offer the settings the selected device supports, and the comparisons and values that suit the selected setting
+
+    function show_row_fields(row) {
+        let deviceType = device_type_of(row);
+        let field = row.querySelector(".row_field");
+        Array.from(field.options).forEach(function (option) {
+            if (option.value) {
+                option.hidden = !deviceType || deviceType.fields.indexOf(option.value) === -1;
+            }
+        });
+        if (field.selectedOptions[0] && field.selectedOptions[0].hidden) {
+            field.value = "";
+        }
+        show_row_value(row);
+    }
+
+    function show_row_value(row) {
+        let field = row.querySelector(".row_field").value;
+        let isSwitch = Boolean(switchLabels[field]);
+        let switchSelect = row.querySelector(".row_switch");
+        let valueInput = row.querySelector(".row_value");
+        let operator = row.querySelector(".row_operator");
+
+        switchSelect.style.display = isSwitch ? "" : "none";
+        switchSelect.disabled = !isSwitch;
+        valueInput.style.display = isSwitch ? "none" : "";
+        valueInput.disabled = isSwitch;
+
+        if (isSwitch) {
+            fill_select(switchSelect, "Value", [{ value: "1", label: switchLabels[field][0] }, { value: "0", label: switchLabels[field][1] }]);
+            switchSelect.value = "1";
+        }
+
+        if (operator) {
+            Array.from(operator.options).forEach(function (option) {
+                if (option.value) {
+                    option.hidden = isSwitch && switchOperators.indexOf(option.value) === -1;
+                }
+            });
+            if (operator.selectedOptions[0] && operator.selectedOptions[0].hidden) {
+                operator.value = "eq";
+            }
+        }
+    }
+
+    function setup_row(row, fields, values, errors) {
+        fill_select(row.querySelector(".row_device"), "Select a Device", devices.map(function (device) {
+            return { value: device.id, label: device.name + " (" + device.type + ")" };
+        }));
+        fill_select(row.querySelector(".row_field"), "Select a Setting", fields.map(function (field) {
+            return { value: field.field, label: field.label };
+        }));
+        if (row.querySelector(".row_operator")) {
+            fill_select(row.querySelector(".row_operator"), "Comparison", operators.map(function (operator) {
+                return { value: operator.operator, label: operator.label };
+            }));
+            row.querySelector(".row_operator").value = "eq";
+        }
+
+        row.querySelector(".row_device").addEventListener("change", function () { show_row_fields(row); });
+        row.querySelector(".row_field").addEventListener("change", function () { show_row_value(row); });
+
+        // Restore the submitted values and show the errors of this row
+
+        ["device_type_ID", "field", "operator"].forEach(function (name) {
+            let element = row.querySelector(".row_" + (name === "device_type_ID" ? "device" : name));
+            if (element && values[name] !== undefined && values[name] !== "") {
+                element.value = values[name];
+            }
+        });
+        show_row_fields(row);
+        if (values.value !== undefined) {
+            row.querySelector(".row_switch").value = values.value;
+            row.querySelector(".row_value").value = values.value;
+        }
+
+        let status = row.querySelector(".row_status");
+        let messages = ["device_type_ID", "field", "operator", "value"].map(function (name) {
+            return errors[name];
+        }).filter(Boolean);
+        status.textContent = messages.join(" ");
+        status.className = messages.length > 0 ? "row_status field_error" : "row_status";
+    }
+
+    // Rows are numbered as they are added; the server reads them in order whatever the gaps left by removed rows
+
+    let rowCount = 0;
+
+    function add_row(listName, templateID, fields, values, errors) {
+        let row = document.getElementById(templateID).content.firstElementChild.cloneNode(true);
+        let index = rowCount++;
+        row.querySelectorAll("[data-name]").forEach(function (element) {
+            element.name = listName + "[" + index + "][" + element.getAttribute("data-name") + "]";
+        });
+        row.querySelector(".remove_row").addEventListener("click", function () {
+            row.remove();
+        });
+        document.getElementById(options.listIDPrefix + listName).appendChild(row);
+        setup_row(row, fields, values || {}, errors || {});
+    }
+
+    function row_errors(listName, index) {
+        let errors = {};
+        Object.keys(fieldErrors).forEach(function (key) {
+            let parts = key.split(".");
+            if (parts.length === 3 && parts[0] === listName && parts[1] === String(index)) {
+                errors[parts[2]] = fieldErrors[key];
+            }
+        });
+        return errors;
+    }
+
+    return {
+        setup_row: setup_row,
+        add_row: add_row,
+        row_errors: row_errors,
+        show_row_value: show_row_value
+    };
+}
@@ -0,0 +1,452 @@
+const { DEVICE_TYPES, FIELD_DEFINITIONS } = require("../lib/devicecatalog");
+const { toDeviceResource, getDevice, createDevice, patchDevice, deleteDevice } = require("../lib/devices");
+const { deviceEvents, DEVICE_SIMULATED } = require("../lib/deviceevents");
+const { ORIGIN_API, getDeviceHistory } = require("../lib/history");
+const { listRooms } = require("../lib/rooms");
+const { listScenes, applyScene } = require("../lib/scenes");
+const { runBatch } = require("../lib/batch");
+const { memberContext, requirePermission } = require("../lib/permissions");
+const { restrictApiToken } = require("../lib/apitokens");
+const { findRequestUser } = require("../lib/sessions");
+const { validateDeviceSearch, searchDevices } = require("../lib/devicesearch");
+const { hasErrors } = require("../lib/validation");
+
+// Interval between comments sent on an idle event stream, so that proxies do not close the connection
+
+const EVENT_STREAM_HEARTBEAT_MS = 25000;
+
+// All JSON endpoints are served under a versioned prefix so that the API can evolve without breaking existing scripts
+
+const API_PREFIX = "/api/v1";
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that sends a JSON error body for an error returned by a device operation.
+
+    Input:
+    The response object, the error and a message to use for unexpected database failures.
+
+    Output:
+    A JSON error body with the error's status code, or a 500 status code if the error has none. Validation errors also list the message for each invalid field under 'fields'.
+
+    */
+
+    function sendDeviceError(res, err, fallbackMessage) {
+        if (err.fields) {
+            return res.status(err.status).json({ error: err.message, fields: err.fields });
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        res.status(500).json({ error: fallbackMessage });
+    }
+
+    // Requests made with an API token are limited to what the token allows (see lib/apitokens.js)
+
+    app.use(API_PREFIX, restrictApiToken);
+
+    /*
+
+    A route that lists the supported device types.
+
+    Purpose:
+    To allow clients to discover which fields each device type supports and the range of values each field accepts.
+
+    Input:
+    A GET request. This does not contain a payload.
+
+    Output:
+    A JSON object containing the device type catalog and the definitions of each optional field.
+
+    */
+
+    app.get(API_PREFIX + "/device-types", function (req, res) {
+        res.json({ deviceTypes: DEVICE_TYPES, fields: FIELD_DEFINITIONS });
+    });
+
+    /*
+
+    A route that lists the devices.
+
+    Purpose:
+    To allow scripts and other applications to read the devices of the user's household, and pages to look devices up by name.
+
+    Input:
+    A GET request with the optional search parameters 'q', 'device_type', 'state', 'battery', 'sort', 'page' and 'per_page' (see lib/devicesearch.js). This does not contain a payload.
+
+    Output:
+    A JSON object containing an array of the matching devices (only those an API token limited to devices may use), the 'total' number of matching devices, the 'page', 'per_page' and 'page_count'. Every matching device is returned unless 'per_page' is given. Invalid search parameters return a 400 status code with a JSON error body listing the message for each invalid parameter under 'fields', and a failed database query a 500 status code.
+
+    */
+
+    app.get(API_PREFIX + "/devices", function (req, res) {
+
+        let { values, errors } = validateDeviceSearch(req.query);
+
+        if (hasErrors(errors)) {
+            return res.status(400).json({ error: "The search is not valid.", fields: errors });
+        }
+
+        values.deviceTypeIDs = req.apiToken ? req.apiToken.deviceTypeIDs : null;
+
+        searchDevices(req.user.householdID, values, (err, results) => {
+            if (err) {
+                return res.status(500).json({ error: "Unable to retrieve devices" });
+            }
+            res.json({
+                devices: results.devices.map(toDeviceResource),
+                total: results.total,
+                page: results.page,
+                per_page: results.perPage,
+                page_count: results.pageCount
+            });
+        });
+    });
+
+    /*
+
+    A route that lists every room.
+
+    Purpose:
+    To allow clients to discover the rooms devices can be assigned to with the 'room_ID' field.
+
+    Input:
+    A GET request. This does not contain a payload.
+
+    Output:
+    A JSON object containing an array of rooms, each with its 'room_ID', 'room_name' and 'device_count'. A failed database query returns a 500 status code with a JSON error body.
+
+    */
+
+    app.get(API_PREFIX + "/rooms", function (req, res) {
+        listRooms(req.user.householdID, (err, rooms) => {
+            if (err) {
+                return res.status(500).json({ error: "Unable to retrieve rooms" });
+            }
+            res.json({
+                rooms: rooms.map((room) => ({ room_ID: room.roomID, room_name: room.roomName, device_count: room.deviceCount }))
+            });
+        });
+    });
+
+    /*
+
+    A route that lists every scene.
+
+    Purpose:
+    To allow clients to discover the scenes that can be applied, and the device settings each one sets.
+
+    Input:
+    A GET request. This does not contain a payload.
+
+    Output:
+    A JSON object containing an array of scenes, each with its 'scene_ID', 'scene_name' and 'targets' (each with a 'device_type_ID', 'field' and 'value'). A failed database query returns a 500 status code with a JSON error body.
+
+    */
+
+    app.get(API_PREFIX + "/scenes", function (req, res) {
+        listScenes(req.user.householdID, (err, scenes) => {
+            if (err) {
+                return res.status(500).json({ error: "Unable to retrieve scenes" });
+            }
+            res.json({
+                scenes: scenes.map((scene) => ({
+                    scene_ID: scene.sceneID,
+                    scene_name: scene.sceneName,
+                    targets: scene.targets.map((target) => ({ device_type_ID: target.deviceTypeID, field: target.field, value: target.value }))
+                }))
+            });
+        });
+    });
+
+    /*
+
+    A route that applies a scene.
+
+    Purpose:
+    To set every device in a scene to its target values in one transaction, so that either every device is set or none is.
+
+    Input:
+    The scene ID as a URL parameter. This does not contain a payload.
+
+    Output:
+    A JSON object containing the devices that were 'changed' (with their new values) and those that were 'unchanged' because they already had the scene's values. An unknown ID returns a 404 status code, and a device that cannot be set returns a 400 status code with a JSON error body naming the device.
+
+    */
+
+    app.post(API_PREFIX + "/scenes/:id/apply", requirePermission("control_devices"), function (req, res) {
+
+        applyScene(req.params.id, memberContext(req, ORIGIN_API), (err, summary) => {
+            if (err) {
+                return sendDeviceError(res, err, "Unable to apply scene");
+            }
+            res.json({ scene_name: summary.scene, changed: summary.changed, unchanged: summary.unchanged });
+        });
+    });
+
+    /*
+
+    A route that retrieves a single device.
+
+    Purpose:
+    To read the current state of one device.
+
+    Input:
+    The device type ID as a URL parameter.
+
+    Output:
+    A JSON object containing the device, or a 404 status code if the user's household has no device with the given ID.
+
+    */
+
+    app.get(API_PREFIX + "/devices/:id", function (req, res) {
+
+        getDevice(req.params.id, req.user.householdID, (err, device) => {
+            if (err) {
+                return res.status(500).json({ error: "Unable to retrieve device" });
+            }
+            if (!device) {
+                return res.status(404).json({ error: "Device not found" });
+            }
+            res.json({ device: toDeviceResource(device) });
+        });
+    });
+
+    /*
+
+    A route that creates a device.
+
+    Purpose:
+    To create a record in the database with the fields provided, applying the same validation as the 'Add a Device' form. Both tables are written in one transaction.
+
+    Input:
+    A JSON payload containing the device's custom name, type and the subset of fields applicable to the device type.
+
+    Output:
+    A 201 status code and the created device. Invalid fields return a 400 status code and a custom name that is already in use returns a 409 status code, each with a JSON error body.
+
+    */
+
+    app.post(API_PREFIX + "/devices", requirePermission("manage_devices"), function (req, res) {
+
+        createDevice(req.body, memberContext(req, ORIGIN_API), (err, device) => {
+            if (err) {
+                return sendDeviceError(res, err, "Unable to create device");
+            }
+            res.status(201).json({ device: toDeviceResource(device) });
+        });
+    });
+
+    /*
+
+    A route that partially updates a device.
+
+    Purpose:
+    To change a subset of a device's fields. Fields omitted from the payload keep their current values.
+
+    Input:
+    The device type ID as a URL parameter and a JSON payload containing the fields to change.
+
+    Output:
+    The updated device. Invalid fields return a 400 status code, an unknown ID returns a 404 status code and a custom name clash returns a 409 status code, each with a JSON error body.
+
+    */
+
+    app.patch(API_PREFIX + "/devices/:id", requirePermission("control_devices"), function (req, res) {
+
+        patchDevice(req.params.id, req.body, memberContext(req, ORIGIN_API), (err, updated) => {
+            if (err) {
+                return sendDeviceError(res, err, "Unable to update device");
+            }
+            res.json({ device: toDeviceResource(updated) });
+        });
+    });
+
+    /*
+
+    A route that runs one action over several devices.
+
+    Purpose:
+    To switch on or off, set the volume or temperature of, or delete several devices in one request. Devices that do not support the action's field are skipped, and a device that cannot be changed does not stop the others.
+
+    Input:
+    A JSON payload containing the 'action' ('on', 'off', 'volume', 'temperature' or 'delete'), the 'volume' or 'temperature' to set for those actions, and an array of 'device_type_IDs'.
+
+    Output:
+    A JSON object containing the 'action' and a 'results' array with each device's 'device_type_ID', 'custom_name', 'outcome' ('changed', 'unchanged', 'deleted', 'skipped' or 'failed') and 'message'. An invalid batch returns a 400 status code with a JSON error body and changes no devices.
+
+    */
+
+    app.post(API_PREFIX + "/devices/batch", requirePermission("control_devices"), function (req, res) {
+
+        runBatch(req.body, memberContext(req, ORIGIN_API), (err, summary) => {
+            if (err) {
+                return sendDeviceError(res, err, "Unable to run batch");
+            }
+            res.json({
+                action: summary.action,
+                results: summary.results.map((result) => ({
+                    device_type_ID: result.deviceTypeID,
+                    custom_name: result.customName,
+                    outcome: result.outcome,
+                    message: result.message
+                }))
+            });
+        });
+    });
+
+    /*
+
+    A route that lists the recorded changes to a device.
+
+    Purpose:
+    To allow scripts to audit who changed a device and when. The history of a deleted device remains available.
+
+    Input:
+    The device type ID as a URL parameter.
+
+    Output:
+    A JSON object containing the device's history entries, most recent first, each with the 'before' and 'after' field values, the time of the change ('changedAt') and its 'origin'.
+
+    */
+
+    app.get(API_PREFIX + "/devices/:id/history", requirePermission("view_household"), function (req, res) {
+
+        getDeviceHistory(req.params.id, req.user.householdID, (err, history) => {
+            if (err) {
+                return res.status(500).json({ error: "Unable to retrieve device history" });
+            }
+            res.json({
+                history: history.map((entry) => ({
+                    action: entry.action,
+                    origin: entry.origin,
+                    changedAt: entry.changedAt,
+                    before: entry.before,
+                    after: entry.after
+                }))
+            });
+        });
+    });
+
+    /*
+
+    A route that deletes a device.
+
+    Purpose:
+    To move a device to the trash (see lib/trash.js), from which it can be restored on the 'Trash' page until it is purged.
+
+    Input:
+    The device type ID as a URL parameter.
+
+    Output:
+    A 204 status code with no body, or a 404 status code with a JSON error body if no device exists with the given ID.
+
+    */
+
+    app.delete(API_PREFIX + "/devices/:id", requirePermission("manage_devices"), function (req, res) {
+
+        deleteDevice(req.params.id, memberContext(req, ORIGIN_API), (err) => {
+            if (err) {
+                return sendDeviceError(res, err, "Unable to delete device");
+            }
+            res.status(204).end();
+        });
+    });
+
+    /*
+
+    A route that streams device changes as Server-Sent Events.
+
+    Purpose:
+    To push every creation, update, deletion and restore of a device of the user's household to open pages (e.g. the dashboard and device status pages) so that they can update in place without being reloaded.
+
+    Input:
+    A GET request, usually made by the browser's EventSource. This does not contain a payload.
+
+    Output:
+    A 'text/event-stream' response that stays open. Each event is named 'device-created', 'device-updated', 'device-deleted', 'device-restored' (a device restored from the trash) or 'device-simulated'; its data is a JSON object containing the device's fields under 'device', the 'device_type_ID' of a deleted device, or the 'device_type_ID' and simulated 'readings' of a device (see lib/simulator.js). The stream is closed, instead of sending an event, once the member's session has ended or their API token has been revoked, e.g. when they log out or are removed from the household.
+
+    */
+
+    app.get(API_PREFIX + "/events", function (req, res) {
+
+        res.set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive"
+        });
+        res.flushHeaders();
+
+        let pending = [];
+        let checking = false;
+        let closed = false;
+
+        // Only the changes to the household's own devices are sent, and only the device's current fields (or the ID of a deleted device, or a device's simulated readings)
+
+        function writeEvent(event) {
+            let data = event.device ? { device: event.device } : { device_type_ID: event.device_type_ID };
+            if (event.type === DEVICE_SIMULATED) {
+                data.readings = event.readings;
+            }
+            res.write("event: " + event.type + "\ndata: " + JSON.stringify(data) + "\n\n");
+        }
+
+        // The member is identified again before events are sent, as the stream outlives the request's session or token check. Events published while the check runs are sent, in order, once it has passed.
+
+        function sendEvent(event) {
+            if (closed || event.context.householdID !== req.user.householdID) {
+                return;
+            }
+            pending.push(event);
+            if (checking) {
+                return;
+            }
+            checking = true;
+
+            findRequestUser(req, (err, user) => {
+                checking = false;
+                if (closed) {
+                    return;
+                }
+                if (err) {
+                    console.error("The member of an event stream could not be identified:", err);
+                }
+                if (err || !user || user.userID !== req.user.userID || user.householdID !== req.user.householdID) {
+                    return closeStream();
+                }
+                pending.splice(0).forEach(writeEvent);
+            });
+        }
+
+        function closeStream() {
+            if (closed) {
+                return;
+            }
+            closed = true;
+            pending = [];
+            clearInterval(heartbeat);
+            deviceEvents.removeListener("device", sendEvent);
+            res.end();
+        }
+
+        let heartbeat = setInterval(() => res.write(": heartbeat\n\n"), EVENT_STREAM_HEARTBEAT_MS);
+
+        deviceEvents.on("device", sendEvent);
+
+        req.on("close", closeStream);
+    });
+
+    // Unknown API paths return a JSON error body rather than an HTML page
+
+    app.use(API_PREFIX, function (req, res) {
+        res.status(404).json({ error: "Not found" });
+    });
+
+    // Malformed JSON payloads are reported as JSON rather than the default HTML error page
+
+    app.use(API_PREFIX, function (err, req, res, next) {
+        res.status(err.status || 500).json({ error: err.status === 400 ? "Malformed JSON payload" : "Internal server error" });
+    });
+};
@@ -0,0 +1,139 @@
+const { MIN_PASSWORD_LENGTH, registerUser, authenticateUser } = require("../lib/users");
+const { startSession, endSession, safeNextPath } = require("../lib/sessions");
+
+module.exports = function (app) {
+
+    /*
+
+    A route that serves up the 'Log In' HTML page.
+
+    Input:
+    A URL from the client's browser with an optional 'next' query parameter: the page to return to once logged in. This does not contain a payload.
+
+    Output:
+    An HTML page with the login form, or a redirect to the requested page if the user is already logged in.
+
+    */
+
+    app.get("/login", function (req, res) {
+
+        let nextPath = safeNextPath(req.query.next);
+
+        if (req.user) {
+            return res.redirect(nextPath);
+        }
+
+        res.render("login.ejs", { nextPath: nextPath, formValues: {}, errorMessage: null });
+    });
+
+    /*
+
+    A route that logs a user in.
+
+    Purpose:
+    To check the user's credentials and start a session for them.
+
+    Input:
+    The login form's payload: the 'username', the 'password' and the 'next' page to return to.
+
+    Output:
+    A redirect to the requested page with the session cookie set. Wrong credentials re-display the login form with a 401 status code and an error message that does not say which of the two was wrong.
+
+    */
+
+    app.post("/login", function (req, res) {
+
+        let nextPath = safeNextPath(req.body.next);
+
+        authenticateUser(req.body, (err, user) => {
+            if (err) {
+                return res.status(err.status || 500).render("login.ejs", {
+                    nextPath: nextPath,
+                    formValues: { username: req.body.username },
+                    errorMessage: err.status ? err.message : "You could not be logged in. Please try again."
+                });
+            }
+
+            startSession(res, user, (err) => {
+                if (err) {
+                    return res.status(500).render("login.ejs", {
+                        nextPath: nextPath,
+                        formValues: { username: req.body.username },
+                        errorMessage: "You could not be logged in. Please try again."
+                    });
+                }
+                res.redirect(nextPath);
+            });
+        });
+    });
+
+    /*
+
+    A route that serves up the 'Register' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page with the registration form.
+
+    */
+
+    app.get("/register", function (req, res) {
+        res.render("register.ejs", { minPasswordLength: MIN_PASSWORD_LENGTH, formValues: {}, fieldErrors: {} });
+    });
+
+    /*
+
+    A route that registers a user.
+
+    Purpose:
+    To create the user's account and household, and log them in.
+
+    Input:
+    The registration form's payload: the 'username', 'password', 'confirm_password' and an optional 'household_name'.
+
+    Output:
+    A redirect to the dashboard with the session cookie set. Invalid fields or a username that is already taken re-display the form with an error next to each offending field; the passwords are never sent back.
+
+    */
+
+    app.post("/register", function (req, res) {
+
+        registerUser(req.body, (err, user) => {
+            if (!err) {
+                return startSession(res, user, (err) => {
+                    res.redirect(err ? "/login" : "/dashboard");
+                });
+            }
+
+            res.status(err.status || 500).render("register.ejs", {
+                minPasswordLength: MIN_PASSWORD_LENGTH,
+                formValues: { username: req.body.username, household_name: req.body.household_name },
+                fieldErrors: err.fields || {},
+                errorMessage: err.status ? null : "Your account could not be created. Please try again."
+            });
+        });
+    });
+
+    /*
+
+    A route that logs the user out.
+
+    Input:
+    A POST request from the logout button in the navigation bar. This does not contain a payload.
+
+    Output:
+    The session is ended and the browser is redirected to the login page.
+
+    */
+
+    app.post("/logout", function (req, res) {
+        endSession(req, res, (err) => {
+            if (err) {
+                console.error("Could not end session:", err);
+            }
+            res.redirect("/login");
+        });
+    });
+};
@@ -0,0 +1,166 @@
+const bodyParser = require("body-parser");
+const config = require("../config");
+const { BACKUP_FORMAT_VERSION, createBackup, restoreBackup, listStoredBackups, readStoredBackup } = require("../lib/backups");
+const { requirePermission } = require("../lib/permissions");
+
+// An uploaded backup is sent as the request's body rather than as a form field, so that the compressed file arrives as it is
+
+const BACKUP_UPLOAD = bodyParser.raw({ type: "application/octet-stream", limit: "50mb" });
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Backups' HTML page.
+
+    Purpose:
+    To offer a backup of the user's household for download, list the household's stored automatic backups with buttons to download and restore them, and a form to restore a backup file. The outcome of a restore is shown at the top of the page.
+
+    Input:
+    The request and response objects, the HTTP status code and the 'outcome' of a restore to show: its 'errorMessage', or the 'message' describing the restored backup (NULL when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the stored backups cannot be listed.
+
+    */
+
+    function renderBackupsPage(req, res, status, outcome) {
+        listStoredBackups(config.backups.directory, req.user.householdID, (err, backups) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.status(status).render("backups.ejs", {
+                backups: backups,
+                formatVersion: BACKUP_FORMAT_VERSION,
+                automatic: config.backups.automatic,
+                retentionDays: config.backups.retentionDays,
+                outcome: outcome || null
+            });
+        });
+    }
+
+    // Describe a restored backup, e.g. 'Restored the backup made on 01/01/2024, 12:00:00: 10 devices, 2 rooms, 3 schedules and 150 history entries.'
+
+    function describeRestore(restored) {
+        let counts = restored.counts;
+        return "Restored the backup made on " + restored.createdAtText + ": " + counts.devicenames + " devices, " + counts.rooms + " rooms, " + counts.schedules + " schedules and " + counts.devicehistory + " history entries.";
+    }
+
+    /*
+
+    A route that serves up the 'Backups' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page with the backup and restore forms and the household's stored backups.
+
+    */
+
+    app.get("/backups", requirePermission("manage_household"), function (req, res) {
+        renderBackupsPage(req, res, 200);
+    });
+
+    /*
+
+    A route that makes a backup of the household.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    The backup as a file download, or a redirect to the home page if the backup cannot be made.
+
+    */
+
+    app.get("/backups/download", requirePermission("manage_household"), function (req, res) {
+        createBackup(req.user.householdID, (err, backup) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.set("Content-Type", "application/gzip");
+            res.attachment(backup.filename);
+            res.send(backup.data);
+        });
+    });
+
+    /*
+
+    A route that downloads one of the household's stored backups.
+
+    Input:
+    A URL with the backup's file name. This does not contain a payload.
+
+    Output:
+    The backup as a file download, or a 404 status code if the household has no stored backup of that name.
+
+    */
+
+    app.get("/backups/stored/:filename", requirePermission("manage_household"), function (req, res) {
+        readStoredBackup(config.backups.directory, req.user.householdID, req.params.filename, (err, data) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Backup not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.set("Content-Type", "application/gzip");
+            res.attachment(req.params.filename);
+            res.send(data);
+        });
+    });
+
+    /*
+
+    A route that restores one of the household's stored backups.
+
+    Input:
+    A URL with the backup's file name. This does not contain a payload.
+
+    Output:
+    The 'Backups' page with the outcome of the restore, or a 404 status code if the household has no stored backup of that name.
+
+    */
+
+    app.post("/backups/stored/:filename/restore", requirePermission("manage_household"), function (req, res) {
+        readStoredBackup(config.backups.directory, req.user.householdID, req.params.filename, (err, data) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Backup not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            restoreBackup(req.user.householdID, data, (err, restored) => {
+                if (err && err.status) {
+                    return renderBackupsPage(req, res, err.status, { errorMessage: err.message });
+                }
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                renderBackupsPage(req, res, 200, { message: describeRestore(restored) });
+            });
+        });
+    });
+
+    /*
+
+    A route that restores an uploaded backup file.
+
+    Input:
+    The backup file's contents as the request's body, with the content type 'application/octet-stream' (sent by the 'Backups' page's script).
+
+    Output:
+    A JSON object with a 'message' describing the restored backup, or an 'error' with a 400 status code for a file that is not a backup or has an unsupported version, a 409 status code for a backup whose records belong to another household, or a 500 status code if the restore failed.
+
+    */
+
+    app.post("/backups/restore", requirePermission("manage_household"), BACKUP_UPLOAD, function (req, res) {
+        restoreBackup(req.user.householdID, req.body, (err, restored) => {
+            if (err) {
+                return res.status(err.status || 500).json({ error: err.status ? err.message : "The backup could not be restored." });
+            }
+            res.json({ message: describeRestore(restored) });
+        });
+    });
+};
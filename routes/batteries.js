@@ -0,0 +1,108 @@
+const { LOW_BATTERY_THRESHOLD_RANGE, listBatteryDevices, listBatteryAlerts, setHouseholdThreshold, setDeviceThreshold } = require("../lib/batteries");
+const { requirePermission } = require("../lib/permissions");
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Batteries' HTML page.
+
+    Purpose:
+    To list the devices needing charge, the battery level of every device of the user's household that takes batteries and the most recent low-battery alerts, with forms to change the household's low-battery threshold and each device's own threshold. A rejected threshold is shown next to the form it was entered in.
+
+    Input:
+    The request and response objects, the HTTP status code, and the rejected form ('deviceTypeID' of the device, or NULL for the household's threshold), its submitted values and its errors keyed by field name (empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderBatteriesPage(req, res, status, rejected) {
+        listBatteryDevices(req.user.householdID, (err, overview) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            listBatteryAlerts(req.user.householdID, (err, alerts) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                res.status(status).render("batteries.ejs", {
+                    threshold: overview.threshold,
+                    devices: overview.devices,
+                    needingCharge: overview.needingCharge,
+                    alerts: alerts,
+                    thresholdRange: LOW_BATTERY_THRESHOLD_RANGE,
+                    rejected: rejected || { deviceTypeID: null, formValues: {}, fieldErrors: {} }
+                });
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Batteries' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the devices needing charge and the battery level of every device that takes batteries.
+
+    */
+
+    app.get("/batteries", requirePermission("view_devices"), function (req, res) {
+        renderBatteriesPage(req, res, 200);
+    });
+
+    /*
+
+    A route that changes the household's low-battery threshold.
+
+    Input:
+    The threshold form's payload: the 'low_battery_threshold' as a percentage.
+
+    Output:
+    A redirect to the 'Batteries' page once the threshold is changed and the alerts are checked against it. An invalid threshold re-displays the form with an error.
+
+    */
+
+    app.post("/batteries/threshold", requirePermission("manage_devices"), function (req, res) {
+        setHouseholdThreshold(req.user.householdID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderBatteriesPage(req, res, err.status, { deviceTypeID: null, formValues: req.body, fieldErrors: err.fields });
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/batteries");
+        });
+    });
+
+    /*
+
+    A route that changes a device's own low-battery threshold.
+
+    Input:
+    The device ID as a URL parameter, and the device's threshold form's payload: the 'low_battery_threshold' as a percentage, or empty to use the household's threshold.
+
+    Output:
+    A redirect to the 'Batteries' page once the threshold is changed, a 404 status code if the household has no device with the given ID that takes batteries, or the form re-displayed with an error for an invalid threshold.
+
+    */
+
+    app.post("/batteries/devices/:id/threshold", requirePermission("manage_devices"), function (req, res) {
+        setDeviceThreshold(req.params.id, req.user.householdID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderBatteriesPage(req, res, err.status, { deviceTypeID: Number(req.params.id), formValues: req.body, fieldErrors: err.fields });
+            }
+            if (err && err.status === 404) {
+                return res.status(404).send("Device not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/batteries");
+        });
+    });
+};
@@ -0,0 +1,80 @@
+const { ENERGY_WINDOWS, DEFAULT_ENERGY_WINDOW, ENERGY_TARIFF_RANGE, getEnergyReport, setEnergyTariff } = require("../lib/energy");
+const { requirePermission } = require("../lib/permissions");
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Energy' HTML page.
+
+    Purpose:
+    To show the estimated energy use and cost of the user's household over a window, per device and per room, with the top consumers highlighted and a form to change the household's tariff. A rejected tariff is shown next to the form.
+
+    Input:
+    The request and response objects, the HTTP status code, the name of the window and the rejected tariff form's submitted values and errors keyed by field name (empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, a 400 status code for an unknown window, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderEnergyPage(req, res, status, windowName, rejected) {
+        getEnergyReport(req.user.householdID, windowName, (err, report) => {
+            if (err && err.status === 400) {
+                return res.status(400).send(err.fields.window);
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.status(status).render("energy.ejs", {
+                report: report,
+                windows: ENERGY_WINDOWS,
+                tariffRange: ENERGY_TARIFF_RANGE,
+                rejected: rejected || { formValues: {}, fieldErrors: {} }
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Energy' HTML page.
+
+    Input:
+    A URL from the client's browser with an optional 'window' query parameter: 'day' (the default), 'week' or 'month'. This does not contain a payload.
+
+    Output:
+    An HTML page with the household's estimated energy use and cost over the window.
+
+    */
+
+    app.get("/energy", requirePermission("view_household"), function (req, res) {
+        renderEnergyPage(req, res, 200, req.query.window || DEFAULT_ENERGY_WINDOW);
+    });
+
+    /*
+
+    A route that changes the household's energy tariff.
+
+    Input:
+    The tariff form's payload: the 'energy_tariff' per kWh, and the 'window' the page was showing.
+
+    Output:
+    A redirect to the 'Energy' page for the same window once the tariff is changed. An invalid tariff re-displays the form with an error.
+
+    */
+
+    app.post("/energy/tariff", requirePermission("manage_household"), function (req, res) {
+
+        let windowName = ENERGY_WINDOWS[req.body.window] ? req.body.window : DEFAULT_ENERGY_WINDOW;
+
+        setEnergyTariff(req.user.householdID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderEnergyPage(req, res, err.status, windowName, { formValues: req.body, fieldErrors: err.fields });
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/energy?window=" + windowName);
+        });
+    });
+};
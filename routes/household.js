@@ -0,0 +1,147 @@
+const { MIN_PASSWORD_LENGTH, listHouseholdMembers, addHouseholdMember, setMemberRole, removeHouseholdMember } = require("../lib/users");
+const { ROLES, ROLE_LABELS, listDenials, requirePermission } = require("../lib/permissions");
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Household' HTML page.
+
+    Purpose:
+    To list the members of the user's household with their roles, with forms to add members, change their roles and remove them, and to list the attempts that members' roles did not allow.
+
+    Input:
+    The request and response objects, the HTTP status code, and the rejected form ('memberID' of the member whose role or removal was rejected, or NULL for the 'Add a Member' form), its submitted values, its errors keyed by field name and an error message for the whole form (empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderHouseholdPage(req, res, status, rejected) {
+        listHouseholdMembers(req.user.householdID, (err, members) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+
+            listDenials(req.user.householdID, (err, denials) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+
+                res.status(status).render("household.ejs", {
+                    members: members,
+                    denials: denials,
+                    roles: ROLES,
+                    roleLabels: ROLE_LABELS,
+                    minPasswordLength: MIN_PASSWORD_LENGTH,
+                    rejected: rejected || { memberID: null, formValues: {}, fieldErrors: {}, errorMessage: null }
+                });
+            });
+        });
+    }
+
+    // Re-display the page after a rejected change to an existing member, or show the outcome of an accepted one
+
+    function redirectToHousehold(req, res) {
+        return function (err) {
+            if (err && err.status === 404) {
+                return res.status(404).send("Member not found");
+            }
+            if (err && err.status) {
+                return renderHouseholdPage(req, res, err.status, { memberID: Number(req.params.id), formValues: {}, fieldErrors: {}, errorMessage: err.message });
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/household");
+        };
+    }
+
+    /*
+
+    A route that serves up the 'Household' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the household's members and denied attempts, with forms to manage the members.
+
+    */
+
+    app.get("/household", requirePermission("manage_household"), function (req, res) {
+        renderHouseholdPage(req, res, 200);
+    });
+
+    /*
+
+    A route that adds a member to the household.
+
+    Input:
+    The 'Add a Member' form's payload: the 'username', 'password', 'confirm_password' and 'role'.
+
+    Output:
+    A redirect to the 'Household' page once the member is added. Invalid fields or a username that is already taken re-display the form with an error next to each offending field; the passwords are never sent back.
+
+    */
+
+    app.post("/household/members", requirePermission("manage_household"), function (req, res) {
+        addHouseholdMember(req.user.householdID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderHouseholdPage(req, res, err.status, {
+                    memberID: null,
+                    formValues: { username: req.body.username, role: req.body.role },
+                    fieldErrors: err.fields,
+                    errorMessage: null
+                });
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/household");
+        });
+    });
+
+    /*
+
+    A route that changes the role of a member.
+
+    Input:
+    The member's user ID as a URL parameter and the new 'role' as the payload.
+
+    Output:
+    A redirect to the 'Household' page once the role is changed (or to the dashboard, for an owner who gave up their own ownership), or a 404 status code if the household has no such member. Demoting the household's only owner re-displays the page with the reason.
+
+    */
+
+    app.post("/household/members/:id/role", requirePermission("manage_household"), function (req, res) {
+        setMemberRole(req.user.householdID, req.params.id, req.body, (err) => {
+            if (!err && Number(req.params.id) === req.user.userID && req.body.role !== "owner") {
+                return res.redirect("/dashboard");
+            }
+            redirectToHousehold(req, res)(err);
+        });
+    });
+
+    /*
+
+    A route that removes a member from the household.
+
+    Input:
+    The member's user ID as a URL parameter. This does not contain a payload.
+
+    Output:
+    A redirect to the 'Household' page once the member is removed, or a 404 status code if the household has no such member. Removing the household's only owner re-displays the page with the reason.
+
+    */
+
+    app.post("/household/members/:id/remove", requirePermission("manage_household"), function (req, res) {
+        removeHouseholdMember(req.user.householdID, req.params.id, (err) => {
+            if (!err && Number(req.params.id) === req.user.userID) {
+                return res.redirect("/login");
+            }
+            redirectToHousehold(req, res)(err);
+        });
+    });
+};
@@ -0,0 +1,115 @@
+const { INVENTORY_FIELDS, INVENTORY_FORMATS, MAX_IMPORT_ROWS, exportDevices, formatDevices, importDevices } = require("../lib/inventory");
+const { ORIGIN_WEB } = require("../lib/history");
+const { memberContext, requirePermission } = require("../lib/permissions");
+
+// The content type of each export format
+
+const EXPORT_CONTENT_TYPES = {
+    json: "application/json",
+    csv: "text/csv"
+};
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Import and Export' HTML page.
+
+    Purpose:
+    To offer the household's devices for download as JSON or CSV, and a form to import devices from such a file. The result of an import or a dry run is listed row by row below the form, with the errors of each invalid row.
+
+    Input:
+    The request and response objects, the HTTP status code, and an object with the import 'summary' to show (or NULL), the submitted form values and the errors keyed by field name (empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template.
+
+    */
+
+    function renderInventoryPage(req, res, status, options) {
+
+        options = options || {};
+
+        res.status(status).render("inventory.ejs", {
+            formats: INVENTORY_FORMATS,
+            fields: INVENTORY_FIELDS,
+            maxRows: MAX_IMPORT_ROWS,
+            summary: options.summary || null,
+            formValues: options.formValues || {},
+            fieldErrors: options.fieldErrors || {}
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Import and Export' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page with the export links and, for members who can manage devices, the import form.
+
+    */
+
+    app.get("/inventory", requirePermission("view_devices"), function (req, res) {
+        renderInventoryPage(req, res, 200);
+    });
+
+    /*
+
+    A route that exports every device of the household.
+
+    Input:
+    A URL with the 'format' query parameter: 'json' or 'csv'. This does not contain a payload.
+
+    Output:
+    The devices as a file download named after the format, or a 400 status code for an unknown format.
+
+    */
+
+    app.get("/inventory/export", requirePermission("view_devices"), function (req, res) {
+
+        let format = req.query.format;
+
+        if (INVENTORY_FORMATS.indexOf(format) === -1) {
+            return res.status(400).send("Choose an export format of " + INVENTORY_FORMATS.join(" or ") + ".");
+        }
+
+        exportDevices(req.user.householdID, (err, devices) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.set("Content-Type", EXPORT_CONTENT_TYPES[format]);
+            res.attachment("devices." + format);
+            res.send(formatDevices(devices, format));
+        });
+    });
+
+    /*
+
+    A route that imports devices, or previews an import.
+
+    Input:
+    The import form's payload: the file's contents ('data'), whether to 'skip' or 'overwrite' a device whose custom name is already in use ('on_clash') and whether this is a dry run ('dry_run' = 1).
+
+    Output:
+    The 'Import and Export' page with the outcome of each row. A file that cannot be read re-displays the form with an error.
+
+    */
+
+    app.post("/inventory/import", requirePermission("manage_devices"), function (req, res) {
+        importDevices(req.body, memberContext(req, ORIGIN_WEB), (err, summary) => {
+            if (err && err.fields) {
+                return renderInventoryPage(req, res, err.status, { formValues: req.body, fieldErrors: err.fields });
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+
+            // A preview keeps the file in the form so that it can be imported as is
+
+            renderInventoryPage(req, res, 200, { summary: summary, formValues: summary.dryRun ? req.body : { on_clash: req.body.on_clash } });
+        });
+    });
+};
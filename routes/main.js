@@ -1,5 +1,15 @@
-const res = require("express/lib/response");
-const { off } = require("process");
+const config = require("../config");
+const { validateDeviceSelection } = require("../lib/devicefields");
+const { hasErrors } = require("../lib/validation");
+const { DEVICE_TYPES, supportsField, getFieldRange } = require("../lib/devicecatalog");
+const { toDeviceResource, createDevice, updateDevice, deleteDevice } = require("../lib/devices");
+const { ORIGIN_WEB, ACTIVITY_LOG_LIMIT, validateHistoryFilters, getDeviceHistory, listHistory, listHistoryDevices } = require("../lib/history");
+const { listRooms } = require("../lib/rooms");
+const { getDashboard } = require("../lib/dashboard");
+const { validateDeviceSearch } = require("../lib/devicesearch");
+const { getSimulationReadings } = require("../lib/simulator");
+const { runBatch } = require("../lib/batch");
+const { memberContext, requirePermission } = require("../lib/permissions");
 
 module.exports = function (app) {
 
@@ -52,12 +62,17 @@ module.exports = function (app) {
     A URL from the client's browser which requests a resource from the server. This does not contain a payload.
 
     Output:
-    An HTML page generated using an EJS template that provides a list of pre-defined devices with applicable parameters to be submitted for storage via a form.
+    An HTML page generated using an EJS template that provides a list of pre-defined devices with applicable parameters and the rooms a device can be assigned to, to be submitted for storage via a form.
 
     */
 
-    app.get("/addadevice", function (req, res) {
-        res.render("addadevice");
+    app.get("/addadevice", requirePermission("manage_devices"), function (req, res) {
+        listRooms(req.user.householdID, (err, rooms) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.render("addadevice", { deviceTypes: DEVICE_TYPES, rooms: rooms, fieldErrors: {} });
+        });
     });
 
     /*
@@ -68,7 +83,7 @@ module.exports = function (app) {
     To create a record in the database with the fields provided.
 
     Input:
-    User-inputted device field data enclosed in the request message body. Device contains a subset of values corresponding to the device's applicable parameters (i.e. its custom name, type, on/off status, temperature, volume, battery inclusion/exclusion status, open/closed status). This is configured via a form's POST request.
+    User-inputted device field data enclosed in the request message body. Device contains a subset of values corresponding to the device's applicable parameters (i.e. its custom name, type, on/off status, temperature, volume, battery inclusion/exclusion status, battery level, open/closed status). This is configured via a form's POST request.
 
     Output:
     The output is an HTML page generated from an EJS template which contains a message indicating the result of the insertion operation.
@@ -76,176 +91,37 @@ module.exports = function (app) {
 
     */
 
-    app.post("/add-result", function (req, res) {
-
-        // Convert empty fields into NULL fields to ensure a valid database query
-
-        // Sanitize user input fields by removing special characters
-
-        // Database contains NOT NULL constraints built in for the 'Device Type' and 'Custom Name' fields
-
-        req.body.device_type = req.body.device_type.replace(/[^a-zA-Z0-9 ]/g, '');
-
-        req.body.custom_name = req.body.custom_name.replace(/[^a-zA-Z0-9 ]/g, '');
-
-        if (req.body.on_off === "") {
-            req.body.on_off = null;
-        }
-        else {
-            req.body.on_off = req.body.on_off.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.temperature === "") {
-            req.body.temperature = null;
-        }
-        else {
-            req.body.temperature = req.body.temperature.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.volume === "") {
-            req.body.volume = null;
-        }
-        else {
-            req.body.volume = req.body.volume.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.batteries_included === "") {
-            req.body.batteries_included = null;
-        }
-        else {
-            req.body.batteries_included = req.body.batteries_included.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.open_closed === "") {
-            req.body.open_closed = null;
-        }
-        else {
-            req.body.open_closed = req.body.open_closed.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        // Ensure the device custom name conforms to a schema and has a fixed set of length values
-
-        let validCustomNameRegex;
-
-        validCustomNameRegex = /^[a-zA-Z0-9_]+([a-zA-Z0-9_]+)*$/.test(req.body.custom_name);
-
-        // Custom name does not conform to schema
-
-        if (!validCustomNameRegex || req.body.custom_name.length < 5 || req.body.custom_name.length > 16) {
-            return res.status(400).json({ error: "Custom name does not fit schema or required length" });
-        }
-
-        // Ensure that data matches expected types, ranges, and values
-
-        let isValid = true;
-
-        if (req.body.device_type != null && !(typeof req.body.device_type === 'string' || req.body.device_type instanceof String)) {
-            isValid = false;
-        }
-
-        if (req.body.on_off != null && !(typeof req.body.on_off === 'string' || req.body.on_off instanceof String) && (!isNaN(req.body.on_off) && parseInt(req.body.on_off) == 0 || parseInt(req.body.on_off) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.batteries_included != null && !(typeof req.body.batteries_included === 'string' || req.body.batteries_included instanceof String) && (!isNaN(req.body.batteries_included) && parseInt(req.body.batteries_included) == 0 || parseInt(req.body.batteries_included) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.open_closed != null && !(typeof req.body.open_closed === 'string' || req.body.open_closed instanceof String) && (!isNaN(req.body.open_closed) && parseInt(req.body.open_closed) == 0 || parseInt(req.body.open_closed) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.volume != null && !(typeof req.body.volume === 'string' || req.body.volume instanceof String) && (!isNaN(req.body.volume) && parseInt(req.body.volume) >= 0 && parseInt(req.body.volume) <= 100)) {
-            isValid = false;
-        }
-
-        if (req.body.temperature != null && !(typeof req.body.temperature === 'string' || req.body.temperature instanceof String) && (!isNaN(req.body.temperature) && parseInt(req.body.temperature) >= 1 && parseInt(req.body.temperature) <= 220)) {
-            isValid = false;
-        }
-
-        if (!isValid) {
-            return res.status(400).json({ error: "The data fields are invalid or the custom name does not fit the required schema." });
-        }
-
-        /*
-
-        Database interaction:
-
-        Purpose:
-        To insert a device record based on a variable number of input parameters (some of which may be NULL).
-
-        Input:
-        User-inputted fields that are applicable to the device type selected.
-
-        Output:
-        Insertion of the device record into the database. Given a successful insertion operation, the number of rows stored is returned.
-
-        */
-
-        let sqlQueryInsert = "INSERT INTO devicetypes (Device_Type, On_Off, Temperature, Volume, Batteries_Included, Open_Closed) VALUES (?,?,?,?,?,?)";
-
-        let insertionRecord = [req.body.device_type, req.body.on_off, req.body.temperature, req.body.volume, req.body.batteries_included, req.body.open_closed];
+    app.post("/add-result", requirePermission("manage_devices"), function (req, res) {
 
-        db.query(sqlQueryInsert, insertionRecord, (err, result) => {
+        // Validation and the transactional insertion into both tables are handled by the shared device operations
 
-            // Database query unsuccessful, redisplay the device insertion form
+        createDevice(req.body, memberContext(req, ORIGIN_WEB), (err, device) => {
 
-            if (err) {
-                res.redirect("/addadevice");
-            }
-        });
-
-        /*
-
-        Database interaction:
-
-        Purpose:
-        To determine the AUTO_INCREMENT ID of the last row that has been inserted or updated in a table.
-
-        Input:
-        A MySQL function that takes an optional expression.
-
-        Output:
-        AUTO_INCREMENT ID of most recent record to be inserted or updated in a table.
-
-        */
+            // The form is shown again in either case, so the rooms are listed once the outcome is known
 
-        let sqlQueryRecentInsertID = "SELECT LAST_INSERT_ID()";
-
-        db.query(sqlQueryRecentInsertID, (err, result) => {
-
-            // Database query unsuccessful, redisplay the device insertion form
-
-            if (err) {
-                res.redirect("/addadevice");
-            }
-
-            /*
-
-            Database interaction:
-
-            Purpose:
-            To insert a custom name into the 'Device Names' table that corresponds to the fields of a record in the 'Device Types' table.
-
-            Input:
-            A custom name and AUTO_INCREMENT ID of the corresponding record in the 'Device Types' table.
-
-            Output:
-            Insertion of the custom name into the 'Device Names' table. Given a successful insertion operation, the number of rows stored is returned.
-
-            */
-
-            let sqlQueryInsertCustomName = "INSERT INTO devicenames (Custom_Name, Device_Type_ID) VALUES (?,?)";
-
-            let customNameRecord = [req.body.custom_name, result[0]['LAST_INSERT_ID()']];
-
-            db.query(sqlQueryInsertCustomName, customNameRecord, (err, result) => {
+            listRooms(req.user.householdID, (roomsErr, rooms) => {
+                if (roomsErr) {
+                    return res.redirect("index.html");
+                }
 
-                // Database query unsuccessful, redisplay the device insertion form
+                // Insertion unsuccessful, redisplay the device insertion form with the submitted values and an error message
 
                 if (err) {
-                    res.redirect("/addadevice");
+                    return res.status(err.status || 500).render("addadevice", {
+                        deviceTypes: DEVICE_TYPES,
+                        rooms: rooms,
+                        formValues: req.body,
+                        fieldErrors: err.fields || {},
+                        errorMessage: err.status ? "The device could not be added. Correct the highlighted fields and try again." : "The device could not be added. Please try again."
+                    });
                 }
+
+                res.render("addadevice", {
+                    deviceTypes: DEVICE_TYPES,
+                    rooms: rooms,
+                    fieldErrors: {},
+                    addedDevice: device
+                });
             });
         });
     });
@@ -255,224 +131,113 @@ module.exports = function (app) {
     A route that displays a user-friendly device dashboard GUI.
 
     Purpose:
-    To display the user devices in the database with a GUI. Each device can be individually selected by the user to view its status, control its fields, or to be deleted.
+    To display the devices of the user's household with a GUI, grouped by room, one page at a time. The devices can be searched by custom name, filtered by device type, on/off state and battery presence, and sorted by name, type or when they were last changed. Each device can be individually selected by the user to view its status, control its fields, or to be deleted, every device in a room can be switched on or off at once, and a scene can be applied to set several devices at once.
 
     Input:
-    A URL from the client's browser which sends the device's ID to the web server. This does not contain a payload.
+    A URL from the client's browser with the optional search parameters 'q', 'device_type', 'state', 'battery', 'sort', 'page' and 'per_page' (see lib/devicesearch.js). This does not contain a payload.
 
     Output:
-    An HTML page constructed from an EJS template which contains the active devices in the database with options to view, control, and delete on a per device basis.
+    An HTML page constructed from an EJS template which contains the page of matching devices, grouped by room, with options to view, control, and delete on a per device basis. Invalid search parameters show the first page of every device with a 400 status code and an error next to each invalid parameter.
 
     */
 
     app.get("/dashboard", function (req, res) {
 
-        /*
-
-        Database interaction:
+        let { values, errors } = validateDeviceSearch(req.query);
+        let invalid = hasErrors(errors);
 
-        Purpose:
-        To retrieve all device records from the 'Device Names' and 'Device Types' database tables.
+        // Retrieve the page of matching devices with the rooms they are assigned to, and the scenes that can be applied
 
-        Input:
-        A JOIN clause is used to combine rows from the two tables, based on a related column: the Device Type ID, provided as user input to the SQL statement.
-
-        Output:
-        The SQL SELECT statement returns a set containing all records from the 'Device Names' and 'Device Types' database tables.
-
-        */
-
-        let sqlQueryAll = 'SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID';
-
-        db.query(sqlQueryAll, (err, result) => {
+        getDashboard(req.user.householdID, invalid ? null : values, (err, dashboard) => {
 
             // Database query unsuccessful, redirect to the home page
 
             if (err) {
-                res.redirect("index.html");
+                return res.redirect("index.html");
             }
-            else {
-                res.render("dashboard.ejs", { deviceList: result });
+            if (invalid) {
+                dashboard.search = req.query;
+                dashboard.searchErrors = errors;
             }
-        })
+            res.status(invalid ? 400 : 200).render("dashboard.ejs", dashboard);
+        });
     });
 
     /*
 
-    A route that requests user confirmation for deleting a selected device.
+    A route that runs a batch action over the devices selected on the dashboard.
 
     Purpose:
-    To request user confirmation for a deletion operation.
+    To switch on or off, set the volume or temperature of, or delete several devices in one request instead of one device at a time. Devices that do not support the action's setting are skipped, and a device that cannot be changed does not stop the others.
 
     Input:
-    User-inputted device field data enclosed in the request message body. Device contains a subset of values corresponding to the device's applicable parameters (i.e. its custom name, type, on/off status, temperature, volume, battery inclusion/exclusion status, open/closed status). This is configured via a form's POST request.
+    The dashboard's batch form payload: the 'action' ('on', 'off', 'volume', 'temperature' or 'delete'), the 'volume' or 'temperature' to set, and the 'device_type_IDs' of the selected devices.
 
     Output:
-    An HTML page generated using an EJS template that provides the option to confirm or cancel the deletion operation with a modal window.
+    The dashboard, with a summary of the outcome for each selected device. A batch without a valid action, value or selection re-displays the dashboard with a 400 status code and the reason.
 
     */
 
-    app.post("/confirm-delete", function (req, res) {
-
-        let inputFields = req.body.device_type_ID;
-
-        // Parse input into device fields for validation and sanitization
-
-        if (inputFields.includes(",")) {
-            const inputDeviceFields = inputFields.split(",");
-            req.body.device_type_ID = inputDeviceFields[0];
-            req.body.custom_name = inputDeviceFields[1];
-            req.body.device_type = inputDeviceFields[2];
-            req.body.on_off = inputDeviceFields[3];
-            req.body.batteries_included = inputDeviceFields[4];
-            req.body.open_closed = inputDeviceFields[5];
-            req.body.volume = inputDeviceFields[6];
-            req.body.temperature = inputDeviceFields[7];
-        }
-
-        if (req.body.device_type_ID === undefined) {
-            res.redirect("index.html");
-            return;
-        }
-
-        // Convert empty fields into NULL fields to ensure a valid database query
-
-        // Sanitize user input fields by removing special characters
-
-        // Database contains NOT NULL constraints built in for the 'Device Type' and 'Custom Name' fields
-
-        req.body.device_type = req.body.device_type.replace(/[^a-zA-Z0-9 ]/g, '');
+    app.post("/batch", requirePermission("control_devices"), function (req, res) {
 
-        req.body.custom_name = req.body.custom_name.replace(/[^a-zA-Z0-9 ]/g, '');
-
-        if (req.body.on_off === "") {
-            req.body.on_off = null;
-        }
-        else {
-            req.body.on_off = req.body.on_off.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.temperature === "") {
-            req.body.temperature = null;
-        }
-        else {
-            req.body.temperature = req.body.temperature.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.volume === "") {
-            req.body.volume = null;
-        }
-        else {
-            req.body.volume = req.body.volume.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.batteries_included === "") {
-            req.body.batteries_included = null;
-        }
-        else {
-            req.body.batteries_included = req.body.batteries_included.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.open_closed === "") {
-            req.body.open_closed = null;
-        }
-        else {
-            req.body.open_closed = req.body.open_closed.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        // Ensure the device custom name conforms to a schema and has a fixed set of length values
-
-        let validCustomNameRegex;
-
-        validCustomNameRegex = /^[a-zA-Z0-9_]+([a-zA-Z0-9_]+)*$/.test(req.body.custom_name);
+        runBatch(req.body, memberContext(req, ORIGIN_WEB), (err, summary) => {
+            if (err && !err.status) {
+                return res.redirect("index.html");
+            }
 
-        // Custom name does not conform to schema
+            getDashboard(req.user.householdID, null, (dashboardErr, dashboard) => {
+                if (dashboardErr) {
+                    return res.redirect("index.html");
+                }
+                dashboard.batchAction = err ? { error: err.message } : summary;
+                res.status(err ? err.status : 200).render("dashboard.ejs", dashboard);
+            });
+        });
+    });
 
-        if (!validCustomNameRegex || req.body.custom_name.length < 5 || req.body.custom_name.length > 16) {
-            return res.status(400).json({ error: "Custom name does not fit schema or required length" });
-        }
+    /*
 
-        // Ensure that data matches expected types, ranges, and values
+    A route that requests user confirmation for deleting a selected device.
 
-        let isValid = true;
+    Purpose:
+    To request user confirmation for a deletion operation.
 
-        if (req.body.device_type != null && !(typeof req.body.device_type === 'string' || req.body.device_type instanceof String)) {
-            isValid = false;
-        }
+    Input:
+    The ID of the selected device enclosed in the request message body. This is configured via a form's POST request.
 
-        if (req.body.on_off != null && !(typeof req.body.on_off === 'string' || req.body.on_off instanceof String) && (!isNaN(req.body.on_off) && parseInt(req.body.on_off) == 0 || parseInt(req.body.on_off) == 1)) {
-            isValid = false;
-        }
+    Output:
+    An HTML page generated using an EJS template that provides the option to confirm or cancel the deletion operation with a modal window.
 
-        if (req.body.batteries_included != null && !(typeof req.body.batteries_included === 'string' || req.body.batteries_included instanceof String) && (!isNaN(req.body.batteries_included) && parseInt(req.body.batteries_included) == 0 || parseInt(req.body.batteries_included) == 1)) {
-            isValid = false;
-        }
+    */
 
-        if (req.body.open_closed != null && !(typeof req.body.open_closed === 'string' || req.body.open_closed instanceof String) && (!isNaN(req.body.open_closed) && parseInt(req.body.open_closed) == 0 || parseInt(req.body.open_closed) == 1)) {
-            isValid = false;
-        }
+    app.post("/confirm-delete", requirePermission("manage_devices"), function (req, res) {
 
-        if (req.body.volume != null && !(typeof req.body.volume === 'string' || req.body.volume instanceof String) && (!isNaN(req.body.volume) && parseInt(req.body.volume) >= 0 && parseInt(req.body.volume) <= 100)) {
-            isValid = false;
-        }
+        // Ensure that the selected device ID is valid
 
-        if (req.body.temperature != null && !(typeof req.body.temperature === 'string' || req.body.temperature instanceof String) && (!isNaN(req.body.temperature) && parseInt(req.body.temperature) >= 1 && parseInt(req.body.temperature) <= 220)) {
-            isValid = false;
-        }
+        let { values, errors } = validateDeviceSelection(req.body);
 
-        if (!isValid) {
-            return res.status(400).json({ error: "The data fields are invalid or the custom name does not fit the required schema." });
+        if (hasErrors(errors)) {
+            return res.redirect("/dashboard");
         }
 
         /*
 
         Database interaction:
 
-        Purpose:
-        To retrieve all device records from the 'Device Names' and 'Device Types' database tables.
-
-        Input:
-        A JOIN clause is used to combine rows from the two tables, based on a related column: the Device Type ID, provided as user input to the SQL statement.
-
-        Output:
-        The SQL SELECT statement returns a set containing all records from the 'Device Names' and 'Device Types' database tables.
-
-        */
-
-        let sqlQueryAll = "SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID";
-
-        let selectAll;
-
-        db.query(sqlQueryAll, (err, result) => {
-
-            // Database query unsuccessful, redisplay the device insertion form
-
-            if (err) {
-                res.redirect("/addadevice");
-            }
-            else {
-                selectAll = result;
-            }
-        });
-
-        /*
-
-        Database interaction:
-
         Purpose:
         To retrieve the fields associated with the currently selected device from the database.
 
         Input:
-        The ID of the device to be deleted is inputted into the SQL statement.
+        The ID of the device to be deleted and the ID of the user's household are inputted into the SQL statement.
 
         Output:
-        Zero or one row record(s) is returned to the user depending on the existence of a device with the given ID.
+        Zero or one row record(s) is returned to the user depending on the existence of a device with the given ID in the household.
 
         */
 
-        let sqlQueryDeviceRecord = "SELECT * FROM devicetypes JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID AND devicetypes.Device_Type_ID = ?";
+        let sqlQueryDeviceRecord = "SELECT * FROM devicetypes JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID AND devicetypes.Device_Type_ID = ? AND devicenames.Household_ID = ?";
 
-        let recordDeviceDeletionID = [req.body.device_type_ID];
+        let recordDeviceDeletionID = [values.device_type_ID, req.user.householdID];
 
         db.query(sqlQueryDeviceRecord, recordDeviceDeletionID, (err, result) => {
             if (err) {
@@ -481,7 +246,7 @@ module.exports = function (app) {
             else {
                 res.render("confirmdelete.ejs", {
                     deviceInfo: result,
-                    deviceList: selectAll
+                    trashRetentionDays: config.trash.retentionDays
                 });
             }
         });
@@ -492,176 +257,40 @@ module.exports = function (app) {
     A route that performs the deletion operation and serves up an HTML page based on an EJS template that indicates a successful deletion operation.
 
     Purpose:
-    To delete a given device stored in the database and provide user feedback on the operation status.
+    To move a given device to the trash (see lib/trash.js), from which it can be restored, and provide user feedback on the operation status.
 
     Input:
-    User-inputted device field data enclosed in the request message body. The device object contains a subset of values corresponding to the device's applicable parameters (i.e. its custom name, type, on/off status, temperature, volume, battery inclusion/exclusion status, open/closed status). This is configured via a form's POST request.
+    The ID of the device to be deleted enclosed in the request message body. This is configured via a form's POST request.
 
     Output:
-    The MySQL delete operation deletes the record from the parent 'Device Types' table which automatically removes the matching records from the child, 'Device Names' table. This is done using an ON DELETE CASCADE option. Given a successful deletion, the count of deleted rows is returned.
+    The device's record is moved from the 'Device Names' table to the 'Device Trash' table, while its record in the 'Device Types' table is kept so that it can be restored with all its values until it is purged.
 
     An HTML page generated from an EJS template which contains a message indicating the status of the delete operation. A failed request re-displays the 'Delete a Device' input form.
 
     */
 
-    app.post("/delete-result", function (req, res) {
-
-        let inputFields = req.body.device_type_ID;
-
-        // Parse input into device fields for validation and sanitization
-
-        if (inputFields.includes(",")) {
-            const inputDeviceFields = inputFields.split(",");
-            req.body.device_type_ID = inputDeviceFields[0];
-            req.body.custom_name = inputDeviceFields[1];
-            req.body.device_type = inputDeviceFields[2];
-            req.body.on_off = inputDeviceFields[3];
-            req.body.batteries_included = inputDeviceFields[4];
-            req.body.open_closed = inputDeviceFields[5];
-            req.body.volume = inputDeviceFields[6];
-            req.body.temperature = inputDeviceFields[7];
-        }
-
-        if (req.body.device_type_ID === undefined) {
-            res.redirect("index.html");
-            return;
-        }
-
-        // Convert empty fields into NULL fields to ensure a valid database query
-
-        // Sanitize user input fields by removing special characters
-
-        // Database contains NOT NULL constraints built in for the 'Device Type' and 'Custom Name' fields
-
-        req.body.device_type = req.body.device_type.replace(/[^a-zA-Z0-9 ]/g, '');
-
-        req.body.custom_name = req.body.custom_name.replace(/[^a-zA-Z0-9 ]/g, '');
-
-        if (req.body.on_off === "") {
-            req.body.on_off = null;
-        }
-        else {
-            req.body.on_off = req.body.on_off.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.temperature === "") {
-            req.body.temperature = null;
-        }
-        else {
-            req.body.temperature = req.body.temperature.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.volume === "") {
-            req.body.volume = null;
-        }
-        else {
-            req.body.volume = req.body.volume.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.batteries_included === "") {
-            req.body.batteries_included = null;
-        }
-        else {
-            req.body.batteries_included = req.body.batteries_included.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.open_closed === "") {
-            req.body.open_closed = null;
-        }
-        else {
-            req.body.open_closed = req.body.open_closed.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        // Ensure the device custom name conforms to a schema and has a fixed set of length values
-
-        let validCustomNameRegex;
+    app.post("/delete-result", requirePermission("manage_devices"), function (req, res) {
 
-        validCustomNameRegex = /^[a-zA-Z0-9_]+([a-zA-Z0-9_]+)*$/.test(req.body.custom_name);
+        // Ensure that the selected device ID is valid
 
-        // Custom name does not conform to schema
+        let { values, errors } = validateDeviceSelection(req.body);
 
-        if (!validCustomNameRegex || req.body.custom_name.length < 5 || req.body.custom_name.length > 16) {
-            return res.status(400).json({ error: "Custom name does not fit schema or required length" });
+        if (hasErrors(errors)) {
+            return res.redirect("/dashboard");
         }
 
-        // Ensure that data matches expected types, ranges, and values
-
-        let isValid = true;
-
-        if (req.body.device_type != null && !(typeof req.body.device_type === 'string' || req.body.device_type instanceof String)) {
-            isValid = false;
-        }
-
-        if (req.body.on_off != null && !(typeof req.body.on_off === 'string' || req.body.on_off instanceof String) && (!isNaN(req.body.on_off) && parseInt(req.body.on_off) == 0 || parseInt(req.body.on_off) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.batteries_included != null && !(typeof req.body.batteries_included === 'string' || req.body.batteries_included instanceof String) && (!isNaN(req.body.batteries_included) && parseInt(req.body.batteries_included) == 0 || parseInt(req.body.batteries_included) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.open_closed != null && !(typeof req.body.open_closed === 'string' || req.body.open_closed instanceof String) && (!isNaN(req.body.open_closed) && parseInt(req.body.open_closed) == 0 || parseInt(req.body.open_closed) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.volume != null && !(typeof req.body.volume === 'string' || req.body.volume instanceof String) && (!isNaN(req.body.volume) && parseInt(req.body.volume) >= 0 && parseInt(req.body.volume) <= 100)) {
-            isValid = false;
-        }
-
-        if (req.body.temperature != null && !(typeof req.body.temperature === 'string' || req.body.temperature instanceof String) && (!isNaN(req.body.temperature) && parseInt(req.body.temperature) >= 1 && parseInt(req.body.temperature) <= 220)) {
-            isValid = false;
-        }
-
-        if (!isValid) {
-            return res.status(400).json({ error: "The data fields are invalid or the custom name does not fit the required schema." });
-        }
-
-        /*
-
-        Database interaction:
-
-        Purpose:
-        To delete a device record from the 'Device Names' and 'Device Types' database tables. Deletion of the record from the parent 'Device Types' table automatically deletes the corresponding record in the 'Device Names' table using the ON DELETE CASCADE referential action for the foreign key of the child table.
-
-        Input:
-        The device type ID is provided to the SQL statement in the request payload.
-
-        Output:
-        The device is deleted from the database, given that its ID exists. A successful deletion returns a count of the number of records deleted.
-
-        */
-
-        let sqlQueryDelete = "DELETE FROM devicetypes WHERE Device_Type_ID = ?";
-
-        let recordToDelete = [req.body.device_type_ID];
+        // Move the device to the trash and announce the deletion to open pages. A device that no longer exists (e.g. deleted from another screen) is not treated as a failure.
 
-        db.query(sqlQueryDelete, recordToDelete, (err, result) => {
+        deleteDevice(values.device_type_ID, memberContext(req, ORIGIN_WEB), (err) => {
             // Database query unsuccessful, redirect to the home page
 
-            if (err) {
-                res.redirect("index.html");
+            if (err && err.status !== 404) {
+                return res.redirect("index.html");
             }
-        });
-
-        /*
-
-        Database interaction:
-
-        Purpose:
-        To retrieve all device records from the 'Device Names' and 'Device Types' database tables.
-
-        Input:
-        A JOIN clause is used to combine rows from the two tables, based on a related column: the Device Type ID, provided as user input to the SQL statement.
-
-        Output:
-        The SQL SELECT statement returns a set containing all records from the 'Device Names' and 'Device Types' database tables.
-
-        */
 
-        let sqlQueryAll = "SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID";
-
-        db.query(sqlQueryAll, (err, result) => {
-            res.render("confirmdeleteresult.ejs", { deviceList: result });
+            res.render("confirmdeleteresult.ejs", {
+                trashRetentionDays: config.trash.retentionDays
+            });
         });
     });
 
@@ -682,28 +311,13 @@ module.exports = function (app) {
 
     app.get("/display-status", function (req, res) {
 
-        /*
-
-        Database interaction:
-
-        Purpose:
-        To retrieve all device records from the 'Device Names' and 'Device Types' database tables.
+        // Ensure that the selected device ID is valid
 
-        Input:
-        A JOIN clause is used to combine rows from the two tables, based on a related column: the Device Type ID, provided as user input to the SQL statement.
+        let { values, errors } = validateDeviceSelection({ device_type_ID: req.query.deviceTypeID });
 
-        Output:
-        The SQL SELECT statement returns a set containing all records from the 'Device Names' and 'Device Types' database tables.
-
-        */
-
-        let sqlQueryAll = "SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID";
-
-        let selectAll;
-
-        db.query(sqlQueryAll, (err, result) => {
-            selectAll = result;
-        });
+        if (hasErrors(errors)) {
+            return res.redirect("/dashboard");
+        }
 
         /*
 
@@ -713,19 +327,19 @@ module.exports = function (app) {
         To retrieve a device record from the 'Device Names' and 'Device Types' database tables based on its ID.
 
         Input:
-        A device's ID is provided as input to the SQL statement to be used by the JOIN clause.
+        A device's ID and the ID of the user's household are provided as input to the SQL statement to be used by the JOIN clause.
 
         Output:
-        The SQL SELECT statement returns a set containing zero or one record from the 'Device Names' and 'Device Types' database tables based on the existence of its ID.
+        The SQL SELECT statement returns a set containing zero or one record from the 'Device Names' and 'Device Types' database tables based on the existence of its ID in the household.
 
         */
 
-        let sqlQueryDevice = "SELECT * FROM devicetypes CROSS JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID AND devicetypes.Device_Type_ID = ?";
+        let sqlQueryDevice = "SELECT * FROM devicetypes CROSS JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID AND devicetypes.Device_Type_ID = ? AND devicenames.Household_ID = ? LEFT JOIN rooms ON devicenames.Room_ID = rooms.Room_ID";
 
-        let deviceRecordID = [req.query.deviceTypeID];
+        let deviceRecordID = [values.device_type_ID, req.user.householdID];
 
         db.query(sqlQueryDevice, deviceRecordID, (err, result) => {
-            if (err) {
+            if (err || result.length === 0) {
                 res.redirect("index.html");
             }
             else {
@@ -736,6 +350,7 @@ module.exports = function (app) {
                 let valid_temperature = (result[0].Temperature !== null);
                 let valid_volume = (result[0].Volume !== null);
                 let valid_batteries_included = (result[0].Batteries_Included !== null);
+                let valid_battery_level = (result[0].Battery_Level !== null);
                 let valid_open_closed = (result[0].Open_Closed !== null);
 
                 // Determine state of each field
@@ -755,175 +370,101 @@ module.exports = function (app) {
                     deviceBatteriesState = (result[0].Batteries_Included === 1);
                 }
 
-                // Render the HTML page and provide the device's non-null field information
-
-                res.render("devicestatus.ejs", {
-                    deviceStatus: result,
-                    deviceList: selectAll,
-                    validOnOff: valid_on_off,
-                    validTemperature: valid_temperature,
-                    validVolume: valid_volume,
-                    validBatteriesIncluded: valid_batteries_included,
-                    validOpenClosed: valid_open_closed,
-                    deviceOn: deviceOnState,
-                    deviceOpen: deviceOpenState,
-                    deviceBatteries: deviceBatteriesState
-                }
-                );
+                // Render the HTML page and provide the device's non-null field information, its simulated readings and its history timeline
+
+                getDeviceHistory(values.device_type_ID, req.user.householdID, (err, history) => {
+                    if (err) {
+                        return res.redirect("index.html");
+                    }
+
+                    getSimulationReadings(req.user.householdID, (err, readings) => {
+                        if (err) {
+                            return res.redirect("index.html");
+                        }
+
+                        res.render("devicestatus.ejs", {
+                            deviceStatus: result,
+                            validOnOff: valid_on_off,
+                            validTemperature: valid_temperature,
+                            validVolume: valid_volume,
+                            validBatteriesIncluded: valid_batteries_included,
+                            validBatteryLevel: valid_battery_level,
+                            validOpenClosed: valid_open_closed,
+                            deviceOn: deviceOnState,
+                            deviceOpen: deviceOpenState,
+                            deviceBatteries: deviceBatteriesState,
+                            simulationReadings: readings[values.device_type_ID] || [],
+                            history: history
+                        }
+                        );
+                    });
+                });
             }
         });
     });
 
     /*
 
-    A route that serves up an HTML page from an EJS template that enables users to view and update the fields of a selected device.
+    A route that serves up the activity log.
 
     Purpose:
-    Retrieve the current status of fields pertaining to a selected device and enable valid field updates to occur.
+    To list the most recent changes to every device of the user's household, including deleted devices, so that the household can see what was changed, when and from where.
 
     Input:
-    User-inputted device field data enclosed in the request message body. The device object contains a subset of values corresponding to the device's applicable parameters (i.e. its custom name, type, on/off status, temperature, volume, battery inclusion/exclusion status, open/closed status). This is configured via a form's POST request.
+    A URL from the client's browser with optional 'device_type_ID', 'from' and 'to' (YYYY-MM-DD) query parameters to filter the log. This does not contain a payload.
 
     Output:
-    The retrieval of a device record whose relevant fields can be modified by the user.
+    An HTML page constructed from an EJS template which contains the matching history entries, most recent first. Invalid filters re-display the filter form with an error next to each invalid filter.
 
     */
 
-    app.post("/retrieve-update-record", function (req, res) {
-
-        let inputFields = req.body.device_type_ID;
-
-        // Parse input into device fields for validation and sanitization
-
-        if (inputFields.includes(",")) {
-            const inputDeviceFields = inputFields.split(",");
-            req.body.device_type_ID = inputDeviceFields[0];
-            req.body.custom_name = inputDeviceFields[1];
-            req.body.device_type = inputDeviceFields[2];
-            req.body.on_off = inputDeviceFields[3];
-            req.body.batteries_included = inputDeviceFields[4];
-            req.body.open_closed = inputDeviceFields[5];
-            req.body.volume = inputDeviceFields[6];
-            req.body.temperature = inputDeviceFields[7];
-        }
-
-        if (req.body.device_type_ID === undefined) {
-            res.redirect("index.html");
-            return;
-        }
-
-        // Convert empty fields into NULL fields to ensure a valid database query
-
-        // Sanitize user input fields by removing special characters
-
-        // Database contains NOT NULL constraints built in for the 'Device Type' and 'Custom Name' fields
-
-        req.body.device_type = req.body.device_type.replace(/[^a-zA-Z0-9 ]/g, '');
-
-        req.body.custom_name = req.body.custom_name.replace(/[^a-zA-Z0-9 ]/g, '');
-
-        if (req.body.on_off === "") {
-            req.body.on_off = null;
-        }
-        else {
-            req.body.on_off = req.body.on_off.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.temperature === "") {
-            req.body.temperature = null;
-        }
-        else {
-            req.body.temperature = req.body.temperature.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.volume === "") {
-            req.body.volume = null;
-        }
-        else {
-            req.body.volume = req.body.volume.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.batteries_included === "") {
-            req.body.batteries_included = null;
-        }
-        else {
-            req.body.batteries_included = req.body.batteries_included.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.open_closed === "") {
-            req.body.open_closed = null;
-        }
-        else {
-            req.body.open_closed = req.body.open_closed.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        // Ensure the device custom name conforms to a schema and has a fixed set of length values
-
-        let validCustomNameRegex;
-
-        validCustomNameRegex = /^[a-zA-Z0-9_]+([a-zA-Z0-9_]+)*$/.test(req.body.custom_name);
+    app.get("/activity", requirePermission("view_household"), function (req, res) {
 
-        // Custom name does not conform to schema
+        let { values, errors } = validateHistoryFilters(req.query);
 
-        if (!validCustomNameRegex || req.body.custom_name.length < 5 || req.body.custom_name.length > 16) {
-            res.statusCode = 500;
-            res.send('Custom name does not fit schema or required length');
-        }
-
-        // Ensure that data matches expected types, ranges, and values
-
-        let isValid = true;
-
-        if (req.body.device_type != null && !(typeof req.body.device_type === 'string' || req.body.device_type instanceof String)) {
-            isValid = false;
-        }
-
-        if (req.body.on_off != null && !(typeof req.body.on_off === 'string' || req.body.on_off instanceof String) && (!isNaN(req.body.on_off) && parseInt(req.body.on_off) == 0 || parseInt(req.body.on_off) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.batteries_included != null && !(typeof req.body.batteries_included === 'string' || req.body.batteries_included instanceof String) && (!isNaN(req.body.batteries_included) && parseInt(req.body.batteries_included) == 0 || parseInt(req.body.batteries_included) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.open_closed != null && !(typeof req.body.open_closed === 'string' || req.body.open_closed instanceof String) && (!isNaN(req.body.open_closed) && parseInt(req.body.open_closed) == 0 || parseInt(req.body.open_closed) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.volume != null && !(typeof req.body.volume === 'string' || req.body.volume instanceof String) && (!isNaN(req.body.volume) && parseInt(req.body.volume) >= 0 && parseInt(req.body.volume) <= 100)) {
-            isValid = false;
-        }
-
-        if (req.body.temperature != null && !(typeof req.body.temperature === 'string' || req.body.temperature instanceof String) && (!isNaN(req.body.temperature) && parseInt(req.body.temperature) >= 1 && parseInt(req.body.temperature) <= 220)) {
-            isValid = false;
-        }
+        listHistoryDevices(req.user.householdID, (err, historyDevices) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
 
-        if (!isValid) {
-            return res.status(400).json({ error: "The data fields are invalid or the custom name does not fit the required schema." });
-        }
+            let page = {
+                historyDevices: historyDevices,
+                filters: req.query,
+                fieldErrors: errors,
+                limit: ACTIVITY_LOG_LIMIT,
+                entries: []
+            };
 
-        /*
+            if (hasErrors(errors)) {
+                return res.status(400).render("activitylog.ejs", page);
+            }
 
-        Database interaction:
+            listHistory(req.user.householdID, values, (err, entries) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                page.entries = entries;
+                res.render("activitylog.ejs", page);
+            });
+        });
+    });
 
-        Purpose:
-        To retrieve all device records from the 'Device Names' and 'Device Types' database tables.
+    /*
 
-        Input:
-        A JOIN clause is used to combine rows from the two tables, based on a related column: the Device Type ID, provided as user input to the SQL statement.
+    A helper that serves up the 'Perform Update' HTML page for a device.
 
-        Output:
-        The SQL SELECT statement returns a set containing all records from the 'Device Names' and 'Device Types' database tables.
+    Purpose:
+    To display the current values of a device's fields in an update form. The form is also re-displayed when an update is rejected.
 
-        */
+    Input:
+    The request and response objects, the ID of the device to be updated, and an optional error message and field-level errors explaining why a previous update was rejected. The response status defaults to 200 unless it has already been set.
 
-        let sqlQueryAll = "SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID";
+    Output:
+    An HTML page generated using an EJS template containing the device's applicable fields and a device lookup to choose another device.
 
-        let selectAll;
+    */
 
-        db.query(sqlQueryAll, (err, result) => {
-            selectAll = result;
-        });
+    function renderUpdateForm(req, res, deviceTypeID, errorMessage, fieldErrors) {
 
         /*
 
@@ -933,30 +474,31 @@ module.exports = function (app) {
         To retrieve a device record from the database.
 
         Input:
-        The device ID is provided as input to the SQL statement in the request payload.
+        The device ID is provided as input to the SQL statement in the request payload, together with the ID of the user's household.
 
         Output:
-        The retrieval of all fields applicable to the device with a given ID, given that the ID exists in the database.
+        The retrieval of all fields applicable to the device with a given ID, given that the ID exists in the household.
 
         */
 
-        let sqlQueryDeviceRecord = "SELECT * FROM devicetypes CROSS JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID AND devicetypes.Device_Type_ID = ?";
+        let sqlQueryDeviceRecord = "SELECT * FROM devicetypes CROSS JOIN devicenames ON devicetypes.Device_Type_ID = devicenames.Device_Type_ID AND devicetypes.Device_Type_ID = ? AND devicenames.Household_ID = ?";
 
-        let deviceRecordID = [req.body.device_type_ID];
+        let deviceRecordID = [deviceTypeID, req.user.householdID];
 
         db.query(sqlQueryDeviceRecord, deviceRecordID, (err, result) => {
-            if (err) {
+            if (err || result.length === 0) {
                 res.redirect("index.html");
             }
             else {
 
-                // Determine which fields within the query result have non-null values
+                // Determine which fields apply to the device type from the device catalog
 
-                let valid_on_off = (result[0].On_Off !== null);
-                let valid_temperature = (result[0].Temperature !== null);
-                let valid_volume = (result[0].Volume !== null);
-                let valid_batteries_included = (result[0].Batteries_Included !== null);
-                let valid_open_closed = (result[0].Open_Closed !== null);
+                let valid_on_off = supportsField(result[0].Device_Type, "on_off");
+                let valid_temperature = supportsField(result[0].Device_Type, "temperature");
+                let valid_volume = supportsField(result[0].Device_Type, "volume");
+                let valid_batteries_included = supportsField(result[0].Device_Type, "batteries_included");
+                let valid_battery_level = supportsField(result[0].Device_Type, "battery_level");
+                let valid_open_closed = supportsField(result[0].Device_Type, "open_closed");
 
                 // Determine state of each field
 
@@ -975,253 +517,146 @@ module.exports = function (app) {
                     deviceBatteriesState = (result[0].Batteries_Included === 1);
                 }
 
-                res.render("performupdate.ejs", {
-                    updateRecord: result,
-                    deviceList: selectAll,
-                    validOnOff: valid_on_off,
-                    validTemperature: valid_temperature,
-                    validVolume: valid_volume,
-                    validBatteriesIncluded: valid_batteries_included,
-                    validOpenClosed: valid_open_closed,
-                    deviceOn: deviceOnState,
-                    deviceOpen: deviceOpenState,
-                    deviceBatteries: deviceBatteriesState
+                // List the rooms the device can be assigned to
+
+                listRooms(req.user.householdID, (err, rooms) => {
+                    if (err) {
+                        return res.redirect("index.html");
+                    }
+
+                    res.render("performupdate.ejs", {
+                        updateRecord: result,
+                        rooms: rooms,
+                        errorMessage: errorMessage,
+                        fieldErrors: fieldErrors || {},
+                        temperatureRange: getFieldRange(result[0].Device_Type, "temperature"),
+                        volumeRange: getFieldRange(result[0].Device_Type, "volume"),
+                        batteryLevelRange: getFieldRange(result[0].Device_Type, "battery_level"),
+                        validOnOff: valid_on_off,
+                        validTemperature: valid_temperature,
+                        validVolume: valid_volume,
+                        validBatteriesIncluded: valid_batteries_included,
+                        validBatteryLevel: valid_battery_level,
+                        validOpenClosed: valid_open_closed,
+                        deviceOn: deviceOnState,
+                        deviceOpen: deviceOpenState,
+                        deviceBatteries: deviceBatteriesState
+                    });
                 });
             }
-        })
-    })
+        });
+    }
 
     /*
 
-    A route that updates the fields of a device.
+    A route that serves up an HTML page from an EJS template that enables users to view and update the fields of a selected device.
 
     Purpose:
-    To update the device's record in the database, given that the field data is valid.
+    Retrieve the current status of fields pertaining to a selected device and enable valid field updates to occur.
 
     Input:
-    User-inputted device field data enclosed in the request message body. The device object contains a subset of values corresponding to the device's applicable parameters (i.e. its custom name, type, on/off status, temperature, volume, battery inclusion/exclusion status, open/closed status). This is configured via a form's POST request.
+    The ID of the device to be updated enclosed in the request message body. This is configured via a form's POST request.
 
     Output:
-    The update SQL statement returns the number of rows updated. The output is an HTML page generated from an EJS template which contains a message indicating the result of the update operation. A failed request re-displays the 'Update a Device' input form with a corresponding error message.
+    The retrieval of a device record whose relevant fields can be modified by the user.
 
     */
 
-    app.post("/update-result", function (req, res) {
-
-        // Convert empty fields into NULL fields to ensure a valid database query
-
-        // Sanitize user input fields by removing special characters
+    app.post("/retrieve-update-record", requirePermission("control_devices"), function (req, res) {
 
-        // Database contains NOT NULL constraints built in for the 'Device Type' and 'Custom Name' fields
+        // Ensure that the selected device ID is valid
 
-        req.body.device_type = req.body.device_type.replace(/[^a-zA-Z0-9 ]/g, '');
+        let { values, errors } = validateDeviceSelection(req.body);
 
-        req.body.custom_name = req.body.custom_name.replace(/[^a-zA-Z0-9 ]/g, '');
-
-        if (req.body.on_off === undefined) {
-            req.body.on_off = null;
-        }
-        else {
-            req.body.on_off = req.body.on_off.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.temperature === undefined) {
-            req.body.temperature = null;
-        }
-        else {
-            req.body.temperature = req.body.temperature.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.volume === undefined) {
-            req.body.volume = null;
-        }
-        else {
-            req.body.volume = req.body.volume.replace(/[^a-zA-Z0-9 ]/g, '');
+        if (hasErrors(errors)) {
+            return res.redirect("/dashboard");
         }
 
-        if (req.body.batteries_included === undefined) {
-            req.body.batteries_included = null;
-        }
-        else {
-            req.body.batteries_included = req.body.batteries_included.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        if (req.body.open_closed === undefined) {
-            req.body.open_closed = null;
-        }
-        else {
-            req.body.open_closed = req.body.open_closed.replace(/[^a-zA-Z0-9 ]/g, '');
-        }
-
-        // Ensure the device custom name conforms to a schema and has a fixed set of length values
-
-        let validCustomNameRegex;
-
-        validCustomNameRegex = /^[a-zA-Z0-9_]+([a-zA-Z0-9_]+)*$/.test(req.body.custom_name);
-
-        // Custom name does not conform to schema
-
-        if (!validCustomNameRegex || req.body.custom_name.length < 5 || req.body.custom_name.length > 16) {
-            res.statusCode = 500;
-            res.send('Custom name does not fit schema or required length');
-        }
-
-        // Ensure that data matches expected types, ranges, and values
-
-        let isValid = true;
-
-        if (req.body.device_type != null && !(typeof req.body.device_type === 'string' || req.body.device_type instanceof String)) {
-            isValid = false;
-        }
-
-        if (req.body.on_off != null && !(typeof req.body.on_off === 'string' || req.body.on_off instanceof String) && (!isNaN(req.body.on_off) && parseInt(req.body.on_off) == 0 || parseInt(req.body.on_off) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.batteries_included != null && !(typeof req.body.batteries_included === 'string' || req.body.batteries_included instanceof String) && (!isNaN(req.body.batteriesIncluded) && parseInt(req.body.batteries_included) == 0 || parseInt(req.body.batteries_included) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.open_closed != null && !(typeof req.body.open_closed === 'string' || req.body.open_closed instanceof String) && (!isNaN(req.body.open_closed) && parseInt(req.body.open_closed) == 0 || parseInt(req.body.open_closed) == 1)) {
-            isValid = false;
-        }
-
-        if (req.body.volume != null && !(typeof req.body.volume === 'string' || req.body.volume instanceof String) && (!isNaN(req.body.volume) && parseInt(req.body.volume) >= 0 && parseInt(req.body.volume) <= 100)) {
-            isValid = false;
-        }
-
-        if (req.body.temperature != null && !(typeof req.body.temperature === 'string' || req.body.temperature instanceof String) && (!isNaN(req.body.temperature) && parseInt(req.body.temperature) >= 1 && parseInt(req.body.temperature) <= 220)) {
-            isValid = false;
-        }
-
-        if (!isValid) {
-            return res.status(400).json({ error: "The data fields are invalid or the custom name does not fit the required schema." });
-        }
-
-        if (Array.isArray(req.body.on_off)) {
-            req.body.on_off = req.body.on_off[0];
-        }
-
-        if (Array.isArray(req.body.batteries_included)) {
-            req.body.batteries_included = req.body.batteries_included[0];
-        }
-        if (Array.isArray(req.body.open_closed)) {
-            req.body.open_closed = req.body.open_closed[0];
-        }
-
-        // Determine which fields within the query result have non-null values
-
-        let valid_on_off = (req.body.on_off !== null);
-        let valid_temperature = (req.body.temperature !== null);
-        let valid_volume = (req.body.volume !== null);
-        let valid_batteries_included = (req.body.batteries_included !== null);
-        let valid_open_closed = (req.body.open_closed !== null);
-
-        // Determine state of each field
-
-        let deviceOnState = 0;
-        if (valid_on_off) {
-            deviceOnState = (req.body.on_off === "1");
-        }
+        renderUpdateForm(req, res, values.device_type_ID);
+    });
 
-        let deviceOpenState = 0;
-        if (valid_open_closed) {
-            deviceOpenState = (req.body.open_closed === "1");
-        }
+    /*
 
-        let deviceBatteriesState = 0;
-        if (valid_batteries_included) {
-            deviceBatteriesState = (req.body.batteries_included === "1");
-        }
+    A route that updates the fields of a device.
 
-        /*
+    Purpose:
+    To update the device's record in the database, given that the field data is valid.
 
-        Database interaction:
+    Input:
+    User-inputted device field data enclosed in the request message body. The device object contains a subset of values corresponding to the device's applicable parameters (i.e. its custom name, type, on/off status, temperature, volume, battery inclusion/exclusion status, battery level, open/closed status). This is configured via a form's POST request.
 
-        Purpose:
-        To update the custom name of a device record in the 'Device Names' table of the database.
+    Output:
+    The update SQL statement returns the number of rows updated. The output is an HTML page generated from an EJS template which contains a message indicating the result of the update operation. A failed request re-displays the 'Update a Device' input form with a corresponding error message.
 
-        Input:
-        The custom name and ID of the device record to be updated is provided to the SQL statement.
+    */
 
-        Output:
-        The custom name is updated to the 'Device Names' table given that the ID exists. The number of rows updated is returned.
+    app.post("/update-result", requirePermission("control_devices"), function (req, res) {
 
-        */
+        // Validation and the transactional update of both tables are handled by the shared device operations
 
-        let sqlQueryCustomName = "UPDATE devicenames SET Custom_Name = ? WHERE Device_Type_ID = ?";
+        updateDevice(req.body.device_type_ID, req.body, memberContext(req, ORIGIN_WEB), (err, device) => {
 
-        let customNameRecord = [req.body.custom_name, req.body.device_type_ID];
+            // Update unsuccessful, redisplay the 'Perform Update' form with a corresponding error message
 
-        db.query(sqlQueryCustomName, customNameRecord, (err, result) => {
             if (err) {
-                res.redirect("/retrieve-update-record");
+                res.status(err.status || 500);
+                let errorMessage = "The device could not be updated. Please try again.";
+                if (err.status === 403) {
+                    errorMessage = err.message;
+                }
+                else if (err.status) {
+                    errorMessage = "The device could not be updated. Correct the highlighted fields and try again.";
+                }
+                return renderUpdateForm(req, res, req.body.device_type_ID, errorMessage, err.fields);
             }
-        });
-
-        /*
-
-        Database interaction:
-
-        Purpose:
-        To update an existing device record with updated field values in the 'Device Types' table in the database.
-
-        Input:
-        Updated field values applicable to the given device are provided as input to the SQL statement.
 
-        Output:
-        The replacement of the original device field values with the updated ones. The number of updated rows are returned.
-
-        */
+            // Determine which fields apply to the device type from the device catalog
 
-        let sqlQueryUpdateFields = "UPDATE devicetypes SET Device_Type = ?, On_Off = ?, Temperature = ?, Volume = ?, Batteries_Included = ?, Open_Closed = ? WHERE Device_Type_ID = ?";
+            let valid_on_off = supportsField(device.Device_Type, "on_off");
+            let valid_temperature = supportsField(device.Device_Type, "temperature");
+            let valid_volume = supportsField(device.Device_Type, "volume");
+            let valid_batteries_included = supportsField(device.Device_Type, "batteries_included");
+            let valid_battery_level = supportsField(device.Device_Type, "battery_level");
+            let valid_open_closed = supportsField(device.Device_Type, "open_closed");
 
-        let deviceValuesRecord = [req.body.device_type, req.body.on_off, req.body.temperature, req.body.volume, req.body.batteries_included, req.body.open_closed, req.body.device_type_ID];
+            // Determine state of each field
 
-        db.query(sqlQueryUpdateFields, deviceValuesRecord, (err, result) => {
-            if (err) {
-                res.redirect("/retrieve-update-record");
+            let deviceOnState = 0;
+            if (valid_on_off) {
+                deviceOnState = (device.On_Off === 1);
             }
-        });
-
-        /*
-
-        Database interaction:
-
-        Purpose:
-        To retrieve all device records from the 'Device Names' and 'Device Types' database tables.
-
-        Input:
-        A JOIN clause is used to combine rows from the two tables, based on a related column: the Device Type ID, provided as user input to the SQL statement.
-
-        Output:
-        The SQL SELECT statement returns a set containing all records from the 'Device Names' and 'Device Types' database tables.
 
-        */
-
-        let sqlQueryAll = "SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID";
-
-        db.query(sqlQueryAll, (err, result) => {
-
-            // Database query unsuccessful, redirect to the home page
+            let deviceOpenState = 0;
+            if (valid_open_closed) {
+                deviceOpenState = (device.Open_Closed === 1);
+            }
 
-            if (err) {
-                res.redirect("index.html");
+            let deviceBatteriesState = 0;
+            if (valid_batteries_included) {
+                deviceBatteriesState = (device.Batteries_Included === 1);
             }
-            else {
+
+            listRooms(req.user.householdID, (err, rooms) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
                 res.render("performupdateresult.ejs", {
-                    updateRecord: req.body,
-                    deviceList: result,
+                    updateRecord: toDeviceResource(device),
+                    rooms: rooms,
+                    temperatureRange: getFieldRange(device.Device_Type, "temperature"),
+                    volumeRange: getFieldRange(device.Device_Type, "volume"),
+                    batteryLevelRange: getFieldRange(device.Device_Type, "battery_level"),
                     validOnOff: valid_on_off,
                     validTemperature: valid_temperature,
                     validVolume: valid_volume,
                     validBatteriesIncluded: valid_batteries_included,
+                    validBatteryLevel: valid_battery_level,
                     validOpenClosed: valid_open_closed,
                     deviceOn: deviceOnState,
                     deviceOpen: deviceOpenState,
                     deviceBatteries: deviceBatteriesState,
                 });
-            }
+            });
         });
     });
-};
\ No newline at end of file
+};
@@ -0,0 +1,226 @@
+const { NOTIFICATION_TYPE_LABELS, listNotifications, markNotificationsRead, getNotificationPreferences, setNotificationPreferences } = require("../lib/notifications");
+const { WEBHOOK_LIMIT, WEBHOOK_RETRY_DELAYS, createWebhook, listWebhooks, deleteWebhook, listWebhookDeliveries } = require("../lib/webhooks");
+const { requirePermission } = require("../lib/permissions");
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Notifications' HTML page.
+
+    Purpose:
+    To list the logged-in user's most recent notifications, unread ones highlighted, with buttons to mark them as read and a form to choose which types of event the user receives. Rejected preferences are shown next to the form.
+
+    Input:
+    The request and response objects, the HTTP status code and the errors keyed by field name (empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderNotificationsPage(req, res, status, fieldErrors) {
+        listNotifications(req.user.userID, (err, notifications) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            getNotificationPreferences(req.user.userID, (err, preferences) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                res.status(status).render("notifications.ejs", {
+                    notifications: notifications,
+                    preferences: preferences,
+                    typeLabels: NOTIFICATION_TYPE_LABELS,
+                    fieldErrors: fieldErrors || {}
+                });
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Notifications' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the user's notifications and the types of event they receive.
+
+    */
+
+    app.get("/notifications", function (req, res) {
+        renderNotificationsPage(req, res, 200);
+    });
+
+    /*
+
+    A route that marks all of the user's notifications as read.
+
+    Input:
+    A form submission without a payload.
+
+    Output:
+    A redirect to the 'Notifications' page once the notifications are marked as read.
+
+    */
+
+    app.post("/notifications/read", function (req, res) {
+        markNotificationsRead(req.user.userID, null, (err) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/notifications");
+        });
+    });
+
+    /*
+
+    A route that marks one of the user's notifications as read.
+
+    Input:
+    The notification ID as a URL parameter. This does not contain a payload.
+
+    Output:
+    A redirect to the 'Notifications' page once the notification is marked as read, or a 404 status code if the user has no notification with the given ID.
+
+    */
+
+    app.post("/notifications/:id/read", function (req, res) {
+        markNotificationsRead(req.user.userID, req.params.id, (err) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Notification not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/notifications");
+        });
+    });
+
+    /*
+
+    A route that changes which types of event the user receives.
+
+    Input:
+    The preferences form's payload: the 'event_types' to receive (one checkbox per type).
+
+    Output:
+    A redirect to the 'Notifications' page once the preferences are saved. Invalid preferences re-display the form with an error.
+
+    */
+
+    app.post("/notifications/preferences", function (req, res) {
+        setNotificationPreferences(req.user.userID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderNotificationsPage(req, res, err.status, err.fields);
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/notifications");
+        });
+    });
+
+    /*
+
+    A helper that serves up the 'Webhooks' HTML page.
+
+    Purpose:
+    To list the logged-in user's webhooks with their secrets, with a form to add a webhook, a button to delete each one and the log of the most recent deliveries. A rejected webhook is shown next to the form.
+
+    Input:
+    The request and response objects, the HTTP status code, and the submitted form values and errors keyed by field name (empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderWebhooksPage(req, res, status, formValues, fieldErrors) {
+        listWebhooks(req.user.userID, (err, webhooks) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            listWebhookDeliveries(req.user.userID, (err, deliveries) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                res.status(status).render("webhooks.ejs", {
+                    webhooks: webhooks,
+                    deliveries: deliveries,
+                    webhookLimit: WEBHOOK_LIMIT,
+                    maxAttempts: WEBHOOK_RETRY_DELAYS.length + 1,
+                    typeLabels: NOTIFICATION_TYPE_LABELS,
+                    formValues: formValues || {},
+                    fieldErrors: fieldErrors || {}
+                });
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Webhooks' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the user's webhooks and their recent deliveries.
+
+    */
+
+    app.get("/webhooks", requirePermission("manage_household"), function (req, res) {
+        renderWebhooksPage(req, res, 200);
+    });
+
+    /*
+
+    A route that adds a webhook.
+
+    Input:
+    The 'Add a Webhook' form's payload: the 'url' to send notifications to.
+
+    Output:
+    A redirect to the 'Webhooks' page once the webhook is added. An invalid URL re-displays the form with an error.
+
+    */
+
+    app.post("/webhooks", requirePermission("manage_household"), function (req, res) {
+        createWebhook(req.user.userID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderWebhooksPage(req, res, err.status, req.body, err.fields);
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/webhooks");
+        });
+    });
+
+    /*
+
+    A route that deletes a webhook.
+
+    Input:
+    The webhook ID as a URL parameter. This does not contain a payload.
+
+    Output:
+    A redirect to the 'Webhooks' page once the webhook is deleted, or a 404 status code if the user has no webhook with the given ID.
+
+    */
+
+    app.post("/webhooks/:id/delete", requirePermission("manage_household"), function (req, res) {
+        deleteWebhook(req.user.userID, req.params.id, (err) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Webhook not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/webhooks");
+        });
+    });
+};
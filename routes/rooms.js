@@ -0,0 +1,170 @@
+const { validate, hasErrors } = require("../lib/validation");
+const { ORIGIN_WEB } = require("../lib/history");
+const { getDashboard } = require("../lib/dashboard");
+const { listRooms, createRoom, renameRoom, deleteRoom, switchRoomDevices } = require("../lib/rooms");
+const { memberContext, requirePermission } = require("../lib/permissions");
+
+// The payload of a room-level action
+
+const roomSwitchSchema = {
+    on_off: { type: "flag", label: "On/Off", required: true }
+};
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Rooms' HTML page.
+
+    Purpose:
+    To list every room of the user's household with its number of devices, with forms to create, rename and delete rooms. A rejected name is shown next to the form it was entered in.
+
+    Input:
+    The request and response objects, the HTTP status code, and the rejected form ('roomID' of the renamed room, or NULL for the 'Create a Room' form), its submitted values and its errors keyed by field name (empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderRoomsPage(req, res, status, rejected) {
+        listRooms(req.user.householdID, (err, rooms) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.status(status).render("rooms.ejs", {
+                rooms: rooms,
+                rejected: rejected || { roomID: null, formValues: {}, fieldErrors: {} }
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Rooms' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the rooms, with forms to manage them.
+
+    */
+
+    app.get("/rooms", requirePermission("view_household"), function (req, res) {
+        renderRoomsPage(req, res, 200);
+    });
+
+    /*
+
+    A route that creates a room.
+
+    Input:
+    The 'Create a Room' form's payload: the room's name.
+
+    Output:
+    A redirect to the 'Rooms' page once the room is created. A rejected name re-displays the form with an error.
+
+    */
+
+    app.post("/rooms", requirePermission("manage_automations"), function (req, res) {
+        createRoom(req.user.householdID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderRoomsPage(req, res, err.status, { roomID: null, formValues: req.body, fieldErrors: err.fields });
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/rooms");
+        });
+    });
+
+    /*
+
+    A route that renames a room.
+
+    Input:
+    The room ID as a URL parameter and the room's new name as the payload.
+
+    Output:
+    A redirect to the 'Rooms' page once the room is renamed, or a 404 status code if no room exists with the given ID. A rejected name re-displays the page with an error next to the room.
+
+    */
+
+    app.post("/rooms/:id/rename", requirePermission("manage_automations"), function (req, res) {
+        renameRoom(req.params.id, req.user.householdID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderRoomsPage(req, res, err.status, { roomID: Number(req.params.id), formValues: req.body, fieldErrors: err.fields });
+            }
+            if (err && err.status === 404) {
+                return res.status(404).send("Room not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/rooms");
+        });
+    });
+
+    /*
+
+    A route that deletes a room.
+
+    Input:
+    The room ID as a URL parameter. This does not contain a payload.
+
+    Output:
+    A redirect to the 'Rooms' page once the room is deleted (its devices are left without a room), or a 404 status code if no room exists with the given ID.
+
+    */
+
+    app.post("/rooms/:id/delete", requirePermission("manage_automations"), function (req, res) {
+        deleteRoom(req.params.id, req.user.householdID, (err) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Room not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/rooms");
+        });
+    });
+
+    /*
+
+    A route that switches every device in a room on or off.
+
+    Input:
+    The room ID as a URL parameter and the 'on_off' value (1 or 0) as the payload. This is configured via the room's 'All On' and 'All Off' buttons on the dashboard.
+
+    Output:
+    The dashboard, with a summary of the devices that were switched, those that were already in the requested state and those that could not be updated. A 404 status code is returned if no room exists with the given ID.
+
+    */
+
+    app.post("/rooms/:id/switch", requirePermission("control_devices"), function (req, res) {
+
+        let { values, errors } = validate(roomSwitchSchema, req.body);
+
+        if (hasErrors(errors)) {
+            return res.redirect("/dashboard");
+        }
+
+        switchRoomDevices(req.params.id, values.on_off, memberContext(req, ORIGIN_WEB), (err, summary) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Room not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+
+            getDashboard(req.user.householdID, null, (err, dashboard) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                dashboard.roomAction = Object.assign({ onOff: values.on_off }, summary);
+                res.render("dashboard.ejs", dashboard);
+            });
+        });
+    });
+};
@@ -0,0 +1,131 @@
+const { DEVICE_TYPES, FIELD_DEFINITIONS } = require("../lib/devicecatalog");
+const { RULE_OPERATORS, SWITCH_OPERATORS, RULE_CONDITION_FIELDS, RULE_ACTION_FIELDS, createRule, listRules, listRuleFirings, setRuleEnabled, deleteRule } = require("../lib/rules");
+const { requirePermission } = require("../lib/permissions");
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Rules' HTML page.
+
+    Purpose:
+    To list every rule of the user's household and its most recent firings, together with the form to create a rule. The form is re-displayed with the submitted values when a rule is rejected.
+
+    Input:
+    The request and response objects, the HTTP status code, the submitted form values and the errors keyed by field name (both empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderRulesPage(req, res, status, formValues, fieldErrors) {
+
+        let sqlQueryAll = "SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID WHERE devicenames.Household_ID = ? ORDER BY devicenames.Custom_Name";
+
+        db.query(sqlQueryAll, [req.user.householdID], (err, deviceList) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            listRules(req.user.householdID, (err, rules) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                listRuleFirings(req.user.householdID, (err, firings) => {
+                    if (err) {
+                        return res.redirect("index.html");
+                    }
+                    res.status(status).render("rules.ejs", {
+                        deviceList: deviceList,
+                        rules: rules,
+                        firings: firings,
+                        deviceTypes: DEVICE_TYPES,
+                        conditionFields: RULE_CONDITION_FIELDS.map((field) => ({ field: field, label: FIELD_DEFINITIONS[field].label })),
+                        actionFields: RULE_ACTION_FIELDS.map((field) => ({ field: field, label: FIELD_DEFINITIONS[field].label })),
+                        operators: Object.keys(RULE_OPERATORS).map((operator) => ({ operator: operator, label: RULE_OPERATORS[operator].label })),
+                        switchOperators: SWITCH_OPERATORS,
+                        formValues: formValues,
+                        fieldErrors: fieldErrors
+                    });
+                });
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Rules' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the rules and their recent firings, with a form to create a rule.
+
+    */
+
+    app.get("/rules", requirePermission("view_household"), function (req, res) {
+        renderRulesPage(req, res, 200, {}, {});
+    });
+
+    /*
+
+    A route that creates a rule.
+
+    Input:
+    The 'Create a Rule' form's payload: the rule's name, its trigger ('change' or 'duration' with a device, setting, comparison and value, plus the number of minutes for 'duration'; or 'time' with a cron expression), and lists of 'conditions' and 'actions'.
+
+    Output:
+    A redirect to the 'Rules' page once the rule is created. A rejected rule re-displays the form with an error next to each invalid field.
+
+    */
+
+    app.post("/rules", requirePermission("manage_automations"), function (req, res) {
+
+        createRule(req.user.householdID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderRulesPage(req, res, err.status, req.body, err.fields);
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/rules");
+        });
+    });
+
+    /*
+
+    Routes that enable, disable and delete a rule.
+
+    Input:
+    The rule ID as a URL parameter. These do not contain a payload.
+
+    Output:
+    A redirect to the 'Rules' page, or a 404 status code if no rule exists with the given ID.
+
+    */
+
+    function redirectToRules(res) {
+        return (err) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Rule not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/rules");
+        };
+    }
+
+    app.post("/rules/:id/enable", requirePermission("manage_automations"), function (req, res) {
+        setRuleEnabled(req.params.id, req.user.householdID, true, redirectToRules(res));
+    });
+
+    app.post("/rules/:id/disable", requirePermission("manage_automations"), function (req, res) {
+        setRuleEnabled(req.params.id, req.user.householdID, false, redirectToRules(res));
+    });
+
+    app.post("/rules/:id/delete", requirePermission("manage_automations"), function (req, res) {
+        deleteRule(req.params.id, req.user.householdID, redirectToRules(res));
+    });
+};
@@ -0,0 +1,151 @@
+const { DEVICE_TYPES, FIELD_DEFINITIONS } = require("../lib/devicecatalog");
+const { ORIGIN_WEB } = require("../lib/history");
+const { getDashboard } = require("../lib/dashboard");
+const { SCENE_TARGET_FIELDS, createScene, listScenes, deleteScene, applyScene } = require("../lib/scenes");
+const { memberContext, requirePermission } = require("../lib/permissions");
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Scenes' HTML page.
+
+    Purpose:
+    To list every scene of the user's household with the device settings it applies, together with the form to create a scene. The form is re-displayed with the submitted values when a scene is rejected.
+
+    Input:
+    The request and response objects, the HTTP status code, the submitted form values and the errors keyed by field name (both empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderScenesPage(req, res, status, formValues, fieldErrors) {
+
+        let sqlQueryAll = "SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID WHERE devicenames.Household_ID = ? ORDER BY devicenames.Custom_Name";
+
+        db.query(sqlQueryAll, [req.user.householdID], (err, deviceList) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            listScenes(req.user.householdID, (err, scenes) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                res.status(status).render("scenes.ejs", {
+                    deviceList: deviceList,
+                    scenes: scenes,
+                    deviceTypes: DEVICE_TYPES,
+                    targetFields: SCENE_TARGET_FIELDS.map((field) => ({ field: field, label: FIELD_DEFINITIONS[field].label })),
+                    formValues: formValues,
+                    fieldErrors: fieldErrors
+                });
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Scenes' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the scenes, with a form to create a scene.
+
+    */
+
+    app.get("/scenes", requirePermission("view_household"), function (req, res) {
+        renderScenesPage(req, res, 200, {}, {});
+    });
+
+    /*
+
+    A route that creates a scene.
+
+    Input:
+    The 'Create a Scene' form's payload: the scene's name and a list of 'targets', each with a device, a setting and the value to set it to.
+
+    Output:
+    A redirect to the 'Scenes' page once the scene is created. A rejected scene re-displays the form with an error next to each invalid field.
+
+    */
+
+    app.post("/scenes", requirePermission("manage_automations"), function (req, res) {
+
+        createScene(req.user.householdID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderScenesPage(req, res, err.status, req.body, err.fields);
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/scenes");
+        });
+    });
+
+    /*
+
+    A route that deletes a scene.
+
+    Input:
+    The scene ID as a URL parameter. This does not contain a payload.
+
+    Output:
+    A redirect to the 'Scenes' page, or a 404 status code if no scene exists with the given ID.
+
+    */
+
+    app.post("/scenes/:id/delete", requirePermission("manage_automations"), function (req, res) {
+        deleteScene(req.params.id, req.user.householdID, (err) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Scene not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/scenes");
+        });
+    });
+
+    /*
+
+    A route that applies a scene.
+
+    Input:
+    The scene ID as a URL parameter. This does not contain a payload. This is configured via the scene's button on the dashboard.
+
+    Output:
+    The dashboard, with a summary of the devices that were changed and those that already had the scene's values. If a device could not be set, no device is changed and the summary explains why. A 404 status code is returned if no scene exists with the given ID.
+
+    */
+
+    app.post("/scenes/:id/apply", requirePermission("control_devices"), function (req, res) {
+
+        applyScene(req.params.id, memberContext(req, ORIGIN_WEB), (err, summary) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Scene not found");
+            }
+            if (err && !err.status) {
+                return res.redirect("index.html");
+            }
+
+            getDashboard(req.user.householdID, null, (dashboardErr, dashboard) => {
+                if (dashboardErr) {
+                    return res.redirect("index.html");
+                }
+
+                let scene = dashboard.scenes.find((scene) => String(scene.sceneID) === req.params.id);
+
+                dashboard.sceneAction = err ? { scene: scene ? scene.sceneName : "", error: err.message } : {
+                    scene: summary.scene,
+                    changed: summary.changed.map((device) => device.custom_name),
+                    unchanged: summary.unchanged.map((device) => device.custom_name)
+                };
+                res.status(err ? err.status : 200).render("dashboard.ejs", dashboard);
+            });
+        });
+    });
+};
@@ -0,0 +1,129 @@
+const { DEVICE_TYPES, FIELD_DEFINITIONS } = require("../lib/devicecatalog");
+const { SCHEDULE_ACTION_FIELDS, DAY_NAMES, createSchedule, listSchedules, listScheduleRuns, setSchedulePaused, deleteSchedule } = require("../lib/schedules");
+const { requirePermission } = require("../lib/permissions");
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Schedules' HTML page.
+
+    Purpose:
+    To list every schedule of the user's household and its most recent runs, together with the form to create a schedule. The form is re-displayed with the submitted values when a schedule is rejected.
+
+    Input:
+    The request and response objects, the HTTP status code, the submitted form values and the errors keyed by field name (both empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderSchedulesPage(req, res, status, formValues, fieldErrors) {
+
+        let sqlQueryAll = "SELECT * FROM devicenames LEFT JOIN devicetypes ON devicenames.Device_Type_ID = devicetypes.Device_Type_ID WHERE devicenames.Household_ID = ? ORDER BY devicenames.Custom_Name";
+
+        db.query(sqlQueryAll, [req.user.householdID], (err, deviceList) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            listSchedules(req.user.householdID, (err, schedules) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                listScheduleRuns(req.user.householdID, (err, runs) => {
+                    if (err) {
+                        return res.redirect("index.html");
+                    }
+                    res.status(status).render("schedules.ejs", {
+                        deviceList: deviceList,
+                        schedules: schedules,
+                        runs: runs,
+                        deviceTypes: DEVICE_TYPES,
+                        actionFields: SCHEDULE_ACTION_FIELDS.map((field) => ({ field: field, label: FIELD_DEFINITIONS[field].label })),
+                        dayNames: DAY_NAMES,
+                        formValues: formValues,
+                        fieldErrors: fieldErrors
+                    });
+                });
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Schedules' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the schedules and their recent runs, with a form to create a schedule.
+
+    */
+
+    app.get("/schedules", requirePermission("view_household"), function (req, res) {
+        renderSchedulesPage(req, res, 200, {}, {});
+    });
+
+    /*
+
+    A route that creates a schedule.
+
+    Input:
+    The 'Create a Schedule' form's payload: the device, how the schedule repeats ('weekly' with a time and days of the week, 'cron' with a cron expression, or 'once' with a date and time) and the setting and value to apply.
+
+    Output:
+    A redirect to the 'Schedules' page once the schedule is created. A rejected schedule re-displays the form with an error next to each invalid field.
+
+    */
+
+    app.post("/schedules", requirePermission("manage_automations"), function (req, res) {
+
+        createSchedule(req.user.householdID, req.body, (err) => {
+            if (err && err.fields) {
+                return renderSchedulesPage(req, res, err.status, req.body, err.fields);
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/schedules");
+        });
+    });
+
+    /*
+
+    Routes that pause, resume and delete a schedule.
+
+    Input:
+    The schedule ID as a URL parameter. These do not contain a payload.
+
+    Output:
+    A redirect to the 'Schedules' page, or a 404 status code if no schedule exists with the given ID.
+
+    */
+
+    function redirectToSchedules(res) {
+        return (err) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Schedule not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/schedules");
+        };
+    }
+
+    app.post("/schedules/:id/pause", requirePermission("manage_automations"), function (req, res) {
+        setSchedulePaused(req.params.id, req.user.householdID, true, redirectToSchedules(res));
+    });
+
+    app.post("/schedules/:id/resume", requirePermission("manage_automations"), function (req, res) {
+        setSchedulePaused(req.params.id, req.user.householdID, false, redirectToSchedules(res));
+    });
+
+    app.post("/schedules/:id/delete", requirePermission("manage_automations"), function (req, res) {
+        deleteSchedule(req.params.id, req.user.householdID, redirectToSchedules(res));
+    });
+};
@@ -0,0 +1,110 @@
+const { API_TOKEN_SCOPES, SCOPE_LABELS, createApiToken, listApiTokens, revokeApiToken } = require("../lib/apitokens");
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'API Tokens' HTML page.
+
+    Purpose:
+    To list the logged-in user's API tokens with their scope, devices and when they were last used, with a form to create a token and a button to revoke each one. A token that has just been created is shown once, as it cannot be retrieved again.
+
+    Input:
+    The request and response objects, the HTTP status code, and an object with the 'createdToken' to show (or NULL), the submitted form values and the errors keyed by field name (empty when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderTokensPage(req, res, status, options) {
+
+        options = options || {};
+
+        let sqlQueryAll = "SELECT devicenames.Device_Type_ID, devicenames.Custom_Name FROM devicenames WHERE devicenames.Household_ID = ? ORDER BY devicenames.Custom_Name";
+
+        db.query(sqlQueryAll, [req.user.householdID], (err, deviceList) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            listApiTokens(req.user.userID, (err, tokens) => {
+                if (err) {
+                    return res.redirect("index.html");
+                }
+                res.status(status).render("tokens.ejs", {
+                    deviceList: deviceList,
+                    tokens: tokens,
+                    scopes: API_TOKEN_SCOPES,
+                    scopeLabels: SCOPE_LABELS,
+                    createdToken: options.createdToken || null,
+                    formValues: options.formValues || {},
+                    fieldErrors: options.fieldErrors || {}
+                });
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'API Tokens' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the user's API tokens, with a form to create a token.
+
+    */
+
+    app.get("/tokens", function (req, res) {
+        renderTokensPage(req, res, 200);
+    });
+
+    /*
+
+    A route that creates an API token.
+
+    Input:
+    The 'Create a Token' form's payload: the 'token_name', the 'scope' and the 'device_type_IDs' the token is limited to (none for every device).
+
+    Output:
+    The 'API Tokens' page showing the new token once. Invalid fields re-display the form with an error next to each offending field.
+
+    */
+
+    app.post("/tokens", function (req, res) {
+        createApiToken(req.user, req.body, (err, created) => {
+            if (err && err.fields) {
+                return renderTokensPage(req, res, err.status, { formValues: req.body, fieldErrors: err.fields });
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            renderTokensPage(req, res, 201, { createdToken: created.token });
+        });
+    });
+
+    /*
+
+    A route that revokes an API token.
+
+    Input:
+    The token ID as a URL parameter. This does not contain a payload.
+
+    Output:
+    A redirect to the 'API Tokens' page once the token is revoked, or a 404 status code if the user has no token with the given ID.
+
+    */
+
+    app.post("/tokens/:id/revoke", function (req, res) {
+        revokeApiToken(req.user.userID, req.params.id, (err) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("API token not found");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.redirect("/tokens");
+        });
+    });
+};
@@ -0,0 +1,103 @@
+const config = require("../config");
+const { ORIGIN_WEB } = require("../lib/history");
+const { restoreDevice } = require("../lib/devices");
+const { listTrash, purgeDevice } = require("../lib/trash");
+const { memberContext, requirePermission } = require("../lib/permissions");
+
+module.exports = function (app) {
+
+    /*
+
+    A helper that serves up the 'Trash' HTML page.
+
+    Purpose:
+    To list the deleted devices of the user's household that are still in the trash, with when and by whom each was deleted and when it will be purged, and buttons to restore or purge each one. The outcome of a restore or purge is shown at the top of the page.
+
+    Input:
+    The request and response objects, the HTTP status code and the 'outcome' to show: its 'errorMessage', or a 'message' with the ID of the restored device ('deviceTypeID') if any (NULL when the page is first shown).
+
+    Output:
+    An HTML page constructed from an EJS template, or a redirect to the home page if the database cannot be queried.
+
+    */
+
+    function renderTrashPage(req, res, status, outcome) {
+        listTrash(req.user.householdID, config.trash.retentionDays, (err, devices) => {
+            if (err) {
+                return res.redirect("index.html");
+            }
+            res.status(status).render("trash.ejs", {
+                devices: devices,
+                retentionDays: config.trash.retentionDays,
+                outcome: outcome || null
+            });
+        });
+    }
+
+    /*
+
+    A route that serves up the 'Trash' HTML page.
+
+    Input:
+    A URL from the client's browser. This does not contain a payload.
+
+    Output:
+    An HTML page listing the household's deleted devices.
+
+    */
+
+    app.get("/trash", requirePermission("view_devices"), function (req, res) {
+        renderTrashPage(req, res, 200);
+    });
+
+    /*
+
+    A route that restores a device from the trash.
+
+    Input:
+    The device ID as a URL parameter. This does not contain a payload.
+
+    Output:
+    The 'Trash' page with the outcome of the restore: a 409 status code and the reason if another device has taken the device's custom name, or a 404 status code if the household has no device with the given ID in the trash.
+
+    */
+
+    app.post("/trash/:id/restore", requirePermission("manage_devices"), function (req, res) {
+        restoreDevice(req.params.id, memberContext(req, ORIGIN_WEB), (err, row) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Device not found in the trash");
+            }
+            if (err && err.status === 409) {
+                return renderTrashPage(req, res, 409, { errorMessage: err.message });
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            renderTrashPage(req, res, 200, { message: "Restored " + row.Custom_Name + " (" + row.Device_Type + ") with the values it had when it was deleted.", deviceTypeID: row.Device_Type_ID });
+        });
+    });
+
+    /*
+
+    A route that deletes a device in the trash for good.
+
+    Input:
+    The device ID as a URL parameter. This does not contain a payload.
+
+    Output:
+    The 'Trash' page with the outcome of the purge, or a 404 status code if the household has no device with the given ID in the trash.
+
+    */
+
+    app.post("/trash/:id/purge", requirePermission("manage_devices"), function (req, res) {
+        purgeDevice(req.params.id, req.user.householdID, (err) => {
+            if (err && err.status === 404) {
+                return res.status(404).send("Device not found in the trash");
+            }
+            if (err) {
+                return res.redirect("index.html");
+            }
+            renderTrashPage(req, res, 200, { message: "The device was deleted for good." });
+        });
+    });
+};
@@ -0,0 +1,142 @@
+/*
+
+Tests of personal API tokens (see lib/apitokens.js): creating, identifying and revoking a token, and the limits of its scope and devices, run against an in-memory database.
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createTestDatabase } = require("./helpers");
+const { createApiToken, authenticateApiToken, revokeApiToken, restrictApiToken } = require("../lib/apitokens");
+const { registerUser } = require("../lib/users");
+const { createDevice } = require("../lib/devices");
+const { ORIGIN_API } = require("../lib/history");
+
+const HOUSEHOLD_ID = 1;
+
+let storage;
+let user;
+let kettleID;
+let speakersID;
+
+// Whether restrictApiToken lets a request through: the callback receives NULL, or the status and error of the response it sent
+
+function restrict(apiToken, method, path, body, callback) {
+    let req = { method: method, path: path, body: body, apiToken: apiToken };
+    let res = {
+        status: (status) => ({ json: (body) => callback({ status: status, error: body.error }) })
+    };
+    restrictApiToken(req, res, () => callback(null));
+}
+
+test.before((t, done) => {
+    createTestDatabase((err, created) => {
+        if (err) {
+            return done(err);
+        }
+        storage = created;
+        let context = { origin: ORIGIN_API, householdID: HOUSEHOLD_ID };
+
+        registerUser({ username: "alice", password: "password1", confirm_password: "password1" }, (err, registered) => {
+            if (err) {
+                return done(err);
+            }
+            user = registered;
+            createDevice({ custom_name: "Kitchen_Kettle", device_type: "Stainless Steel Kettle", on_off: 0, temperature: 80, open_closed: 0 }, context, (err, row) => {
+                if (err) {
+                    return done(err);
+                }
+                kettleID = row.Device_Type_ID;
+                createDevice({ custom_name: "Hall_Speakers", device_type: "Speakers", on_off: 0, volume: 20, batteries_included: 0 }, context, (err, row) => {
+                    speakersID = row && row.Device_Type_ID;
+                    done(err);
+                });
+            });
+        });
+    });
+});
+
+test.after((t, done) => {
+    storage.close(done);
+});
+
+test("a token identifies its user and its limits until it is revoked", (t, done) => {
+    createApiToken(user, { token_name: "Kitchen script", scope: "control", device_type_IDs: [kettleID] }, (err, created) => {
+        assert.ifError(err);
+        assert.match(created.token, /^msh_[0-9a-f]{64}$/);
+
+        authenticateApiToken(created.token, (err, tokenUser, apiToken) => {
+            assert.ifError(err);
+            assert.strictEqual(tokenUser.username, "alice");
+            assert.deepStrictEqual(apiToken, { tokenID: created.tokenID, scope: "control", deviceTypeIDs: [kettleID] });
+
+            revokeApiToken(user.userID, created.tokenID, (err) => {
+                assert.ifError(err);
+
+                authenticateApiToken(created.token, (err, tokenUser) => {
+                    assert.ifError(err);
+                    assert.strictEqual(tokenUser, undefined);
+                    done();
+                });
+            });
+        });
+    });
+});
+
+test("a token cannot be limited to a device of another household", (t, done) => {
+    createApiToken(user, { token_name: "Stray script", scope: "read", device_type_IDs: [kettleID + 100] }, (err) => {
+        assert.strictEqual(err.status, 400);
+        assert.ok(err.fields.device_type_IDs);
+        done();
+    });
+});
+
+test("a token is only accepted on the device endpoints, whatever the case of the path", (t, done) => {
+    let apiToken = { tokenID: 1, scope: "control", deviceTypeIDs: null };
+
+    restrict(apiToken, "GET", "/scenes", undefined, (denial) => {
+        assert.strictEqual(denial.status, 403);
+        assert.match(denial.error, /only be used on the device endpoints/);
+
+        restrict(apiToken, "GET", "/DEVICES/" + kettleID, undefined, (denial) => {
+            assert.strictEqual(denial, null);
+            done();
+        });
+    });
+});
+
+test("a read-only token can read devices but not change them", (t, done) => {
+    let apiToken = { tokenID: 1, scope: "read", deviceTypeIDs: null };
+
+    restrict(apiToken, "GET", "/devices", undefined, (denial) => {
+        assert.strictEqual(denial, null);
+
+        restrict(apiToken, "PATCH", "/devices/" + kettleID, { on_off: 1 }, (denial) => {
+            assert.strictEqual(denial.status, 403);
+            assert.strictEqual(denial.error, "This API token is read-only.");
+            done();
+        });
+    });
+});
+
+test("a token limited to devices can only use those devices, and cannot create devices", (t, done) => {
+    let apiToken = { tokenID: 1, scope: "control", deviceTypeIDs: [kettleID] };
+
+    restrict(apiToken, "PATCH", "/devices/" + kettleID, { on_off: 1 }, (denial) => {
+        assert.strictEqual(denial, null);
+
+        restrict(apiToken, "GET", "/devices/" + speakersID, undefined, (denial) => {
+            assert.strictEqual(denial.error, "This API token cannot use device " + speakersID + ".");
+
+            restrict(apiToken, "POST", "/devices/batch", { device_type_IDs: [kettleID, speakersID] }, (denial) => {
+                assert.strictEqual(denial.error, "This API token cannot use device " + speakersID + ".");
+
+                restrict(apiToken, "POST", "/devices", { custom_name: "New_Device" }, (denial) => {
+                    assert.strictEqual(denial.status, 403);
+                    assert.match(denial.error, /cannot create devices/);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/*
+
+Tests of restoring a backup (see lib/backups.js), run against an in-memory database.
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const { createTestDatabase, createHousehold } = require("./helpers");
+const { createBackup, restoreBackup } = require("../lib/backups");
+const { createDevice, getDevice } = require("../lib/devices");
+const { ORIGIN_API } = require("../lib/history");
+
+const HOUSEHOLD_ID = 1;
+
+const context = { origin: ORIGIN_API, householdID: HOUSEHOLD_ID };
+
+let storage;
+let archive;
+let kettleID;
+
+// The contents of a backup file holding the given archive, changed by the given function
+
+function backupFile(change) {
+    let copy = JSON.parse(JSON.stringify(archive));
+    change(copy);
+    return zlib.gzipSync(Buffer.from(JSON.stringify(copy)));
+}
+
+test.before((t, done) => {
+    createTestDatabase((err, created) => {
+        if (err) {
+            return done(err);
+        }
+        storage = created;
+        createDevice({ custom_name: "Kitchen_Kettle", device_type: "Stainless Steel Kettle", on_off: 0, temperature: 80, open_closed: 0 }, context, (err, row) => {
+            if (err) {
+                return done(err);
+            }
+            kettleID = row.Device_Type_ID;
+            createBackup(HOUSEHOLD_ID, (err, backup) => {
+                if (err) {
+                    return done(err);
+                }
+                archive = JSON.parse(zlib.gunzipSync(backup.data).toString());
+                done();
+            });
+        });
+    });
+});
+
+test.after((t, done) => {
+    storage.close(done);
+});
+
+test("a backup restores the household's devices with their IDs", (t, done) => {
+    restoreBackup(HOUSEHOLD_ID, backupFile(() => { }), (err, summary) => {
+        assert.ifError(err);
+        assert.strictEqual(summary.counts.devicetypes, 1);
+
+        getDevice(kettleID, HOUSEHOLD_ID, (err, row) => {
+            assert.ifError(err);
+            assert.strictEqual(row.Custom_Name, "Kitchen_Kettle");
+            assert.strictEqual(row.Temperature, 80);
+            done();
+        });
+    });
+});
+
+test("a backup whose records refer to records it does not contain is rejected", (t, done) => {
+    let file = backupFile((copy) => {
+        copy.tables.schedules.push({ Schedule_ID: 1, Device_Type_ID: kettleID + 100, Schedule_Type: "once", Run_At: new Date().toISOString(), Action_Field: "on_off", Action_Value: 1, Paused: 0 });
+    });
+
+    restoreBackup(HOUSEHOLD_ID, file, (err) => {
+        assert.strictEqual(err.status, 400);
+        assert.match(err.message, /'schedules' records refer to records that are not in the backup/);
+        done();
+    });
+});
+
+test("a backup with a device the 'Add a Device' form would not accept is rejected, and nothing is changed", (t, done) => {
+    let invalid = [
+        (copy) => copy.tables.devicetypes[0].Temperature = 250,
+        (copy) => copy.tables.devicetypes[0].Device_Type = "Toaster",
+        (copy) => copy.tables.devicenames[0].Custom_Name = "Kettle!",
+        (copy) => copy.tables.devicetypes[0].Volume = 40
+    ];
+
+    (function next() {
+        if (invalid.length === 0) {
+            return getDevice(kettleID, HOUSEHOLD_ID, (err, row) => {
+                assert.ifError(err);
+                assert.strictEqual(row.Temperature, 80);
+                done();
+            });
+        }
+        restoreBackup(HOUSEHOLD_ID, backupFile(invalid.shift()), (err) => {
+            assert.strictEqual(err.status, 400);
+            assert.match(err.message, /^The backup cannot be restored, as its device '.*' is not valid: /);
+            next();
+        });
+    })();
+});
+
+test("a backup of another household's devices cannot be restored into this household", (t, done) => {
+    createHousehold("Next Door", (err, householdID) => {
+        assert.ifError(err);
+
+        restoreBackup(householdID, backupFile(() => { }), (err) => {
+            assert.strictEqual(err.status, 409);
+            done();
+        });
+    });
+});
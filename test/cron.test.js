@@ -0,0 +1,70 @@
+/*
+
+Tests of cron expressions (see lib/cron.js). Times are in the server's time zone, so the tests run in one with daylight saving changes (Europe/London: clocks go forward at 01:00 on 29 March 2026 and back at 02:00 on 25 October 2026).
+
+*/
+
+process.env.TZ = "Europe/London";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCronExpression, nextCronTime, describeCronExpression } = require("../lib/cron");
+
+// A local time, written as 'YYYY-MM-DD HH:MM', so that expected times read as the schedule does
+
+function localTime(text) {
+    let [date, time] = text.split(" ");
+    let [year, month, day] = date.split("-").map(Number);
+    let [hour, minute] = time.split(":").map(Number);
+    return new Date(year, month - 1, day, hour, minute);
+}
+
+test("parseCronExpression reads numbers, ranges, steps and lists", () => {
+    let schedule = parseCronExpression("*/15 6-8 1,15 * 1-5/2");
+    assert.deepStrictEqual(schedule.minutes, [0, 15, 30, 45]);
+    assert.deepStrictEqual(schedule.hours, [6, 7, 8]);
+    assert.deepStrictEqual(schedule.daysOfMonth.values, [1, 15]);
+    assert.strictEqual(schedule.months.length, 12);
+    assert.deepStrictEqual(schedule.daysOfWeek.values, [1, 3, 5]);
+    assert.deepStrictEqual(parseCronExpression("5/20 * * * *").minutes, [5, 25, 45]);
+});
+
+test("parseCronExpression rejects a wrong number of fields, a value out of range and an unreadable field", () => {
+    assert.throws(() => parseCronExpression("0 6 * *"), /must have five fields/);
+    assert.throws(() => parseCronExpression("0 24 * * *"), /The hour field '24' must be within 0-23\./);
+    assert.throws(() => parseCronExpression("0 6 * * 5-1"), /day of the week field/);
+    assert.throws(() => parseCronExpression("0 6 * * mon"), /The day of the week field 'mon' is not valid\./);
+});
+
+test("nextCronTime finds the first matching time strictly after the given time", () => {
+    assert.deepStrictEqual(nextCronTime("30 6 * * 1-5", localTime("2026-01-09 06:30")), localTime("2026-01-12 06:30"));
+    assert.deepStrictEqual(nextCronTime("*/15 * * * *", localTime("2026-01-09 23:50")), localTime("2026-01-10 00:00"));
+});
+
+test("a day matches if either the day of the month or the day of the week matches when both are restricted", () => {
+    assert.deepStrictEqual(nextCronTime("0 9 13 * 5", localTime("2026-01-01 12:00")), localTime("2026-01-02 09:00"));
+    assert.deepStrictEqual(nextCronTime("0 9 13 * *", localTime("2026-01-01 12:00")), localTime("2026-01-13 09:00"));
+});
+
+test("nextCronTime finds a day years ahead, and NULL for a day that never comes", () => {
+    assert.deepStrictEqual(nextCronTime("0 0 29 2 *", localTime("2026-03-01 00:00")), localTime("2028-02-29 00:00"));
+    assert.strictEqual(nextCronTime("0 0 31 2 *", localTime("2026-01-01 00:00")), null);
+});
+
+test("a time skipped when the clocks go forward does not run that day", () => {
+    assert.deepStrictEqual(nextCronTime("30 1 * * *", localTime("2026-03-28 12:00")), localTime("2026-03-30 01:30"));
+    assert.deepStrictEqual(nextCronTime("30 2 * * *", localTime("2026-03-28 12:00")), localTime("2026-03-29 02:30"));
+});
+
+test("a time repeated when the clocks go back runs once", () => {
+    let first = nextCronTime("30 1 * * *", localTime("2026-10-24 12:00"));
+    assert.deepStrictEqual(first, localTime("2026-10-25 01:30"));
+    assert.deepStrictEqual(nextCronTime("30 1 * * *", first), localTime("2026-10-26 01:30"));
+    assert.strictEqual(nextCronTime("0 * * * *", localTime("2026-10-25 00:30")).getTime() - localTime("2026-10-25 00:30").getTime(), 30 * 60 * 1000);
+});
+
+test("describeCronExpression describes a time of day in words", () => {
+    assert.strictEqual(describeCronExpression("30 6 * * 1-5"), "At 06:30 on Mon, Tue, Wed, Thu, Fri");
+    assert.strictEqual(describeCronExpression("0 22 * * *"), "At 22:00 every day");
+    assert.strictEqual(describeCronExpression("*/15 * * * *"), "Cron: */15 * * * *");
+});
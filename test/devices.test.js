@@ -0,0 +1,222 @@
+/*
+
+Tests of the device operations (see lib/devices.js) that change a device: creating, updating, deleting and restoring it, run against an in-memory database.
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createTestDatabase, createHousehold } = require("./helpers");
+const { getDevice, createDevice, updateDevice, patchDevice, deleteDevice, restoreDevice } = require("../lib/devices");
+const { deviceEvents, DEVICE_CREATED, DEVICE_UPDATED, DEVICE_DELETED, DEVICE_RESTORED } = require("../lib/deviceevents");
+const { ORIGIN_API, getDeviceHistory } = require("../lib/history");
+const { listTrash } = require("../lib/trash");
+
+// The original household (see migration 8), and a second one added for the tests
+
+const HOUSEHOLD_ID = 1;
+
+let otherHouseholdID;
+let storage;
+
+const context = { origin: ORIGIN_API, householdID: HOUSEHOLD_ID };
+
+const MOUSE = { custom_name: "Office_Mouse", device_type: "Wireless Mouse", on_off: 1, batteries_included: 1, battery_level: 60, open_closed: 0 };
+
+// The types of the device events published while a device operation runs
+
+function collectEvents(operation, callback) {
+    let types = [];
+    let listener = (event) => types.push(event.type);
+    deviceEvents.on("device", listener);
+    operation((err, result) => {
+        deviceEvents.removeListener("device", listener);
+        callback(err, result, types);
+    });
+}
+
+// The recorded actions of a device, most recent first
+
+function historyActions(deviceTypeID, callback) {
+    getDeviceHistory(deviceTypeID, HOUSEHOLD_ID, (err, entries) => {
+        callback(err, entries && entries.map((entry) => entry.action));
+    });
+}
+
+test.before((t, done) => {
+    createTestDatabase((err, created) => {
+        if (err) {
+            return done(err);
+        }
+        storage = created;
+        createHousehold("Next Door", (err, householdID) => {
+            otherHouseholdID = householdID;
+            done(err);
+        });
+    });
+});
+
+test.after((t, done) => {
+    storage.close(done);
+});
+
+test("createDevice rejects invalid fields with a 400 error naming each field", (t, done) => {
+    createDevice({ custom_name: "", device_type: "Wireless Mouse" }, context, (err) => {
+        assert.strictEqual(err.status, 400);
+        assert.ok(err.fields.custom_name);
+        assert.ok(err.fields.on_off);
+        done();
+    });
+});
+
+test("createDevice writes the device, records it in the history and publishes it", (t, done) => {
+    collectEvents((cb) => createDevice(MOUSE, context, cb), (err, row, types) => {
+        assert.ifError(err);
+        assert.strictEqual(row.Custom_Name, "Office_Mouse");
+        assert.strictEqual(row.Battery_Level, 60);
+        assert.deepStrictEqual(types, [DEVICE_CREATED]);
+
+        historyActions(row.Device_Type_ID, (err, actions) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(actions, ["create"]);
+            done();
+        });
+    });
+});
+
+test("createDevice rejects a custom name already used in the household with a 409 error", (t, done) => {
+    createDevice(MOUSE, context, (err) => {
+        assert.strictEqual(err.status, 409);
+        assert.ok(err.fields.custom_name);
+        done();
+    });
+});
+
+test("a device cannot be read or changed on behalf of another household", (t, done) => {
+    createDevice(Object.assign({}, MOUSE, { custom_name: "Spare_Mouse" }), context, (err, row) => {
+        assert.ifError(err);
+        let otherContext = { origin: ORIGIN_API, householdID: otherHouseholdID };
+
+        getDevice(row.Device_Type_ID, otherHouseholdID, (err, found) => {
+            assert.ifError(err);
+            assert.strictEqual(found, undefined);
+
+            updateDevice(row.Device_Type_ID, Object.assign({}, MOUSE, { custom_name: "Stolen_Mouse" }), otherContext, (err) => {
+                assert.strictEqual(err.status, 404);
+
+                deleteDevice(row.Device_Type_ID, otherContext, (err) => {
+                    assert.strictEqual(err.status, 404);
+                    done();
+                });
+            });
+        });
+    });
+});
+
+test("updateDevice writes, records and publishes a change", (t, done) => {
+    createDevice(Object.assign({}, MOUSE, { custom_name: "Desk_Mouse" }), context, (err, row) => {
+        assert.ifError(err);
+
+        collectEvents((cb) => updateDevice(row.Device_Type_ID, Object.assign({}, MOUSE, { custom_name: "Desk_Mouse", on_off: 0 }), context, cb), (err, updated, types) => {
+            assert.ifError(err);
+            assert.strictEqual(updated.On_Off, 0);
+            assert.deepStrictEqual(types, [DEVICE_UPDATED]);
+
+            historyActions(row.Device_Type_ID, (err, actions) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(actions, ["update", "create"]);
+                done();
+            });
+        });
+    });
+});
+
+test("an update that changes no field is neither recorded nor published", (t, done) => {
+    createDevice(Object.assign({}, MOUSE, { custom_name: "Idle_Mouse" }), context, (err, row) => {
+        assert.ifError(err);
+
+        collectEvents((cb) => patchDevice(row.Device_Type_ID, { on_off: 1 }, context, cb), (err, unchanged, types) => {
+            assert.ifError(err);
+            assert.strictEqual(unchanged.Device_Type_ID, row.Device_Type_ID);
+            assert.deepStrictEqual(types, []);
+
+            historyActions(row.Device_Type_ID, (err, actions) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(actions, ["create"]);
+                done();
+            });
+        });
+    });
+});
+
+test("a device whose batteries are excluded has no battery level", (t, done) => {
+    createDevice(Object.assign({}, MOUSE, { custom_name: "Wired_Mouse", batteries_included: 0 }), context, (err, row) => {
+        assert.ifError(err);
+        assert.strictEqual(row.Battery_Level, null);
+
+        patchDevice(row.Device_Type_ID, { batteries_included: 1 }, context, (err, updated) => {
+            assert.ifError(err);
+            assert.strictEqual(updated.Battery_Level, 100);
+
+            patchDevice(row.Device_Type_ID, { batteries_included: 0, battery_level: 40 }, context, (err, updated) => {
+                assert.ifError(err);
+                assert.strictEqual(updated.Battery_Level, null);
+                done();
+            });
+        });
+    });
+});
+
+test("deleteDevice moves the device to the trash, and restoreDevice brings it back without announcing a new device", (t, done) => {
+    createDevice(Object.assign({}, MOUSE, { custom_name: "Old_Mouse" }), context, (err, row) => {
+        assert.ifError(err);
+        let deviceTypeID = row.Device_Type_ID;
+
+        collectEvents((cb) => deleteDevice(deviceTypeID, context, cb), (err, result, types) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(types, [DEVICE_DELETED]);
+
+            listTrash(HOUSEHOLD_ID, 30, (err, trashed) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(trashed.map((device) => device.deviceTypeID), [deviceTypeID]);
+
+                getDevice(deviceTypeID, HOUSEHOLD_ID, (err, found) => {
+                    assert.ifError(err);
+                    assert.strictEqual(found, undefined);
+
+                    collectEvents((cb) => restoreDevice(deviceTypeID, context, cb), (err, restored, types) => {
+                        assert.ifError(err);
+                        assert.strictEqual(restored.Custom_Name, "Old_Mouse");
+                        assert.strictEqual(restored.Battery_Level, 60);
+                        assert.deepStrictEqual(types, [DEVICE_RESTORED]);
+
+                        historyActions(deviceTypeID, (err, actions) => {
+                            assert.ifError(err);
+                            assert.deepStrictEqual(actions, ["restore", "delete", "create"]);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test("restoreDevice refuses a device whose custom name has been taken in the meantime", (t, done) => {
+    createDevice(Object.assign({}, MOUSE, { custom_name: "Twin_Mouse" }), context, (err, row) => {
+        assert.ifError(err);
+
+        deleteDevice(row.Device_Type_ID, context, (err) => {
+            assert.ifError(err);
+
+            createDevice(Object.assign({}, MOUSE, { custom_name: "Twin_Mouse" }), context, (err) => {
+                assert.ifError(err);
+
+                restoreDevice(row.Device_Type_ID, context, (err) => {
+                    assert.strictEqual(err.status, 409);
+                    done();
+                });
+            });
+        });
+    });
+});
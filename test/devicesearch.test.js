@@ -0,0 +1,158 @@
+/*
+
+Tests of the device search (see lib/devicesearch.js): its parameters, filters, sort orders and pages, run against an in-memory database.
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createTestDatabase, createHousehold } = require("./helpers");
+const { validateDeviceSearch, toSearchQuery, searchDevices } = require("../lib/devicesearch");
+const { createDevice, patchDevice } = require("../lib/devices");
+const { ORIGIN_API } = require("../lib/history");
+
+const HOUSEHOLD_ID = 1;
+
+const context = { origin: ORIGIN_API, householdID: HOUSEHOLD_ID };
+
+const DEVICES = [
+    { custom_name: "Kitchen_Kettle", device_type: "Stainless Steel Kettle", on_off: 0, temperature: 80, open_closed: 0 },
+    { custom_name: "Hall_Speakers", device_type: "Speakers", on_off: 1, volume: 20, batteries_included: 1, battery_level: 50 },
+    { custom_name: "Desk_Mouse", device_type: "Wireless Mouse", on_off: 0, batteries_included: 0, open_closed: 0 },
+    { custom_name: "Spare_Mouse", device_type: "Wireless Mouse", on_off: 1, batteries_included: 1, battery_level: 90, open_closed: 0 },
+    { custom_name: "Spare2Mouse", device_type: "Wireless Mouse", on_off: 1, batteries_included: 1, battery_level: 90, open_closed: 0 }
+];
+
+let storage;
+let deviceIDs = {};
+
+// Search the household with raw parameters, as a request's query string would give them, and pass on the names of the devices found
+
+function searchNames(input, callback) {
+    let { values, errors } = validateDeviceSearch(input);
+    assert.deepStrictEqual(errors, {});
+    searchDevices(HOUSEHOLD_ID, values, (err, result) => {
+        callback(err, result && result.devices.map((device) => device.Custom_Name), result);
+    });
+}
+
+test.before((t, done) => {
+    createTestDatabase((err, created) => {
+        if (err) {
+            return done(err);
+        }
+        storage = created;
+        let remaining = DEVICES.slice();
+
+        (function createNext() {
+            if (remaining.length === 0) {
+                return createHousehold("Next Door", (err, householdID) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    createDevice(DEVICES[2], { origin: ORIGIN_API, householdID: householdID }, done);
+                });
+            }
+            createDevice(remaining.shift(), context, (err, row) => {
+                if (err) {
+                    return done(err);
+                }
+                deviceIDs[row.Custom_Name] = row.Device_Type_ID;
+                createNext();
+            });
+        })();
+    });
+});
+
+test.after((t, done) => {
+    storage.close(done);
+});
+
+test("validateDeviceSearch rejects unknown values and page sizes out of range", () => {
+    let { errors } = validateDeviceSearch({ device_type: "Toaster", state: "dim", battery: "maybe", sort: "price", page: "0", per_page: "101" });
+    assert.deepStrictEqual(Object.keys(errors).sort(), ["battery", "device_type", "page", "per_page", "sort", "state"]);
+});
+
+test("toSearchQuery leaves out the parameters that are not given, the first page and the default sort", () => {
+    let { values } = validateDeviceSearch({ q: "kitchen lamp", sort: "name", page: "1", per_page: "12" });
+    assert.strictEqual(toSearchQuery(values), "?q=kitchen%20lamp&per_page=12");
+    assert.strictEqual(toSearchQuery(values, { page: 2 }), "?q=kitchen%20lamp&page=2&per_page=12");
+    assert.strictEqual(toSearchQuery(validateDeviceSearch({}).values), "");
+});
+
+test("a search only finds the household's own devices, ordered by name", (t, done) => {
+    searchNames({}, (err, names, result) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(names, ["Desk_Mouse", "Hall_Speakers", "Kitchen_Kettle", "Spare2Mouse", "Spare_Mouse"]);
+        assert.strictEqual(result.total, 5);
+        done();
+    });
+});
+
+test("the search text matches part of a name without regard to case, and its wildcards are taken literally", (t, done) => {
+    searchNames({ q: "MOUSE" }, (err, names) => {
+        assert.ifError(err);
+        assert.strictEqual(names.length, 3);
+
+        searchNames({ q: "e_M" }, (err, names) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(names, ["Spare_Mouse"]);
+            done();
+        });
+    });
+});
+
+test("the type, state and battery filters combine", (t, done) => {
+    searchNames({ device_type: "Wireless Mouse", state: "on", battery: "yes" }, (err, names) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(names, ["Spare2Mouse", "Spare_Mouse"]);
+
+        searchNames({ battery: "no", state: "off" }, (err, names) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(names, ["Desk_Mouse", "Kitchen_Kettle"]);
+            done();
+        });
+    });
+});
+
+test("a search can be limited to certain devices, e.g. those of an API token", (t, done) => {
+    searchDevices(HOUSEHOLD_ID, { deviceTypeIDs: [deviceIDs.Hall_Speakers] }, (err, result) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(result.devices.map((device) => device.Custom_Name), ["Hall_Speakers"]);
+
+        searchDevices(HOUSEHOLD_ID, { deviceTypeIDs: [] }, (err, result) => {
+            assert.ifError(err);
+            assert.strictEqual(result.total, 0);
+            done();
+        });
+    });
+});
+
+test("results are split into pages, and a page after the last is the last page", (t, done) => {
+    searchNames({ per_page: "2", page: "9" }, (err, names, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.pageCount, 3);
+        assert.strictEqual(result.page, 3);
+        assert.strictEqual(result.first, 5);
+        assert.strictEqual(result.last, 5);
+        assert.strictEqual(names.length, 1);
+        done();
+    });
+});
+
+test("the 'changed' sort puts the most recently changed devices first", (t, done) => {
+
+    // Wait, so that the change is recorded later than the devices were created
+
+    setTimeout(() => {
+        patchDevice(deviceIDs.Kitchen_Kettle, { on_off: 1 }, context, (err) => {
+            assert.ifError(err);
+
+            searchNames({ sort: "changed" }, (err, names) => {
+                assert.ifError(err);
+                assert.strictEqual(names[0], "Kitchen_Kettle");
+                done();
+            });
+        });
+    }, 5);
+});
@@ -0,0 +1,84 @@
+/*
+
+Test helpers.
+
+Purpose:
+To give each test file a fresh database that only exists in memory (the 'memory' storage backend, see lib/storage), so that the tests need no database server and leave nothing behind.
+
+*/
+
+const { createStorage } = require("../lib/storage");
+const { migrate } = require("../lib/migrations");
+
+/*
+
+A function that creates an empty in-memory database.
+
+Input:
+A callback.
+
+Output:
+The callback receives an error (if any) and the storage object, with no tables.
+
+*/
+
+function createMemoryStorage(callback) {
+    createStorage({ backend: "memory" }, callback);
+}
+
+/*
+
+A function that creates an in-memory database with every migration applied, and makes it the global 'db' used by the lib modules, as index.js does.
+
+Input:
+A callback.
+
+Output:
+The callback receives an error (if any) and the storage object. The database holds the original household (see migration 8) and no devices.
+
+*/
+
+function createTestDatabase(callback) {
+    createMemoryStorage((err, storage) => {
+        if (err) {
+            return callback(err);
+        }
+        migrate(storage, undefined, (err) => {
+            if (err) {
+                return callback(err);
+            }
+            global.db = storage;
+            callback(null, storage);
+        });
+    });
+}
+
+/*
+
+Database interaction:
+
+Purpose:
+To add a household, e.g. to check that one household cannot reach another's devices.
+
+Input:
+The household's name and a callback.
+
+Output:
+The callback receives an error (if any) and the new household's ID.
+
+*/
+
+function createHousehold(householdName, callback) {
+    db.query("INSERT INTO households (Household_Name, Created_At) VALUES (?,?)", [householdName, new Date().toISOString()], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.insertId);
+    });
+}
+
+module.exports = {
+    createMemoryStorage,
+    createTestDatabase,
+    createHousehold
+};
@@ -0,0 +1,118 @@
+/*
+
+Tests of the device import and export (see lib/inventory.js), run against an in-memory database.
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createTestDatabase, createHousehold } = require("./helpers");
+const { exportDevices, formatDevices, importDevices } = require("../lib/inventory");
+const { createDevice, getDevice } = require("../lib/devices");
+const { createRoom } = require("../lib/rooms");
+const { ORIGIN_API } = require("../lib/history");
+
+const HOUSEHOLD_ID = 1;
+
+const context = { origin: ORIGIN_API, householdID: HOUSEHOLD_ID };
+
+let storage;
+let kitchenID;
+
+test.before((t, done) => {
+    createTestDatabase((err, created) => {
+        if (err) {
+            return done(err);
+        }
+        storage = created;
+        createRoom(HOUSEHOLD_ID, { room_name: "Kitchen" }, (err, roomID) => {
+            if (err) {
+                return done(err);
+            }
+            kitchenID = roomID;
+            createDevice({ custom_name: "Kitchen_Kettle", device_type: "Stainless Steel Kettle", room_ID: roomID, on_off: 0, temperature: 80, open_closed: 0 }, context, done);
+        });
+    });
+});
+
+test.after((t, done) => {
+    storage.close(done);
+});
+
+test("a device is exported with the name of its room, in JSON and in CSV", (t, done) => {
+    exportDevices(HOUSEHOLD_ID, (err, devices) => {
+        assert.ifError(err);
+        assert.strictEqual(devices[0].room, "Kitchen");
+
+        let csv = formatDevices(devices, "csv").split(/\r?\n/);
+        let columns = csv[0].split(",");
+        assert.strictEqual(csv[1].split(",")[columns.indexOf("room")], "Kitchen");
+        done();
+    });
+});
+
+test("an exported file imported into another household puts its devices in the rooms of the same name", (t, done) => {
+    exportDevices(HOUSEHOLD_ID, (err, devices) => {
+        assert.ifError(err);
+
+        createHousehold("New Home", (err, householdID) => {
+            assert.ifError(err);
+            let newContext = { origin: ORIGIN_API, householdID: householdID };
+
+            createRoom(householdID, { room_name: "kitchen" }, (err, roomID) => {
+                assert.ifError(err);
+
+                importDevices({ data: formatDevices(devices, "csv") }, newContext, (err, summary) => {
+                    assert.ifError(err);
+                    assert.strictEqual(summary.counts.created, 1);
+
+                    exportDevices(householdID, (err, imported) => {
+                        assert.ifError(err);
+                        assert.strictEqual(imported[0].custom_name, "Kitchen_Kettle");
+                        assert.strictEqual(imported[0].room, "kitchen");
+                        assert.notStrictEqual(roomID, kitchenID);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test("a row naming a room the household does not have is invalid", (t, done) => {
+    let data = JSON.stringify([{ custom_name: "Garage_Heater", device_type: "Water Heater", room: "Garage", on_off: 0, temperature: 50, open_closed: 0 }]);
+
+    importDevices({ data: data, dry_run: "1" }, context, (err, summary) => {
+        assert.ifError(err);
+        assert.strictEqual(summary.results[0].outcome, "invalid");
+        assert.match(summary.results[0].errors.room, /no room named 'Garage'/);
+        done();
+    });
+});
+
+test("overwriting a device keeps its room unless the file gives one", (t, done) => {
+    let keepRoom = JSON.stringify([{ custom_name: "Kitchen_Kettle", device_type: "Stainless Steel Kettle", on_off: 1, temperature: 90, open_closed: 0 }]);
+
+    importDevices({ data: keepRoom, on_clash: "overwrite" }, context, (err, summary) => {
+        assert.ifError(err);
+        assert.strictEqual(summary.counts.overwritten, 1);
+
+        exportDevices(HOUSEHOLD_ID, (err, devices) => {
+            assert.ifError(err);
+            assert.strictEqual(devices[0].room, "Kitchen");
+            assert.strictEqual(devices[0].temperature, 90);
+
+            let noRoom = JSON.stringify([Object.assign(devices[0], { room: null })]);
+
+            importDevices({ data: noRoom, on_clash: "overwrite" }, context, (err) => {
+                assert.ifError(err);
+
+                exportDevices(HOUSEHOLD_ID, (err, devices) => {
+                    assert.ifError(err);
+                    assert.strictEqual(devices[0].room, null);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/*
+
+Tests of the MQTT bridge (see lib/mqttbridge.js), run against the broker started inside the process and an in-memory database.
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const mqtt = require("mqtt");
+const { createTestDatabase } = require("./helpers");
+const { startMqttBridge } = require("../lib/mqttbridge");
+const { createDevice, patchDevice } = require("../lib/devices");
+const { ORIGIN_API, ORIGIN_MQTT, getDeviceHistory } = require("../lib/history");
+
+const HOUSEHOLD_ID = 1;
+
+const options = { embeddedBroker: true, port: 18831, topicPrefix: "home", householdID: HOUSEHOLD_ID };
+
+let storage;
+let bridge;
+let client;
+let kettleID;
+
+// A test fails, rather than waiting for good, if a message it waits for never comes
+
+const MESSAGE_TIMEOUT = { timeout: 5000 };
+
+// Wait for the next message on a topic whose JSON payload passes a check
+
+function nextMessage(topic, check, callback) {
+    function listener(messageTopic, payload) {
+        if (messageTopic !== topic || payload.length === 0) {
+            return;
+        }
+        let message = JSON.parse(payload.toString());
+        if (check(message)) {
+            client.removeListener("message", listener);
+            callback(message);
+        }
+    }
+    client.on("message", listener);
+}
+
+test.before((t, done) => {
+    createTestDatabase((err, created) => {
+        if (err) {
+            return done(err);
+        }
+        storage = created;
+        createDevice({ custom_name: "Kitchen_Kettle", device_type: "Stainless Steel Kettle", on_off: 0, temperature: 80, open_closed: 0 }, { origin: ORIGIN_API, householdID: HOUSEHOLD_ID }, (err, row) => {
+            if (err) {
+                return done(err);
+            }
+            kettleID = row.Device_Type_ID;
+
+            t.mock.method(console, "log", () => { });
+
+            startMqttBridge(options, (err, started) => {
+                if (err) {
+                    return done(err);
+                }
+                bridge = started;
+                client = mqtt.connect({ host: "localhost", port: options.port });
+                client.once("connect", () => done());
+            });
+        });
+    });
+});
+
+test.after((t, done) => {
+    client.end(false, {}, () => bridge.stop(() => storage.close(done)));
+});
+
+test("the bridge publishes the state of each device of the household", MESSAGE_TIMEOUT, (t, done) => {
+    nextMessage("home/Kitchen_Kettle/state", () => true, (state) => {
+        assert.strictEqual(state.device_type_ID, kettleID);
+        assert.strictEqual(state.temperature, 80);
+        done();
+    });
+    client.subscribe("home/#", { qos: 1 });
+});
+
+test("a 'set' message changes the device, is recorded with the 'mqtt' origin and publishes the new state", MESSAGE_TIMEOUT, (t, done) => {
+    nextMessage("home/Kitchen_Kettle/state", (state) => state.on_off === 1, (state) => {
+        assert.strictEqual(state.temperature, 95);
+
+        getDeviceHistory(kettleID, HOUSEHOLD_ID, (err, entries) => {
+            assert.ifError(err);
+            assert.strictEqual(entries[0].origin, ORIGIN_MQTT);
+            done();
+        });
+    });
+    client.publish("home/kitchen_kettle/set", JSON.stringify({ on_off: 1, temperature: 95 }), { qos: 1 });
+});
+
+test("a change made elsewhere is published to the state topic", MESSAGE_TIMEOUT, (t, done) => {
+    nextMessage("home/Kitchen_Kettle/state", (state) => state.open_closed === 1, () => done());
+    patchDevice(kettleID, { open_closed: 1 }, { origin: ORIGIN_API, householdID: HOUSEHOLD_ID }, (err) => assert.ifError(err));
+});
+
+test("a 'set' message that cannot be applied is answered on the error topic", MESSAGE_TIMEOUT, (t, done) => {
+    nextMessage("home/Kitchen_Kettle/error", () => true, (body) => {
+        assert.strictEqual(body.error, "Unknown settings: custom_name.");
+        assert.ok(body.fields.custom_name);
+
+        nextMessage("home/Kitchen_Kettle/error", () => true, (body) => {
+            assert.match(body.error, /must be 20–100 for Stainless Steel Kettle\.$/);
+            assert.ok(body.fields.temperature);
+
+            nextMessage("home/Garage_Door/error", () => true, (body) => {
+                assert.strictEqual(body.error, "Device not found");
+                done();
+            });
+            client.publish("home/Garage_Door/set", JSON.stringify({ on_off: 1 }), { qos: 1 });
+        });
+        client.publish("home/Kitchen_Kettle/set", JSON.stringify({ temperature: 150 }), { qos: 1 });
+    });
+    client.publish("home/Kitchen_Kettle/set", JSON.stringify({ custom_name: "Old_Kettle" }), { qos: 1 });
+});
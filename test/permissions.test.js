@@ -0,0 +1,117 @@
+/*
+
+Tests of the role-based permissions (see lib/permissions.js): the checks made on every change to a device, and the middleware that guards routes.
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createTestDatabase } = require("./helpers");
+const { hasPermission, canControlDevice, checkDeviceChange, requirePermission, listDenials } = require("../lib/permissions");
+
+const HOUSEHOLD_ID = 1;
+
+const SPEAKERS = { custom_name: "Living_Speakers", device_type: "Speakers", room_ID: null, on_off: 0, temperature: null, volume: 25, batteries_included: 0, battery_level: null, open_closed: null };
+
+const OVEN = { custom_name: "Kitchen_Oven", device_type: "Oven", room_ID: null, on_off: 0, temperature: 180, volume: null, batteries_included: null, battery_level: null, open_closed: 0 };
+
+let storage;
+
+function memberOf(role) {
+    return { householdID: HOUSEHOLD_ID, userID: null, username: role + "_member", role: role };
+}
+
+// A response that records what the middleware sent, and calls back once it has sent it
+
+function fakeResponse(callback) {
+    let res = {
+        statusCode: 200,
+        status: (status) => {
+            res.statusCode = status;
+            return res;
+        },
+        json: (body) => callback(res, body),
+        render: (view, locals) => callback(res, locals)
+    };
+    return res;
+}
+
+test.before((t, done) => {
+    createTestDatabase((err, created) => {
+        storage = created;
+        done(err);
+    });
+});
+
+test.after((t, done) => {
+    storage.close(done);
+});
+
+test("each role grants its permissions and no others", () => {
+    assert.ok(hasPermission("owner", "manage_household"));
+    assert.ok(!hasPermission("adult", "manage_household"));
+    assert.ok(hasPermission("child", "control_devices"));
+    assert.ok(!hasPermission("child", "manage_devices"));
+    assert.ok(!hasPermission("guest", "control_devices"));
+    assert.ok(!hasPermission("intruder", "view_devices"));
+});
+
+test("a change made without a role, e.g. by an automation, is always allowed", () => {
+    assert.strictEqual(checkDeviceChange({}, OVEN, null), null);
+});
+
+test("a child may switch, turn up and heat devices, but not heat a heating appliance", () => {
+    let context = memberOf("child");
+
+    assert.strictEqual(checkDeviceChange(context, SPEAKERS, Object.assign({}, SPEAKERS, { on_off: 1, volume: 60 })), null);
+    assert.strictEqual(checkDeviceChange(context, OVEN, Object.assign({}, OVEN, { on_off: 1, open_closed: 1 })), null);
+    assert.ok(canControlDevice("child", "AC Thermostat", "temperature"));
+
+    let err = checkDeviceChange(context, OVEN, Object.assign({}, OVEN, { temperature: 220 }));
+    assert.strictEqual(err.status, 403);
+    assert.strictEqual(err.action, "Change Kitchen_Oven");
+    assert.match(err.message, /temperature of a heating appliance \(Oven\)/);
+});
+
+test("only members who may manage devices can add, rename or delete a device", () => {
+    assert.strictEqual(checkDeviceChange(memberOf("child"), SPEAKERS, null).status, 403);
+    assert.strictEqual(checkDeviceChange(memberOf("child"), SPEAKERS, Object.assign({}, SPEAKERS, { custom_name: "Loud_Speakers" })).status, 403);
+    assert.strictEqual(checkDeviceChange(memberOf("adult"), null, SPEAKERS), null);
+    assert.strictEqual(checkDeviceChange(memberOf("adult"), SPEAKERS, null), null);
+});
+
+test("a guest may not change any setting of a device", () => {
+    let err = checkDeviceChange(memberOf("guest"), SPEAKERS, Object.assign({}, SPEAKERS, { on_off: 1 }));
+    assert.strictEqual(err.status, 403);
+});
+
+test("requirePermission lets a member whose role grants the permission through", (t, done) => {
+    let req = { method: "GET", path: "/backups", user: memberOf("owner") };
+    requirePermission("manage_household")(req, fakeResponse(() => assert.fail("The request was denied")), done);
+});
+
+test("requirePermission answers an API request it denies with a JSON 403 and records the denial", (t, done) => {
+    let req = { method: "POST", path: "/api/v1/devices", user: memberOf("guest") };
+
+    requirePermission("manage_devices")(req, fakeResponse((res, body) => {
+        assert.strictEqual(res.statusCode, 403);
+        assert.match(body.error, /^Your role \(guest\) does not allow you to add, edit or delete devices\.$/);
+
+        listDenials(HOUSEHOLD_ID, (err, denials) => {
+            assert.ifError(err);
+            assert.strictEqual(denials[0].username, "guest_member");
+            assert.strictEqual(denials[0].action, "POST /api/v1/devices");
+            done();
+        });
+    }), () => assert.fail("The request was let through"));
+});
+
+test("requirePermission answers a page request it denies with the 'Permission Denied' page", (t, done) => {
+    let req = { method: "GET", path: "/household", user: memberOf("child") };
+
+    requirePermission("manage_household")(req, fakeResponse((res, locals) => {
+        assert.strictEqual(res.statusCode, 403);
+        assert.match(locals.errorMessage, /^Your role \(child\)/);
+        done();
+    }), () => assert.fail("The request was let through"));
+});
@@ -0,0 +1,120 @@
+/*
+
+Tests of the rules engine (see lib/rulesengine.js): rules fired by device changes, and the limit on chains of rules that trigger each other, run against an in-memory database.
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createTestDatabase } = require("./helpers");
+const { MAX_RULE_DEPTH, handleDeviceEvent } = require("../lib/rulesengine");
+const { createRule, listRuleFirings } = require("../lib/rules");
+const { createDevice, patchDevice, getDevice } = require("../lib/devices");
+const { deviceEvents } = require("../lib/deviceevents");
+const { ORIGIN_API } = require("../lib/history");
+
+const HOUSEHOLD_ID = 1;
+
+const context = { origin: ORIGIN_API, householdID: HOUSEHOLD_ID };
+
+let storage;
+let mouseID;
+let speakersID;
+
+// A rule that sets a field of one device when a field of another changes to a value
+
+function changeRule(name, triggerID, triggerValue, actionID, actionValue) {
+    return {
+        name: name,
+        trigger_type: "change",
+        trigger_device_type_ID: triggerID,
+        trigger_field: "on_off",
+        trigger_operator: "eq",
+        trigger_value: triggerValue,
+        actions: [{ device_type_ID: actionID, field: "on_off", value: actionValue }]
+    };
+}
+
+// Make a change and evaluate the rules for each device event it leads to in turn, as the engine does, until no event is left
+
+function runRules(operation, callback) {
+    let events = [];
+    let listener = (event) => events.push(event);
+    deviceEvents.on("device", listener);
+
+    operation((err) => {
+        if (err) {
+            deviceEvents.removeListener("device", listener);
+            return callback(err);
+        }
+        (function next() {
+            let event = events.shift();
+            if (!event) {
+                deviceEvents.removeListener("device", listener);
+                return callback(null);
+            }
+            handleDeviceEvent(event, (err) => err ? callback(err) : next());
+        })();
+    });
+}
+
+test.before((t, done) => {
+    createTestDatabase((err, created) => {
+        if (err) {
+            return done(err);
+        }
+        storage = created;
+        createDevice({ custom_name: "Hall_Speakers", device_type: "Speakers", on_off: 0, volume: 20, batteries_included: 0 }, context, (err, row) => {
+            if (err) {
+                return done(err);
+            }
+            speakersID = row.Device_Type_ID;
+            createDevice({ custom_name: "Desk_Mouse", device_type: "Wireless Mouse", on_off: 0, batteries_included: 0, open_closed: 0 }, context, (err, row) => {
+                mouseID = row && row.Device_Type_ID;
+                done(err);
+            });
+        });
+    });
+});
+
+test.after((t, done) => {
+    storage.close(done);
+});
+
+test("a chain of rules that trigger each other stops after MAX_RULE_DEPTH rules", (t, done) => {
+
+    // Each rule undoes the change that triggered the one before it, so without the limit the rules would fire forever
+
+    let rules = [
+        changeRule("Speakers on, mouse on", speakersID, 1, mouseID, 1),
+        changeRule("Mouse on, speakers off", mouseID, 1, speakersID, 0),
+        changeRule("Speakers off, mouse off", speakersID, 0, mouseID, 0),
+        changeRule("Mouse off, speakers on", mouseID, 0, speakersID, 1)
+    ];
+
+    let warn = t.mock.method(console, "warn", () => { });
+
+    (function createNext() {
+        if (rules.length > 0) {
+            return createRule(HOUSEHOLD_ID, rules.shift(), (err) => err ? done(err) : createNext());
+        }
+
+        runRules((cb) => patchDevice(speakersID, { on_off: 1 }, context, cb), (err) => {
+            assert.ifError(err);
+
+            listRuleFirings(HOUSEHOLD_ID, (err, firings) => {
+                assert.ifError(err);
+                assert.strictEqual(firings.length, MAX_RULE_DEPTH);
+                assert.deepStrictEqual(firings.map((firing) => firing.outcome), ["success", "success", "success"]);
+                assert.strictEqual(warn.mock.callCount(), 1);
+                assert.match(warn.mock.calls[0].arguments[0], new RegExp("triggered by a chain of " + MAX_RULE_DEPTH + " rules"));
+
+                getDevice(speakersID, HOUSEHOLD_ID, (err, row) => {
+                    assert.ifError(err);
+                    assert.strictEqual(row.On_Off, 0);
+                    done();
+                });
+            });
+        });
+    })();
+});
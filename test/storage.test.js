@@ -0,0 +1,129 @@
+/*
+
+Tests of the storage interface (see lib/storage/index.js), run against the in-memory SQLite backend.
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createMemoryStorage } = require("./helpers");
+
+let storage;
+
+test.before((t, done) => {
+    createMemoryStorage((err, created) => {
+        if (err) {
+            return done(err);
+        }
+        storage = created;
+        storage.query("CREATE TABLE items (Item_ID INTEGER PRIMARY KEY AUTOINCREMENT, Item_Name VARCHAR(20) NOT NULL UNIQUE)", [], done);
+    });
+});
+
+test.after((t, done) => {
+    storage.close(done);
+});
+
+// Count the rows with the given name
+
+function countItems(itemName, callback) {
+    storage.query("SELECT COUNT(*) AS Item_Count FROM items WHERE Item_Name = ?", [itemName], (err, result) => {
+        callback(err, result && result[0].Item_Count);
+    });
+}
+
+test("query returns the insert ID and affected row count of a write, and the rows of a SELECT", (t, done) => {
+    storage.query("INSERT INTO items (Item_Name) VALUES (?)", ["kettle"], (err, result) => {
+        assert.ifError(err);
+        assert.strictEqual(result.affectedRows, 1);
+        assert.ok(Number.isInteger(result.insertId));
+
+        storage.query("SELECT * FROM items WHERE Item_ID = ?", [result.insertId], (err, rows) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(rows, [{ Item_ID: result.insertId, Item_Name: "kettle" }]);
+
+            storage.query("UPDATE items SET Item_Name = ? WHERE Item_ID = ?", ["fridge", result.insertId], (err, result) => {
+                assert.ifError(err);
+                assert.strictEqual(result.affectedRows, 1);
+                done();
+            });
+        });
+    });
+});
+
+test("query reports a duplicate unique value with the MySQL error code", (t, done) => {
+    storage.query("INSERT INTO items (Item_Name) VALUES (?)", ["speakers"], (err) => {
+        assert.ifError(err);
+        storage.query("INSERT INTO items (Item_Name) VALUES (?)", ["speakers"], (err) => {
+            assert.ok(err);
+            assert.strictEqual(err.code, "ER_DUP_ENTRY");
+            done();
+        });
+    });
+});
+
+test("transaction commits its work and passes on the result given to done", (t, done) => {
+    storage.transaction((connection, finish) => {
+        connection.query("INSERT INTO items (Item_Name) VALUES (?)", ["heater"], (err, result) => {
+            finish(err, result && result.insertId);
+        });
+    }, (err, insertId) => {
+        assert.ifError(err);
+        assert.ok(Number.isInteger(insertId));
+        countItems("heater", (err, count) => {
+            assert.ifError(err);
+            assert.strictEqual(count, 1);
+            done();
+        });
+    });
+});
+
+test("transaction rolls back its work when done is given an error", (t, done) => {
+    storage.transaction((connection, finish) => {
+        connection.query("INSERT INTO items (Item_Name) VALUES (?)", ["mouse"], (err) => {
+            finish(err || new Error("Abandoned"));
+        });
+    }, (err) => {
+        assert.strictEqual(err.message, "Abandoned");
+        countItems("mouse", (err, count) => {
+            assert.ifError(err);
+            assert.strictEqual(count, 0);
+            done();
+        });
+    });
+});
+
+test("transaction rolls back when its work throws, and later queries still run", (t, done) => {
+    storage.transaction(() => {
+        throw new Error("Broken work");
+    }, (err) => {
+        assert.strictEqual(err.message, "Broken work");
+        storage.query("INSERT INTO items (Item_Name) VALUES (?)", ["washer"], (err) => {
+            assert.ifError(err);
+            countItems("washer", (err, count) => {
+                assert.ifError(err);
+                assert.strictEqual(count, 1);
+                done();
+            });
+        });
+    });
+});
+
+test("a query issued while a transaction is open runs once it has been committed", (t, done) => {
+    let committed = false;
+
+    storage.transaction((connection, finish) => {
+        storage.query("SELECT COUNT(*) AS Item_Count FROM items WHERE Item_Name = ?", ["camera"], (err, result) => {
+            assert.ifError(err);
+            assert.ok(committed);
+            assert.strictEqual(result[0].Item_Count, 1);
+            done();
+        });
+        connection.query("INSERT INTO items (Item_Name) VALUES (?)", ["camera"], (err) => {
+            committed = !err;
+            finish(err);
+        });
+    }, (err) => {
+        assert.ifError(err);
+    });
+});
@@ -0,0 +1,40 @@
+/*
+
+Tests of the schema-driven validator (see lib/validation.js).
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { validate } = require("../lib/validation");
+
+const schema = {
+    name: { type: "string", label: "Name", required: true },
+    volume: { type: "integer", label: "Volume", range: () => ({ min: 0, max: 100 }) },
+    on_off: { type: "flag", label: "On/Off" }
+};
+
+test("validate converts each field to its type", () => {
+    let { values, errors } = validate(schema, { name: " Speakers ", volume: "40", on_off: "true" });
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(values, { name: "Speakers", volume: 40, on_off: 1 });
+});
+
+test("validate reports a missing required field and a value out of range", () => {
+    let { errors } = validate(schema, { volume: 101 });
+    assert.strictEqual(errors.name, "Name is required.");
+    assert.strictEqual(errors.volume, "Volume must be 0–100.");
+});
+
+test("a flag takes the first of a checkbox's values", () => {
+    let { values, errors } = validate(schema, { name: "Speakers", on_off: ["1", "0"] });
+    assert.deepStrictEqual(errors, {});
+    assert.strictEqual(values.on_off, 1);
+});
+
+test("a list or object given for any other field is a type error", () => {
+    let { errors } = validate(schema, { name: ["Speakers"], volume: [40], on_off: { on: 1 } });
+    assert.strictEqual(errors.name, "Name must be a single value.");
+    assert.strictEqual(errors.volume, "Volume must be a whole number.");
+    assert.strictEqual(errors.on_off, "On/Off must be 0 or 1.");
+});
@@ -0,0 +1,71 @@
+/*
+
+Tests of the checks that keep webhooks from being sent to this server or its local network (see lib/webhooks.js).
+
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const dns = require("dns");
+const { webhookHostError, publicLookup } = require("../lib/webhooks");
+
+test("a webhook URL may name a public host or address", () => {
+    assert.strictEqual(webhookHostError("https://hooks.example.com/smart-home"), null);
+    assert.strictEqual(webhookHostError("http://93.184.216.34:8080/"), null);
+    assert.strictEqual(webhookHostError("https://[2606:2800:220:1::]/"), null);
+});
+
+test("a webhook URL may not name this server or an address on a local or reserved network", () => {
+    let blocked = [
+        "http://localhost:3000/",
+        "http://LOCALHOST./",
+        "http://api.localhost/",
+        "http://127.0.0.1/",
+        "http://0.0.0.0/",
+        "http://2130706433/",
+        "http://10.1.2.3/",
+        "http://172.16.0.1/",
+        "http://192.168.1.20/",
+        "http://169.254.169.254/latest/meta-data/",
+        "http://100.64.0.1/",
+        "http://[::1]/",
+        "http://[::ffff:127.0.0.1]/",
+        "http://[fd00::1]/",
+        "http://[fe80::1]/"
+    ];
+
+    blocked.forEach((url) => {
+        assert.match(webhookHostError(url) || "", /not of this server or its local network/, url);
+    });
+});
+
+test("publicLookup refuses a host name that resolves to a non-public address", (t, done) => {
+    t.mock.method(dns, "lookup", (hostname, options, callback) => {
+        callback(null, [{ address: "93.184.216.34", family: 4 }, { address: "10.0.0.5", family: 4 }]);
+    });
+
+    publicLookup("rebinding.example.com", { all: true }, (err) => {
+        assert.match(err.message, /resolves to 10\.0\.0\.5, which is not a public address/);
+        done();
+    });
+});
+
+test("publicLookup passes on the addresses of a public host", (t, done) => {
+    t.mock.method(dns, "lookup", (hostname, options, callback) => {
+        callback(null, "93.184.216.34", 4);
+    });
+
+    publicLookup("hooks.example.com", {}, (err, address, family) => {
+        assert.ifError(err);
+        assert.strictEqual(address, "93.184.216.34");
+        assert.strictEqual(family, 4);
+        done();
+    });
+});
+
+test("publicLookup refuses a host name that resolves to this server", (t, done) => {
+    publicLookup("localhost", {}, (err) => {
+        assert.match(err.message, /which is not a public address/);
+        done();
+    });
+});